@@ -7,6 +7,14 @@ const path = require('path');
 
 // Importar rutas
 const routes = require('./src/routes');
+const metricsRoutes = require('./src/routes/metrics');
+const { httpMetrics } = require('./src/middleware/metrics');
+const databaseService = require('./src/services/database');
+const billingWorker = require('./src/workers/billing');
+const syncWorker = require('./src/workers/sync');
+const notificationWorker = require('./src/workers/notifications');
+const statsWorker = require('./src/workers/stats');
+const consoleGateway = require('./src/services/consoleGateway');
 
 // Configuración de logging
 const logger = winston.createLogger({
@@ -47,10 +55,20 @@ app.use(morgan('combined', {
 }));
 
 // Middleware de parsing
-app.use(express.json({ limit: '10mb' }));
+// Se conserva el cuerpo original para verificar la firma de los webhooks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Métricas de cada petición (ver GET /metrics)
+app.use(httpMetrics);
+
 // Rutas
+app.use('/', metricsRoutes);
 app.use('/api', routes);
 
 // Manejo de errores 404
@@ -74,19 +92,69 @@ app.use((err, req, res, next) => {
 });
 
 // Iniciar servidor
-app.listen(PORT, () => {
-  logger.info(`🚀 Panel-TK API corriendo en http://localhost:${PORT}`);
-  logger.info(`📊 Ambiente: ${process.env.NODE_ENV || 'development'}`);
+const start = async () => {
+  await databaseService.ready;
+
+  // Verificar que el esquema del que depende DatabaseService esté migrado
+  const schema = await databaseService.verifySchema();
+
+  if (!schema.ok) {
+    logger.error('Esquema de base de datos incompleto, ejecuta `npm run migrate`', {
+      missing: schema.missing
+    });
+    process.exit(1);
+  }
+
+  const server = app.listen(PORT, () => {
+    logger.info(`🚀 Panel-TK API corriendo en http://localhost:${PORT}`);
+    logger.info(`📊 Ambiente: ${process.env.NODE_ENV || 'development'}`);
+  });
+
+  // Consola en tiempo real por WebSocket en el mismo puerto
+  if (process.env.CONSOLE_GATEWAY_ENABLED !== 'false') {
+    consoleGateway.attach(server);
+  }
+
+  if (process.env.BILLING_WORKER_ENABLED !== 'false') {
+    billingWorker.start();
+  }
+
+  if (process.env.SYNC_WORKER_ENABLED !== 'false') {
+    syncWorker.start();
+  }
+
+  if (process.env.NOTIFICATION_WORKER_ENABLED !== 'false') {
+    notificationWorker.start();
+  }
+
+  if (process.env.STATS_WORKER_ENABLED !== 'false') {
+    statsWorker.start();
+  }
+};
+
+start().catch((error) => {
+  logger.error('Error al iniciar el servidor:', error);
+  process.exit(1);
 });
 
 // Manejo de señales para cierre graceful
 process.on('SIGTERM', () => {
   logger.info('SIGTERM recibido, cerrando servidor...');
+  billingWorker.stop();
+  syncWorker.stop();
+  notificationWorker.stop();
+  statsWorker.stop();
+  consoleGateway.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT recibido, cerrando servidor...');
+  billingWorker.stop();
+  syncWorker.stop();
+  notificationWorker.stop();
+  statsWorker.stop();
+  consoleGateway.close();
   process.exit(0);
 });
 
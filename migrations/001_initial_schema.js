@@ -0,0 +1,195 @@
+// Esquema inicial, equivalente a las tablas de docker/postgres/init.sql.
+// Usa IF NOT EXISTS para poder aplicarse sobre bases creadas con init.sql.
+const TABLES = [
+  'server_stats',
+  'notifications',
+  'audit_logs',
+  'api_keys',
+  'server_schedules',
+  'server_backups',
+  'servers',
+  'users'
+];
+
+module.exports = {
+  description: 'Esquema inicial de Panel-TK',
+
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+    }
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'user' CONSTRAINT users_role_check CHECK (role IN ('user', 'admin', 'moderator')),
+        is_active BOOLEAN DEFAULT true,
+        email_verified BOOLEAN DEFAULT false,
+        avatar_url VARCHAR(500),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP WITH TIME ZONE,
+        failed_login_attempts INTEGER DEFAULT 0,
+        locked_until TIMESTAMP WITH TIME ZONE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS servers (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        pterodactyl_id INTEGER UNIQUE NOT NULL,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        node_id INTEGER NOT NULL,
+        allocation_id INTEGER NOT NULL,
+        egg_id INTEGER NOT NULL,
+        docker_image VARCHAR(255),
+        startup_command TEXT,
+        environment JSONB DEFAULT '{}',
+        limits JSONB DEFAULT '{}',
+        feature_limits JSONB DEFAULT '{}',
+        is_suspended BOOLEAN DEFAULT false,
+        is_installing BOOLEAN DEFAULT false,
+        status VARCHAR(20) DEFAULT 'offline',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS server_backups (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        server_id UUID NOT NULL REFERENCES servers(id) ON DELETE CASCADE,
+        pterodactyl_backup_id VARCHAR(100) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        file_size BIGINT,
+        checksum VARCHAR(64),
+        is_locked BOOLEAN DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP WITH TIME ZONE,
+        failed_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS server_schedules (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        server_id UUID NOT NULL REFERENCES servers(id) ON DELETE CASCADE,
+        pterodactyl_schedule_id INTEGER NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        cron_expression VARCHAR(100) NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        is_processing BOOLEAN DEFAULT false,
+        last_run TIMESTAMP WITH TIME ZONE,
+        next_run TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        key_hash VARCHAR(255) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        permissions JSONB DEFAULT '{}',
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(50) NOT NULL,
+        resource_type VARCHAR(50) NOT NULL,
+        resource_id VARCHAR(100),
+        ip_address INET,
+        user_agent TEXT,
+        details JSONB DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        is_read BOOLEAN DEFAULT false,
+        action_url VARCHAR(500),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS server_stats (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        server_id UUID NOT NULL REFERENCES servers(id) ON DELETE CASCADE,
+        cpu_usage DECIMAL(5,2),
+        memory_usage BIGINT,
+        disk_usage BIGINT,
+        network_rx BIGINT,
+        network_tx BIGINT,
+        players_online INTEGER DEFAULT 0,
+        tps DECIMAL(4,2),
+        recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_servers_user_id ON servers(user_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_servers_pterodactyl_id ON servers(pterodactyl_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_server_backups_server_id ON server_backups(server_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_server_schedules_server_id ON server_schedules(server_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_server_stats_server_id ON server_stats(server_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_server_stats_recorded_at ON server_stats(recorded_at)');
+
+    // Los triggers de updated_at requieren plpgsql
+    if (db.dialect === 'postgres') {
+      await db.query(`
+        CREATE OR REPLACE FUNCTION update_updated_at_column()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          NEW.updated_at = CURRENT_TIMESTAMP;
+          RETURN NEW;
+        END;
+        $$ language 'plpgsql'
+      `);
+
+      for (const table of ['users', 'servers', 'server_schedules']) {
+        await db.query(`DROP TRIGGER IF EXISTS update_${table}_updated_at ON ${table}`);
+        await db.query(`
+          CREATE TRIGGER update_${table}_updated_at BEFORE UPDATE ON ${table}
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+        `);
+      }
+    }
+  },
+
+  async down(db) {
+    for (const table of TABLES) {
+      await db.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+    }
+
+    if (db.dialect === 'postgres') {
+      await db.query('DROP FUNCTION IF EXISTS update_updated_at_column()');
+    }
+  }
+};
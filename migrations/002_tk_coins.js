@@ -0,0 +1,26 @@
+// Columnas y tablas de TK-Coins que DatabaseService necesita y init.sql no crea.
+module.exports = {
+  description: 'Saldo de TK-Coins e historial de transacciones',
+
+  async up(db) {
+    await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS tk_coins INTEGER NOT NULL DEFAULT 0');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS tk_coins_transactions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        amount INTEGER NOT NULL,
+        operation VARCHAR(20) NOT NULL,
+        metadata JSONB DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tk_coins_transactions_user_id ON tk_coins_transactions(user_id, created_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS tk_coins_transactions');
+    await db.query('ALTER TABLE users DROP COLUMN IF EXISTS tk_coins');
+  }
+};
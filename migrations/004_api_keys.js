@@ -0,0 +1,14 @@
+// Prefijo visible y búsqueda por hash para las API keys personales
+module.exports = {
+  description: 'Prefijo e índice único de API keys',
+
+  async up(db) {
+    await db.query('ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(16)');
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys(key_hash)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_api_keys_key_hash');
+    await db.query('ALTER TABLE api_keys DROP COLUMN IF EXISTS key_prefix');
+  }
+};
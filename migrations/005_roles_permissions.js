@@ -0,0 +1,76 @@
+// Roles configurables y su conjunto de permisos
+const ROLES = {
+  user: {
+    description: 'Jugador',
+    permissions: ['account.read']
+  },
+  support: {
+    description: 'Agente de soporte (solo lectura)',
+    permissions: ['account.read', 'users.read', 'servers.read', 'nodes.read']
+  },
+  moderator: {
+    description: 'Moderador',
+    permissions: [
+      'account.read',
+      'users.read',
+      'coins.adjust',
+      'servers.read',
+      'servers.suspend',
+      'servers.reinstall',
+      'nodes.read',
+      'stats.read'
+    ]
+  },
+  admin: {
+    description: 'Administrador',
+    permissions: ['*']
+  }
+};
+
+module.exports = {
+  description: 'Roles y permisos configurables',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name VARCHAR(20) PRIMARY KEY,
+        description VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role VARCHAR(20) NOT NULL REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE,
+        permission VARCHAR(100) NOT NULL,
+        PRIMARY KEY (role, permission)
+      )
+    `);
+
+    for (const [role, { description, permissions }] of Object.entries(ROLES)) {
+      await db.query(
+        'INSERT INTO roles (name, description) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING',
+        [role, description]
+      );
+
+      for (const permission of permissions) {
+        await db.query(
+          'INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [role, permission]
+        );
+      }
+    }
+
+    // El CHECK fijo de roles se sustituye por una referencia a la tabla roles
+    await db.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+    await db.query('ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey');
+    await db.query("UPDATE users SET role = 'user' WHERE role NOT IN ('user', 'admin', 'moderator')");
+    await db.query("ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin', 'moderator'))");
+    await db.query('DROP TABLE IF EXISTS role_permissions');
+    await db.query('DROP TABLE IF EXISTS roles');
+  }
+};
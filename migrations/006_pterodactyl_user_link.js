@@ -0,0 +1,12 @@
+// Vínculo entre la cuenta local (UUID) y el usuario de Pterodactyl (ID entero)
+module.exports = {
+  description: 'Vínculo de usuarios con Pterodactyl',
+
+  async up(db) {
+    await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS pterodactyl_user_id INTEGER UNIQUE');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE users DROP COLUMN IF EXISTS pterodactyl_user_id');
+  }
+};
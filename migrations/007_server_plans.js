@@ -0,0 +1,44 @@
+// Catálogo de planes comprables con TK-Coins y permisos del flujo de compra
+const PURCHASE_ROLES = ['user', 'support', 'moderator'];
+
+module.exports = {
+  description: 'Planes de servidor y compra con TK-Coins',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS server_plans (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        egg_id INTEGER NOT NULL,
+        docker_image VARCHAR(255) NOT NULL,
+        startup_command TEXT NOT NULL,
+        environment JSONB DEFAULT '{}',
+        limits JSONB NOT NULL,
+        feature_limits JSONB DEFAULT '{}',
+        node_ids JSONB,
+        price INTEGER NOT NULL CHECK (price >= 0),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query('ALTER TABLE servers ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES server_plans(id) ON DELETE SET NULL');
+
+    for (const role of PURCHASE_ROLES) {
+      await db.query(
+        `INSERT INTO role_permissions (role, permission)
+         SELECT name, 'servers.create' FROM roles WHERE name = $1
+         ON CONFLICT DO NOTHING`,
+        [role]
+      );
+    }
+  },
+
+  async down(db) {
+    await db.query("DELETE FROM role_permissions WHERE permission = 'servers.create'");
+    await db.query('ALTER TABLE servers DROP COLUMN IF EXISTS plan_id');
+    await db.query('DROP TABLE IF EXISTS server_plans');
+  }
+};
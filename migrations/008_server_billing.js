@@ -0,0 +1,27 @@
+// Facturación recurrente de servidores: periodo, próxima renovación y estado de cobro
+module.exports = {
+  description: 'Facturación recurrente de servidores',
+
+  async up(db) {
+    // Periodo de renovación del plan en días (NULL: pago único)
+    await db.query('ALTER TABLE server_plans ADD COLUMN IF NOT EXISTS billing_period_days INTEGER DEFAULT 30');
+
+    await db.query('ALTER TABLE servers ADD COLUMN IF NOT EXISTS billing_period_days INTEGER');
+    await db.query('ALTER TABLE servers ADD COLUMN IF NOT EXISTS renewal_price INTEGER');
+    await db.query('ALTER TABLE servers ADD COLUMN IF NOT EXISTS next_due_at TIMESTAMP WITH TIME ZONE');
+    await db.query('ALTER TABLE servers ADD COLUMN IF NOT EXISTS grace_ends_at TIMESTAMP WITH TIME ZONE');
+    // active | grace | suspended
+    await db.query("ALTER TABLE servers ADD COLUMN IF NOT EXISTS billing_status VARCHAR(20) DEFAULT 'active'");
+    await db.query('CREATE INDEX IF NOT EXISTS idx_servers_next_due_at ON servers(next_due_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_servers_next_due_at');
+    await db.query('ALTER TABLE servers DROP COLUMN IF EXISTS billing_status');
+    await db.query('ALTER TABLE servers DROP COLUMN IF EXISTS grace_ends_at');
+    await db.query('ALTER TABLE servers DROP COLUMN IF EXISTS next_due_at');
+    await db.query('ALTER TABLE servers DROP COLUMN IF EXISTS renewal_price');
+    await db.query('ALTER TABLE servers DROP COLUMN IF EXISTS billing_period_days');
+    await db.query('ALTER TABLE server_plans DROP COLUMN IF EXISTS billing_period_days');
+  }
+};
@@ -0,0 +1,90 @@
+// Ledger de doble entrada para TK-Coins. Cada movimiento es un asiento (coin_journal)
+// con dos o más apuntes en tk_coins_transactions que suman cero. Los apuntes anteriores
+// quedan como historial (journal_id NULL) y el saldo de cada usuario se abre con un
+// asiento de apertura.
+module.exports = {
+  description: 'Ledger de TK-Coins con idempotencia',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS coin_journal (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        operation VARCHAR(30) NOT NULL,
+        idempotency_key VARCHAR(255) UNIQUE,
+        request_hash VARCHAR(64),
+        metadata JSONB DEFAULT '{}',
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query('ALTER TABLE tk_coins_transactions ADD COLUMN IF NOT EXISTS journal_id UUID');
+    await db.query('ALTER TABLE tk_coins_transactions ADD CONSTRAINT tk_coins_transactions_journal_id_fkey FOREIGN KEY (journal_id) REFERENCES coin_journal(id)');
+    await db.query('ALTER TABLE tk_coins_transactions ADD COLUMN IF NOT EXISTS account VARCHAR(100)');
+    await db.query('ALTER TABLE tk_coins_transactions ADD COLUMN IF NOT EXISTS balance_after INTEGER');
+    await db.query('ALTER TABLE tk_coins_transactions ALTER COLUMN operation TYPE VARCHAR(30)');
+    // Los apuntes de cuentas del sistema no pertenecen a ningún usuario
+    await db.query('ALTER TABLE tk_coins_transactions ALTER COLUMN user_id DROP NOT NULL');
+    await db.query("UPDATE tk_coins_transactions SET account = 'user:' || user_id::text WHERE account IS NULL");
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tk_coins_transactions_account ON tk_coins_transactions(account)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tk_coins_transactions_journal_id ON tk_coins_transactions(journal_id)');
+
+    const { rows: balances } = await db.query('SELECT id, tk_coins FROM users WHERE tk_coins <> 0');
+
+    for (const { id, tk_coins: balance } of balances) {
+      const { rows } = await db.query(
+        "INSERT INTO coin_journal (operation, metadata) VALUES ('opening_balance', $1) RETURNING id",
+        [JSON.stringify({ userId: id })]
+      );
+
+      await db.query(
+        `INSERT INTO tk_coins_transactions (journal_id, account, user_id, amount, balance_after, operation)
+         VALUES ($1, $2, $3, $4, $4, 'opening_balance'), ($1, 'system:opening', NULL, $5, NULL, 'opening_balance')`,
+        [rows[0].id, `user:${id}`, id, balance, -balance]
+      );
+    }
+
+    if (db.dialect === 'postgres') {
+      // Solo se permite añadir apuntes. Los borrados en cascada al eliminar un
+      // usuario (pg_trigger_depth() > 1) siguen permitidos.
+      await db.query(`
+        CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF TG_OP = 'DELETE' AND pg_trigger_depth() > 1 THEN
+            RETURN OLD;
+          END IF;
+          RAISE EXCEPTION 'El ledger de TK-Coins es de solo inserción (%)', TG_TABLE_NAME;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+
+      for (const table of ['coin_journal', 'tk_coins_transactions']) {
+        await db.query(`DROP TRIGGER IF EXISTS ${table}_append_only ON ${table}`);
+        await db.query(`
+          CREATE TRIGGER ${table}_append_only
+          BEFORE UPDATE OR DELETE ON ${table}
+          FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes()
+        `);
+      }
+    }
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.query('DROP TRIGGER IF EXISTS tk_coins_transactions_append_only ON tk_coins_transactions');
+      await db.query('DROP TRIGGER IF EXISTS coin_journal_append_only ON coin_journal');
+      await db.query('DROP FUNCTION IF EXISTS prevent_ledger_changes()');
+    }
+
+    await db.query("DELETE FROM tk_coins_transactions WHERE user_id IS NULL OR operation = 'opening_balance'");
+    await db.query('ALTER TABLE tk_coins_transactions ALTER COLUMN user_id SET NOT NULL');
+    await db.query('DROP INDEX IF EXISTS idx_tk_coins_transactions_journal_id');
+    await db.query('ALTER TABLE tk_coins_transactions DROP CONSTRAINT IF EXISTS tk_coins_transactions_journal_id_fkey');
+    await db.query('DROP INDEX IF EXISTS idx_tk_coins_transactions_account');
+    await db.query('ALTER TABLE tk_coins_transactions DROP COLUMN IF EXISTS balance_after');
+    await db.query('ALTER TABLE tk_coins_transactions DROP COLUMN IF EXISTS account');
+    await db.query('ALTER TABLE tk_coins_transactions DROP COLUMN IF EXISTS journal_id');
+    await db.query('DROP TABLE IF EXISTS coin_journal');
+  }
+};
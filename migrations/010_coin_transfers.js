@@ -0,0 +1,25 @@
+// Transferencias de TK-Coins entre usuarios
+const TRANSFER_ROLES = ['user', 'support', 'moderator'];
+
+module.exports = {
+  description: 'Transferencias de TK-Coins entre usuarios',
+
+  async up(db) {
+    // Para sumar lo enviado por un usuario en las últimas 24 horas
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tk_coins_transactions_account_operation ON tk_coins_transactions(account, operation, created_at)');
+
+    for (const role of TRANSFER_ROLES) {
+      await db.query(
+        `INSERT INTO role_permissions (role, permission)
+         SELECT name, 'coins.transfer' FROM roles WHERE name = $1
+         ON CONFLICT DO NOTHING`,
+        [role]
+      );
+    }
+  },
+
+  async down(db) {
+    await db.query("DELETE FROM role_permissions WHERE permission = 'coins.transfer'");
+    await db.query('DROP INDEX IF EXISTS idx_tk_coins_transactions_account_operation');
+  }
+};
@@ -0,0 +1,78 @@
+// Compra de TK-Coins con un proveedor de pagos: paquetes, sesiones de checkout y
+// eventos recibidos por webhook (deduplicados por proveedor e ID de evento)
+const PURCHASE_ROLES = ['user', 'support', 'moderator'];
+
+module.exports = {
+  description: 'Paquetes de TK-Coins y pagos por webhook',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS coin_packages (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        coins INTEGER NOT NULL CHECK (coins > 0),
+        price_cents INTEGER NOT NULL CHECK (price_cents > 0),
+        currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // status: pending | completed | failed | refunded | charged_back
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS checkout_sessions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        package_id UUID REFERENCES coin_packages(id) ON DELETE SET NULL,
+        provider VARCHAR(30) NOT NULL,
+        provider_session_id VARCHAR(255) UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        coins INTEGER NOT NULL,
+        amount_cents INTEGER NOT NULL,
+        currency VARCHAR(3) NOT NULL,
+        checkout_url TEXT,
+        journal_id UUID REFERENCES coin_journal(id),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_checkout_sessions_user_id ON checkout_sessions(user_id, created_at)');
+
+    // status: received | processed | ignored | failed
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payment_events (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        provider VARCHAR(30) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        session_id UUID REFERENCES checkout_sessions(id) ON DELETE SET NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'received',
+        error TEXT,
+        received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP WITH TIME ZONE,
+        UNIQUE (provider, event_id)
+      )
+    `);
+
+    for (const role of PURCHASE_ROLES) {
+      await db.query(
+        `INSERT INTO role_permissions (role, permission)
+         SELECT name, 'coins.purchase' FROM roles WHERE name = $1
+         ON CONFLICT DO NOTHING`,
+        [role]
+      );
+    }
+  },
+
+  async down(db) {
+    await db.query("DELETE FROM role_permissions WHERE permission = 'coins.purchase'");
+    await db.query('DROP TABLE IF EXISTS payment_events');
+    await db.query('DROP TABLE IF EXISTS checkout_sessions');
+    await db.query('DROP TABLE IF EXISTS coin_packages');
+  }
+};
@@ -0,0 +1,29 @@
+// Registro de los webhooks recibidos del panel de Pterodactyl
+module.exports = {
+  description: 'Registro de webhooks de Pterodactyl',
+
+  async up(db) {
+    // status: received | processed | ignored | failed | rejected
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS webhook_logs (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        source VARCHAR(30) NOT NULL,
+        event VARCHAR(100),
+        pterodactyl_server_id INTEGER,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'received',
+        error TEXT,
+        ip_address VARCHAR(45),
+        received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_webhook_logs_received_at ON webhook_logs(received_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_webhook_logs_server ON webhook_logs(pterodactyl_server_id)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS webhook_logs');
+  }
+};
@@ -0,0 +1,72 @@
+// Copia local de los usuarios, servidores y nodos del panel de Pterodactyl,
+// mantenida por el worker de sincronización, y el historial de sincronizaciones
+module.exports = {
+  description: 'Espejo local de Pterodactyl y registro de sincronizaciones',
+
+  async up(db) {
+    // Los IDs son los de Pterodactyl; `attributes` guarda la respuesta completa de la API
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS pterodactyl_users (
+        id INTEGER PRIMARY KEY,
+        uuid VARCHAR(36),
+        username VARCHAR(255),
+        email VARCHAR(255),
+        root_admin BOOLEAN DEFAULT false,
+        attributes JSONB NOT NULL,
+        synced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS pterodactyl_servers (
+        id INTEGER PRIMARY KEY,
+        uuid VARCHAR(36),
+        identifier VARCHAR(20),
+        name VARCHAR(255),
+        owner_id INTEGER,
+        node_id INTEGER,
+        suspended BOOLEAN DEFAULT false,
+        status VARCHAR(30),
+        attributes JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE,
+        synced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS pterodactyl_nodes (
+        id INTEGER PRIMARY KEY,
+        uuid VARCHAR(36),
+        name VARCHAR(255),
+        fqdn VARCHAR(255),
+        maintenance_mode BOOLEAN DEFAULT false,
+        attributes JSONB NOT NULL,
+        synced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // status: running | completed | failed
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sync_runs (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        diff JSONB,
+        orphans JSONB,
+        error TEXT,
+        started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_pterodactyl_servers_owner_id ON pterodactyl_servers(owner_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_pterodactyl_servers_created_at ON pterodactyl_servers(created_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS sync_runs');
+    await db.query('DROP TABLE IF EXISTS pterodactyl_nodes');
+    await db.query('DROP TABLE IF EXISTS pterodactyl_servers');
+    await db.query('DROP TABLE IF EXISTS pterodactyl_users');
+  }
+};
@@ -0,0 +1,21 @@
+// Permiso para controlar los servidores propios (encendido y consola) por la API de cliente
+const CONTROL_ROLES = ['user', 'support', 'moderator'];
+
+module.exports = {
+  description: 'Control de encendido y consola de los servidores propios',
+
+  async up(db) {
+    for (const role of CONTROL_ROLES) {
+      await db.query(
+        `INSERT INTO role_permissions (role, permission)
+         SELECT name, 'servers.control' FROM roles WHERE name = $1
+         ON CONFLICT DO NOTHING`,
+        [role]
+      );
+    }
+  },
+
+  async down(db) {
+    await db.query("DELETE FROM role_permissions WHERE permission = 'servers.control'");
+  }
+};
@@ -0,0 +1,17 @@
+// Estado de los backups de servidor (creating | completed | failed) y quién los pidió.
+// server_backups existe desde 001; el panel crea los backups en segundo plano.
+module.exports = {
+  description: 'Estado y autor de los backups de servidor',
+
+  async up(db) {
+    await db.query("ALTER TABLE server_backups ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'creating'");
+    await db.query('ALTER TABLE server_backups ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL');
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_server_backups_pterodactyl_id ON server_backups(pterodactyl_backup_id)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_server_backups_pterodactyl_id');
+    await db.query('ALTER TABLE server_backups DROP COLUMN IF EXISTS created_by');
+    await db.query('ALTER TABLE server_backups DROP COLUMN IF EXISTS status');
+  }
+};
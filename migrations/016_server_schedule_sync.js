@@ -0,0 +1,15 @@
+// server_schedules (de 001) refleja las tareas programadas del panel: una fila por
+// tarea de Pterodactyl y la opción de ejecutarla solo con el servidor encendido
+module.exports = {
+  description: 'Sincronización de tareas programadas con Pterodactyl',
+
+  async up(db) {
+    await db.query('ALTER TABLE server_schedules ADD COLUMN IF NOT EXISTS only_when_online BOOLEAN DEFAULT false');
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_server_schedules_pterodactyl_id ON server_schedules(pterodactyl_schedule_id)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_server_schedules_pterodactyl_id');
+    await db.query('ALTER TABLE server_schedules DROP COLUMN IF EXISTS only_when_online');
+  }
+};
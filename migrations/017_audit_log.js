@@ -0,0 +1,31 @@
+// Auditoría de las peticiones que modifican datos. audit_logs existe desde 001; se añaden
+// el motivo, el resultado y la petición, y la IP pasa a texto como en webhook_logs.
+module.exports = {
+  description: 'Registro de auditoría de acciones privilegiadas',
+
+  async up(db) {
+    await db.query('ALTER TABLE audit_logs ALTER COLUMN ip_address TYPE VARCHAR(45)');
+    // Las acciones sin nombre propio son "MÉTODO /ruta/:param" (ver middleware/audit.js)
+    await db.query('ALTER TABLE audit_logs ALTER COLUMN action TYPE VARCHAR(100)');
+    await db.query('ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS reason TEXT');
+    // outcome: success | denied | failed
+    await db.query("ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS outcome VARCHAR(20) NOT NULL DEFAULT 'success'");
+    await db.query('ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS status_code INTEGER');
+    await db.query('ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS method VARCHAR(10)');
+    await db.query('ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS path VARCHAR(255)');
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON audit_logs(user_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_audit_logs_resource');
+    await db.query('DROP INDEX IF EXISTS idx_audit_logs_user');
+    await db.query('DROP INDEX IF EXISTS idx_audit_logs_created_at');
+
+    for (const column of ['path', 'method', 'status_code', 'outcome', 'reason']) {
+      await db.query(`ALTER TABLE audit_logs DROP COLUMN IF EXISTS ${column}`);
+    }
+  }
+};
@@ -0,0 +1,55 @@
+// Entrega de notificaciones fuera de la aplicación. notifications (de 001) guarda el aviso;
+// cada usuario elige canales (email, Discord, webhook) y qué tipos recibe en cada uno, y
+// notification_deliveries es la cola de envíos que procesa el worker con reintentos.
+module.exports = {
+  description: 'Canales de notificación y cola de entregas',
+
+  async up(db) {
+    await db.query('ALTER TABLE notifications ADD COLUMN IF NOT EXISTS event VARCHAR(50)');
+    await db.query('ALTER TABLE notifications ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at)');
+
+    // types: tipos de notificación que se envían por el canal (null = todos).
+    // secret: firma de los envíos del canal webhook
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        channel VARCHAR(20) NOT NULL,
+        target VARCHAR(500),
+        types JSONB,
+        secret VARCHAR(64),
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, channel)
+      )
+    `);
+
+    // status: pending | sending | sent | failed
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        notification_id UUID NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+        channel VARCHAR(20) NOT NULL,
+        target VARCHAR(500) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_queue ON notification_deliveries(status, next_attempt_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS notification_deliveries');
+    await db.query('DROP TABLE IF EXISTS notification_preferences');
+    await db.query('DROP INDEX IF EXISTS idx_notifications_user');
+    await db.query('ALTER TABLE notifications DROP COLUMN IF EXISTS read_at');
+    await db.query('ALTER TABLE notifications DROP COLUMN IF EXISTS event');
+  }
+};
@@ -0,0 +1,21 @@
+// Historial de uso de recursos. server_stats (de 001) recibe una muestra por servidor en
+// cada pasada del colector; las muestras antiguas se agrupan en filas por hora
+// (resolution 'hour', con el número de muestras que resumen) y después se borran.
+module.exports = {
+  description: 'Resolución y agregación del historial de recursos de servidores',
+
+  async up(db) {
+    // resolution: raw | hour
+    await db.query("ALTER TABLE server_stats ADD COLUMN IF NOT EXISTS resolution VARCHAR(10) NOT NULL DEFAULT 'raw'");
+    await db.query('ALTER TABLE server_stats ADD COLUMN IF NOT EXISTS samples INTEGER NOT NULL DEFAULT 1');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_server_stats_server_time ON server_stats(server_id, recorded_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_server_stats_resolution_time ON server_stats(resolution, recorded_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS idx_server_stats_resolution_time');
+    await db.query('DROP INDEX IF EXISTS idx_server_stats_server_time');
+    await db.query('ALTER TABLE server_stats DROP COLUMN IF EXISTS samples');
+    await db.query('ALTER TABLE server_stats DROP COLUMN IF EXISTS resolution');
+  }
+};
@@ -371,14 +371,55 @@ check_container_health() {
     fi
 }
 
+# Check the dependencies reported by the readiness probe (database, Redis, Pterodactyl)
+check_app_dependencies() {
+    local base_url=$1
+    local body
+
+    body=$(curl -s --max-time 10 "$base_url/api/health/ready" 2>/dev/null || echo "")
+
+    if [[ -z "$body" ]] || ! command -v jq >/dev/null 2>&1; then
+        return 0
+    fi
+
+    local name status critical latency
+    while IFS=$'\t' read -r name status critical latency; do
+        ((TOTAL_CHECKS++))
+
+        case "$status" in
+            up)
+                success "Dependency $name is up (${latency}ms)"
+                RESULTS["dependency_$name"]="PASS"
+                ((PASSED_CHECKS++))
+                ;;
+            disabled)
+                info "Dependency $name is not configured"
+                RESULTS["dependency_$name"]="SKIP"
+                ((PASSED_CHECKS++))
+                ;;
+            *)
+                if [[ "$critical" == "true" ]]; then
+                    error "Dependency $name is down (details in logs/health.log)"
+                    RESULTS["dependency_$name"]="FAIL"
+                    ((FAILED_CHECKS++))
+                    send_alert "CRITICAL" "Dependency $name is down" "app"
+                else
+                    warning "Dependency $name is down (details in logs/health.log)"
+                    RESULTS["dependency_$name"]="WARN"
+                    send_alert "WARNING" "Dependency $name is down" "app"
+                fi
+                ;;
+        esac
+    done < <(echo "$body" | jq -r '.checks // {} | to_entries[] | [.key, .value.status, (.value.critical | tostring), (.value.latencyMs // "-" | tostring)] | @tsv')
+}
+
 # Check application-specific endpoints
 check_application_endpoints() {
     local base_url="${APP_URL:-http://localhost:3000}"
     
-    check_http_endpoint "API Health" "$base_url/api/health"
-    check_http_endpoint "API Status" "$base_url/api/status"
-    check_http_endpoint "Dashboard" "$base_url/dashboard"
-    check_http_endpoint "Login Page" "$base_URL/login"
+    check_http_endpoint "API Liveness" "$base_url/api/health/live"
+    check_http_endpoint "API Readiness" "$base_url/api/health/ready"
+    check_app_dependencies "$base_url"
 }
 
 # Generate health report
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Runner de migraciones de esquema
+//
+// Uso:
+//   node scripts/migrate.js up [--to=VERSION] [--dry-run]
+//   node scripts/migrate.js down [--steps=N | --to=VERSION] [--dry-run]
+//   node scripts/migrate.js status
+//
+// VERSION es el número de una migración existente (7 o 007); `down --to=0` revierte todas.
+require('dotenv').config();
+
+const { createDriver } = require('../src/services/db');
+const Migrator = require('../src/services/migrator');
+
+const parseArgs = (argv) => {
+  const [command = 'up', ...rest] = argv;
+  const options = {};
+
+  for (const arg of rest) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    options[key] = value === undefined ? true : value;
+  }
+
+  return { command, options };
+};
+
+const printResults = (results, dryRun) => {
+  if (results.length === 0) {
+    console.log('No hay migraciones que ejecutar');
+    return;
+  }
+
+  for (const result of results) {
+    console.log(`${dryRun ? '[dry-run] ' : ''}${result.direction} ${result.version}_${result.name}`);
+
+    for (const statement of result.statements || []) {
+      console.log(`  ${statement}`);
+    }
+  }
+};
+
+const main = async () => {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const driver = createDriver();
+  const migrator = new Migrator(driver);
+  const dryRun = Boolean(options['dry-run']);
+
+  try {
+    switch (command) {
+      case 'up':
+        printResults(await migrator.up({ to: options.to, dryRun }), dryRun);
+        break;
+      case 'down':
+        printResults(await migrator.down({
+          steps: options.steps ? parseInt(options.steps) : 1,
+          to: options.to,
+          dryRun
+        }), dryRun);
+        break;
+      case 'status':
+        for (const migration of await migrator.status()) {
+          const state = migration.applied
+            ? `aplicada ${new Date(migration.appliedAt).toISOString()}`
+            : 'pendiente';
+          console.log(`${migration.version}_${migration.name}\t${state}\t${migration.description}`);
+        }
+        break;
+      default:
+        throw new Error(`Comando desconocido: ${command}`);
+    }
+  } finally {
+    await driver.close();
+  }
+};
+
+main().catch((error) => {
+  console.error(`Error en migraciones: ${error.message}`);
+  process.exit(1);
+});
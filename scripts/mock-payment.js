@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Envía al webhook de pagos un evento firmado del proveedor simulado, para probar
+// compras de TK-Coins de extremo a extremo sin un proveedor real.
+// El importe y la moneda se toman de la sesión de checkout salvo que se indiquen.
+//
+// Uso:
+//   node scripts/mock-payment.js <providerSessionId> [succeeded|failed|refunded|disputed]
+//     [--url=http://localhost:3000/api/webhooks/payment] [--amount=<centavos>] [--currency=USD]
+//     [--event-id=<id>]
+require('dotenv').config();
+
+const crypto = require('crypto');
+const axios = require('axios');
+const databaseService = require('../src/services/database');
+const MockPaymentProvider = require('../src/services/payments/mock');
+
+const EVENT_TYPES = ['succeeded', 'failed', 'refunded', 'disputed'];
+
+const parseArgs = (argv) => {
+  const options = Object.fromEntries(
+    argv.filter(arg => arg.startsWith('--')).map(arg => {
+      const [key, ...value] = arg.slice(2).split('=');
+      return [key, value.join('=')];
+    })
+  );
+  const [providerSessionId, type = 'succeeded'] = argv.filter(arg => !arg.startsWith('--'));
+
+  return { providerSessionId, type, options };
+};
+
+const main = async () => {
+  const { providerSessionId, type, options } = parseArgs(process.argv.slice(2));
+
+  if (!providerSessionId || !EVENT_TYPES.includes(type)) {
+    console.error(`Uso: node scripts/mock-payment.js <providerSessionId> [${EVENT_TYPES.join('|')}] [--url=] [--amount=] [--currency=] [--event-id=]`);
+    process.exit(1);
+  }
+
+  let amountCents = options.amount ? parseInt(options.amount) : null;
+  let currency = options.currency || null;
+
+  if (amountCents === null || currency === null) {
+    try {
+      await databaseService.ready;
+
+      const { rows } = await databaseService.query(
+        "SELECT amount_cents, currency FROM checkout_sessions WHERE provider = 'mock' AND provider_session_id = $1",
+        [providerSessionId]
+      );
+
+      if (rows.length === 0) {
+        throw new Error(`Sesión ${providerSessionId} no encontrada; indica --amount y --currency`);
+      }
+
+      amountCents = amountCents ?? rows[0].amount_cents;
+      currency = currency ?? rows[0].currency;
+    } finally {
+      await databaseService.close();
+    }
+  }
+
+  const rawBody = JSON.stringify({
+    id: options['event-id'] || `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: `payment.${type}`,
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      session_id: providerSessionId,
+      amount_cents: amountCents,
+      currency
+    }
+  });
+
+  const url = options.url || `http://localhost:${process.env.PORT || 3000}/api/webhooks/payment`;
+  const signature = new MockPaymentProvider().sign(rawBody);
+
+  const response = await axios.post(url, rawBody, {
+    headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': signature },
+    validateStatus: () => true
+  });
+
+  console.log(`${response.status} ${JSON.stringify(response.data)}`);
+  process.exitCode = response.status < 300 ? 0 : 1;
+};
+
+main().catch((error) => {
+  console.error(`Error al enviar el evento de pago: ${error.message}`);
+  process.exit(1);
+});
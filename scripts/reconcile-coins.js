@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Conciliación de TK-Coins: compara users.tk_coins con el saldo derivado del ledger
+// y comprueba que cada asiento sume cero. Termina con código 1 si hay diferencias.
+//
+// Uso:
+//   node scripts/reconcile-coins.js [--json]
+require('dotenv').config();
+
+const databaseService = require('../src/services/database');
+const ledgerService = require('../src/services/ledger');
+
+const main = async () => {
+  const json = process.argv.includes('--json');
+
+  try {
+    await databaseService.ready;
+
+    const result = await ledgerService.reconcile();
+
+    if (json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (result.ok) {
+      console.log('Ledger conciliado: sin diferencias');
+    } else {
+      for (const row of result.drift) {
+        console.log(`Usuario ${row.userId} (${row.username}): users.tk_coins=${row.stored} ledger=${row.ledger} diferencia=${row.difference}`);
+      }
+
+      for (const journal of result.unbalancedJournals) {
+        console.log(`Asiento ${journal.journalId} descuadrado: suma ${journal.total}`);
+      }
+    }
+
+    process.exitCode = result.ok ? 0 : 1;
+  } finally {
+    await databaseService.close();
+  }
+};
+
+main().catch((error) => {
+  console.error(`Error en la conciliación: ${error.message}`);
+  process.exit(1);
+});
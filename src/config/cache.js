@@ -0,0 +1,33 @@
+// Segundos que se cachea cada lectura de la API de Pterodactyl. Los datos que cambian
+// con el uso (estado de servidores, asignaciones) caducan antes que los de configuración.
+//
+// CACHE_TTLS ajusta los valores en JSON, p. ej. {"server": 10}. Un TTL 0 desactiva la
+// caché de ese recurso (las peticiones simultáneas se siguen agrupando).
+const parseTtls = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`CACHE_TTLS no es JSON válido: ${error.message}`);
+  }
+};
+
+const CACHE_TTLS = {
+  user: 300,
+  userServers: 60,
+  users: 120,
+  server: 30,
+  servers: 60,
+  node: 300,
+  nodes: 300,
+  nodeAllocations: 30,
+  serverResources: 5,
+  ...parseTtls(process.env.CACHE_TTLS)
+};
+
+module.exports = {
+  CACHE_TTLS
+};
@@ -0,0 +1,60 @@
+// Reglas de descubierto del ledger de TK-Coins: cuánto puede quedar en negativo un
+// saldo de usuario después de un movimiento, según la operación. Por defecto ninguno.
+//
+// COINS_OVERDRAFT_LIMIT fija el límite general y COINS_OVERDRAFT_RULES lo ajusta por
+// operación en JSON, p. ej. {"renewal": 50}. Un límite null permite cualquier saldo.
+const parseRules = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`COINS_OVERDRAFT_RULES no es JSON válido: ${error.message}`);
+  }
+};
+
+const OVERDRAFT_RULES = {
+  default: parseInt(process.env.COINS_OVERDRAFT_LIMIT || '0'),
+  // Nadie puede regalar coins que no tiene
+  transfer: 0,
+  // Revertir una transferencia retira los coins aunque el receptor ya los haya gastado
+  transfer_reversal: null,
+  // Reembolsos y contracargos de pagos retiran los coins comprados aunque se hayan gastado
+  payment_refund: null,
+  chargeback: null,
+  ...parseRules(process.env.COINS_OVERDRAFT_RULES)
+};
+
+// Límites de transferencias entre usuarios por remitente en 24 horas
+const TRANSFER_LIMITS = {
+  dailyAmount: parseInt(process.env.COINS_TRANSFER_DAILY_LIMIT || '1000'),
+  dailyCount: parseInt(process.env.COINS_TRANSFER_DAILY_COUNT || '20')
+};
+
+// Cuentas del sistema que hacen de contrapartida de los movimientos de usuarios
+const SYSTEM_ACCOUNTS = {
+  // Coins creados o retirados por ajustes manuales de staff
+  issuance: 'system:issuance',
+  // Ingresos por compras y renovaciones de servidores (y sus reembolsos)
+  revenue: 'system:revenue',
+  // Coins comprados con dinero real a través del proveedor de pagos
+  payments: 'system:payments',
+  // Saldos que existían antes de introducir el ledger
+  opening: 'system:opening'
+};
+
+const userAccount = (userId) => `user:${userId}`;
+
+const getOverdraftLimit = (operation) => (
+  operation in OVERDRAFT_RULES ? OVERDRAFT_RULES[operation] : OVERDRAFT_RULES.default
+);
+
+module.exports = {
+  OVERDRAFT_RULES,
+  TRANSFER_LIMITS,
+  SYSTEM_ACCOUNTS,
+  userAccount,
+  getOverdraftLimit
+};
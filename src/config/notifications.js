@@ -0,0 +1,34 @@
+// Eventos que emiten los servicios con notificationService.notify() y el tipo con el
+// que se guardan en notifications.type. Los usuarios eligen por tipo qué reciben en
+// cada canal (notification_preferences.types).
+const NOTIFICATION_EVENTS = {
+  'server.installed': 'server',
+  'server.install_failed': 'server',
+  'server.suspended': 'server',
+  'server.unsuspended': 'server',
+  'server.deleted': 'server',
+  'billing.renewed': 'billing',
+  'billing.renewal_pending': 'billing',
+  'billing.suspended': 'billing',
+  'billing.reactivated': 'billing',
+  'coins.received': 'coins',
+  'coins.low_balance': 'coins',
+  'coins.transfer_reversed': 'coins',
+  'coins.payment_completed': 'coins',
+  'coins.payment_reversed': 'coins'
+};
+
+const NOTIFICATION_TYPES = [...new Set(Object.values(NOTIFICATION_EVENTS))];
+
+// Eventos de los que se envía además una copia al equipo (DISCORD_WEBHOOK_URL y ALERT_WEBHOOK_URL)
+const NOTIFICATION_ALERT_EVENTS = ['server.install_failed', 'coins.payment_reversed'];
+
+// Canales de entrega además de la bandeja de la aplicación (ver services/notifications)
+const NOTIFICATION_CHANNELS = ['email', 'discord', 'webhook'];
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_ALERT_EVENTS
+};
@@ -0,0 +1,66 @@
+// Catálogo de permisos con nombre. Los roles agrupan permisos (tabla role_permissions,
+// ver migrations/005) y las API keys se limitan a un subconjunto de los de su dueño.
+const PERMISSIONS = {
+  'account.read': 'Ver el perfil, saldo, servidores y dashboard propios',
+  'users.read': 'Ver cualquier usuario y su saldo de TK-Coins',
+  'coins.adjust': 'Modificar saldos de TK-Coins',
+  'coins.transfer': 'Enviar TK-Coins a otros usuarios',
+  'coins.reverse': 'Revertir transferencias de TK-Coins',
+  'coins.purchase': 'Comprar paquetes de TK-Coins con dinero real',
+  'payments.manage': 'Gestionar paquetes de TK-Coins y consultar pagos',
+  'servers.create': 'Comprar servidores con TK-Coins',
+  'servers.read': 'Ver y listar cualquier servidor',
+  'servers.suspend': 'Suspender y reactivar servidores',
+  'servers.reinstall': 'Reinstalar servidores',
+  'servers.control': 'Controlar los servidores propios: encendido, consola y backups',
+  'servers.manage': 'Controlar cualquier servidor: encendido, consola y backups',
+  'nodes.read': 'Ver nodos',
+  'stats.read': 'Ver estadísticas globales y el dashboard de administrador',
+  'plans.manage': 'Gestionar el catálogo de planes de servidor',
+  'roles.manage': 'Gestionar roles, sus permisos y el rol de cada usuario',
+  'accounts.link': 'Vincular cuentas locales con usuarios de Pterodactyl',
+  'webhooks.read': 'Ver el registro de webhooks recibidos',
+  'sync.manage': 'Sincronizar con Pterodactyl y ver sus informes de diferencias',
+  'audit.read': 'Consultar y exportar el registro de auditoría'
+};
+
+// Acepta el formato de lista (["servers.read"]) y el de objeto de init.sql
+// ({"servers": ["read"]}), y devuelve siempre una lista de permisos
+const normalizePermissions = (permissions) => {
+  if (Array.isArray(permissions)) {
+    return permissions;
+  }
+
+  if (permissions && typeof permissions === 'object') {
+    return Object.entries(permissions).flatMap(([resource, actions]) =>
+      (Array.isArray(actions) ? actions : []).map(action => `${resource}.${action}`)
+    );
+  }
+
+  return [];
+};
+
+const isKnownPermission = (permission) => {
+  if (permission === '*' || PERMISSIONS[permission]) {
+    return true;
+  }
+
+  return permission.endsWith('.*') &&
+    Object.keys(PERMISSIONS).some(name => name.startsWith(permission.slice(0, -1)));
+};
+
+// Soporta comodines: "*" y "servers.*"
+const grants = (permissions, permission) => {
+  return permissions.some(granted =>
+    granted === '*' ||
+    granted === permission ||
+    (granted.endsWith('.*') && permission.startsWith(granted.slice(0, -1)))
+  );
+};
+
+module.exports = {
+  PERMISSIONS,
+  normalizePermissions,
+  isKnownPermission,
+  grants
+};
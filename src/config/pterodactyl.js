@@ -0,0 +1,16 @@
+// Valores que acepta la API de cliente de Pterodactyl
+
+// Señales de encendido (POST /power, "set state" por WebSocket y pasos "power" de las tareas)
+const POWER_SIGNALS = ['start', 'stop', 'restart', 'kill'];
+
+// Acciones de los pasos de una tarea programada
+const SCHEDULE_TASK_ACTIONS = ['command', 'power', 'backup'];
+
+// Retraso máximo de un paso respecto al anterior, en segundos
+const MAX_TASK_TIME_OFFSET = 900;
+
+module.exports = {
+  POWER_SIGNALS,
+  SCHEDULE_TASK_ACTIONS,
+  MAX_TASK_TIME_OFFSET
+};
@@ -0,0 +1,13 @@
+// Resoluciones que acepta GET /api/server/:id/stats, en segundos por intervalo
+const STATS_RESOLUTIONS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '6h': 21600,
+  '1d': 86400
+};
+
+module.exports = {
+  STATS_RESOLUTIONS
+};
@@ -0,0 +1,104 @@
+const winston = require('winston');
+const auditService = require('../services/audit');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/audit.log' })
+  ]
+});
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Los webhooks ya quedan registrados en webhook_logs
+const EXCLUDED_PATHS = [/^\/api\/webhooks\//];
+
+const outcomeFor = (statusCode) => {
+  if (statusCode < 400) {
+    return 'success';
+  }
+
+  return statusCode === 401 || statusCode === 403 ? 'denied' : 'failed';
+};
+
+// Registra en audit_logs cada petición que modifica datos, al terminar la respuesta.
+// Por defecto la acción es "MÉTODO /ruta/:param" y el recurso el primer tramo de la ruta;
+// las rutas privilegiadas les dan nombre con auditAction() (antes de la autenticación,
+// para que también lo tengan los intentos denegados) y pueden dejar el estado
+// anterior y posterior en req.audit.before / req.audit.after.
+const auditTrail = (req, res, next) => {
+  const path = req.originalUrl.split('?')[0];
+
+  if (!MUTATING_METHODS.includes(req.method) || EXCLUDED_PATHS.some(pattern => pattern.test(path))) {
+    return next();
+  }
+
+  req.audit = {};
+
+  // Guarda el código y el mensaje de error de la respuesta (formato de sendError)
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object') {
+      req.audit.error = { code: body.code || null, message: body.error || null };
+    }
+
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const routePath = req.route ? req.route.path : null;
+    const params = req.route ? { ...req.params } : {};
+    const { before, after, error } = req.audit;
+
+    auditService.record({
+      userId: req.user ? req.user.id : null,
+      action: req.audit.action || `${req.method} ${routePath || path}`,
+      resourceType: req.audit.resourceType || (routePath || path.replace(/^\/api/, '')).split('/')[1] || 'api',
+      resourceId: req.audit.resourceId ?? params.id ?? null,
+      outcome: outcomeFor(res.statusCode),
+      statusCode: res.statusCode,
+      reason: typeof req.body?.reason === 'string' ? req.body.reason : null,
+      method: req.method,
+      path,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      details: {
+        params,
+        ...(req.user?.apiKeyId && { apiKeyId: req.user.apiKeyId }),
+        ...(before !== undefined && { before }),
+        ...(after !== undefined && { after }),
+        ...(error && { error })
+      }
+    }).catch(recordError => {
+      // La auditoría no puede cambiar una respuesta ya enviada: queda en el log de archivo
+      logger.error('No se pudo registrar la auditoría', {
+        error: recordError.message,
+        method: req.method,
+        path,
+        userId: req.user ? req.user.id : null
+      });
+    });
+  });
+
+  next();
+};
+
+// Nombre explícito de la acción auditada, p. ej. auditAction('server.suspend', 'server')
+const auditAction = (action, resourceType) => (req, res, next) => {
+  if (req.audit) {
+    req.audit.action = action;
+    req.audit.resourceType = resourceType;
+  }
+
+  next();
+};
+
+module.exports = {
+  auditTrail,
+  auditAction
+};
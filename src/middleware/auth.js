@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const winston = require('winston');
+const databaseService = require('../services/database');
+const apiKeyService = require('../services/apiKeys');
+const permissionService = require('../services/permissions');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -13,9 +16,27 @@ const logger = winston.createLogger({
   ]
 });
 
+// Identidad de un JWT de acceso válido. El rol y el estado se leen de la base en cada
+// petición (como con las API keys): un usuario degradado o desactivado pierde el
+// acceso al momento, sin esperar a que caduque el token. null si ya no está activo.
+const loadJwtIdentity = async (decoded) => {
+  const { rows } = await databaseService.query(
+    'SELECT id, username, email, role, is_active FROM users WHERE id = $1',
+    [decoded.id]
+  );
+  const user = rows[0];
+
+  if (!user || !user.is_active) {
+    return null;
+  }
+
+  return { ...decoded, username: user.username, email: user.email, role: user.role, authMethod: 'jwt' };
+};
+
+// Acepta un JWT de acceso o una API key personal (Bearer ptk_... o X-API-Key)
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
 
   if (!token) {
     logger.warn('Intento de acceso sin token', { 
@@ -28,17 +49,37 @@ const authenticateToken = async (req, res, next) => {
     });
   }
 
+  if (apiKeyService.isApiKey(token)) {
+    try {
+      const identity = await apiKeyService.authenticate(token);
+
+      if (!identity) {
+        logger.warn('API key inválida', { ip: req.ip, path: req.path });
+        return res.status(401).json({
+          error: 'API key inválida, revocada o expirada',
+          code: 'INVALID_API_KEY'
+        });
+      }
+
+      req.user = identity;
+
+      logger.info('API key válida', {
+        userId: identity.id,
+        apiKeyId: identity.apiKeyId,
+        path: req.path
+      });
+
+      return next();
+    } catch (error) {
+      logger.error('Error al validar API key', { error: error.message, path: req.path });
+      return res.status(500).json({ error: 'Error al validar API key' });
+    }
+  }
+
+  let decoded;
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    
-    logger.info('Token válido', { 
-      userId: decoded.id, 
-      email: decoded.email,
-      path: req.path 
-    });
-    
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     logger.error('Token inválido', { 
       error: error.message, 
@@ -51,33 +92,107 @@ const authenticateToken = async (req, res, next) => {
       code: 'INVALID_TOKEN'
     });
   }
+
+  try {
+    const identity = await loadJwtIdentity(decoded);
+
+    if (!identity) {
+      logger.warn('Token de una cuenta desactivada o eliminada', { userId: decoded.id, ip: req.ip, path: req.path });
+      return res.status(401).json({
+        error: 'Cuenta desactivada',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+
+    req.user = identity;
+
+    logger.info('Token válido', { 
+      userId: identity.id, 
+      email: identity.email,
+      path: req.path 
+    });
+
+    next();
+  } catch (error) {
+    logger.error('Error al validar token', { error: error.message, path: req.path });
+    return res.status(500).json({ error: 'Error al validar token' });
+  }
 };
 
-const requireRole = (roles) => {
-  return (req, res, next) => {
+// Misma validación que authenticateToken para conexiones que no pasan por Express
+// (consola por WebSocket). Devuelve la identidad o null si el token no es válido.
+const verifyToken = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  if (apiKeyService.isApiKey(token)) {
+    return apiKeyService.authenticate(token);
+  }
+
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  return loadJwtIdentity(decoded);
+};
+
+// Exige todos los permisos indicados; con API key, la clave también debe tenerlos
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Usuario no autenticado' });
     }
 
-    if (!roles.includes(req.user.role)) {
-      logger.warn('Acceso denegado por rol insuficiente', {
-        userId: req.user.id,
-        role: req.user.role,
-        requiredRoles: roles,
-        path: req.path
-      });
-      
-      return res.status(403).json({ 
-        error: 'Permisos insuficientes',
-        code: 'INSUFFICIENT_PERMISSIONS'
-      });
-    }
+    try {
+      const missing = await permissionService.findMissing(req.user, permissions);
 
-    next();
+      if (missing) {
+        logger.warn('Acceso denegado por permiso faltante', {
+          userId: req.user.id,
+          role: req.user.role,
+          apiKeyId: req.user.apiKeyId,
+          missingPermission: missing.permission,
+          source: missing.source,
+          path: req.path
+        });
+
+        return res.status(403).json({
+          error: missing.source === 'api_key'
+            ? 'La API key no tiene el permiso requerido'
+            : 'Permisos insuficientes',
+          code: missing.source === 'api_key' ? 'INSUFFICIENT_SCOPE' : 'INSUFFICIENT_PERMISSIONS',
+          missingPermission: missing.permission
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Error al verificar permisos', { error: error.message, path: req.path });
+      return res.status(500).json({ error: 'Error al verificar permisos' });
+    }
   };
 };
 
+// Operaciones que solo se permiten con una sesión iniciada, no con API keys
+const requireSession = (req, res, next) => {
+  if (req.user?.authMethod === 'api_key') {
+    return res.status(403).json({
+      error: 'Esta operación requiere una sesión de usuario',
+      code: 'SESSION_REQUIRED'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  requireRole
+  verifyToken,
+  requirePermission,
+  requireSession
 };
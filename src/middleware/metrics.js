@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const metricsService = require('../services/metrics');
+
+// Direcciones que pueden leer /metrics sin token: IPs exactas o rangos IPv4 en CIDR
+const ALLOWED_IPS = (process.env.METRICS_ALLOWED_IPS || '127.0.0.1,::1')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((value, octet) => (value << 8) + parseInt(octet, 10), 0) >>> 0;
+
+const isIpv4 = (ip) => /^\d{1,3}(\.\d{1,3}){3}$/.test(ip);
+
+const matchesEntry = (ip, entry) => {
+  if (!entry.includes('/')) {
+    return ip === entry;
+  }
+
+  const [range, bits] = entry.split('/');
+
+  if (!isIpv4(ip) || !isIpv4(range)) {
+    return false;
+  }
+
+  const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return (ipv4ToInt(ip) & mask) === (ipv4ToInt(range) & mask);
+};
+
+const tokenMatches = (header, token) => {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(header || '');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Registra cada petición al terminar la respuesta. Las que no llegan a ninguna ruta
+// se agrupan en "unmatched" para no crear una serie por cada URL inventada.
+const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+    metricsService.observeHttp(
+      { method: req.method, route, status: res.statusCode },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  });
+
+  next();
+};
+
+// Acceso a /metrics con `Authorization: Bearer <METRICS_TOKEN>` o desde METRICS_ALLOWED_IPS
+const requireMetricsAccess = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  // Express da las IPv4 como ::ffff:a.b.c.d cuando escucha en IPv6
+  const ip = (req.ip || '').replace(/^::ffff:/, '');
+
+  if ((token && tokenMatches(req.get('Authorization'), token)) || ALLOWED_IPS.some(entry => matchesEntry(ip, entry))) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Acceso a métricas no permitido',
+    code: 'METRICS_FORBIDDEN'
+  });
+};
+
+module.exports = {
+  httpMetrics,
+  requireMetricsAccess
+};
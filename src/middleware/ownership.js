@@ -0,0 +1,82 @@
+const winston = require('winston');
+const ownershipService = require('../services/ownership');
+const permissionService = require('../services/permissions');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth.log' })
+  ]
+});
+
+// Recursos protegidos: cómo comprobar el dueño, qué permiso da acceso total
+// y qué 404 se devuelve (el mismo que si el recurso no existiera)
+const RESOURCES = {
+  user: {
+    owns: (user, id) => ownershipService.ownsUser(user, id),
+    staffPermission: 'users.read',
+    notFound: 'Usuario no encontrado'
+  },
+  server: {
+    owns: (user, id) => ownershipService.ownsServer(user, id),
+    staffPermission: 'servers.read',
+    notFound: 'Servidor no encontrado'
+  },
+  // Encendido y consola: ver un servidor ajeno no basta para controlarlo
+  serverControl: {
+    owns: (user, id) => ownershipService.ownsServer(user, id),
+    staffPermission: 'servers.manage',
+    notFound: 'Servidor no encontrado'
+  }
+};
+
+const requireOwnership = (resourceType, paramName = 'id') => {
+  const resource = RESOURCES[resourceType];
+
+  return async (req, res, next) => {
+    const resourceId = req.params[paramName];
+
+    try {
+      if (await permissionService.hasPermission(req.user, resource.staffPermission)) {
+        return next();
+      }
+
+      if (await resource.owns(req.user, resourceId)) {
+        return next();
+      }
+
+      logger.warn('Acceso denegado a recurso ajeno', {
+        userId: req.user.id,
+        resourceType,
+        resourceId,
+        path: req.path
+      });
+
+      return res.status(404).json({
+        success: false,
+        error: resource.notFound
+      });
+    } catch (error) {
+      logger.error('Error al verificar propiedad del recurso', {
+        error: error.message,
+        resourceType,
+        resourceId
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Error al verificar acceso al recurso',
+        message: error.message
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireOwnership
+};
@@ -0,0 +1,33 @@
+const rateLimit = require('express-rate-limit');
+
+// Limitador estricto para login, registro y recuperación de contraseña
+const authLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000'),
+  limit: parseInt(process.env.AUTH_RATE_LIMIT_MAX || '20'),
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Demasiados intentos, inténtalo más tarde',
+    code: 'RATE_LIMITED'
+  }
+});
+
+// Webhooks entrantes: sin autenticación de usuario, se limitan por IP para que nadie
+// pueda llenar webhook_logs a base de peticiones
+const webhookLimiter = rateLimit({
+  windowMs: 60000,
+  limit: parseInt(process.env.WEBHOOK_RATE_LIMIT_MAX || '120'),
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Demasiadas peticiones, inténtalo más tarde',
+    code: 'RATE_LIMITED'
+  }
+});
+
+module.exports = {
+  authLimiter,
+  webhookLimiter
+};
@@ -0,0 +1,24 @@
+const { validationResult } = require('express-validator');
+
+// Corta la petición con 400 si alguna regla de express-validator falló
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Datos inválidos',
+      code: 'VALIDATION_ERROR',
+      details: errors.array().map(error => ({
+        field: error.path,
+        message: error.msg
+      }))
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  handleValidation
+};
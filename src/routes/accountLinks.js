@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const accountLinkService = require('../services/accountLinks');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/users.log' })
+  ]
+});
+
+const userIdParam = param('id').isUUID().withMessage('ID de usuario inválido');
+
+// PUT /api/user/:id/pterodactyl - Vincular un usuario local con un usuario de Pterodactyl
+router.put('/user/:id/pterodactyl', authenticateToken, requirePermission('accounts.link'), [
+  userIdParam,
+  body('pterodactylUserId').isInt({ min: 1 }).toInt().withMessage('ID de Pterodactyl inválido'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const link = await accountLinkService.link(req.params.id, req.body.pterodactylUserId);
+
+    logger.info('Vinculación manual de cuenta', { ...link, linkedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Cuenta vinculada exitosamente',
+      data: link
+    });
+  } catch (error) {
+    logger.error('Error al vincular cuenta', { error: error.message, userId: req.params.id });
+    sendError(res, error, 'Error al vincular cuenta');
+  }
+});
+
+// DELETE /api/user/:id/pterodactyl - Eliminar el vínculo con Pterodactyl
+router.delete('/user/:id/pterodactyl', authenticateToken, requirePermission('accounts.link'), [
+  userIdParam,
+  handleValidation
+], async (req, res) => {
+  try {
+    await accountLinkService.unlink(req.params.id);
+
+    logger.info('Desvinculación manual de cuenta', { userId: req.params.id, unlinkedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Cuenta desvinculada exitosamente'
+    });
+  } catch (error) {
+    logger.error('Error al desvincular cuenta', { error: error.message, userId: req.params.id });
+    sendError(res, error, 'Error al desvincular cuenta');
+  }
+});
+
+// POST /api/users/pterodactyl/auto-match - Vincular por email las cuentas sin vincular
+router.post('/users/pterodactyl/auto-match', authenticateToken, requirePermission('accounts.link'), [
+  body('dryRun').optional().isBoolean().toBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true;
+    const result = await accountLinkService.autoMatchByEmail({ dryRun });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Se vincularían ${result.linked.length} cuenta(s)`
+        : `${result.linked.length} cuenta(s) vinculada(s)`,
+      data: { dryRun, ...result }
+    });
+  } catch (error) {
+    logger.error('Error en la vinculación automática', { error: error.message });
+    sendError(res, error, 'Error en la vinculación automática');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const apiKeyService = require('../services/apiKeys');
+const permissionService = require('../services/permissions');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { PERMISSIONS, grants } = require('../config/permissions');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth.log' })
+  ]
+});
+
+// GET /api/api-keys/permissions - Permisos que el usuario puede asignar a una API key
+router.get('/api-keys/permissions', authenticateToken, async (req, res) => {
+  try {
+    const rolePermissions = await permissionService.getRolePermissions(req.user.role);
+
+    res.json({
+      success: true,
+      data: Object.entries(PERMISSIONS)
+        .filter(([name]) => grants(rolePermissions, name))
+        .map(([name, description]) => ({ name, description }))
+    });
+  } catch (error) {
+    logger.error('Error al obtener permisos asignables', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al obtener permisos asignables');
+  }
+});
+
+// GET /api/api-keys - Listar las API keys del usuario
+router.get('/api-keys', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const keys = await apiKeyService.list(req.user.id);
+
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length
+    });
+  } catch (error) {
+    logger.error('Error al listar API keys', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al listar API keys');
+  }
+});
+
+// POST /api/api-keys - Crear una API key (la clave solo se muestra en esta respuesta)
+router.post('/api-keys', authenticateToken, requireSession, [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Nombre requerido (máx. 100 caracteres)'),
+  body('permissions').optional().isArray().withMessage('permissions debe ser una lista'),
+  body('permissions.*').optional().isString(),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt debe ser una fecha ISO 8601'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { name, permissions = [], expiresAt = null } = req.body;
+
+    const apiKey = await apiKeyService.create(req.user, { name, permissions, expiresAt });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key creada. Guárdala ahora: no se volverá a mostrar',
+      data: apiKey
+    });
+  } catch (error) {
+    logger.error('Error al crear API key', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al crear API key');
+  }
+});
+
+// DELETE /api/api-keys/:id - Revocar una API key
+router.delete('/api-keys/:id', authenticateToken, requireSession, [
+  param('id').isUUID().withMessage('ID de API key inválido'),
+  handleValidation
+], async (req, res) => {
+  try {
+    await apiKeyService.revoke(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'API key revocada exitosamente'
+    });
+  } catch (error) {
+    logger.error('Error al revocar API key', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al revocar API key');
+  }
+});
+
+module.exports = router;
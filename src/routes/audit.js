@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const auditService = require('../services/audit');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/audit.log' })
+  ]
+});
+
+const filterRules = [
+  query('userId').optional().isUUID().withMessage('userId inválido'),
+  query('action').optional().isString().trim(),
+  query('resourceType').optional().isString().trim(),
+  query('resourceId').optional().isString().trim(),
+  query('outcome').optional().isIn(['success', 'denied', 'failed']).withMessage('outcome inválido (success, denied o failed)'),
+  query('from').optional().isISO8601().withMessage('from debe ser una fecha ISO 8601'),
+  query('to').optional().isISO8601().withMessage('to debe ser una fecha ISO 8601'),
+  query('q').optional().isString().trim().isLength({ max: 100 })
+];
+
+const filtersFrom = ({ userId, action, resourceType, resourceId, outcome, from, to, q }) => ({
+  userId,
+  action,
+  resourceType,
+  resourceId,
+  outcome,
+  from,
+  to,
+  search: q
+});
+
+// GET /api/audit-logs - Buscar en el registro de auditoría, del más reciente al más antiguo
+router.get('/audit-logs', authenticateToken, requirePermission('audit.read'), [
+  ...filterRules,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const result = await auditService.search(filtersFrom(req.query), {
+      page: req.query.page || 1,
+      limit: req.query.limit || 50
+    });
+
+    res.json({
+      success: true,
+      data: result.logs,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error al buscar en la auditoría', { error: error.message });
+    sendError(res, error, 'Error al buscar en la auditoría');
+  }
+});
+
+// GET /api/audit-logs/export - Los mismos filtros, como CSV descargable
+router.get('/audit-logs/export', authenticateToken, requirePermission('audit.read'), [...filterRules, handleValidation], async (req, res) => {
+  try {
+    const result = await auditService.exportCsv(filtersFrom(req.query));
+
+    logger.info('Auditoría exportada', { userId: req.user.id, rows: result.rows, filters: req.query });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.set('X-Export-Truncated', String(result.truncated));
+    res.send(result.csv);
+  } catch (error) {
+    logger.error('Error al exportar la auditoría', { error: error.message });
+    sendError(res, error, 'Error al exportar la auditoría');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const authService = require('../services/auth');
+const { handleValidation } = require('../middleware/validation');
+const { authLimiter } = require('../middleware/rateLimiter');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth.log' })
+  ]
+});
+
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+const passwordRule = (field) => body(field)
+  .isString()
+  .isLength({ min: 8, max: 128 })
+  .withMessage('La contraseña debe tener entre 8 y 128 caracteres');
+
+// POST /api/auth/register - Registro de nuevos usuarios
+router.post('/auth/register', authLimiter, [
+  body('username').isString().trim().matches(/^[a-zA-Z0-9_.-]{3,50}$/)
+    .withMessage('El usuario debe tener entre 3 y 50 caracteres alfanuméricos'),
+  body('email').isEmail().withMessage('Email inválido').trim(),
+  passwordRule('password'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    const session = await authService.register({ username, email, password }, requestContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Usuario registrado exitosamente',
+      data: session
+    });
+  } catch (error) {
+    logger.error('Error al registrar usuario', { error: error.message });
+    sendError(res, error, 'Error al registrar usuario');
+  }
+});
+
+// POST /api/auth/login - Inicio de sesión con email o nombre de usuario
+router.post('/auth/login', authLimiter, [
+  body('password').isString().notEmpty().withMessage('Contraseña requerida'),
+  body().custom((value) => Boolean(value.email || value.username || value.login))
+    .withMessage('Email o usuario requerido'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { email, username, login, password } = req.body;
+
+    const session = await authService.login(
+      { login: String(login || email || username), password },
+      requestContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Sesión iniciada exitosamente',
+      data: session
+    });
+  } catch (error) {
+    logger.error('Error al iniciar sesión', { error: error.message, ip: req.ip });
+    sendError(res, error, 'Error al iniciar sesión');
+  }
+});
+
+// POST /api/auth/refresh - Rotar refresh token y emitir un nuevo access token
+router.post('/auth/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token requerido'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const session = await authService.refresh(req.body.refreshToken, requestContext(req));
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    logger.error('Error al refrescar token', { error: error.message, ip: req.ip });
+    sendError(res, error, 'Error al refrescar token');
+  }
+});
+
+// POST /api/auth/logout - Revocar el refresh token de la sesión
+router.post('/auth/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token requerido'),
+  handleValidation
+], async (req, res) => {
+  try {
+    await authService.logout(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+  } catch (error) {
+    logger.error('Error al cerrar sesión', { error: error.message });
+    sendError(res, error, 'Error al cerrar sesión');
+  }
+});
+
+// POST /api/auth/forgot-password - Enviar por email el token de recuperación
+router.post('/auth/forgot-password', authLimiter, [
+  body('email').isEmail().withMessage('Email inválido').trim(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const reset = await authService.requestPasswordReset(req.body.email);
+
+    // La respuesta es la misma exista o no el email, para no revelar cuentas
+    res.json({
+      success: true,
+      message: reset.delivered
+        ? 'Si el email está registrado recibirás instrucciones para restablecer la contraseña'
+        : 'SMTP no configurado: si el email está registrado, el enlace se escribió en la consola del servidor'
+    });
+  } catch (error) {
+    logger.error('Error al solicitar recuperación de contraseña', { error: error.message });
+    sendError(res, error, 'Error al solicitar recuperación de contraseña');
+  }
+});
+
+// POST /api/auth/reset-password - Restablecer contraseña con el token recibido
+router.post('/auth/reset-password', authLimiter, [
+  body('token').isString().notEmpty().withMessage('Token requerido'),
+  passwordRule('password'),
+  handleValidation
+], async (req, res) => {
+  try {
+    await authService.resetPassword(req.body.token, req.body.password);
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente'
+    });
+  } catch (error) {
+    logger.error('Error al restablecer contraseña', { error: error.message });
+    sendError(res, error, 'Error al restablecer contraseña');
+  }
+});
+
+module.exports = router;
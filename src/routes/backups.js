@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const backupService = require('../services/backups');
+const { auditAction } = require('../middleware/audit');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { requireOwnership } = require('../middleware/ownership');
+const { handleValidation } = require('../middleware/validation');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/backups.log' })
+  ]
+});
+
+const backupIdParam = param('backupId').isUUID().withMessage('ID de backup inválido');
+
+// Gestionar backups es controlar el servidor: mismo permiso que el encendido y la consola
+const canManage = [authenticateToken, requirePermission('servers.control'), requireOwnership('serverControl')];
+
+// GET /api/server/:id/backups - Backups del servidor y límite del plan
+router.get('/server/:id/backups', authenticateToken, requirePermission('account.read'), requireOwnership('server'), async (req, res) => {
+  try {
+    const result = await backupService.list(req.params.id);
+
+    res.json({
+      success: true,
+      data: result.backups,
+      limit: result.limit,
+      used: result.used
+    });
+  } catch (error) {
+    logger.error('Error al obtener backups', { error: error.message, serverId: req.params.id });
+    sendError(res, error, 'Error al obtener backups');
+  }
+});
+
+// POST /api/server/:id/backups - Crear un backup (se completa en segundo plano)
+router.post('/server/:id/backups', ...canManage, [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Nombre inválido (máx. 100 caracteres)'),
+  body('locked').optional().isBoolean().withMessage('locked debe ser booleano'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const backup = await backupService.create(req.params.id, {
+      name: req.body.name,
+      locked: req.body.locked === true
+    }, req.user);
+
+    res.status(202).json({
+      success: true,
+      message: 'Backup en creación',
+      data: backup
+    });
+  } catch (error) {
+    logger.error('Error al crear backup', { error: error.message, serverId: req.params.id });
+    sendError(res, error, 'Error al crear backup');
+  }
+});
+
+// GET /api/server/:id/backups/:backupId/download - Enlace firmado de descarga
+router.get('/server/:id/backups/:backupId/download', ...canManage, [backupIdParam, handleValidation], async (req, res) => {
+  try {
+    const link = await backupService.createDownloadLink(req.params.id, req.params.backupId, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        url: `/api/backups/download/${link.token}`,
+        expiresAt: link.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error al generar enlace de descarga', { error: error.message, backupId: req.params.backupId });
+    sendError(res, error, 'Error al generar enlace de descarga');
+  }
+});
+
+// POST /api/server/:id/backups/:backupId/lock - Bloquear (no se puede eliminar ni rotar)
+router.post('/server/:id/backups/:backupId/lock', ...canManage, [backupIdParam, handleValidation], async (req, res) => {
+  try {
+    const backup = await backupService.setLocked(req.params.id, req.params.backupId, true);
+
+    res.json({ success: true, data: backup });
+  } catch (error) {
+    logger.error('Error al bloquear backup', { error: error.message, backupId: req.params.backupId });
+    sendError(res, error, 'Error al bloquear backup');
+  }
+});
+
+// POST /api/server/:id/backups/:backupId/unlock - Desbloquear
+router.post('/server/:id/backups/:backupId/unlock', ...canManage, [backupIdParam, handleValidation], async (req, res) => {
+  try {
+    const backup = await backupService.setLocked(req.params.id, req.params.backupId, false);
+
+    res.json({ success: true, data: backup });
+  } catch (error) {
+    logger.error('Error al desbloquear backup', { error: error.message, backupId: req.params.backupId });
+    sendError(res, error, 'Error al desbloquear backup');
+  }
+});
+
+// POST /api/server/:id/backups/:backupId/restore - Restaurar (truncate borra antes los archivos)
+router.post('/server/:id/backups/:backupId/restore', auditAction('backup.restore', 'server'), ...canManage, [
+  backupIdParam,
+  body('truncate').optional().isBoolean().withMessage('truncate debe ser booleano'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const backup = await backupService.restore(req.params.id, req.params.backupId, {
+      truncate: req.body.truncate === true
+    }, req.user);
+
+    req.audit.after = { backupId: backup.id, truncate: req.body.truncate === true };
+
+    res.status(202).json({
+      success: true,
+      message: 'Restauración iniciada',
+      data: backup
+    });
+  } catch (error) {
+    logger.error('Error al restaurar backup', { error: error.message, backupId: req.params.backupId });
+    sendError(res, error, 'Error al restaurar backup');
+  }
+});
+
+// DELETE /api/server/:id/backups/:backupId - Eliminar un backup desbloqueado
+router.delete('/server/:id/backups/:backupId', ...canManage, [backupIdParam, handleValidation], async (req, res) => {
+  try {
+    await backupService.remove(req.params.id, req.params.backupId);
+
+    res.json({
+      success: true,
+      message: 'Backup eliminado'
+    });
+  } catch (error) {
+    logger.error('Error al eliminar backup', { error: error.message, backupId: req.params.backupId });
+    sendError(res, error, 'Error al eliminar backup');
+  }
+});
+
+// GET /api/backups/download/:token - Redirige a la descarga en Wings (sin Authorization:
+// el enlace firmado ya identifica al usuario y caduca en BACKUP_DOWNLOAD_TTL_SECONDS)
+router.get('/backups/download/:token', async (req, res) => {
+  try {
+    const url = await backupService.resolveDownloadLink(req.params.token);
+
+    res.redirect(302, url);
+  } catch (error) {
+    logger.warn('Descarga de backup rechazada', { error: error.message, ip: req.ip });
+    sendError(res, error, 'Error al descargar backup');
+  }
+});
+
+module.exports = router;
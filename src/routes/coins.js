@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, header } = require('express-validator');
+const transferService = require('../services/transfers');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/users.log' })
+  ]
+});
+
+// POST /api/coins/transfers - Enviar TK-Coins a otro usuario
+// Acepta la cabecera Idempotency-Key: reintentar con la misma clave no repite el envío
+router.post('/coins/transfers', authenticateToken, requirePermission('coins.transfer'), [
+  body('to').isString().trim().notEmpty().withMessage('Destinatario requerido (ID o nombre de usuario)'),
+  body('amount').isInt({ min: 1 }).withMessage('La cantidad debe ser un entero positivo').toInt(),
+  body('message').optional({ values: 'null' }).isString().trim().isLength({ max: 255 })
+    .withMessage('El mensaje admite hasta 255 caracteres'),
+  header('Idempotency-Key').optional().matches(/^[\w-]{8,100}$/)
+    .withMessage('Idempotency-Key inválida (8-100 caracteres alfanuméricos, _ o -)'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { to, amount, message } = req.body;
+
+    const transfer = await transferService.transfer(req.user, {
+      to,
+      amount,
+      message: message || null,
+      idempotencyKey: req.get('Idempotency-Key') || null
+    });
+
+    if (transfer.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.status(transfer.replayed ? 200 : 201).json({
+      success: true,
+      message: transfer.replayed ? 'Transferencia ya realizada anteriormente' : 'Transferencia realizada exitosamente',
+      data: {
+        journalId: transfer.journalId,
+        recipient: transfer.recipient,
+        amount: transfer.amount,
+        message: transfer.message,
+        balance: transfer.balance,
+        replayed: transfer.replayed
+      }
+    });
+  } catch (error) {
+    logger.error('Error al transferir TK-Coins', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al transferir TK-Coins');
+  }
+});
+
+// POST /api/coins/transfers/:id/reverse - Revertir una transferencia
+router.post('/coins/transfers/:id/reverse', authenticateToken, requirePermission('coins.reverse'), [
+  param('id').isUUID().withMessage('ID de transferencia inválido'),
+  body('reason').optional().isString().trim().isLength({ max: 255 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const reversal = await transferService.reverse(req.params.id, {
+      reason: req.body.reason || null,
+      reversedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Transferencia revertida exitosamente',
+      data: {
+        transferId: req.params.id,
+        reversalId: reversal.journalId,
+        entries: reversal.entries
+      }
+    });
+  } catch (error) {
+    logger.error('Error al revertir transferencia', { error: error.message, transferId: req.params.id });
+    sendError(res, error, 'Error al revertir transferencia');
+  }
+});
+
+module.exports = router;
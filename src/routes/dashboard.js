@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const pterodactylService = require('../services/pterodactyl');
 const databaseService = require('../services/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const permissionService = require('../services/permissions');
+const accountLinkService = require('../services/accountLinks');
+const syncService = require('../services/sync');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -17,19 +21,44 @@ const logger = winston.createLogger({
   ]
 });
 
+// Estado en ejecución del servidor según la API de cliente (running, starting, stopping,
+// offline); el campo status de la API de aplicación solo refleja instalación y suspensión
+const getRuntimeState = async (serverId) => {
+  try {
+    const { current_state: state } = await pterodactylService.getServerResources(serverId);
+    return state;
+  } catch (error) {
+    logger.warn(`No se pudo obtener el estado del servidor ${serverId}`, error.message);
+    return 'unknown';
+  }
+};
+
 // GET /api/dashboard - Dashboard principal
-router.get('/dashboard', authenticateToken, async (req, res) => {
+router.get('/dashboard', authenticateToken, requirePermission('account.read'), async (req, res) => {
   try {
     const userId = req.user.id;
     
     logger.info('Obteniendo dashboard', { userId });
 
-    // Obtener información del usuario
-    const [userInfo, userServers, tkCoins, globalStats] = await Promise.all([
-      pterodactylService.getUser(userId),
-      pterodactylService.getUserServers(userId),
-      databaseService.getUserTKCoins(userId),
-      req.user.role === 'admin' || req.user.role === 'moderator' 
+    const [canReadStats, localUser] = await Promise.all([
+      permissionService.hasPermission(req.user, 'stats.read'),
+      databaseService.getUserById(userId)
+    ]);
+
+    if (!localUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const pterodactylUserId = localUser.pterodactyl_user_id;
+
+    // Obtener información del usuario (en Pterodactyl solo si la cuenta está vinculada)
+    const [userInfo, userServers, globalStats] = await Promise.all([
+      pterodactylUserId !== null ? pterodactylService.getUser(pterodactylUserId) : Promise.resolve(null),
+      pterodactylUserId !== null ? pterodactylService.getUserServers(pterodactylUserId) : Promise.resolve([]),
+      canReadStats
         ? databaseService.getGlobalStats() 
         : Promise.resolve(null)
     ]);
@@ -38,12 +67,15 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     const processedServers = await Promise.all(
       userServers.map(async (server) => {
         try {
-          const serverDetails = await pterodactylService.getServerDetails(server.attributes.id);
+          const [serverDetails, status] = await Promise.all([
+            pterodactylService.getServerDetails(server.attributes.id),
+            getRuntimeState(server.attributes.id)
+          ]);
           return {
             id: serverDetails.id,
             name: serverDetails.name,
             identifier: serverDetails.identifier,
-            status: serverDetails.status,
+            status,
             suspended: serverDetails.suspended,
             limits: serverDetails.limits,
             allocations: serverDetails.allocations,
@@ -65,13 +97,14 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     const dashboardData = {
       user: {
         id: userId,
-        username: userInfo.username,
-        email: userInfo.email,
-        firstName: userInfo.first_name,
-        lastName: userInfo.last_name,
-        admin: userInfo.root_admin,
-        tkCoins,
-        createdAt: userInfo.created_at
+        username: localUser.username,
+        email: localUser.email,
+        pterodactylUserId,
+        firstName: userInfo?.first_name ?? null,
+        lastName: userInfo?.last_name ?? null,
+        admin: userInfo?.root_admin ?? false,
+        tkCoins: Number(localUser.tk_coins),
+        createdAt: localUser.created_at
       },
       servers: {
         total: processedServers.length,
@@ -89,27 +122,23 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error al obtener dashboard', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener dashboard',
-      message: error.message
-    });
+    sendError(res, error, 'Error al obtener dashboard');
   }
 });
 
 // GET /api/dashboard/admin - Dashboard de administrador
-router.get('/dashboard/admin', authenticateToken, requireRole(['admin', 'moderator']), async (req, res) => {
+router.get('/dashboard/admin', authenticateToken, requirePermission('stats.read'), async (req, res) => {
   try {
     logger.info('Obteniendo dashboard de administrador', { userId: req.user.id });
 
     const [
       globalStats,
       usersWithCoins,
-      allServers
+      latestServers
     ] = await Promise.all([
       databaseService.getGlobalStats(),
       databaseService.getAllUsersWithTKCoins(),
-      pterodactylService.getAllServers(1, 100)
+      syncService.getRecentServers(10)
     ]);
 
     // Procesar usuarios con más TK-Coins
@@ -121,14 +150,17 @@ router.get('/dashboard/admin', authenticateToken, requireRole(['admin', 'moderat
       createdAt: user.created_at
     }));
 
-    // Procesar servidores recientes
-    const recentServers = allServers.data.slice(0, 10).map(server => ({
-      id: server.attributes.id,
-      name: server.attributes.name,
-      identifier: server.attributes.identifier,
-      owner: server.attributes.user,
-      status: server.attributes.status,
-      createdAt: server.attributes.created_at
+    // Servidores recientes del espejo sincronizado del panel
+    const recentServers = latestServers.map(server => ({
+      id: server.id,
+      name: server.name,
+      identifier: server.identifier,
+      owner: server.owner_id,
+      ownerUserId: server.user_id,
+      ownerUsername: server.username,
+      status: server.status,
+      suspended: server.suspended,
+      createdAt: server.created_at
     }));
 
     const adminDashboard = {
@@ -148,35 +180,42 @@ router.get('/dashboard/admin', authenticateToken, requireRole(['admin', 'moderat
     });
   } catch (error) {
     logger.error('Error al obtener dashboard de administrador', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener dashboard de administrador',
-      message: error.message
-    });
+    sendError(res, error, 'Error al obtener dashboard de administrador');
   }
 });
 
 // GET /api/dashboard/stats - Estadísticas generales
-router.get('/dashboard/stats', authenticateToken, async (req, res) => {
+router.get('/dashboard/stats', authenticateToken, requirePermission('account.read'), async (req, res) => {
   try {
     const userId = req.user.id;
     
     logger.info('Obteniendo estadísticas', { userId });
 
+    const localUser = await databaseService.getUserById(userId);
+
+    if (!localUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
     const [
       userServers,
-      tkCoins,
       transactionHistory
     ] = await Promise.all([
-      pterodactylService.getUserServers(userId),
-      databaseService.getUserTKCoins(userId),
+      localUser.pterodactyl_user_id !== null
+        ? pterodactylService.getUserServers(localUser.pterodactyl_user_id)
+        : Promise.resolve([]),
       databaseService.getUserTransactionHistory(userId, 10)
     ]);
+    const tkCoins = Number(localUser.tk_coins);
+    const states = await Promise.all(userServers.map(server => getRuntimeState(server.attributes.id)));
 
     const stats = {
       servers: {
         total: userServers.length,
-        active: userServers.filter(s => s.attributes.status === 'running').length,
+        active: states.filter(state => state === 'running').length,
         suspended: userServers.filter(s => s.attributes.suspended).length
       },
       tkCoins: {
@@ -185,8 +224,8 @@ router.get('/dashboard/stats', authenticateToken, async (req, res) => {
         recent: transactionHistory.slice(0, 5)
       },
       account: {
-        createdAt: req.user.createdAt,
-        lastLogin: new Date().toISOString()
+        createdAt: localUser.created_at,
+        lastLogin: localUser.last_login
       }
     };
 
@@ -196,11 +235,7 @@ router.get('/dashboard/stats', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error al obtener estadísticas', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener estadísticas',
-      message: error.message
-    });
+    sendError(res, error, 'Error al obtener estadísticas');
   }
 });
 
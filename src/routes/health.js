@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const healthService = require('../services/health');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/health.log' })
+  ]
+});
+
+const sendReadiness = async (req, res) => {
+  try {
+    const report = await healthService.readiness();
+
+    res.status(report.status === 'down' ? 503 : 200).json({
+      success: report.status !== 'down',
+      ...report
+    });
+  } catch (error) {
+    logger.error('Error al comprobar dependencias', { error: error.message });
+    sendError(res, error, 'Error al comprobar dependencias');
+  }
+};
+
+// GET /api/health/live - El proceso responde (no comprueba dependencias)
+router.get('/health/live', (req, res) => {
+  res.json({
+    success: true,
+    ...healthService.liveness()
+  });
+});
+
+// GET /api/health/ready - Base de datos, Redis y Pterodactyl; 503 si cae una dependencia crítica
+router.get('/health/ready', sendReadiness);
+
+// GET /api/health - Igual que /health/ready
+router.get('/health', sendReadiness);
+
+module.exports = router;
@@ -1,25 +1,47 @@
 const express = require('express');
 const router = express.Router();
+const { auditTrail } = require('../middleware/audit');
 
 // Importar rutas
+const authRoutes = require('./auth');
+const apiKeysRoutes = require('./apiKeys');
+const rolesRoutes = require('./roles');
+const accountLinksRoutes = require('./accountLinks');
 const usersRoutes = require('./users');
+const coinsRoutes = require('./coins');
 const serversRoutes = require('./servers');
+const backupsRoutes = require('./backups');
+const schedulesRoutes = require('./schedules');
+const plansRoutes = require('./plans');
+const paymentsRoutes = require('./payments');
+const webhooksRoutes = require('./webhooks');
+const syncRoutes = require('./sync');
 const dashboardRoutes = require('./dashboard');
+const notificationsRoutes = require('./notifications');
+const auditRoutes = require('./audit');
+const healthRoutes = require('./health');
+
+// Toda petición que modifica datos queda en audit_logs
+router.use(auditTrail);
 
 // Montar rutas
+router.use('/', authRoutes);
+router.use('/', apiKeysRoutes);
+router.use('/', rolesRoutes);
+router.use('/', accountLinksRoutes);
 router.use('/', usersRoutes);
+router.use('/', coinsRoutes);
 router.use('/', serversRoutes);
+router.use('/', backupsRoutes);
+router.use('/', schedulesRoutes);
+router.use('/', plansRoutes);
+router.use('/', paymentsRoutes);
+router.use('/', webhooksRoutes);
+router.use('/', syncRoutes);
 router.use('/', dashboardRoutes);
-
-// Ruta de salud
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Panel-TK API está funcionando correctamente',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
+router.use('/', notificationsRoutes);
+router.use('/', auditRoutes);
+router.use('/', healthRoutes);
 
 // Ruta raíz
 router.get('/', (req, res) => {
@@ -28,9 +50,18 @@ router.get('/', (req, res) => {
     message: 'Bienvenido a Panel-TK API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
+      apiKeys: '/api/api-keys',
+      roles: '/api/roles',
       users: '/api/users',
+      coins: '/api/coins',
       servers: '/api/servers',
+      plans: '/api/plans',
+      webhooks: '/api/webhooks',
+      sync: '/api/sync',
       dashboard: '/api/dashboard',
+      notifications: '/api/notifications',
+      auditLogs: '/api/audit-logs',
       health: '/api/health'
     }
   });
@@ -0,0 +1,34 @@
+const express = require('express');
+// Sin variantes de mayúsculas ni barra final: /metrics es la única ruta que existe
+const router = express.Router({ caseSensitive: true, strict: true });
+const metricsService = require('../services/metrics');
+const { requireMetricsAccess } = require('../middleware/metrics');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/metrics.log' })
+  ]
+});
+
+// GET /metrics - Métricas en formato de Prometheus (fuera de /api: es la ruta que lee docker/prometheus)
+router.get('/metrics', requireMetricsAccess, async (req, res) => {
+  try {
+    const body = await metricsService.render();
+
+    res.set('Content-Type', metricsService.contentType);
+    res.send(body);
+  } catch (error) {
+    logger.error('Error al generar métricas', { error: error.message });
+    sendError(res, error, 'Error al generar métricas');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const notificationService = require('../services/notifications');
+const { authenticateToken, requirePermission, requireSession } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = require('../config/notifications');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/notifications.log' })
+  ]
+});
+
+const channelParam = param('channel').isIn(NOTIFICATION_CHANNELS).withMessage(`Canal inválido: debe ser ${NOTIFICATION_CHANNELS.join(', ')}`);
+
+// GET /api/notifications - Notificaciones propias, de la más reciente a la más antigua
+router.get('/notifications', authenticateToken, requirePermission('account.read'), [
+  query('unread').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const result = await notificationService.list(req.user.id, {
+      unreadOnly: req.query.unread === true,
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: result.notifications,
+      unread: result.unread,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error al obtener notificaciones', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al obtener notificaciones');
+  }
+});
+
+// POST /api/notifications/read-all - Marcar todas como leídas
+router.post('/notifications/read-all', authenticateToken, requirePermission('account.read'), async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.id);
+
+    res.json({ success: true, data: { updated } });
+  } catch (error) {
+    logger.error('Error al marcar notificaciones', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al marcar notificaciones');
+  }
+});
+
+// POST /api/notifications/:id/read - Marcar una como leída
+router.post('/notifications/:id/read', authenticateToken, requirePermission('account.read'), [
+  param('id').isUUID().withMessage('ID de notificación inválido'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.user.id, req.params.id);
+
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    logger.error('Error al marcar notificación', { error: error.message, notificationId: req.params.id });
+    sendError(res, error, 'Error al marcar notificación');
+  }
+});
+
+// GET /api/notifications/preferences - Canales de entrega configurados
+router.get('/notifications/preferences', authenticateToken, requirePermission('account.read'), async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences,
+      channels: NOTIFICATION_CHANNELS,
+      types: NOTIFICATION_TYPES
+    });
+  } catch (error) {
+    logger.error('Error al obtener preferencias de notificación', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al obtener preferencias de notificación');
+  }
+});
+
+// PUT /api/notifications/preferences/:channel - Activar o cambiar un canal
+// (requiere sesión: una API key no puede redirigir los avisos de la cuenta)
+router.put('/notifications/preferences/:channel', authenticateToken, requireSession, [
+  channelParam,
+  body('target').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('Destino inválido (máx. 500 caracteres)'),
+  body('types').optional({ nullable: true }).isArray().withMessage('types debe ser una lista'),
+  body('types.*').optional().isIn(NOTIFICATION_TYPES).withMessage(`Tipo inválido: debe ser ${NOTIFICATION_TYPES.join(', ')}`),
+  body('enabled').optional().isBoolean().withMessage('enabled debe ser booleano'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const preference = await notificationService.setPreference(req.user, req.params.channel, {
+      target: req.body.target,
+      types: req.body.types,
+      enabled: req.body.enabled !== false
+    });
+
+    res.json({ success: true, data: preference });
+  } catch (error) {
+    logger.error('Error al configurar canal de notificación', { error: error.message, channel: req.params.channel });
+    sendError(res, error, 'Error al configurar canal de notificación');
+  }
+});
+
+// DELETE /api/notifications/preferences/:channel - Quitar un canal
+router.delete('/notifications/preferences/:channel', authenticateToken, requireSession, [channelParam, handleValidation], async (req, res) => {
+  try {
+    await notificationService.removePreference(req.user.id, req.params.channel);
+
+    res.json({
+      success: true,
+      message: 'Canal de notificación eliminado'
+    });
+  } catch (error) {
+    logger.error('Error al eliminar canal de notificación', { error: error.message, channel: req.params.channel });
+    sendError(res, error, 'Error al eliminar canal de notificación');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const coinPurchaseService = require('../services/coinPurchases');
+const permissionService = require('../services/permissions');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { AppError, sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/payments.log' })
+  ]
+});
+
+// Reglas de un paquete; en la actualización todos los campos son opcionales
+const packageRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Nombre requerido (máx. 100 caracteres)'),
+    body('description').optional({ values: 'null' }).isString(),
+    field('coins').isInt({ min: 1 }).toInt().withMessage('coins debe ser un entero positivo'),
+    field('priceCents').isInt({ min: 1 }).toInt().withMessage('priceCents debe ser un entero positivo'),
+    body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('currency debe ser un código ISO de 3 letras'),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+// GET /api/coins/packages - Paquetes de TK-Coins a la venta
+router.get('/coins/packages', authenticateToken, requirePermission('account.read'), [
+  query('includeInactive').optional().isBoolean().toBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === true &&
+      await permissionService.hasPermission(req.user, 'payments.manage');
+
+    const packages = await coinPurchaseService.listPackages({ includeInactive });
+
+    res.json({
+      success: true,
+      data: packages,
+      count: packages.length
+    });
+  } catch (error) {
+    logger.error('Error al obtener paquetes de TK-Coins', { error: error.message });
+    sendError(res, error, 'Error al obtener paquetes de TK-Coins');
+  }
+});
+
+// POST /api/coins/packages - Crear un paquete
+router.post('/coins/packages', authenticateToken, requirePermission('payments.manage'), [
+  ...packageRules(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const coinPackage = await coinPurchaseService.createPackage(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Paquete creado exitosamente',
+      data: coinPackage
+    });
+  } catch (error) {
+    logger.error('Error al crear paquete de TK-Coins', { error: error.message });
+    sendError(res, error, 'Error al crear paquete de TK-Coins');
+  }
+});
+
+// PUT /api/coins/packages/:id - Actualizar o retirar (isActive: false) un paquete
+router.put('/coins/packages/:id', authenticateToken, requirePermission('payments.manage'), [
+  param('id').isUUID().withMessage('ID de paquete inválido'),
+  ...packageRules(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const coinPackage = await coinPurchaseService.updatePackage(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Paquete actualizado exitosamente',
+      data: coinPackage
+    });
+  } catch (error) {
+    logger.error('Error al actualizar paquete de TK-Coins', { error: error.message });
+    sendError(res, error, 'Error al actualizar paquete de TK-Coins');
+  }
+});
+
+// POST /api/coins/checkout - Iniciar la compra de un paquete
+// Los TK-Coins se abonan cuando el proveedor confirma el pago por webhook
+router.post('/coins/checkout', authenticateToken, requirePermission('coins.purchase'), [
+  body('packageId').isUUID().withMessage('ID de paquete inválido'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const session = await coinPurchaseService.createCheckout(req.user, req.body.packageId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sesión de pago creada',
+      data: session
+    });
+  } catch (error) {
+    logger.error('Error al crear sesión de pago', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al crear sesión de pago');
+  }
+});
+
+// GET /api/coins/checkout/:id - Estado de una sesión de pago propia
+router.get('/coins/checkout/:id', authenticateToken, requirePermission('coins.purchase'), [
+  param('id').isUUID().withMessage('ID de sesión inválido'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { userId, ...session } = await coinPurchaseService.getCheckout(req.params.id);
+
+    if (userId !== req.user.id && !(await permissionService.hasPermission(req.user, 'payments.manage'))) {
+      throw new AppError('Sesión de pago no encontrada', 404, 'CHECKOUT_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    logger.error('Error al obtener sesión de pago', { error: error.message, sessionId: req.params.id });
+    sendError(res, error, 'Error al obtener sesión de pago');
+  }
+});
+
+module.exports = router;
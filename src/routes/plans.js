@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const planService = require('../services/plans');
+const permissionService = require('../services/permissions');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/servers.log' })
+  ]
+});
+
+const LIMIT_FIELDS = ['memory', 'swap', 'disk', 'io', 'cpu'];
+
+const isIntegerMap = (value, fields) => (
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  fields.every(field => Number.isInteger(value[field]))
+);
+
+// Reglas de un plan; en la actualización todos los campos son opcionales
+const planRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Nombre requerido (máx. 100 caracteres)'),
+    body('description').optional({ values: 'null' }).isString(),
+    field('eggId').isInt({ min: 1 }).toInt().withMessage('eggId inválido'),
+    field('dockerImage').isString().notEmpty().withMessage('dockerImage requerido'),
+    field('startupCommand').isString().notEmpty().withMessage('startupCommand requerido'),
+    body('environment').optional().isObject().withMessage('environment debe ser un objeto'),
+    field('limits').custom(value => isIntegerMap(value, LIMIT_FIELDS))
+      .withMessage(`limits debe incluir ${LIMIT_FIELDS.join(', ')} como enteros`),
+    body('featureLimits').optional().isObject().withMessage('featureLimits debe ser un objeto'),
+    body('nodeIds').optional({ values: 'null' }).isArray().withMessage('nodeIds debe ser una lista'),
+    body('nodeIds.*').optional().isInt({ min: 1 }).toInt(),
+    field('price').isInt({ min: 0 }).toInt().withMessage('El precio debe ser un entero no negativo'),
+    body('billingPeriodDays').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+      .withMessage('billingPeriodDays debe ser un entero positivo o null (pago único)'),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+const planIdParam = param('id').isUUID().withMessage('ID de plan inválido');
+
+// GET /api/plans - Catálogo de planes (con ?includeInactive=true si se gestionan planes)
+router.get('/plans', authenticateToken, requirePermission('account.read'), [
+  query('includeInactive').optional().isBoolean().toBoolean(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === true &&
+      await permissionService.hasPermission(req.user, 'plans.manage');
+
+    const plans = await planService.list({ includeInactive });
+
+    res.json({
+      success: true,
+      data: plans,
+      count: plans.length
+    });
+  } catch (error) {
+    logger.error('Error al obtener planes', { error: error.message });
+    sendError(res, error, 'Error al obtener planes');
+  }
+});
+
+// POST /api/plans - Crear un plan
+router.post('/plans', authenticateToken, requirePermission('plans.manage'), [
+  ...planRules(false),
+  handleValidation
+], async (req, res) => {
+  try {
+    const plan = await planService.create(req.body);
+
+    logger.info('Plan creado', { planId: plan.id, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan creado exitosamente',
+      data: plan
+    });
+  } catch (error) {
+    logger.error('Error al crear plan', { error: error.message });
+    sendError(res, error, 'Error al crear plan');
+  }
+});
+
+// PUT /api/plans/:id - Actualizar un plan
+router.put('/plans/:id', authenticateToken, requirePermission('plans.manage'), [
+  planIdParam,
+  ...planRules(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const plan = await planService.update(req.params.id, req.body);
+
+    logger.info('Plan actualizado', { planId: plan.id, updatedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Plan actualizado exitosamente',
+      data: plan
+    });
+  } catch (error) {
+    logger.error('Error al actualizar plan', { error: error.message });
+    sendError(res, error, 'Error al actualizar plan');
+  }
+});
+
+// DELETE /api/plans/:id - Retirar un plan del catálogo
+router.delete('/plans/:id', authenticateToken, requirePermission('plans.manage'), [
+  planIdParam,
+  handleValidation
+], async (req, res) => {
+  try {
+    await planService.deactivate(req.params.id);
+
+    logger.info('Plan desactivado', { planId: req.params.id, deactivatedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Plan retirado del catálogo'
+    });
+  } catch (error) {
+    logger.error('Error al retirar plan', { error: error.message });
+    sendError(res, error, 'Error al retirar plan');
+  }
+});
+
+module.exports = router;
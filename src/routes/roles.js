@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const permissionService = require('../services/permissions');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { auditAction } = require('../middleware/audit');
+const { PERMISSIONS } = require('../config/permissions');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/users.log' })
+  ]
+});
+
+const roleName = (location) => location('role')
+  .isString()
+  .matches(/^[a-z][a-z0-9_-]{1,19}$/)
+  .withMessage('Nombre de rol inválido (minúsculas, 2-20 caracteres)');
+
+const permissionList = body('permissions')
+  .isArray()
+  .withMessage('permissions debe ser una lista');
+
+// GET /api/permissions - Catálogo de permisos disponibles
+router.get('/permissions', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// GET /api/roles - Listar roles con sus permisos
+router.get('/roles', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const roles = await permissionService.listRoles();
+
+    res.json({
+      success: true,
+      data: roles,
+      count: roles.length
+    });
+  } catch (error) {
+    logger.error('Error al obtener roles', { error: error.message });
+    sendError(res, error, 'Error al obtener roles');
+  }
+});
+
+// POST /api/roles - Crear un rol
+router.post('/roles', authenticateToken, requirePermission('roles.manage'), [
+  body('name').isString().matches(/^[a-z][a-z0-9_-]{1,19}$/)
+    .withMessage('Nombre de rol inválido (minúsculas, 2-20 caracteres)'),
+  body('description').optional().isString().isLength({ max: 255 }),
+  permissionList.optional(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    await permissionService.createRole({ name, description, permissions });
+
+    logger.info('Rol creado', { role: name, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rol creado exitosamente',
+      data: { name, description, permissions }
+    });
+  } catch (error) {
+    logger.error('Error al crear rol', { error: error.message });
+    sendError(res, error, 'Error al crear rol');
+  }
+});
+
+// PUT /api/roles/:role/permissions - Reemplazar los permisos de un rol
+router.put('/roles/:role/permissions', authenticateToken, requirePermission('roles.manage'), [
+  roleName(param),
+  permissionList,
+  handleValidation
+], async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    await permissionService.setRolePermissions(role, permissions);
+
+    logger.info('Permisos de rol actualizados', { role, permissions, updatedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Permisos actualizados exitosamente',
+      data: { role, permissions }
+    });
+  } catch (error) {
+    logger.error('Error al actualizar permisos de rol', { error: error.message });
+    sendError(res, error, 'Error al actualizar permisos de rol');
+  }
+});
+
+// DELETE /api/roles/:role - Eliminar un rol sin usuarios asignados
+router.delete('/roles/:role', authenticateToken, requirePermission('roles.manage'), [
+  roleName(param),
+  handleValidation
+], async (req, res) => {
+  try {
+    await permissionService.deleteRole(req.params.role);
+
+    logger.info('Rol eliminado', { role: req.params.role, deletedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Rol eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error('Error al eliminar rol', { error: error.message });
+    sendError(res, error, 'Error al eliminar rol');
+  }
+});
+
+// PUT /api/user/:id/role - Asignar un rol a un usuario
+router.put('/user/:id/role', auditAction('user.role_assign', 'user'), authenticateToken, requirePermission('roles.manage'), [
+  param('id').isUUID().withMessage('ID de usuario inválido'),
+  roleName(body),
+  handleValidation
+], async (req, res) => {
+  try {
+    const previousRole = await permissionService.assignRole(req.params.id, req.body.role);
+
+    req.audit.before = { role: previousRole };
+    req.audit.after = { role: req.body.role };
+
+    logger.info('Rol asignado', { userId: req.params.id, role: req.body.role, assignedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Rol asignado exitosamente. Se aplicará al renovar la sesión del usuario',
+      data: { userId: req.params.id, role: req.body.role }
+    });
+  } catch (error) {
+    logger.error('Error al asignar rol', { error: error.message });
+    sendError(res, error, 'Error al asignar rol');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const scheduleService = require('../services/schedules');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { requireOwnership } = require('../middleware/ownership');
+const { handleValidation } = require('../middleware/validation');
+const { SCHEDULE_TASK_ACTIONS, MAX_TASK_TIME_OFFSET } = require('../config/pterodactyl');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/schedules.log' })
+  ]
+});
+
+const scheduleIdParam = param('scheduleId').isUUID().withMessage('ID de tarea programada inválido');
+const taskIdParam = param('taskId').isInt({ min: 1 }).withMessage('ID de paso inválido');
+
+// La expresión cron se valida en el servicio (parseCron), que explica qué campo falla
+const scheduleBody = (optional) => [
+  (optional ? body('name').optional() : body('name')).isString().trim().isLength({ min: 1, max: 100 }).withMessage('Nombre requerido (máx. 100 caracteres)'),
+  (optional ? body('cron').optional() : body('cron')).isString().trim().notEmpty().withMessage('Expresión cron requerida'),
+  body('isActive').optional().isBoolean().withMessage('isActive debe ser booleano'),
+  body('onlyWhenOnline').optional().isBoolean().withMessage('onlyWhenOnline debe ser booleano')
+];
+
+const taskBody = (optional) => [
+  (optional ? body('action').optional() : body('action')).isIn(SCHEDULE_TASK_ACTIONS).withMessage(`Acción inválida: debe ser una de ${SCHEDULE_TASK_ACTIONS.join(', ')}`),
+  body('payload').optional().isString().isLength({ max: 1000 }).withMessage('payload debe ser texto (máx. 1000 caracteres)'),
+  body('timeOffset').optional().isInt({ min: 0, max: MAX_TASK_TIME_OFFSET }).withMessage(`timeOffset debe estar entre 0 y ${MAX_TASK_TIME_OFFSET} segundos`),
+  body('continueOnFailure').optional().isBoolean().withMessage('continueOnFailure debe ser booleano')
+];
+
+// Programar tareas es controlar el servidor: mismo permiso que el encendido y los backups
+const canManage = [authenticateToken, requirePermission('servers.control'), requireOwnership('serverControl')];
+
+// GET /api/server/:id/schedules - Tareas programadas del servidor con sus pasos
+router.get('/server/:id/schedules', authenticateToken, requirePermission('account.read'), requireOwnership('server'), async (req, res) => {
+  try {
+    const schedules = await scheduleService.list(req.params.id);
+
+    res.json({
+      success: true,
+      data: schedules
+    });
+  } catch (error) {
+    logger.error('Error al obtener tareas programadas', { error: error.message, serverId: req.params.id });
+    sendError(res, error, 'Error al obtener tareas programadas');
+  }
+});
+
+// GET /api/server/:id/schedules/:scheduleId - Detalle de una tarea programada
+router.get('/server/:id/schedules/:scheduleId', authenticateToken, requirePermission('account.read'), requireOwnership('server'), [
+  scheduleIdParam,
+  handleValidation
+], async (req, res) => {
+  try {
+    const schedule = await scheduleService.getPublic(req.params.id, req.params.scheduleId);
+
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    logger.error('Error al obtener tarea programada', { error: error.message, scheduleId: req.params.scheduleId });
+    sendError(res, error, 'Error al obtener tarea programada');
+  }
+});
+
+// POST /api/server/:id/schedules - Crear una tarea programada (sin pasos)
+router.post('/server/:id/schedules', ...canManage, [...scheduleBody(false), handleValidation], async (req, res) => {
+  try {
+    const schedule = await scheduleService.create(req.params.id, {
+      name: req.body.name,
+      cron: req.body.cron,
+      isActive: req.body.isActive,
+      onlyWhenOnline: req.body.onlyWhenOnline
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tarea programada creada',
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Error al crear tarea programada', { error: error.message, serverId: req.params.id });
+    sendError(res, error, 'Error al crear tarea programada');
+  }
+});
+
+// PUT /api/server/:id/schedules/:scheduleId - Cambiar nombre, cron o estado
+router.put('/server/:id/schedules/:scheduleId', ...canManage, [scheduleIdParam, ...scheduleBody(true), handleValidation], async (req, res) => {
+  try {
+    const schedule = await scheduleService.update(req.params.id, req.params.scheduleId, {
+      name: req.body.name,
+      cron: req.body.cron,
+      isActive: req.body.isActive,
+      onlyWhenOnline: req.body.onlyWhenOnline
+    });
+
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    logger.error('Error al actualizar tarea programada', { error: error.message, scheduleId: req.params.scheduleId });
+    sendError(res, error, 'Error al actualizar tarea programada');
+  }
+});
+
+// DELETE /api/server/:id/schedules/:scheduleId - Eliminar una tarea programada y sus pasos
+router.delete('/server/:id/schedules/:scheduleId', ...canManage, [scheduleIdParam, handleValidation], async (req, res) => {
+  try {
+    await scheduleService.remove(req.params.id, req.params.scheduleId);
+
+    res.json({
+      success: true,
+      message: 'Tarea programada eliminada'
+    });
+  } catch (error) {
+    logger.error('Error al eliminar tarea programada', { error: error.message, scheduleId: req.params.scheduleId });
+    sendError(res, error, 'Error al eliminar tarea programada');
+  }
+});
+
+// POST /api/server/:id/schedules/:scheduleId/execute - Ejecutar ahora
+router.post('/server/:id/schedules/:scheduleId/execute', ...canManage, [scheduleIdParam, handleValidation], async (req, res) => {
+  try {
+    const schedule = await scheduleService.execute(req.params.id, req.params.scheduleId, req.user);
+
+    res.status(202).json({
+      success: true,
+      message: 'Tarea programada en ejecución',
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Error al ejecutar tarea programada', { error: error.message, scheduleId: req.params.scheduleId });
+    sendError(res, error, 'Error al ejecutar tarea programada');
+  }
+});
+
+// POST /api/server/:id/schedules/:scheduleId/tasks - Añadir un paso
+router.post('/server/:id/schedules/:scheduleId/tasks', ...canManage, [scheduleIdParam, ...taskBody(false), handleValidation], async (req, res) => {
+  try {
+    const task = await scheduleService.addTask(req.params.id, req.params.scheduleId, {
+      action: req.body.action,
+      payload: req.body.payload,
+      timeOffset: req.body.timeOffset !== undefined ? parseInt(req.body.timeOffset) : undefined,
+      continueOnFailure: req.body.continueOnFailure
+    });
+
+    res.status(201).json({ success: true, data: task });
+  } catch (error) {
+    logger.error('Error al añadir paso', { error: error.message, scheduleId: req.params.scheduleId });
+    sendError(res, error, 'Error al añadir paso');
+  }
+});
+
+// PUT /api/server/:id/schedules/:scheduleId/tasks/:taskId - Modificar un paso
+router.put('/server/:id/schedules/:scheduleId/tasks/:taskId', ...canManage, [
+  scheduleIdParam,
+  taskIdParam,
+  ...taskBody(true),
+  handleValidation
+], async (req, res) => {
+  try {
+    const task = await scheduleService.updateTask(req.params.id, req.params.scheduleId, req.params.taskId, {
+      action: req.body.action,
+      payload: req.body.payload,
+      timeOffset: req.body.timeOffset !== undefined ? parseInt(req.body.timeOffset) : undefined,
+      continueOnFailure: req.body.continueOnFailure
+    });
+
+    res.json({ success: true, data: task });
+  } catch (error) {
+    logger.error('Error al modificar paso', { error: error.message, taskId: req.params.taskId });
+    sendError(res, error, 'Error al modificar paso');
+  }
+});
+
+// DELETE /api/server/:id/schedules/:scheduleId/tasks/:taskId - Eliminar un paso
+router.delete('/server/:id/schedules/:scheduleId/tasks/:taskId', ...canManage, [scheduleIdParam, taskIdParam, handleValidation], async (req, res) => {
+  try {
+    await scheduleService.removeTask(req.params.id, req.params.scheduleId, req.params.taskId);
+
+    res.json({
+      success: true,
+      message: 'Paso eliminado'
+    });
+  } catch (error) {
+    logger.error('Error al eliminar paso', { error: error.message, taskId: req.params.taskId });
+    sendError(res, error, 'Error al eliminar paso');
+  }
+});
+
+module.exports = router;
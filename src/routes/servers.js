@@ -1,7 +1,18 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const pterodactylService = require('../services/pterodactyl');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const provisioningService = require('../services/provisioning');
+const syncService = require('../services/sync');
+const serverStatsService = require('../services/serverStats');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { requireOwnership } = require('../middleware/ownership');
+const { auditAction } = require('../middleware/audit');
+const { handleValidation } = require('../middleware/validation');
+const { NotFoundError, sendError } = require('../utils/errors');
+const { describeCommand } = require('../utils/console');
+const { POWER_SIGNALS } = require('../config/pterodactyl');
+const { STATS_RESOLUTIONS } = require('../config/stats');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -16,8 +27,8 @@ const logger = winston.createLogger({
   ]
 });
 
-// GET /api/servers - Obtener todos los servidores
-router.get('/servers', authenticateToken, requireRole(['admin', 'moderator']), async (req, res) => {
+// GET /api/servers - Obtener todos los servidores (del espejo sincronizado, ver /api/sync)
+router.get('/servers', authenticateToken, requirePermission('servers.read'), async (req, res) => {
   try {
     const { page = 1, per_page = 50 } = req.query;
     
@@ -27,7 +38,10 @@ router.get('/servers', authenticateToken, requireRole(['admin', 'moderator']), a
       per_page 
     });
 
-    const servers = await pterodactylService.getAllServers(parseInt(page), parseInt(per_page));
+    const servers = await syncService.listMirror('servers', {
+      page: Math.max(parseInt(page) || 1, 1),
+      perPage: Math.min(Math.max(parseInt(per_page) || 50, 1), 100)
+    });
     
     res.json({
       success: true,
@@ -36,16 +50,38 @@ router.get('/servers', authenticateToken, requireRole(['admin', 'moderator']), a
     });
   } catch (error) {
     logger.error('Error al obtener servidores', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener servidores',
-      message: error.message
+    sendError(res, error, 'Error al obtener servidores');
+  }
+});
+
+// POST /api/servers - Comprar un servidor con TK-Coins a partir de un plan
+router.post('/servers', authenticateToken, requirePermission('servers.create'), [
+  body('planId').isUUID().withMessage('ID de plan inválido'),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Nombre requerido (máx. 100 caracteres)'),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('environment').optional().isObject().withMessage('environment debe ser un objeto'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { planId, name, description, environment } = req.body;
+
+    logger.info('Comprando servidor', { userId: req.user.id, planId, name });
+
+    const purchase = await provisioningService.purchase(req.user, { planId, name, description, environment });
+
+    res.status(201).json({
+      success: true,
+      message: 'Servidor creado exitosamente',
+      data: purchase
     });
+  } catch (error) {
+    logger.error('Error al comprar servidor', { error: error.message, userId: req.user.id });
+    sendError(res, error, 'Error al crear servidor');
   }
 });
 
 // GET /api/server/:id - Obtener información detallada de un servidor
-router.get('/server/:id', authenticateToken, async (req, res) => {
+router.get('/server/:id', authenticateToken, requirePermission('account.read'), requireOwnership('server'), async (req, res) => {
   try {
     const serverId = req.params.id;
     
@@ -84,23 +120,116 @@ router.get('/server/:id', authenticateToken, async (req, res) => {
   } catch (error) {
     logger.error('Error al obtener información del servidor', error);
     
-    if (error.message.includes('no encontrado')) {
+    if (error instanceof NotFoundError) {
       return res.status(404).json({
         success: false,
         error: 'Servidor no encontrado'
       });
     }
 
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener información del servidor',
-      message: error.message
+    sendError(res, error, 'Error al obtener información del servidor');
+  }
+});
+
+// GET /api/server/:id/resources - Estado y uso de recursos en vivo (CPU, memoria, disco, red)
+router.get('/server/:id/resources', authenticateToken, requirePermission('account.read'), requireOwnership('server'), async (req, res) => {
+  try {
+    const stats = await pterodactylService.getServerResources(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        state: stats.current_state,
+        suspended: stats.is_suspended,
+        resources: {
+          cpu: stats.resources.cpu_absolute,
+          memoryBytes: stats.resources.memory_bytes,
+          diskBytes: stats.resources.disk_bytes,
+          networkRxBytes: stats.resources.network_rx_bytes,
+          networkTxBytes: stats.resources.network_tx_bytes,
+          uptime: stats.resources.uptime
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener recursos del servidor', { error: error.message, serverId: req.params.id });
+    sendError(res, error, 'Error al obtener recursos del servidor');
+  }
+});
+
+// GET /api/server/:id/stats - Historial de uso de recursos por intervalos (por defecto, las últimas 24 h)
+router.get('/server/:id/stats', authenticateToken, requirePermission('account.read'), requireOwnership('server'), [
+  param('id').isInt({ min: 1 }).withMessage('ID de servidor inválido'),
+  query('from').optional().isISO8601().withMessage('from debe ser una fecha ISO 8601'),
+  query('to').optional().isISO8601().withMessage('to debe ser una fecha ISO 8601'),
+  query('resolution').optional().isIn(Object.keys(STATS_RESOLUTIONS))
+    .withMessage(`resolution debe ser una de: ${Object.keys(STATS_RESOLUTIONS).join(', ')}`),
+  handleValidation
+], async (req, res) => {
+  try {
+    const stats = await serverStatsService.query(req.params.id, {
+      from: req.query.from,
+      to: req.query.to,
+      resolution: req.query.resolution
     });
+
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    logger.error('Error al obtener historial de recursos', { error: error.message, serverId: req.params.id });
+    sendError(res, error, 'Error al obtener historial de recursos');
+  }
+});
+
+// POST /api/server/:id/power - Encender, apagar, reiniciar o forzar el apagado
+router.post('/server/:id/power', authenticateToken, requirePermission('servers.control'), requireOwnership('serverControl'), [
+  body('signal').isString().isIn(POWER_SIGNALS).withMessage(`signal debe ser uno de: ${POWER_SIGNALS.join(', ')}`),
+  handleValidation
+], async (req, res) => {
+  try {
+    const serverId = req.params.id;
+    const { signal } = req.body;
+
+    logger.info('Enviando señal de encendido', { serverId, signal, userId: req.user.id });
+
+    await pterodactylService.sendPowerAction(serverId, signal);
+
+    res.status(202).json({
+      success: true,
+      message: 'Señal enviada al servidor',
+      data: { serverId, signal }
+    });
+  } catch (error) {
+    logger.error('Error al enviar señal de encendido', { error: error.message, serverId: req.params.id });
+    sendError(res, error, 'Error al enviar señal al servidor');
+  }
+});
+
+// POST /api/server/:id/command - Enviar un comando a la consola
+router.post('/server/:id/command', authenticateToken, requirePermission('servers.control'), requireOwnership('serverControl'), [
+  body('command').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Comando requerido (máx. 1000 caracteres)'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const serverId = req.params.id;
+    const { command } = req.body;
+
+    logger.info('Enviando comando de consola', { serverId, userId: req.user.id, ...describeCommand(command) });
+
+    await pterodactylService.sendCommand(serverId, command);
+
+    res.status(202).json({
+      success: true,
+      message: 'Comando enviado al servidor',
+      data: { serverId }
+    });
+  } catch (error) {
+    logger.error('Error al enviar comando', { error: error.message, serverId: req.params.id });
+    sendError(res, error, 'Error al enviar comando al servidor');
   }
 });
 
 // POST /api/server/:id/suspend - Suspender un servidor
-router.post('/server/:id/suspend', authenticateToken, requireRole(['admin', 'moderator']), async (req, res) => {
+router.post('/server/:id/suspend', auditAction('server.suspend', 'server'), authenticateToken, requirePermission('servers.suspend'), async (req, res) => {
   try {
     const serverId = req.params.id;
     const { reason } = req.body;
@@ -118,7 +247,12 @@ router.post('/server/:id/suspend', authenticateToken, requireRole(['admin', 'mod
       suspendedBy: req.user.id 
     });
 
+    // Estado real para la auditoría, no el de la caché
+    const { suspended } = await pterodactylService.uncached.getServerDetails(serverId);
+    req.audit.before = { suspended };
+
     await pterodactylService.suspendServer(serverId);
+    req.audit.after = { suspended: true };
 
     res.json({
       success: true,
@@ -127,16 +261,12 @@ router.post('/server/:id/suspend', authenticateToken, requireRole(['admin', 'mod
     });
   } catch (error) {
     logger.error('Error al suspender servidor', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al suspender servidor',
-      message: error.message
-    });
+    sendError(res, error, 'Error al suspender servidor');
   }
 });
 
 // POST /api/server/:id/unsuspend - Reactivar un servidor
-router.post('/server/:id/unsuspend', authenticateToken, requireRole(['admin', 'moderator']), async (req, res) => {
+router.post('/server/:id/unsuspend', auditAction('server.unsuspend', 'server'), authenticateToken, requirePermission('servers.suspend'), async (req, res) => {
   try {
     const serverId = req.params.id;
     const { reason } = req.body;
@@ -154,7 +284,11 @@ router.post('/server/:id/unsuspend', authenticateToken, requireRole(['admin', 'm
       unsuspendedBy: req.user.id 
     });
 
+    const { suspended } = await pterodactylService.uncached.getServerDetails(serverId);
+    req.audit.before = { suspended };
+
     await pterodactylService.unsuspendServer(serverId);
+    req.audit.after = { suspended: false };
 
     res.json({
       success: true,
@@ -163,16 +297,12 @@ router.post('/server/:id/unsuspend', authenticateToken, requireRole(['admin', 'm
     });
   } catch (error) {
     logger.error('Error al reactivar servidor', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al reactivar servidor',
-      message: error.message
-    });
+    sendError(res, error, 'Error al reactivar servidor');
   }
 });
 
 // POST /api/server/:id/reinstall - Reinstalar un servidor
-router.post('/server/:id/reinstall', authenticateToken, requireRole(['admin', 'moderator']), async (req, res) => {
+router.post('/server/:id/reinstall', auditAction('server.reinstall', 'server'), authenticateToken, requirePermission('servers.reinstall'), async (req, res) => {
   try {
     const serverId = req.params.id;
     const { reason } = req.body;
@@ -190,7 +320,12 @@ router.post('/server/:id/reinstall', authenticateToken, requireRole(['admin', 'm
       reinstalledBy: req.user.id 
     });
 
+    // El panel deja status en null cuando la instalación terminó bien
+    const { status } = await pterodactylService.uncached.getServerDetails(serverId);
+    req.audit.before = { installStatus: status || 'installed' };
+
     await pterodactylService.reinstallServer(serverId);
+    req.audit.after = { installStatus: 'installing' };
 
     res.json({
       success: true,
@@ -199,16 +334,12 @@ router.post('/server/:id/reinstall', authenticateToken, requireRole(['admin', 'm
     });
   } catch (error) {
     logger.error('Error al reinstalar servidor', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al reinstalar servidor',
-      message: error.message
-    });
+    sendError(res, error, 'Error al reinstalar servidor');
   }
 });
 
-// GET /api/nodes - Obtener información de nodos
-router.get('/nodes', authenticateToken, requireRole(['admin', 'moderator']), async (req, res) => {
+// GET /api/nodes - Obtener información de nodos (del espejo sincronizado)
+router.get('/nodes', authenticateToken, requirePermission('nodes.read'), async (req, res) => {
   try {
     const { page = 1, per_page = 50 } = req.query;
     
@@ -218,7 +349,10 @@ router.get('/nodes', authenticateToken, requireRole(['admin', 'moderator']), asy
       per_page 
     });
 
-    const nodes = await pterodactylService.getAllNodes(parseInt(page), parseInt(per_page));
+    const nodes = await syncService.listMirror('nodes', {
+      page: Math.max(parseInt(page) || 1, 1),
+      perPage: Math.min(Math.max(parseInt(per_page) || 50, 1), 100)
+    });
     
     res.json({
       success: true,
@@ -231,19 +365,8 @@ router.get('/nodes', authenticateToken, requireRole(['admin', 'moderator']), asy
       userId: req.user?.id,
       stack: error.stack 
     });
-    
-    if (error.message.includes('no encontrado')) {
-      return res.status(404).json({
-        success: false,
-        error: 'Nodos no encontrados'
-      });
-    }
 
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener información de nodos',
-      message: error.message
-    });
+    sendError(res, error, 'Error al obtener información de nodos');
   }
 });
 
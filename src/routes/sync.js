@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const syncService = require('../services/sync');
+const syncWorker = require('../workers/sync');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/sync.log' })
+  ]
+});
+
+// POST /api/sync/run - Sincronizar ahora el espejo local con Pterodactyl
+router.post('/sync/run', authenticateToken, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    logger.info('Sincronización manual solicitada', { userId: req.user.id });
+
+    const run = await syncWorker.run();
+
+    res.json({
+      success: true,
+      message: 'Sincronización completada',
+      data: run
+    });
+  } catch (error) {
+    logger.error('Error al sincronizar con Pterodactyl', { error: error.message });
+    sendError(res, error, 'Error al sincronizar con Pterodactyl');
+  }
+});
+
+// GET /api/sync/status - Última sincronización y diferencias encontradas
+router.get('/sync/status', authenticateToken, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const status = await syncService.getStatus();
+
+    res.json({
+      success: true,
+      data: {
+        running: syncWorker.running,
+        ...status
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener estado de la sincronización', { error: error.message });
+    sendError(res, error, 'Error al obtener estado de la sincronización');
+  }
+});
+
+// GET /api/sync/orphans - Huérfanos a ambos lados según el espejo actual
+router.get('/sync/orphans', authenticateToken, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const orphans = await syncService.findOrphans();
+
+    res.json({
+      success: true,
+      data: orphans,
+      counts: Object.fromEntries(Object.entries(orphans).map(([kind, list]) => [kind, list.length]))
+    });
+  } catch (error) {
+    logger.error('Error al obtener huérfanos', { error: error.message });
+    sendError(res, error, 'Error al obtener huérfanos');
+  }
+});
+
+module.exports = router;
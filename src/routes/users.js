@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 const pterodactylService = require('../services/pterodactyl');
 const databaseService = require('../services/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const accountLinkService = require('../services/accountLinks');
+const ledgerService = require('../services/ledger');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { requireOwnership } = require('../middleware/ownership');
+const { auditAction } = require('../middleware/audit');
+const { userAccount } = require('../config/coins');
+const { NotFoundError, sendError } = require('../utils/errors');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -17,18 +23,24 @@ const logger = winston.createLogger({
   ]
 });
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // GET /api/users - Obtener todos los usuarios con TK-Coins
-router.get('/users', authenticateToken, async (req, res) => {
+router.get('/users', authenticateToken, requirePermission('users.read'), async (req, res) => {
   try {
     logger.info('Obteniendo usuarios con TK-Coins', { userId: req.user?.id });
     
     const users = await databaseService.getAllUsersWithTKCoins();
     
-    // Enriquecer con datos de Pterodactyl
+    // Enriquecer con datos de Pterodactyl (solo cuentas vinculadas)
     const enrichedUsers = await Promise.all(
       users.map(async (user) => {
+        if (user.pterodactyl_user_id === null) {
+          return { ...user, pterodactyl: null };
+        }
+
         try {
-          const pteroUser = await pterodactylService.getUser(user.id);
+          const pteroUser = await pterodactylService.getUser(user.pterodactyl_user_id);
           return {
             ...user,
             pterodactyl: {
@@ -54,20 +66,16 @@ router.get('/users', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error al obtener usuarios', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener usuarios',
-      message: error.message
-    });
+    sendError(res, error, 'Error al obtener usuarios');
   }
 });
 
 // GET /api/user/:id - Obtener información detallada de un usuario
-router.get('/user/:id', authenticateToken, async (req, res) => {
+router.get('/user/:id', authenticateToken, requirePermission('account.read'), requireOwnership('user'), async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
+    const userId = req.params.id;
     
-    if (isNaN(userId)) {
+    if (!UUID_PATTERN.test(userId)) {
       return res.status(400).json({
         success: false,
         error: 'ID de usuario inválido'
@@ -76,18 +84,30 @@ router.get('/user/:id', authenticateToken, async (req, res) => {
 
     logger.info('Obteniendo información de usuario', { userId, requestedBy: req.user?.id });
 
-    // Obtener datos de Pterodactyl
-    const pteroUser = await pterodactylService.getUser(userId);
-    
-    // Obtener TK-Coins de la base de datos
-    const tkCoins = await databaseService.getUserTKCoins(userId);
+    const user = await databaseService.getUserById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    // Obtener datos de Pterodactyl con el ID vinculado, si lo hay
+    const pteroUser = user.pterodactyl_user_id !== null
+      ? await pterodactylService.getUser(user.pterodactyl_user_id)
+      : null;
     
     // Obtener historial de transacciones
     const transactions = await databaseService.getUserTransactionHistory(userId, 20);
 
     const userData = {
       id: userId,
-      pterodactyl: {
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      pterodactylUserId: user.pterodactyl_user_id,
+      pterodactyl: pteroUser && {
         username: pteroUser.username,
         email: pteroUser.email,
         firstName: pteroUser.first_name,
@@ -97,7 +117,7 @@ router.get('/user/:id', authenticateToken, async (req, res) => {
         createdAt: pteroUser.created_at,
         updatedAt: pteroUser.updated_at
       },
-      tkCoins,
+      tkCoins: Number(user.tk_coins),
       transactions
     };
 
@@ -107,28 +127,24 @@ router.get('/user/:id', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error al obtener información de usuario', error);
-    
-    if (error.message.includes('no encontrado')) {
+
+    if (error instanceof NotFoundError) {
       return res.status(404).json({
         success: false,
         error: 'Usuario no encontrado'
       });
     }
 
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener información del usuario',
-      message: error.message
-    });
+    sendError(res, error, 'Error al obtener información del usuario');
   }
 });
 
 // GET /api/user/:id/servers - Obtener servidores de un usuario
-router.get('/user/:id/servers', authenticateToken, async (req, res) => {
+router.get('/user/:id/servers', authenticateToken, requirePermission('account.read'), requireOwnership('user'), async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
+    const userId = req.params.id;
     
-    if (isNaN(userId)) {
+    if (!UUID_PATTERN.test(userId)) {
       return res.status(400).json({
         success: false,
         error: 'ID de usuario inválido'
@@ -137,7 +153,12 @@ router.get('/user/:id/servers', authenticateToken, async (req, res) => {
 
     logger.info('Obteniendo servidores de usuario', { userId, requestedBy: req.user?.id });
 
-    const servers = await pterodactylService.getUserServers(userId);
+    const pterodactylUserId = await accountLinkService.getPterodactylUserId(userId);
+
+    // Una cuenta sin vincular no tiene servidores en Pterodactyl
+    const servers = pterodactylUserId !== null
+      ? await pterodactylService.getUserServers(pterodactylUserId)
+      : [];
     
     // Enriquecer información de servidores
     const enrichedServers = await Promise.all(
@@ -174,70 +195,86 @@ router.get('/user/:id/servers', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error al obtener servidores del usuario', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al obtener servidores',
-      message: error.message
-    });
+    sendError(res, error, 'Error al obtener servidores');
   }
 });
 
 // PUT /api/user/:id/tk-coins - Actualizar TK-Coins de un usuario
-router.put('/user/:id/tk-coins', authenticateToken, requireRole(['admin', 'moderator']), async (req, res) => {
+// Acepta la cabecera Idempotency-Key: reintentar con la misma clave no repite el ajuste
+router.put('/user/:id/tk-coins', auditAction('coins.adjust', 'user'), authenticateToken, requirePermission('coins.adjust'), async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
+    const userId = req.params.id;
     const { amount, operation = 'add', reason } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key');
 
-    if (isNaN(userId)) {
+    if (!UUID_PATTERN.test(userId)) {
       return res.status(400).json({
         success: false,
         error: 'ID de usuario inválido'
       });
     }
 
-    if (typeof amount !== 'number' || isNaN(amount)) {
+    if (!Number.isInteger(amount) || (operation === 'set' && amount < 0)) {
       return res.status(400).json({
         success: false,
         error: 'Cantidad inválida'
       });
     }
 
+    if (!['add', 'set'].includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Operación inválida (add o set)'
+      });
+    }
+
+    if (idempotencyKey !== undefined && !/^[\w-]{8,100}$/.test(idempotencyKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Idempotency-Key inválida (8-100 caracteres alfanuméricos, _ o -)'
+      });
+    }
+
     logger.info('Actualizando TK-Coins', {
       userId,
       amount,
       operation,
       reason,
-      updatedBy: req.user.id
+      updatedBy: req.user.id,
+      idempotencyKey
     });
 
-    await databaseService.updateUserTKCoins(userId, amount, operation);
-
-    // Registrar en log
-    await databaseService.createTransactionLog(userId, amount, operation, {
+    const journal = await ledgerService.adjustBalance(userId, amount, operation, {
       reason,
-      updatedBy: req.user.id,
-      updatedByEmail: req.user.email
+      createdBy: req.user,
+      // Las claves se separan por autor para que no colisionen entre usuarios
+      idempotencyKey: idempotencyKey ? `adjustment:${req.user.id}:${idempotencyKey}` : null
     });
 
-    const newBalance = await databaseService.getUserTKCoins(userId);
+    const userEntry = journal.entries.find(entry => entry.account === userAccount(userId));
+
+    req.audit.before = { balance: Number(userEntry.balanceAfter) - Number(userEntry.amount) };
+    req.audit.after = { balance: Number(userEntry.balanceAfter), journalId: journal.journalId };
+
+    if (journal.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
 
     res.json({
       success: true,
-      message: 'TK-Coins actualizados exitosamente',
+      message: journal.replayed ? 'Ajuste ya aplicado anteriormente' : 'TK-Coins actualizados exitosamente',
       data: {
         userId,
-        newBalance,
+        newBalance: userEntry.balanceAfter,
         operation,
-        amount
+        amount,
+        journalId: journal.journalId,
+        replayed: journal.replayed
       }
     });
   } catch (error) {
-    logger.error('Error al actualizar TK-Coins', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error al actualizar TK-Coins',
-      message: error.message
-    });
+    logger.error('Error al actualizar TK-Coins', { error: error.message });
+    sendError(res, error, 'Error al actualizar TK-Coins');
   }
 });
 
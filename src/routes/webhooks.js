@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const coinPurchaseService = require('../services/coinPurchases');
+const serverEventService = require('../services/serverEvents');
+const webhookLogService = require('../services/webhookLogs');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { webhookLimiter } = require('../middleware/rateLimiter');
+const { handleValidation } = require('../middleware/validation');
+const { sendError } = require('../utils/errors');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/webhooks.log' })
+  ]
+});
+
+// POST /api/webhooks/pterodactyl - Eventos del panel (instalación, suspensión, borrado...)
+// Se autentica con el secreto compartido de la cabecera X-Webhook-Secret. Todas las
+// peticiones quedan registradas en webhook_logs; de las rechazadas solo el evento, la
+// IP y el motivo, sin el cuerpo, que lo decide cualquiera.
+router.post('/webhooks/pterodactyl', webhookLimiter, async (req, res) => {
+  let logId = null;
+
+  try {
+    try {
+      serverEventService.authenticate(req.headers);
+    } catch (error) {
+      await webhookLogService.record('pterodactyl', {
+        event: typeof req.body?.event === 'string' ? req.body.event.slice(0, 100) : null,
+        ipAddress: req.ip,
+        status: 'rejected',
+        error: error.message
+      });
+      throw error;
+    }
+
+    logId = await webhookLogService.record('pterodactyl', {
+      event: req.body?.event ?? null,
+      pterodactylServerId: Number.isInteger(parseInt(req.body?.server?.id)) ? parseInt(req.body.server.id) : null,
+      payload: req.body,
+      ipAddress: req.ip
+    });
+
+    const result = await serverEventService.handle(serverEventService.parse(req.body));
+
+    await webhookLogService.finish(logId, result.status, result.reason || null);
+
+    res.json({
+      success: true,
+      received: true,
+      status: result.status
+    });
+  } catch (error) {
+    if (logId) {
+      await webhookLogService.finish(logId, 'failed', error.message);
+    }
+
+    logger.error('Error al procesar webhook de Pterodactyl', { error: error.message });
+    sendError(res, error, 'Error al procesar webhook de Pterodactyl');
+  }
+});
+
+// POST /api/webhooks/payment - Eventos del proveedor de pagos
+// Sin autenticación de usuario: la petición se valida con la firma HMAC del cuerpo
+// original (req.rawBody). Los eventos repetidos responden 200 sin volver a aplicarse.
+router.post('/webhooks/payment', webhookLimiter, async (req, res) => {
+  try {
+    const result = await coinPurchaseService.handleWebhook(req.rawBody, req.headers);
+
+    res.json({
+      success: true,
+      received: true,
+      duplicate: result.duplicate,
+      status: result.status
+    });
+  } catch (error) {
+    logger.error('Error al procesar webhook de pago', { error: error.message });
+    sendError(res, error, 'Error al procesar webhook de pago');
+  }
+});
+
+// GET /api/webhooks/logs - Webhooks de Pterodactyl recibidos, del más reciente al más antiguo
+router.get('/webhooks/logs', authenticateToken, requirePermission('webhooks.read'), [
+  query('source').optional().isString().trim(),
+  query('event').optional().isString().trim(),
+  query('status').optional().isIn(['received', 'processed', 'ignored', 'failed', 'rejected']),
+  query('serverId').optional().isInt({ min: 1 }).toInt(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { source, event, status, serverId, page, limit } = req.query;
+
+    const result = await webhookLogService.list({
+      source,
+      event,
+      status,
+      pterodactylServerId: serverId,
+      page: page || 1,
+      limit: limit || 50
+    });
+
+    res.json({
+      success: true,
+      data: result.logs,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error al obtener logs de webhooks', { error: error.message });
+    sendError(res, error, 'Error al obtener logs de webhooks');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const pterodactylService = require('./pterodactyl');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/users.log' })
+  ]
+});
+
+// Vínculo entre usuarios locales (UUID) y usuarios de Pterodactyl (ID entero).
+// Las rutas nunca deben pasar un UUID a Pterodactyl: siempre resuelven el ID
+// vinculado con este servicio.
+class AccountLinkService {
+  // ID de Pterodactyl vinculado a un usuario local, o null si no está vinculado
+  async getPterodactylUserId(userId) {
+    const { rows } = await databaseService.query(
+      'SELECT pterodactyl_user_id FROM users WHERE id = $1',
+      [userId]
+    );
+
+    return rows[0]?.pterodactyl_user_id ?? null;
+  }
+
+  // Usuario local vinculado a un ID de Pterodactyl, o null si no hay ninguno
+  async getLocalUserId(pterodactylUserId) {
+    const { rows } = await databaseService.query(
+      'SELECT id FROM users WHERE pterodactyl_user_id = $1',
+      [parseInt(pterodactylUserId)]
+    );
+
+    return rows[0]?.id ?? null;
+  }
+
+  async link(userId, pterodactylUserId) {
+    const user = await databaseService.getUserById(userId);
+
+    if (!user) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    let pteroUser;
+
+    try {
+      pteroUser = await pterodactylService.getUser(pterodactylUserId);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw new AppError(`Usuario ${pterodactylUserId} no encontrado en Pterodactyl`, 404, 'PTERODACTYL_USER_NOT_FOUND');
+      }
+      throw error;
+    }
+
+    const linkedTo = await this.getLocalUserId(pterodactylUserId);
+
+    if (linkedTo && linkedTo !== userId) {
+      throw new AppError('El usuario de Pterodactyl ya está vinculado a otra cuenta', 409, 'ALREADY_LINKED', {
+        userId: linkedTo
+      });
+    }
+
+    await databaseService.query(
+      'UPDATE users SET pterodactyl_user_id = $1 WHERE id = $2',
+      [pterodactylUserId, userId]
+    );
+
+    logger.info('Cuenta vinculada con Pterodactyl', { userId, pterodactylUserId });
+
+    return {
+      userId,
+      pterodactylUserId,
+      pterodactylUsername: pteroUser.username,
+      pterodactylEmail: pteroUser.email
+    };
+  }
+
+  async unlink(userId) {
+    const { rows } = await databaseService.query(
+      'SELECT pterodactyl_user_id FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (rows.length === 0) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    if (rows[0].pterodactyl_user_id === null) {
+      throw new AppError('El usuario no está vinculado con Pterodactyl', 409, 'NOT_LINKED');
+    }
+
+    await databaseService.query('UPDATE users SET pterodactyl_user_id = NULL WHERE id = $1', [userId]);
+
+    logger.info('Cuenta desvinculada de Pterodactyl', { userId, pterodactylUserId: rows[0].pterodactyl_user_id });
+  }
+
+  // Vincula por email (sin distinguir mayúsculas) las cuentas locales sin vincular.
+  // Con dryRun solo devuelve lo que se vincularía.
+  async autoMatchByEmail({ dryRun = false } = {}) {
+    const pteroUsers = await pterodactylService.listAllUsers();
+    const pteroByEmail = new Map(pteroUsers.map(pteroUser => [String(pteroUser.email).toLowerCase(), pteroUser]));
+
+    const { rows: linked } = await databaseService.query(
+      'SELECT pterodactyl_user_id FROM users WHERE pterodactyl_user_id IS NOT NULL'
+    );
+    const takenIds = new Set(linked.map(row => row.pterodactyl_user_id));
+
+    const { rows: unlinked } = await databaseService.query(
+      'SELECT id, email FROM users WHERE pterodactyl_user_id IS NULL ORDER BY created_at'
+    );
+
+    const result = { linked: [], unmatched: [], conflicts: [] };
+
+    for (const user of unlinked) {
+      const pteroUser = pteroByEmail.get(String(user.email).toLowerCase());
+
+      if (!pteroUser) {
+        result.unmatched.push({ userId: user.id, email: user.email });
+        continue;
+      }
+
+      if (takenIds.has(pteroUser.id)) {
+        result.conflicts.push({ userId: user.id, email: user.email, pterodactylUserId: pteroUser.id });
+        continue;
+      }
+
+      if (!dryRun) {
+        await databaseService.query(
+          'UPDATE users SET pterodactyl_user_id = $1 WHERE id = $2',
+          [pteroUser.id, user.id]
+        );
+      }
+
+      takenIds.add(pteroUser.id);
+      result.linked.push({ userId: user.id, email: user.email, pterodactylUserId: pteroUser.id });
+    }
+
+    logger.info('Vinculación automática por email', {
+      dryRun,
+      linked: result.linked.length,
+      unmatched: result.unmatched.length,
+      conflicts: result.conflicts.length
+    });
+
+    return result;
+  }
+}
+
+module.exports = new AccountLinkService();
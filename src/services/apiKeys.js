@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const databaseService = require('./database');
+const permissionService = require('./permissions');
+const { normalizePermissions } = require('../config/permissions');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth.log' })
+  ]
+});
+
+const KEY_PREFIX = 'ptk_';
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEYS_MAX_PER_USER || '10');
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const publicKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.key_prefix,
+  permissions: normalizePermissions(row.permissions),
+  lastUsedAt: row.last_used_at,
+  expiresAt: row.expires_at,
+  isActive: row.is_active,
+  createdAt: row.created_at
+});
+
+class ApiKeyService {
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  async create(user, { name, permissions = [], expiresAt = null }) {
+    const userId = user.id;
+
+    permissionService.validatePermissions(permissions);
+
+    // Una clave nunca puede tener más permisos que el rol de su dueño
+    const missing = await permissionService.findMissing({ role: user.role }, permissions);
+
+    if (missing) {
+      throw new AppError('No puedes asignar un permiso que tu rol no tiene', 403, 'INSUFFICIENT_PERMISSIONS', {
+        missingPermission: missing.permission
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new AppError('La fecha de expiración debe ser futura', 400, 'INVALID_EXPIRATION');
+    }
+
+    const { rows: active } = await databaseService.query(
+      'SELECT COUNT(*)::int AS total FROM api_keys WHERE user_id = $1 AND is_active = true',
+      [userId]
+    );
+
+    if (active[0].total >= MAX_KEYS_PER_USER) {
+      throw new AppError(`Máximo de ${MAX_KEYS_PER_USER} API keys activas alcanzado`, 409, 'API_KEY_LIMIT');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+    const { rows } = await databaseService.query(
+      `INSERT INTO api_keys (user_id, key_hash, key_prefix, name, permissions, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, key_prefix, permissions, last_used_at, expires_at, is_active, created_at`,
+      [userId, hashKey(key), key.slice(0, 12), name, JSON.stringify(permissions), expiresAt]
+    );
+
+    logger.info('API key creada', { userId, apiKeyId: rows[0].id, permissions });
+
+    // La clave en claro solo se devuelve aquí; en la base solo queda su hash
+    return { ...publicKey(rows[0]), key };
+  }
+
+  async list(userId) {
+    const { rows } = await databaseService.query(
+      `SELECT id, name, key_prefix, permissions, last_used_at, expires_at, is_active, created_at
+       FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    return rows.map(publicKey);
+  }
+
+  async revoke(userId, keyId) {
+    const { rowCount } = await databaseService.query(
+      'UPDATE api_keys SET is_active = false WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [keyId, userId]
+    );
+
+    if (rowCount === 0) {
+      throw new AppError('API key no encontrada', 404, 'API_KEY_NOT_FOUND');
+    }
+
+    logger.info('API key revocada', { userId, apiKeyId: keyId });
+  }
+
+  // Devuelve la identidad asociada a la clave, o null si no es válida
+  async authenticate(key) {
+    const { rows } = await databaseService.query(
+      `SELECT k.id AS key_id, k.permissions, k.expires_at,
+              u.id, u.username, u.email, u.role, u.is_active
+       FROM api_keys k
+       JOIN users u ON u.id = k.user_id
+       WHERE k.key_hash = $1 AND k.is_active = true`,
+      [hashKey(key)]
+    );
+    const row = rows[0];
+
+    if (!row || !row.is_active) {
+      return null;
+    }
+
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+
+    // No bloquea la petición por actualizar la fecha de último uso
+    databaseService.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [row.key_id])
+      .catch(error => logger.warn('No se pudo actualizar last_used_at', { apiKeyId: row.key_id, error: error.message }));
+
+    return {
+      id: row.id,
+      username: row.username,
+      email: row.email,
+      role: row.role,
+      authMethod: 'api_key',
+      apiKeyId: row.key_id,
+      scopes: normalizePermissions(row.permissions)
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
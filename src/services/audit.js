@@ -0,0 +1,150 @@
+const databaseService = require('./database');
+
+// Tope de filas de una exportación CSV (el listado va paginado)
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS || '10000');
+
+const CSV_COLUMNS = [
+  'createdAt', 'userId', 'username', 'action', 'resourceType', 'resourceId', 'outcome',
+  'statusCode', 'reason', 'method', 'path', 'ipAddress', 'userAgent', 'details'
+];
+
+const parseDetails = (details) => (typeof details === 'string' ? JSON.parse(details) : details || {});
+
+const publicLog = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  username: row.username || null,
+  action: row.action,
+  resourceType: row.resource_type,
+  resourceId: row.resource_id,
+  outcome: row.outcome,
+  statusCode: row.status_code,
+  reason: row.reason,
+  method: row.method,
+  path: row.path,
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent,
+  details: parseDetails(row.details),
+  createdAt: row.created_at
+});
+
+// Comillas según RFC 4180. Los valores que empiezan por =, +, -, @, tabulador o retorno
+// de carro se prefijan con ' para que una hoja de cálculo no los interprete como fórmulas.
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Registro de auditoría de las peticiones que modifican datos (ver middleware/audit.js)
+class AuditService {
+  async record({
+    userId = null, action, resourceType, resourceId = null, outcome, statusCode = null, reason = null,
+    method = null, path = null, ipAddress = null, userAgent = null, details = {}
+  }) {
+    await databaseService.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, outcome, status_code, reason,
+                               method, path, ip_address, user_agent, details, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())`,
+      [
+        userId, action.slice(0, 100), resourceType.slice(0, 50), resourceId !== null ? String(resourceId).slice(0, 100) : null,
+        outcome, statusCode, reason, method, path ? path.slice(0, 255) : null, ipAddress, userAgent, JSON.stringify(details)
+      ]
+    );
+  }
+
+  buildFilters({ userId = null, action = null, resourceType = null, resourceId = null, outcome = null, from = null, to = null, search = null }) {
+    const filters = {
+      'a.user_id': userId,
+      'a.action': action,
+      'a.resource_type': resourceType,
+      'a.resource_id': resourceId,
+      'a.outcome': outcome
+    };
+    const conditions = [];
+    const values = [];
+
+    for (const [column, value] of Object.entries(filters)) {
+      if (value !== null && value !== undefined) {
+        values.push(value);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+
+    if (from) {
+      values.push(from);
+      conditions.push(`a.created_at >= $${values.length}`);
+    }
+
+    if (to) {
+      values.push(to);
+      conditions.push(`a.created_at <= $${values.length}`);
+    }
+
+    // Texto libre sobre el motivo y la ruta de la petición
+    if (search) {
+      values.push(`%${search}%`);
+      conditions.push(`(a.reason ILIKE $${values.length} OR a.path ILIKE $${values.length})`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
+  async search(filters = {}, { page = 1, limit = 50 } = {}) {
+    const { where, values } = this.buildFilters(filters);
+
+    const { rows: countRows } = await databaseService.query(
+      `SELECT COUNT(*)::int AS total FROM audit_logs a ${where}`,
+      values
+    );
+
+    const { rows } = await databaseService.query(
+      `SELECT a.*, u.username FROM audit_logs a
+       LEFT JOIN users u ON u.id = a.user_id
+       ${where}
+       ORDER BY a.created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    return {
+      logs: rows.map(publicLog),
+      pagination: { page, limit, total: countRows[0].total }
+    };
+  }
+
+  // CSV con los mismos filtros que search, del más reciente al más antiguo
+  async exportCsv(filters = {}) {
+    const { where, values } = this.buildFilters(filters);
+
+    const { rows } = await databaseService.query(
+      `SELECT a.*, u.username FROM audit_logs a
+       LEFT JOIN users u ON u.id = a.user_id
+       ${where}
+       ORDER BY a.created_at DESC
+       LIMIT $${values.length + 1}`,
+      [...values, EXPORT_MAX_ROWS]
+    );
+
+    const lines = rows.map(publicLog).map(log => CSV_COLUMNS.map(column => csvValue(log[column])).join(','));
+
+    return {
+      csv: [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n',
+      rows: rows.length,
+      truncated: rows.length === EXPORT_MAX_ROWS
+    };
+  }
+}
+
+module.exports = new AuditService();
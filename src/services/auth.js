@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const databaseService = require('./database');
+const notificationService = require('./notifications');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth.log' })
+  ]
+});
+
+// Solo consola, sin fichero: en desarrollo sin SMTP muestra el enlace de recuperación
+const devConsole = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS || '5');
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const resetMessage = (token) => {
+  const expires = `Caduca en ${RESET_TOKEN_MINUTES} minutos. Si no lo pediste, ignora este mensaje.`;
+
+  if (!process.env.PASSWORD_RESET_URL) {
+    return `Usa este código para restablecer tu contraseña: ${token}\n\n${expires}`;
+  }
+
+  const link = new URL(process.env.PASSWORD_RESET_URL);
+  link.searchParams.set('token', token);
+
+  return `Abre este enlace para restablecer tu contraseña: ${link}\n\n${expires}`;
+};
+
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.email_verified,
+  createdAt: user.created_at
+});
+
+class AuthService {
+  get bcryptRounds() {
+    return parseInt(process.env.BCRYPT_ROUNDS || '12');
+  }
+
+  async hashPassword(password) {
+    return bcrypt.hash(password, this.bcryptRounds);
+  }
+
+  // Hash con el mismo coste que los reales, para comparar cuando el usuario no existe
+  dummyHash() {
+    if (!this.dummyHashPromise) {
+      this.dummyHashPromise = this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+
+    return this.dummyHashPromise;
+  }
+
+  signAccessToken(user) {
+    return jwt.sign(
+      { id: user.id, email: user.email, username: user.username, role: user.role },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+  }
+
+  // Emite un refresh token nuevo dentro de una familia (una por sesión)
+  async issueRefreshToken(client, user, familyId, context = {}) {
+    const id = crypto.randomUUID();
+    const token = jwt.sign(
+      { id: user.id, jti: id, family: familyId },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
+    );
+    const { exp } = jwt.decode(token);
+
+    await client.query(
+      `INSERT INTO refresh_tokens (id, user_id, token_hash, family_id, expires_at, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [id, user.id, hashToken(token), familyId, new Date(exp * 1000), context.ip || null, context.userAgent || null]
+    );
+
+    return { id, token };
+  }
+
+  async createSession(user, context = {}) {
+    const refresh = await this.issueRefreshToken(databaseService, user, crypto.randomUUID(), context);
+
+    return {
+      user: publicUser(user),
+      accessToken: this.signAccessToken(user),
+      refreshToken: refresh.token,
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+    };
+  }
+
+  async register({ username, email, password }, context = {}) {
+    const { rows: existing } = await databaseService.query(
+      'SELECT id FROM users WHERE LOWER(email) = LOWER($1) OR LOWER(username) = LOWER($2)',
+      [email, username]
+    );
+
+    if (existing.length > 0) {
+      throw new AppError('El usuario o email ya está registrado', 409, 'USER_EXISTS');
+    }
+
+    const passwordHash = await this.hashPassword(password);
+    const { rows } = await databaseService.query(
+      `INSERT INTO users (username, email, password_hash, role)
+       VALUES ($1, $2, $3, 'user')
+       RETURNING id, username, email, role, email_verified, created_at`,
+      [username, email, passwordHash]
+    );
+
+    logger.info('Usuario registrado', { userId: rows[0].id, email });
+
+    return this.createSession(rows[0], context);
+  }
+
+  async login({ login, password }, context = {}) {
+    const { rows } = await databaseService.query(
+      `SELECT id, username, email, role, password_hash, is_active, email_verified, created_at,
+              failed_login_attempts, locked_until
+       FROM users WHERE LOWER(email) = LOWER($1) OR LOWER(username) = LOWER($1)`,
+      [login]
+    );
+    const user = rows[0];
+
+    // Sin usuario se compara contra un hash de relleno: el tiempo de respuesta no
+    // revela qué cuentas existen
+    const valid = await bcrypt.compare(password, user ? user.password_hash : await this.dummyHash());
+
+    if (!user) {
+      logger.warn('Login con usuario inexistente', { login, ip: context.ip });
+      throw new AppError('Credenciales inválidas', 401, 'INVALID_CREDENTIALS');
+    }
+
+    const locked = user.locked_until && new Date(user.locked_until) > new Date();
+
+    // Hasta verificar la contraseña la respuesta es siempre el mismo 401: ni el bloqueo
+    // ni la desactivación confirman que la cuenta existe
+    if (!valid) {
+      if (locked) {
+        logger.warn('Login sobre cuenta bloqueada', { userId: user.id, ip: context.ip });
+        throw new AppError('Credenciales inválidas', 401, 'INVALID_CREDENTIALS');
+      }
+
+      const attempts = (user.failed_login_attempts || 0) + 1;
+      const lock = attempts >= MAX_LOGIN_ATTEMPTS;
+
+      await databaseService.query(
+        'UPDATE users SET failed_login_attempts = $1, locked_until = $2 WHERE id = $3',
+        [lock ? 0 : attempts, lock ? new Date(Date.now() + LOCKOUT_MINUTES * 60000) : null, user.id]
+      );
+
+      logger.warn('Contraseña incorrecta', { userId: user.id, attempts, locked: lock, ip: context.ip });
+
+      throw new AppError('Credenciales inválidas', 401, 'INVALID_CREDENTIALS');
+    }
+
+    if (locked) {
+      logger.warn('Login sobre cuenta bloqueada', { userId: user.id, ip: context.ip });
+      throw new AppError('Cuenta bloqueada temporalmente por intentos fallidos', 423, 'ACCOUNT_LOCKED', {
+        lockedUntil: new Date(user.locked_until).toISOString()
+      });
+    }
+
+    if (!user.is_active) {
+      throw new AppError('Cuenta desactivada', 403, 'ACCOUNT_DISABLED');
+    }
+
+    await databaseService.query(
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL, last_login = NOW() WHERE id = $1',
+      [user.id]
+    );
+
+    logger.info('Login exitoso', { userId: user.id, ip: context.ip });
+
+    return this.createSession(user, context);
+  }
+
+  async refresh(refreshToken, context = {}) {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    const session = await databaseService.transaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT id, user_id, family_id, revoked_at, expires_at FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+        [hashToken(refreshToken)]
+      );
+      const stored = rows[0];
+
+      if (!stored) {
+        throw new AppError('Refresh token inválido o expirado', 401, 'INVALID_REFRESH_TOKEN');
+      }
+
+      // Reutilizar un token ya rotado indica robo: se revoca toda la sesión.
+      // No se lanza aquí para que la revocación no se deshaga con el ROLLBACK.
+      if (stored.revoked_at) {
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+          [stored.family_id]
+        );
+
+        return { reused: stored };
+      }
+
+      const { rows: users } = await client.query(
+        'SELECT id, username, email, role, is_active, email_verified, created_at FROM users WHERE id = $1',
+        [decoded.id]
+      );
+      const user = users[0];
+
+      if (!user || !user.is_active) {
+        throw new AppError('Cuenta desactivada', 403, 'ACCOUNT_DISABLED');
+      }
+
+      const next = await this.issueRefreshToken(client, user, stored.family_id, context);
+
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2',
+        [next.id, stored.id]
+      );
+
+      return {
+        user: publicUser(user),
+        accessToken: this.signAccessToken(user),
+        refreshToken: next.token,
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+      };
+    });
+
+    if (session.reused) {
+      logger.warn('Reutilización de refresh token detectada', {
+        userId: session.reused.user_id,
+        familyId: session.reused.family_id,
+        ip: context.ip
+      });
+
+      throw new AppError('Refresh token revocado', 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    return session;
+  }
+
+  async logout(refreshToken) {
+    const { rows } = await databaseService.query(
+      'SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = $1',
+      [hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) {
+      return false;
+    }
+
+    await databaseService.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+      [rows[0].family_id]
+    );
+
+    logger.info('Sesión cerrada', { userId: rows[0].user_id });
+
+    return true;
+  }
+
+  // Devuelve el token en claro (o null si el email no existe) para que el llamador lo entregue
+  async createPasswordResetToken(email) {
+    const { rows } = await databaseService.query(
+      'SELECT id, email, is_active FROM users WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+    const user = rows[0];
+
+    if (!user || !user.is_active) {
+      logger.warn('Recuperación de contraseña para email desconocido', { email });
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await databaseService.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await databaseService.query(
+      'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+      [user.id, hashToken(token), new Date(Date.now() + RESET_TOKEN_MINUTES * 60000)]
+    );
+
+    logger.info('Token de recuperación generado', { userId: user.id });
+
+    return { userId: user.id, email: user.email, token };
+  }
+
+  // Genera el token y lo envía por email, con el enlace de PASSWORD_RESET_URL si está
+  // configurado. El token nunca vuelve en la respuesta HTTP: sin SMTP, en desarrollo se
+  // escribe en la consola del servidor y en cualquier otro entorno se rechaza la petición.
+  async requestPasswordReset(email) {
+    const emailChannel = notificationService.channels.email;
+    const development = process.env.NODE_ENV === 'development';
+
+    if (!emailChannel.configured && !development) {
+      throw new AppError('La recuperación de contraseña por email no está disponible', 503, 'PASSWORD_RESET_UNAVAILABLE');
+    }
+
+    const reset = await this.createPasswordResetToken(email);
+
+    if (!reset) {
+      return { delivered: emailChannel.configured };
+    }
+
+    if (!emailChannel.configured) {
+      devConsole.info('Recuperación de contraseña (SMTP no configurado)', {
+        email: reset.email,
+        message: resetMessage(reset.token)
+      });
+      return { delivered: false };
+    }
+
+    // Sin esperar al envío: la respuesta no debe tardar más cuando la cuenta existe
+    emailChannel.send({
+      target: reset.email,
+      notification: {
+        title: 'Restablecer contraseña',
+        message: resetMessage(reset.token)
+      }
+    }).catch(error => {
+      logger.error('No se pudo enviar el email de recuperación', { userId: reset.userId, error: error.message });
+    });
+
+    return { delivered: true };
+  }
+
+  async resetPassword(token, password) {
+    const { rows } = await databaseService.query(
+      'SELECT id, user_id FROM password_reset_tokens WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()',
+      [hashToken(token)]
+    );
+    const reset = rows[0];
+
+    if (!reset) {
+      throw new AppError('Token de recuperación inválido o expirado', 400, 'INVALID_RESET_TOKEN');
+    }
+
+    const passwordHash = await this.hashPassword(password);
+
+    await databaseService.transaction(async (client) => {
+      await client.query(
+        'UPDATE users SET password_hash = $1, failed_login_attempts = 0, locked_until = NULL WHERE id = $2',
+        [passwordHash, reset.user_id]
+      );
+      await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [reset.id]);
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [reset.user_id]
+      );
+    });
+
+    logger.info('Contraseña restablecida', { userId: reset.user_id });
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const databaseService = require('./database');
+const pterodactylService = require('./pterodactyl');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/backups.log' })
+  ]
+});
+
+// Vigencia del enlace de descarga que entrega la API (la URL de Wings se pide al usarlo)
+const DOWNLOAD_LINK_TTL_SECONDS = parseInt(process.env.BACKUP_DOWNLOAD_TTL_SECONDS || '300');
+
+const publicBackup = (row) => ({
+  id: row.id,
+  uuid: row.pterodactyl_backup_id,
+  name: row.name,
+  status: row.status,
+  size: row.file_size !== null ? Number(row.file_size) : null,
+  checksum: row.checksum,
+  locked: row.is_locked,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  completedAt: row.completed_at,
+  failedAt: row.failed_at
+});
+
+// Estado local a partir del backup del panel: sin completed_at sigue en curso
+const panelStatus = (backup) => {
+  if (!backup.completed_at) {
+    return 'creating';
+  }
+
+  return backup.is_successful ? 'completed' : 'failed';
+};
+
+const signPayload = (payload) => {
+  const secret = process.env.BACKUP_LINK_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+};
+
+// Backups de servidores a través de la API de cliente de Pterodactyl. server_backups
+// refleja los backups del panel: se actualiza al listar y tras cada operación.
+class BackupService {
+  // Solo los servidores registrados localmente tienen fila en server_backups
+  async getServer(pterodactylId) {
+    const { rows } = await databaseService.query(
+      'SELECT id, pterodactyl_id, user_id, name, feature_limits FROM servers WHERE pterodactyl_id = $1',
+      [parseInt(pterodactylId)]
+    );
+
+    if (!rows[0]) {
+      throw new AppError('Servidor no encontrado', 404, 'SERVER_NOT_FOUND');
+    }
+
+    return rows[0];
+  }
+
+  backupLimit(server) {
+    const featureLimits = typeof server.feature_limits === 'string'
+      ? JSON.parse(server.feature_limits)
+      : server.feature_limits || {};
+
+    return parseInt(featureLimits.backups) || 0;
+  }
+
+  async list(pterodactylId) {
+    const server = await this.getServer(pterodactylId);
+    const rows = await this.refresh(server);
+
+    return {
+      backups: rows.map(publicBackup),
+      limit: this.backupLimit(server),
+      used: rows.filter(row => row.status !== 'failed').length
+    };
+  }
+
+  // Alinea server_backups con los backups que tiene el panel y devuelve las filas
+  async refresh(server) {
+    const panelBackups = await pterodactylService.listBackups(server.pterodactyl_id);
+    const { rows: localRows } = await databaseService.query(
+      'SELECT * FROM server_backups WHERE server_id = $1',
+      [server.id]
+    );
+
+    const local = new Map(localRows.map(row => [row.pterodactyl_backup_id, row]));
+    const panelUuids = new Set(panelBackups.map(backup => backup.uuid));
+
+    await databaseService.transaction(async (client) => {
+      for (const backup of panelBackups) {
+        const status = panelStatus(backup);
+        const row = local.get(backup.uuid);
+
+        if (!row) {
+          // Backup creado desde el panel o por una tarea programada
+          await client.query(
+            `INSERT INTO server_backups (server_id, pterodactyl_backup_id, name, file_size, checksum, is_locked, status,
+                                         created_at, completed_at, failed_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            [
+              server.id, backup.uuid, backup.name.slice(0, 100), backup.bytes || null, backup.checksum, backup.is_locked, status,
+              backup.created_at, status === 'completed' ? backup.completed_at : null, status === 'failed' ? backup.completed_at : null
+            ]
+          );
+          continue;
+        }
+
+        if (row.status !== status || row.is_locked !== backup.is_locked) {
+          await client.query(
+            `UPDATE server_backups SET status = $1, is_locked = $2, file_size = $3, checksum = $4,
+                    completed_at = $5, failed_at = $6
+             WHERE id = $7`,
+            [
+              status, backup.is_locked, backup.bytes || null, backup.checksum,
+              status === 'completed' ? backup.completed_at : null, status === 'failed' ? backup.completed_at : null,
+              row.id
+            ]
+          );
+        }
+      }
+
+      // Backups borrados desde el panel o rotados por Pterodactyl
+      for (const row of localRows) {
+        if (!panelUuids.has(row.pterodactyl_backup_id)) {
+          await client.query('DELETE FROM server_backups WHERE id = $1', [row.id]);
+        }
+      }
+    });
+
+    const { rows } = await databaseService.query(
+      'SELECT * FROM server_backups WHERE server_id = $1 ORDER BY created_at DESC',
+      [server.id]
+    );
+
+    return rows;
+  }
+
+  async get(pterodactylId, backupId) {
+    const server = await this.getServer(pterodactylId);
+    const { rows } = await databaseService.query(
+      'SELECT * FROM server_backups WHERE id = $1 AND server_id = $2',
+      [backupId, server.id]
+    );
+
+    if (!rows[0]) {
+      throw new AppError('Backup no encontrado', 404, 'BACKUP_NOT_FOUND');
+    }
+
+    return { server, backup: rows[0] };
+  }
+
+  async create(pterodactylId, { name, locked = false }, user) {
+    const server = await this.getServer(pterodactylId);
+    const limit = this.backupLimit(server);
+    await this.refresh(server);
+
+    const backupName = name || `Backup ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
+
+    // La fila del servidor queda bloqueada hasta insertar el backup: dos peticiones
+    // simultáneas no pueden ver las dos el mismo hueco libre
+    const created = await databaseService.transaction(async (client) => {
+      await client.query('SELECT id FROM servers WHERE id = $1 FOR UPDATE', [server.id]);
+
+      const { rows: counted } = await client.query(
+        "SELECT COUNT(*)::int AS used FROM server_backups WHERE server_id = $1 AND status <> 'failed'",
+        [server.id]
+      );
+      const used = counted[0].used;
+
+      if (used >= limit) {
+        throw new AppError(
+          limit === 0 ? 'El plan del servidor no incluye backups' : `Límite de backups alcanzado (${limit})`,
+          409,
+          'BACKUP_LIMIT_REACHED',
+          { limit, used }
+        );
+      }
+
+      const backup = await pterodactylService.createBackup(server.pterodactyl_id, { name: backupName, isLocked: locked });
+
+      const { rows } = await client.query(
+        `INSERT INTO server_backups (server_id, pterodactyl_backup_id, name, is_locked, status, created_by, created_at)
+         VALUES ($1, $2, $3, $4, 'creating', $5, NOW())
+         RETURNING *`,
+        [server.id, backup.uuid, backupName.slice(0, 100), backup.is_locked, user.id]
+      );
+
+      return rows[0];
+    });
+
+    logger.info('Backup solicitado', { serverId: server.id, backupId: created.id, userId: user.id });
+
+    return publicBackup(created);
+  }
+
+  async setLocked(pterodactylId, backupId, locked) {
+    const { backup } = await this.get(pterodactylId, backupId);
+
+    if (backup.is_locked === locked) {
+      return publicBackup(backup);
+    }
+
+    const attributes = await pterodactylService.toggleBackupLock(pterodactylId, backup.pterodactyl_backup_id);
+
+    const { rows } = await databaseService.query(
+      'UPDATE server_backups SET is_locked = $1 WHERE id = $2 RETURNING *',
+      [attributes.is_locked, backup.id]
+    );
+
+    logger.info(locked ? 'Backup bloqueado' : 'Backup desbloqueado', { backupId: backup.id });
+
+    return publicBackup(rows[0]);
+  }
+
+  async restore(pterodactylId, backupId, { truncate = false } = {}, user) {
+    const { server, backup } = await this.get(pterodactylId, backupId);
+
+    if (backup.status !== 'completed') {
+      throw new AppError('Solo se pueden restaurar backups completados', 409, 'BACKUP_NOT_READY', { status: backup.status });
+    }
+
+    // La petición queda en audit_logs como backup.restore (ver routes/backups.js)
+    await pterodactylService.restoreBackup(server.pterodactyl_id, backup.pterodactyl_backup_id, { truncate });
+
+    logger.warn('Backup en restauración', { serverId: server.id, backupId: backup.id, truncate, userId: user.id });
+
+    return publicBackup(backup);
+  }
+
+  async remove(pterodactylId, backupId) {
+    const { server, backup } = await this.get(pterodactylId, backupId);
+
+    if (backup.is_locked) {
+      throw new AppError('El backup está bloqueado; desbloquéalo antes de eliminarlo', 409, 'BACKUP_LOCKED');
+    }
+
+    try {
+      await pterodactylService.deleteBackup(server.pterodactyl_id, backup.pterodactyl_backup_id);
+    } catch (error) {
+      // Ya no estaba en el panel: basta con quitarlo de la tabla
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+    }
+
+    await databaseService.query('DELETE FROM server_backups WHERE id = $1', [backup.id]);
+
+    logger.info('Backup eliminado', { serverId: server.id, backupId: backup.id });
+  }
+
+  // Enlace de descarga firmado y de corta duración hacia GET /api/backups/download/:token.
+  // Permite descargar desde el navegador sin cabecera Authorization.
+  async createDownloadLink(pterodactylId, backupId, user) {
+    const { backup } = await this.get(pterodactylId, backupId);
+
+    if (backup.status !== 'completed') {
+      throw new AppError('El backup todavía no está disponible', 409, 'BACKUP_NOT_READY', { status: backup.status });
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + DOWNLOAD_LINK_TTL_SECONDS;
+    const payload = Buffer.from(JSON.stringify({
+      purpose: 'backup_download',
+      backupId: backup.id,
+      userId: user.id,
+      exp: expiresAt
+    })).toString('base64url');
+
+    return {
+      token: `${payload}.${signPayload(payload)}`,
+      expiresAt: new Date(expiresAt * 1000)
+    };
+  }
+
+  // Valida el enlace y devuelve la URL de descarga de Wings
+  async resolveDownloadLink(token) {
+    const [payload, signature] = String(token).split('.');
+    // timingSafeEqual compara bytes: la longitud se mira sobre los buffers, no sobre los
+    // caracteres, o una firma con caracteres multibyte lanzaría en vez de responder 401
+    const received = Buffer.from(signature || '');
+    const expected = Buffer.from(payload ? signPayload(payload) : '');
+
+    if (!signature || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new AppError('Enlace de descarga inválido', 401, 'INVALID_DOWNLOAD_LINK');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    if (claims.purpose !== 'backup_download' || claims.exp < Date.now() / 1000) {
+      throw new AppError('El enlace de descarga ha caducado', 401, 'DOWNLOAD_LINK_EXPIRED');
+    }
+
+    const { rows } = await databaseService.query(
+      `SELECT b.id, b.pterodactyl_backup_id, s.pterodactyl_id
+       FROM server_backups b JOIN servers s ON s.id = b.server_id
+       WHERE b.id = $1`,
+      [claims.backupId]
+    );
+
+    if (!rows[0]) {
+      throw new AppError('Backup no encontrado', 404, 'BACKUP_NOT_FOUND');
+    }
+
+    logger.info('Descarga de backup', { backupId: claims.backupId, userId: claims.userId });
+
+    return pterodactylService.getBackupDownloadUrl(rows[0].pterodactyl_id, rows[0].pterodactyl_backup_id);
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,267 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const notificationService = require('./notifications');
+const pterodactylService = require('./pterodactyl');
+const ledgerService = require('./ledger');
+const { SYSTEM_ACCOUNTS } = require('../config/coins');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/billing.log' })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = parseInt(process.env.BILLING_GRACE_DAYS || '3');
+const BATCH_SIZE = parseInt(process.env.BILLING_BATCH_SIZE || '100');
+
+const SERVER_COLUMNS = `s.id, s.pterodactyl_id, s.user_id, s.name, s.billing_period_days, s.renewal_price,
+  s.next_due_at, s.grace_ends_at, s.billing_status`;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Renovación de servidores con TK-Coins. Ciclo de un servidor impagado:
+// active → (cobro fallido) grace → (fin del periodo de gracia) suspended
+// → (el usuario recarga saldo) active
+class BillingService {
+  async runCycle(now = new Date()) {
+    const summary = { renewed: 0, grace: 0, suspended: 0, reactivated: 0, pending: 0, failed: 0 };
+
+    const { rows: due } = await databaseService.query(
+      `SELECT ${SERVER_COLUMNS} FROM servers s
+       WHERE s.billing_period_days IS NOT NULL
+         AND s.billing_status IN ('active', 'grace')
+         AND s.next_due_at <= $1
+       ORDER BY s.next_due_at
+       LIMIT $2`,
+      [now, BATCH_SIZE]
+    );
+
+    for (const server of due) {
+      const result = await this.processDue(server, now)
+        .catch(error => {
+          logger.error(`Error al facturar el servidor ${server.id}`, { error: error.message });
+          return 'failed';
+        });
+      summary[result]++;
+    }
+
+    // Solo se reintentan los suspendidos cuyo dueño ya tiene saldo suficiente
+    const { rows: suspended } = await databaseService.query(
+      `SELECT ${SERVER_COLUMNS} FROM servers s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.billing_period_days IS NOT NULL
+         AND s.billing_status = 'suspended'
+         AND u.tk_coins >= s.renewal_price
+       ORDER BY s.next_due_at
+       LIMIT $1`,
+      [BATCH_SIZE]
+    );
+
+    for (const server of suspended) {
+      const result = await this.reactivate(server, now)
+        .catch(error => {
+          logger.error(`Error al reactivar el servidor ${server.id}`, { error: error.message });
+          return 'failed';
+        });
+      summary[result]++;
+    }
+
+    logger.info('Ciclo de facturación completado', summary);
+
+    return summary;
+  }
+
+  // Cobra la renovación; devuelve false si el saldo no alcanza
+  async charge(client, server, metadata = {}) {
+    if (server.renewal_price === 0) {
+      return true;
+    }
+
+    try {
+      await ledgerService.postUser(server.user_id, -server.renewal_price, {
+        operation: 'renewal',
+        counterparty: SYSTEM_ACCOUNTS.revenue,
+        metadata: {
+          serverId: server.id,
+          pterodactylId: server.pterodactyl_id,
+          periodDays: server.billing_period_days,
+          ...metadata
+        }
+      }, client);
+
+      return true;
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async processDue(server, now) {
+    const renewed = await databaseService.transaction(async (client) => {
+      if (!(await this.charge(client, server))) {
+        return false;
+      }
+
+      const nextDueAt = addDays(server.next_due_at, server.billing_period_days);
+
+      await client.query(
+        `UPDATE servers SET billing_status = 'active', next_due_at = $1, grace_ends_at = NULL, updated_at = NOW()
+         WHERE id = $2`,
+        [nextDueAt, server.id]
+      );
+
+      await notificationService.notify(server.user_id, 'billing.renewed', {
+        title: 'Servidor renovado',
+        message: `Se cobraron ${server.renewal_price} TK-Coins por renovar ${server.name}. Próxima renovación: ${formatDate(nextDueAt)}`
+      }, client);
+
+      // Aviso con tiempo si lo que queda no alcanza para la siguiente renovación
+      const { rows } = await client.query('SELECT tk_coins FROM users WHERE id = $1', [server.user_id]);
+
+      if (Number(rows[0].tk_coins) < server.renewal_price) {
+        await notificationService.notify(server.user_id, 'coins.low_balance', {
+          title: 'Saldo bajo',
+          message: `Te quedan ${rows[0].tk_coins} TK-Coins y la próxima renovación de ${server.name} (${formatDate(nextDueAt)}) cuesta ${server.renewal_price}`
+        }, client);
+      }
+
+      return true;
+    });
+
+    if (renewed) {
+      logger.info('Servidor renovado', { serverId: server.id, userId: server.user_id, amount: server.renewal_price });
+      return 'renewed';
+    }
+
+    if (server.billing_status === 'active') {
+      return this.startGrace(server, now);
+    }
+
+    if (new Date(server.grace_ends_at) <= now) {
+      return this.suspend(server);
+    }
+
+    return 'pending';
+  }
+
+  async startGrace(server, now) {
+    const graceEndsAt = addDays(now, GRACE_DAYS);
+
+    await databaseService.transaction(async (client) => {
+      await client.query(
+        "UPDATE servers SET billing_status = 'grace', grace_ends_at = $1, updated_at = NOW() WHERE id = $2",
+        [graceEndsAt, server.id]
+      );
+
+      await databaseService.createTransactionLog(server.user_id, 'renewal_failed', {
+        serverId: server.id,
+        pterodactylId: server.pterodactyl_id,
+        required: server.renewal_price,
+        graceEndsAt
+      }, client);
+
+      await notificationService.notify(server.user_id, 'billing.renewal_pending', {
+        title: 'Renovación pendiente',
+        message: `No tienes TK-Coins suficientes para renovar ${server.name} (${server.renewal_price} TK-Coins). Recarga antes del ${formatDate(graceEndsAt)} o el servidor será suspendido`
+      }, client);
+    });
+
+    logger.warn('Servidor en periodo de gracia', { serverId: server.id, userId: server.user_id, graceEndsAt });
+
+    return 'grace';
+  }
+
+  async suspend(server) {
+    await pterodactylService.suspendServer(server.pterodactyl_id);
+
+    await databaseService.transaction(async (client) => {
+      await client.query(
+        "UPDATE servers SET billing_status = 'suspended', is_suspended = true, updated_at = NOW() WHERE id = $1",
+        [server.id]
+      );
+
+      await databaseService.createTransactionLog(server.user_id, 'billing_suspension', {
+        serverId: server.id,
+        pterodactylId: server.pterodactyl_id,
+        required: server.renewal_price
+      }, client);
+
+      await notificationService.notify(server.user_id, 'billing.suspended', {
+        title: 'Servidor suspendido',
+        message: `${server.name} fue suspendido por falta de pago. Se reactivará automáticamente al recargar ${server.renewal_price} TK-Coins`
+      }, client);
+    });
+
+    logger.warn('Servidor suspendido por falta de pago', { serverId: server.id, userId: server.user_id });
+
+    return 'suspended';
+  }
+
+  async reactivate(server, now) {
+    const nextDueAt = addDays(now, server.billing_period_days);
+
+    const charged = await databaseService.transaction(async (client) => {
+      if (!(await this.charge(client, server, { reactivation: true }))) {
+        return false;
+      }
+
+      await client.query(
+        `UPDATE servers SET billing_status = 'active', is_suspended = false, next_due_at = $1,
+                grace_ends_at = NULL, updated_at = NOW()
+         WHERE id = $2`,
+        [nextDueAt, server.id]
+      );
+
+      return true;
+    });
+
+    if (!charged) {
+      return 'pending';
+    }
+
+    try {
+      await pterodactylService.unsuspendServer(server.pterodactyl_id);
+    } catch (error) {
+      // Sin reactivación no hay cobro: se devuelve y el servidor sigue suspendido
+      await databaseService.transaction(async (client) => {
+        if (server.renewal_price > 0) {
+          await ledgerService.postUser(server.user_id, server.renewal_price, {
+            operation: 'refund',
+            counterparty: SYSTEM_ACCOUNTS.revenue,
+            metadata: { serverId: server.id, reason: error.message }
+          }, client);
+        }
+
+        await client.query(
+          `UPDATE servers SET billing_status = 'suspended', is_suspended = true, next_due_at = $1, updated_at = NOW()
+           WHERE id = $2`,
+          [server.next_due_at, server.id]
+        );
+      });
+
+      throw error;
+    }
+
+    await notificationService.notify(server.user_id, 'billing.reactivated', {
+      title: 'Servidor reactivado',
+      message: `Se cobraron ${server.renewal_price} TK-Coins y ${server.name} fue reactivado. Próxima renovación: ${formatDate(nextDueAt)}`
+    });
+
+    logger.info('Servidor reactivado tras el pago', { serverId: server.id, userId: server.user_id });
+
+    return 'reactivated';
+  }
+}
+
+module.exports = new BillingService();
@@ -0,0 +1,192 @@
+const winston = require('winston');
+const MemoryStore = require('./memory');
+const RedisStore = require('./redis');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/cache.log' })
+  ]
+});
+
+const KEY_PREFIX = 'paneltk:';
+
+const redisConfigured = () => process.env.CACHE_DRIVER !== 'memory' && Boolean(process.env.REDIS_HOST);
+
+// Caché de lecturas con agrupación de peticiones en curso.
+// Usa Redis si REDIS_HOST está configurado y responde (salvo CACHE_DRIVER=memory);
+// si no, una caché en memoria del proceso. Los valores se guardan como JSON.
+// Todos los stores exponen la misma interfaz:
+//   get(key) -> string | null     set(key, value, ttlSeconds)
+//   del(keys)                     delByPrefix(prefix)        ping()       close()
+class CacheService {
+  constructor() {
+    this.store = null;
+    this.storeReady = null;
+    this.inflight = new Map();
+    this.counters = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+  }
+
+  async getStore() {
+    if (!this.storeReady) {
+      this.storeReady = this.createStore().then(store => {
+        this.store = store;
+        return store;
+      });
+    }
+
+    return this.storeReady;
+  }
+
+  async createStore() {
+    if (!redisConfigured()) {
+      return new MemoryStore();
+    }
+
+    const redis = new RedisStore();
+
+    try {
+      await redis.connect(error => logger.warn('Error de Redis', { error: error.message }));
+      logger.info('Caché conectada a Redis');
+      return redis;
+    } catch (error) {
+      logger.warn('Redis no disponible; se usa la caché en memoria', { error: error.message });
+      await redis.close().catch(() => {});
+      return new MemoryStore();
+    }
+  }
+
+  // Devuelve el valor cacheado o lo obtiene con `fetcher`. Las llamadas simultáneas
+  // con la misma clave comparten una sola ejecución de `fetcher`. Los errores no se cachean.
+  async wrap(key, ttlSeconds, fetcher) {
+    const fullKey = KEY_PREFIX + key;
+    const cached = await this.read(fullKey);
+
+    if (cached !== undefined) {
+      this.counters.hits++;
+      return cached;
+    }
+
+    if (this.inflight.has(fullKey)) {
+      this.counters.coalesced++;
+      return this.inflight.get(fullKey);
+    }
+
+    this.counters.misses++;
+
+    const request = Promise.resolve()
+      .then(fetcher)
+      .then(async (value) => {
+        // Si se invalidó la clave mientras tanto, el resultado ya puede estar desfasado
+        if (ttlSeconds > 0 && value !== undefined && this.inflight.get(fullKey) === request) {
+          await this.write(fullKey, value, ttlSeconds);
+        }
+
+        return value;
+      })
+      .finally(() => {
+        if (this.inflight.get(fullKey) === request) {
+          this.inflight.delete(fullKey);
+        }
+      });
+
+    this.inflight.set(fullKey, request);
+
+    return request;
+  }
+
+  async read(fullKey) {
+    try {
+      const store = await this.getStore();
+      const raw = await store.get(fullKey);
+      return raw === null ? undefined : JSON.parse(raw);
+    } catch (error) {
+      this.counters.errors++;
+      logger.warn('Error al leer de la caché', { key: fullKey, error: error.message });
+      return undefined;
+    }
+  }
+
+  async write(fullKey, value, ttlSeconds) {
+    try {
+      const store = await this.getStore();
+      await store.set(fullKey, JSON.stringify(value), ttlSeconds);
+    } catch (error) {
+      this.counters.errors++;
+      logger.warn('Error al escribir en la caché', { key: fullKey, error: error.message });
+    }
+  }
+
+  async del(...keys) {
+    const fullKeys = keys.map(key => KEY_PREFIX + key);
+
+    for (const fullKey of fullKeys) {
+      this.inflight.delete(fullKey);
+    }
+
+    try {
+      const store = await this.getStore();
+      await store.del(fullKeys);
+    } catch (error) {
+      this.counters.errors++;
+      logger.warn('Error al invalidar la caché', { keys, error: error.message });
+    }
+  }
+
+  async delByPrefix(prefix) {
+    const fullPrefix = KEY_PREFIX + prefix;
+
+    for (const fullKey of this.inflight.keys()) {
+      if (fullKey.startsWith(fullPrefix)) {
+        this.inflight.delete(fullKey);
+      }
+    }
+
+    try {
+      const store = await this.getStore();
+      await store.delByPrefix(fullPrefix);
+    } catch (error) {
+      this.counters.errors++;
+      logger.warn('Error al invalidar la caché', { prefix, error: error.message });
+    }
+  }
+
+  get redisConfigured() {
+    return redisConfigured();
+  }
+
+  // Comprueba el store en uso. Si Redis está configurado pero no respondió al arrancar,
+  // falla aunque la caché en memoria siga atendiendo las lecturas.
+  async ping() {
+    const store = await this.getStore();
+
+    if (this.redisConfigured && store.name !== 'redis') {
+      throw new Error('Redis no disponible; se usa la caché en memoria');
+    }
+
+    await store.ping();
+
+    return store.name;
+  }
+
+  stats() {
+    return {
+      store: this.store?.name ?? null,
+      inflight: this.inflight.size,
+      ...this.counters
+    };
+  }
+
+  async close() {
+    if (this.store) {
+      await this.store.close();
+    }
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,55 @@
+// Caché en el propio proceso, para cuando no hay Redis. Al llegar a `maxEntries`
+// descarta las entradas más antiguas.
+class MemoryStore {
+  constructor({ maxEntries = parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES || '5000') } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async del(keys) {
+    for (const key of keys) {
+      this.entries.delete(key);
+    }
+  }
+
+  async delByPrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async ping() {}
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,69 @@
+const { createClient } = require('redis');
+
+// Caché compartida entre instancias en Redis (REDIS_HOST, REDIS_PORT, REDIS_PASSWORD, REDIS_DB).
+// Sin cola offline: si Redis se cae, las operaciones fallan enseguida y CacheService
+// las trata como fallos de caché en lugar de bloquear las peticiones.
+class RedisStore {
+  constructor({
+    host = process.env.REDIS_HOST,
+    port = parseInt(process.env.REDIS_PORT || '6379'),
+    password = process.env.REDIS_PASSWORD || undefined,
+    database = parseInt(process.env.REDIS_DB || '0')
+  } = {}) {
+    this.name = 'redis';
+    this.connected = false;
+    this.client = createClient({
+      socket: {
+        host,
+        port,
+        connectTimeout: 2000,
+        // La primera conexión no se reintenta (se usa la caché en memoria);
+        // una vez conectado, se reconecta indefinidamente
+        reconnectStrategy: (retries) => (
+          this.connected ? Math.min(retries * 200, 5000) : new Error('No se pudo conectar con Redis')
+        )
+      },
+      password,
+      database,
+      disableOfflineQueue: true
+    });
+  }
+
+  async connect(onError) {
+    this.client.on('error', onError);
+    await this.client.connect();
+    this.connected = true;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, value, { EX: ttlSeconds });
+  }
+
+  async del(keys) {
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  async delByPrefix(prefix) {
+    for await (const key of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      await this.client.del(key);
+    }
+  }
+
+  async ping() {
+    await this.client.ping();
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisStore;
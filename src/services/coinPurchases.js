@@ -0,0 +1,362 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const notificationService = require('./notifications');
+const ledgerService = require('./ledger');
+const { createProvider } = require('./payments');
+const { SYSTEM_ACCOUNTS } = require('../config/coins');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/payments.log' })
+  ]
+});
+
+// Estado final de la sesión y operación del ledger para cada devolución de dinero
+const CLAWBACKS = {
+  refunded: { status: 'refunded', operation: 'payment_refund', title: 'Pago reembolsado' },
+  chargeback: { status: 'charged_back', operation: 'chargeback', title: 'Pago disputado' }
+};
+
+const PACKAGE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  coins: 'coins',
+  priceCents: 'price_cents',
+  currency: 'currency',
+  isActive: 'is_active'
+};
+
+const publicPackage = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  coins: row.coins,
+  priceCents: row.price_cents,
+  currency: row.currency,
+  isActive: row.is_active,
+  createdAt: row.created_at
+});
+
+const publicSession = (row) => ({
+  id: row.id,
+  packageId: row.package_id,
+  provider: row.provider,
+  status: row.status,
+  coins: row.coins,
+  amountCents: row.amount_cents,
+  currency: row.currency,
+  checkoutUrl: row.checkout_url,
+  createdAt: row.created_at,
+  completedAt: row.completed_at
+});
+
+// Compra de TK-Coins: paquetes, sesiones de checkout en el proveedor de pagos y
+// procesamiento de sus webhooks. Los coins se abonan solo al confirmarse el pago.
+class CoinPurchaseService {
+  constructor() {
+    this.providerInstance = null;
+  }
+
+  // Se crea al usarse: con PAYMENT_PROVIDER mal configurado la API arranca igual
+  // y solo las rutas de pago responden 503
+  get provider() {
+    if (!this.providerInstance) {
+      this.providerInstance = createProvider();
+    }
+
+    return this.providerInstance;
+  }
+
+  async listPackages({ includeInactive = false } = {}) {
+    const { rows } = await databaseService.query(
+      `SELECT * FROM coin_packages ${includeInactive ? '' : 'WHERE is_active = true'} ORDER BY price_cents, name`
+    );
+
+    return rows.map(publicPackage);
+  }
+
+  async createPackage({ name, description = null, coins, priceCents, currency = 'USD' }) {
+    const { rows: existing } = await databaseService.query('SELECT 1 FROM coin_packages WHERE name = $1', [name]);
+
+    if (existing.length > 0) {
+      throw new AppError(`El paquete ${name} ya existe`, 409, 'PACKAGE_EXISTS');
+    }
+
+    const { rows } = await databaseService.query(
+      `INSERT INTO coin_packages (name, description, coins, price_cents, currency)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [name, description, coins, priceCents, currency.toUpperCase()]
+    );
+
+    logger.info('Paquete de TK-Coins creado', { packageId: rows[0].id, name, coins, priceCents });
+
+    return publicPackage(rows[0]);
+  }
+
+  async updatePackage(packageId, changes) {
+    const fields = Object.keys(PACKAGE_COLUMNS).filter(field => changes[field] !== undefined);
+
+    if (changes.name !== undefined) {
+      const { rows: existing } = await databaseService.query(
+        'SELECT 1 FROM coin_packages WHERE name = $1 AND id <> $2',
+        [changes.name, packageId]
+      );
+
+      if (existing.length > 0) {
+        throw new AppError(`El paquete ${changes.name} ya existe`, 409, 'PACKAGE_EXISTS');
+      }
+    }
+
+    const assignments = fields.map((field, index) => `${PACKAGE_COLUMNS[field]} = $${index + 1}`);
+    const values = fields.map(field => (field === 'currency' ? changes[field].toUpperCase() : changes[field]));
+
+    const { rows } = await databaseService.query(
+      `UPDATE coin_packages SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+       WHERE id = $${fields.length + 1} RETURNING *`,
+      [...values, packageId]
+    );
+
+    if (rows.length === 0) {
+      throw new AppError('Paquete no encontrado', 404, 'PACKAGE_NOT_FOUND');
+    }
+
+    logger.info('Paquete de TK-Coins actualizado', { packageId, fields });
+
+    return publicPackage(rows[0]);
+  }
+
+  async createCheckout(user, packageId) {
+    const { rows: packages } = await databaseService.query(
+      'SELECT * FROM coin_packages WHERE id = $1 AND is_active = true',
+      [packageId]
+    );
+
+    if (packages.length === 0) {
+      throw new AppError('Paquete no encontrado', 404, 'PACKAGE_NOT_FOUND');
+    }
+
+    const coinPackage = packages[0];
+
+    // El precio y los coins se copian a la sesión: cambios posteriores del paquete no la afectan
+    const { rows } = await databaseService.query(
+      `INSERT INTO checkout_sessions (user_id, package_id, provider, coins, amount_cents, currency)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [user.id, coinPackage.id, this.provider.name, coinPackage.coins, coinPackage.price_cents, coinPackage.currency]
+    );
+
+    const checkout = await this.provider.createCheckout({
+      sessionId: rows[0].id,
+      amountCents: coinPackage.price_cents,
+      currency: coinPackage.currency,
+      description: `${coinPackage.coins} TK-Coins (${coinPackage.name})`
+    });
+
+    const { rows: updated } = await databaseService.query(
+      `UPDATE checkout_sessions SET provider_session_id = $1, checkout_url = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [checkout.providerSessionId, checkout.checkoutUrl, rows[0].id]
+    );
+
+    logger.info('Sesión de checkout creada', { sessionId: rows[0].id, userId: user.id, packageId });
+
+    return publicSession(updated[0]);
+  }
+
+  async getCheckout(sessionId) {
+    const { rows } = await databaseService.query('SELECT * FROM checkout_sessions WHERE id = $1', [sessionId]);
+
+    if (rows.length === 0) {
+      throw new AppError('Sesión de pago no encontrada', 404, 'CHECKOUT_NOT_FOUND');
+    }
+
+    return { ...publicSession(rows[0]), userId: rows[0].user_id };
+  }
+
+  // Procesa un webhook del proveedor. Los eventos se deduplican por (proveedor, ID):
+  // uno ya procesado no se vuelve a aplicar; uno que falló se reintenta.
+  async handleWebhook(rawBody, headers) {
+    if (!this.provider.verifySignature(rawBody, headers)) {
+      throw new AppError('Firma del webhook inválida', 401, 'INVALID_SIGNATURE');
+    }
+
+    let payload;
+
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      throw new AppError('Cuerpo del webhook inválido', 400, 'INVALID_PAYLOAD');
+    }
+
+    const event = this.provider.parseEvent(payload);
+
+    if (!event.eventId || !event.type) {
+      throw new AppError('Evento sin ID o tipo', 400, 'INVALID_PAYLOAD');
+    }
+
+    const { rows: existing } = await databaseService.query(
+      'SELECT id, status FROM payment_events WHERE provider = $1 AND event_id = $2',
+      [this.provider.name, event.eventId]
+    );
+
+    if (existing.length > 0 && existing[0].status !== 'failed') {
+      logger.info('Evento de pago duplicado', { eventId: event.eventId, status: existing[0].status });
+      return { eventId: event.eventId, duplicate: true, status: existing[0].status };
+    }
+
+    let eventRowId = existing[0]?.id;
+
+    if (!eventRowId) {
+      const { rows: inserted } = await databaseService.query(
+        `INSERT INTO payment_events (provider, event_id, type, payload)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (provider, event_id) DO NOTHING
+         RETURNING id`,
+        [this.provider.name, event.eventId, event.type, JSON.stringify(payload)]
+      );
+
+      // Otra entrega simultánea del mismo evento lo registró primero
+      if (inserted.length === 0) {
+        return { eventId: event.eventId, duplicate: true, status: 'received' };
+      }
+
+      eventRowId = inserted[0].id;
+    }
+
+    try {
+      const result = await databaseService.transaction(async (client) => {
+        const outcome = await this.processEvent(client, event);
+
+        await client.query(
+          `UPDATE payment_events SET status = $1, session_id = $2, error = NULL, processed_at = NOW()
+           WHERE id = $3`,
+          [outcome.status, outcome.sessionId, eventRowId]
+        );
+
+        return outcome;
+      });
+
+      logger.info('Evento de pago procesado', { eventId: event.eventId, type: event.type, ...result });
+
+      return { eventId: event.eventId, duplicate: false, ...result };
+    } catch (error) {
+      await databaseService.query(
+        "UPDATE payment_events SET status = 'failed', error = $1, processed_at = NOW() WHERE id = $2",
+        [error.message, eventRowId]
+      );
+
+      logger.error('Error al procesar evento de pago', { eventId: event.eventId, type: event.type, error: error.message });
+
+      throw error;
+    }
+  }
+
+  async processEvent(client, event) {
+    const { rows } = await client.query(
+      'SELECT * FROM checkout_sessions WHERE provider = $1 AND provider_session_id = $2 FOR UPDATE',
+      [this.provider.name, event.providerSessionId]
+    );
+    const session = rows[0];
+
+    if (!session) {
+      return { status: 'ignored', sessionId: null, reason: 'Sesión desconocida' };
+    }
+
+    if (event.type === 'succeeded') {
+      return this.completeSession(client, session, event);
+    }
+
+    if (event.type === 'failed') {
+      if (session.status !== 'pending') {
+        return { status: 'ignored', sessionId: session.id, reason: `Sesión en estado ${session.status}` };
+      }
+
+      await client.query(
+        "UPDATE checkout_sessions SET status = 'failed', updated_at = NOW() WHERE id = $1",
+        [session.id]
+      );
+
+      return { status: 'processed', sessionId: session.id, sessionStatus: 'failed' };
+    }
+
+    if (CLAWBACKS[event.type]) {
+      return this.clawBack(client, session, event, CLAWBACKS[event.type]);
+    }
+
+    return { status: 'ignored', sessionId: session.id, reason: `Tipo de evento no gestionado: ${event.type}` };
+  }
+
+  async completeSession(client, session, event) {
+    if (session.status !== 'pending') {
+      return { status: 'ignored', sessionId: session.id, reason: `Sesión en estado ${session.status}` };
+    }
+
+    if (event.amountCents !== session.amount_cents || String(event.currency).toUpperCase() !== session.currency) {
+      throw new AppError('El importe pagado no coincide con la sesión', 422, 'AMOUNT_MISMATCH', {
+        expected: { amountCents: session.amount_cents, currency: session.currency },
+        received: { amountCents: event.amountCents, currency: event.currency }
+      });
+    }
+
+    const journal = await ledgerService.postUser(session.user_id, session.coins, {
+      operation: 'payment',
+      counterparty: SYSTEM_ACCOUNTS.payments,
+      idempotencyKey: `payment:${session.id}`,
+      metadata: { sessionId: session.id, packageId: session.package_id, eventId: event.eventId }
+    }, client);
+
+    await client.query(
+      `UPDATE checkout_sessions SET status = 'completed', journal_id = $1, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [journal.journalId, session.id]
+    );
+
+    await notificationService.notify(session.user_id, 'coins.payment_completed', {
+      title: 'Pago confirmado',
+      message: `Se acreditaron ${session.coins} TK-Coins a tu cuenta`
+    }, client);
+
+    return { status: 'processed', sessionId: session.id, sessionStatus: 'completed', journalId: journal.journalId };
+  }
+
+  // Reembolso o contracargo: retira los coins abonados aunque el saldo quede en negativo
+  async clawBack(client, session, event, clawback) {
+    if (session.status !== 'completed') {
+      return { status: 'ignored', sessionId: session.id, reason: `Sesión en estado ${session.status}` };
+    }
+
+    const journal = await ledgerService.postUser(session.user_id, -session.coins, {
+      operation: clawback.operation,
+      counterparty: SYSTEM_ACCOUNTS.payments,
+      idempotencyKey: `clawback:${session.id}`,
+      metadata: { sessionId: session.id, paymentJournalId: session.journal_id, eventId: event.eventId }
+    }, client);
+
+    await client.query(
+      'UPDATE checkout_sessions SET status = $1, updated_at = NOW() WHERE id = $2',
+      [clawback.status, session.id]
+    );
+
+    await notificationService.notify(session.user_id, 'coins.payment_reversed', {
+      title: clawback.title,
+      message: `Se retiraron ${session.coins} TK-Coins de tu cuenta por la devolución del pago`
+    }, client);
+
+    logger.warn('Coins retirados por devolución de pago', {
+      sessionId: session.id,
+      userId: session.user_id,
+      coins: session.coins,
+      type: event.type
+    });
+
+    return { status: 'processed', sessionId: session.id, sessionStatus: clawback.status, journalId: journal.journalId };
+  }
+}
+
+module.exports = new CoinPurchaseService();
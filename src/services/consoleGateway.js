@@ -0,0 +1,419 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const winston = require('winston');
+const pterodactylService = require('./pterodactyl');
+const permissionService = require('./permissions');
+const ownershipService = require('./ownership');
+const { verifyToken } = require('../middleware/auth');
+const { POWER_SIGNALS } = require('../config/pterodactyl');
+const { describeCommand } = require('../utils/console');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/console.log' })
+  ]
+});
+
+// ws://host/api/server/:id/ws
+const PATH_PATTERN = /^\/api\/server\/([^/]+)\/ws$/;
+const AUTH_TIMEOUT_MS = 10000;
+const HEARTBEAT_MS = 30000;
+// Antelación con la que se avisa al cliente de que su JWT va a caducar
+const EXPIRY_WARNING_MS = 60000;
+const MAX_RECONNECTS = parseInt(process.env.CONSOLE_MAX_RECONNECTS || '5');
+const RECONNECT_BASE_MS = 1000;
+
+// Eventos de Wings que se reenvían al cliente tal cual
+const RELAYED_EVENTS = [
+  'console output',
+  'install output',
+  'install started',
+  'install completed',
+  'stats',
+  'status',
+  'daemon message',
+  'daemon error'
+];
+
+// Eventos que el cliente puede enviar a Wings y si requieren poder controlar el servidor
+const CLIENT_EVENTS = {
+  'send logs': { control: false },
+  'send stats': { control: false },
+  'send command': { control: true },
+  'set state': { control: true }
+};
+
+// Los códigos de cierre propios siguen el estado HTTP equivalente: 4000 + estado
+const closeCode = (status) => 4000 + (status >= 400 && status < 600 ? status : 500);
+
+// Una conexión de un cliente con la consola de un servidor. Protocolo (JSON, igual que Wings):
+//   cliente -> { "event": "auth", "args": ["<JWT o API key>"] }   (primero, y para renovar)
+//   cliente -> { "event": "send command" | "set state" | "send logs" | "send stats", "args": [...] }
+//   gateway -> "auth success", "token expiring", "token expired", "upstream connected",
+//              "upstream reconnecting", "error" y los eventos de RELAYED_EVENTS
+class ConsoleSession {
+  constructor(socket, serverId, ipAddress) {
+    this.socket = socket;
+    this.serverId = serverId;
+    this.ipAddress = ipAddress;
+    this.user = null;
+    this.canControl = false;
+    this.upstream = null;
+    this.reconnects = 0;
+    this.closed = false;
+    this.timers = {};
+
+    this.timers.auth = setTimeout(() => {
+      this.close(closeCode(408), 'Autenticación no recibida a tiempo');
+    }, AUTH_TIMEOUT_MS);
+
+    socket.on('message', (raw) => {
+      this.onClientMessage(raw).catch((error) => {
+        logger.error('Error al procesar mensaje de consola', { serverId, error: error.message });
+        this.send('error', error.message);
+      });
+    });
+    socket.on('close', () => this.close());
+    socket.on('error', (error) => logger.warn('Error en el socket del cliente', { serverId, error: error.message }));
+  }
+
+  send(event, ...args) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ event, args }));
+    }
+  }
+
+  async onClientMessage(raw) {
+    let message;
+
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return this.send('error', 'Mensaje no válido: se esperaba JSON');
+    }
+
+    const { event, args = [] } = message || {};
+
+    if (event === 'auth') {
+      return this.authenticate(args[0]);
+    }
+
+    if (!this.user) {
+      return this.send('error', 'Autenticación requerida');
+    }
+
+    const allowed = CLIENT_EVENTS[event];
+
+    if (!allowed) {
+      return this.send('error', `Evento no permitido: ${event}`);
+    }
+
+    if (allowed.control && !this.canControl) {
+      return this.send('error', 'No tienes permiso para controlar este servidor');
+    }
+
+    if (event === 'set state' && !POWER_SIGNALS.includes(args[0])) {
+      return this.send('error', `Estado no válido: debe ser uno de ${POWER_SIGNALS.join(', ')}`);
+    }
+
+    if (event === 'send command') {
+      if (typeof args[0] !== 'string' || !args[0].trim() || args[0].length > 1000) {
+        return this.send('error', 'Comando requerido (máx. 1000 caracteres)');
+      }
+
+      logger.info('Comando de consola', { serverId: this.serverId, userId: this.user.id, ...describeCommand(args[0]) });
+    }
+
+    if (!this.upstream || this.upstream.readyState !== WebSocket.OPEN) {
+      return this.send('error', 'La consola del servidor no está conectada');
+    }
+
+    this.upstream.send(JSON.stringify({ event, args }));
+  }
+
+  // Primera autenticación o renovación del token del cliente (debe ser el mismo usuario)
+  async authenticate(token) {
+    const user = await verifyToken(token);
+
+    if (!user || (this.user && user.id !== this.user.id)) {
+      logger.warn('Token de consola inválido', { serverId: this.serverId, ip: this.ipAddress });
+      return this.close(closeCode(401), 'Token inválido o expirado');
+    }
+
+    const access = await this.authorize(user);
+
+    if (!access.read) {
+      logger.warn('Acceso denegado a consola ajena', { serverId: this.serverId, userId: user.id });
+      return this.close(closeCode(404), 'Servidor no encontrado');
+    }
+
+    const renewed = Boolean(this.user);
+
+    clearTimeout(this.timers.auth);
+    this.user = user;
+    this.canControl = access.control;
+    this.scheduleExpiry(user.exp);
+    this.send('auth success');
+
+    if (!renewed) {
+      logger.info('Consola abierta', { serverId: this.serverId, userId: user.id, control: access.control });
+      await this.connectUpstream();
+    }
+  }
+
+  // Mismas reglas que las rutas: ver requiere account.read y ser dueño (o servers.read);
+  // controlar requiere servers.control y ser dueño (o servers.manage)
+  async authorize(user) {
+    const [canRead, canReadAny, canControl, canControlAny] = await Promise.all(
+      ['account.read', 'servers.read', 'servers.control', 'servers.manage']
+        .map(permission => permissionService.hasPermission(user, permission))
+    );
+
+    const owns = canReadAny && canControlAny
+      ? true
+      : await ownershipService.ownsServer(user, this.serverId);
+
+    return {
+      read: canReadAny || (canRead && owns),
+      control: canControlAny || (canControl && owns)
+    };
+  }
+
+  // Los JWT caducan (15 min por defecto): se avisa antes para que el cliente envíe uno nuevo
+  scheduleExpiry(exp) {
+    clearTimeout(this.timers.warning);
+    clearTimeout(this.timers.expiry);
+
+    if (!exp) {
+      return;
+    }
+
+    const remaining = exp * 1000 - Date.now();
+
+    this.timers.warning = setTimeout(() => this.send('token expiring'), Math.max(remaining - EXPIRY_WARNING_MS, 0));
+    this.timers.expiry = setTimeout(() => {
+      this.send('token expired');
+      this.close(closeCode(401), 'Token expirado');
+    }, Math.max(remaining, 0));
+  }
+
+  async connectUpstream() {
+    let credentials;
+
+    try {
+      credentials = await pterodactylService.getConsoleCredentials(this.serverId);
+    } catch (error) {
+      logger.warn('No se pudieron obtener credenciales de consola', { serverId: this.serverId, error: error.message });
+
+      // Un 404 o 409 (suspendido, instalándose) no se arregla reintentando
+      if (error.status && error.status < 500 && error.status !== 429) {
+        return this.close(closeCode(error.status), error.message);
+      }
+
+      return this.reconnect();
+    }
+
+    if (this.closed) {
+      return;
+    }
+
+    // Wings solo acepta conexiones cuyo Origin es la URL del panel
+    const upstream = new WebSocket(credentials.socket, { origin: process.env.PTERODACTYL_URL });
+    this.upstream = upstream;
+
+    upstream.on('open', () => {
+      upstream.send(JSON.stringify({ event: 'auth', args: [credentials.token] }));
+    });
+    upstream.on('message', (raw) => {
+      this.onUpstreamMessage(raw).catch((error) => {
+        logger.error('Error al procesar mensaje de Wings', { serverId: this.serverId, error: error.message });
+      });
+    });
+    upstream.on('close', () => {
+      if (this.upstream === upstream && !this.closed) {
+        this.reconnect();
+      }
+    });
+    upstream.on('error', (error) => {
+      logger.warn('Error en el socket de Wings', { serverId: this.serverId, error: error.message });
+    });
+  }
+
+  async onUpstreamMessage(raw) {
+    let message;
+
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return;
+    }
+
+    const { event, args = [] } = message;
+
+    if (event === 'auth success') {
+      this.reconnects = 0;
+      return this.send('upstream connected');
+    }
+
+    // El token de Wings dura poco: se pide otro y se reautentica sin cortar la conexión
+    if (event === 'token expiring') {
+      const { token } = await pterodactylService.getConsoleCredentials(this.serverId);
+
+      if (this.upstream?.readyState === WebSocket.OPEN) {
+        this.upstream.send(JSON.stringify({ event: 'auth', args: [token] }));
+      }
+      return;
+    }
+
+    // Wings cierra la conexión tras estos eventos; el cierre dispara la reconexión
+    if (event === 'token expired' || event === 'jwt error') {
+      logger.warn('Wings rechazó el token de consola', { serverId: this.serverId, event, detail: args[0] });
+      this.upstream?.terminate();
+      return;
+    }
+
+    if (RELAYED_EVENTS.includes(event)) {
+      this.send(event, ...args);
+    }
+  }
+
+  reconnect() {
+    this.upstream = null;
+
+    if (this.closed) {
+      return;
+    }
+
+    if (this.reconnects >= MAX_RECONNECTS) {
+      logger.error('Consola sin conexión con Wings', { serverId: this.serverId, attempts: this.reconnects });
+      return this.close(closeCode(503), 'Consola del servidor no disponible');
+    }
+
+    this.reconnects++;
+    const delay = RECONNECT_BASE_MS * 2 ** (this.reconnects - 1);
+
+    this.send('upstream reconnecting', this.reconnects);
+    this.timers.reconnect = setTimeout(() => {
+      this.connectUpstream().catch((error) => {
+        logger.error('Error al reconectar la consola', { serverId: this.serverId, error: error.message });
+        this.reconnect();
+      });
+    }, delay);
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+
+    for (const timer of Object.values(this.timers)) {
+      clearTimeout(timer);
+    }
+
+    if (this.upstream) {
+      this.upstream.terminate();
+      this.upstream = null;
+    }
+
+    if (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING) {
+      // El motivo del cierre no puede superar 123 bytes
+      this.socket.close(code, reason.slice(0, 60));
+    }
+
+    if (this.user) {
+      logger.info('Consola cerrada', { serverId: this.serverId, userId: this.user.id, code });
+    }
+  }
+}
+
+const rejectUpgrade = (socket, status) => {
+  socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Pasarela de consola en tiempo real: acepta WebSockets en el mismo servidor HTTP que
+// Express y conecta cada cliente autorizado con el WebSocket del servidor en Wings.
+class ConsoleGateway {
+  constructor() {
+    this.wss = null;
+    this.sessions = new Set();
+    this.heartbeat = null;
+  }
+
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+    server.on('upgrade', (req, socket, head) => {
+      let serverId;
+
+      // La URL llega sin autenticar: un id mal codificado (%E0%A4%A) no debe tumbar el proceso
+      try {
+        const match = PATH_PATTERN.exec(new URL(req.url, 'http://localhost').pathname);
+
+        if (!match) {
+          return rejectUpgrade(socket, '404 Not Found');
+        }
+
+        serverId = decodeURIComponent(match[1]);
+      } catch (error) {
+        return rejectUpgrade(socket, '400 Bad Request');
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.open(ws, serverId, req.socket.remoteAddress);
+      });
+    });
+
+    // Cierra las conexiones que no responden al ping (clientes caídos sin cerrar)
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (ws.isAlive === false) {
+          ws.terminate();
+          continue;
+        }
+
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+
+    logger.info('Pasarela de consola escuchando en /api/server/:id/ws');
+  }
+
+  open(ws, serverId, ipAddress) {
+    const session = new ConsoleSession(ws, serverId, ipAddress);
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('close', () => this.sessions.delete(session));
+
+    this.sessions.add(session);
+  }
+
+  stats() {
+    return { sessions: this.sessions.size };
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+
+    for (const session of this.sessions) {
+      session.close(1001, 'Servidor reiniciándose');
+    }
+
+    this.sessions.clear();
+    this.wss?.close();
+  }
+}
+
+module.exports = new ConsoleGateway();
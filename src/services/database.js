@@ -1,5 +1,6 @@
-const mysql = require('mysql2/promise');
 const winston = require('winston');
+const { createDriver } = require('./db');
+const Migrator = require('./migrator');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -13,104 +14,100 @@ const logger = winston.createLogger({
   ]
 });
 
+// Tablas y columnas de las que depende DatabaseService
+const REQUIRED_SCHEMA = {
+  users: ['id', 'username', 'email', 'tk_coins', 'created_at'],
+  tk_coins_transactions: ['user_id', 'amount', 'operation', 'metadata', 'created_at'],
+  pterodactyl_servers: ['id', 'suspended'],
+  pterodactyl_nodes: ['id'],
+  sync_runs: ['status', 'finished_at']
+};
+
 class DatabaseService {
   constructor() {
-    this.pool = null;
-    this.init();
+    this.driver = createDriver();
+    this.ready = this.init();
   }
 
   async init() {
     try {
-      this.pool = mysql.createPool({
-        host: process.env.DB_HOST,
-        user: process.env.DB_USER,
-        password: process.env.DB_PASSWORD,
-        database: process.env.DB_NAME,
-        port: process.env.DB_PORT || 3306,
-        waitForConnections: true,
-        connectionLimit: 10,
-        queueLimit: 0,
-        acquireTimeout: 60000,
-        timeout: 60000
-      });
-
-      // Test connection
-      const connection = await this.pool.getConnection();
-      await connection.ping();
-      connection.release();
-      
-      logger.info('Conexión a base de datos establecida exitosamente');
+      await this.driver.ping();
+
+      // La base en memoria arranca vacía: se le aplican todas las migraciones
+      if (this.driver.name === 'memory') {
+        await new Migrator(this.driver).up();
+      }
+
+      logger.info('Conexión a base de datos establecida exitosamente', { driver: this.driver.name });
     } catch (error) {
+      // El pool reintenta conectar en la siguiente consulta
       logger.error('Error al conectar con la base de datos', error);
-      throw error;
     }
   }
 
-  async getUserTKCoins(userId) {
+  async verifySchema(requirements = REQUIRED_SCHEMA) {
+    const tables = Object.keys(requirements);
+    const placeholders = tables.map((_, index) => `$${index + 1}`).join(', ');
+    const { rows } = await this.driver.query(
+      `SELECT table_name, column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name IN (${placeholders})`,
+      tables
+    );
+
+    const present = new Set(rows.map(row => `${row.table_name}.${row.column_name}`));
+    const missing = [];
+
+    for (const [table, columns] of Object.entries(requirements)) {
+      for (const column of columns) {
+        if (!present.has(`${table}.${column}`)) {
+          missing.push(`${table}.${column}`);
+        }
+      }
+    }
+
+    return { ok: missing.length === 0, missing };
+  }
+
+  async query(text, params = []) {
+    return this.driver.query(text, params);
+  }
+
+  async transaction(callback) {
+    return this.driver.transaction(callback);
+  }
+
+  async getUserById(userId) {
     try {
-      const [rows] = await this.pool.execute(
-        'SELECT tk_coins FROM users WHERE id = ?',
+      const { rows } = await this.driver.query(
+        `SELECT id, username, email, role, is_active, tk_coins, pterodactyl_user_id, created_at, last_login
+         FROM users WHERE id = $1`,
         [userId]
       );
-      
-      return rows[0] ? rows[0].tk_coins : 0;
+
+      return rows[0] || null;
     } catch (error) {
-      logger.error(`Error al obtener TK-Coins del usuario ${userId}`, error);
+      logger.error(`Error al obtener usuario ${userId}`, error);
       throw error;
     }
   }
 
-  async updateUserTKCoins(userId, amount, operation = 'add') {
-    const connection = await this.pool.getConnection();
-    
+  async getUserTKCoins(userId) {
     try {
-      await connection.beginTransaction();
-
-      let query;
-      let params;
-      
-      if (operation === 'set') {
-        query = 'UPDATE users SET tk_coins = ? WHERE id = ?';
-        params = [amount, userId];
-      } else {
-        query = 'UPDATE users SET tk_coins = tk_coins + ? WHERE id = ?';
-        params = [amount, userId];
-      }
-
-      const [result] = await connection.execute(query, params);
-      
-      if (result.affectedRows === 0) {
-        throw new Error(`Usuario ${userId} no encontrado`);
-      }
-
-      // Log the transaction
-      await connection.execute(
-        'INSERT INTO tk_coins_transactions (user_id, amount, operation, created_at) VALUES (?, ?, ?, NOW())',
-        [userId, amount, operation]
+      const { rows } = await this.driver.query(
+        'SELECT tk_coins FROM users WHERE id = $1',
+        [userId]
       );
-
-      await connection.commit();
       
-      logger.info(`TK-Coins actualizados para usuario ${userId}`, {
-        amount,
-        operation,
-        affectedRows: result.affectedRows
-      });
-
-      return true;
+      return rows[0] ? Number(rows[0].tk_coins) : 0;
     } catch (error) {
-      await connection.rollback();
-      logger.error(`Error al actualizar TK-Coins del usuario ${userId}`, error);
+      logger.error(`Error al obtener TK-Coins del usuario ${userId}`, error);
       throw error;
-    } finally {
-      connection.release();
     }
   }
 
   async getUserTransactionHistory(userId, limit = 50) {
     try {
-      const [rows] = await this.pool.execute(
-        'SELECT * FROM tk_coins_transactions WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+      const { rows } = await this.driver.query(
+        'SELECT * FROM tk_coins_transactions WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
         [userId, limit]
       );
       
@@ -123,8 +120,8 @@ class DatabaseService {
 
   async getAllUsersWithTKCoins() {
     try {
-      const [rows] = await this.pool.execute(
-        'SELECT id, username, email, tk_coins, created_at FROM users WHERE tk_coins > 0 ORDER BY tk_coins DESC'
+      const { rows } = await this.driver.query(
+        'SELECT id, username, email, tk_coins, pterodactyl_user_id, created_at FROM users WHERE tk_coins > 0 ORDER BY tk_coins DESC'
       );
       
       return rows;
@@ -136,27 +133,44 @@ class DatabaseService {
 
   async getGlobalStats() {
     try {
-      const [totalUsers] = await this.pool.execute(
-        'SELECT COUNT(*) as total FROM users'
+      const { rows: totalUsers } = await this.driver.query(
+        'SELECT COUNT(*)::int AS total FROM users'
       );
       
-      const [usersWithCoins] = await this.pool.execute(
-        'SELECT COUNT(*) as total FROM users WHERE tk_coins > 0'
+      const { rows: usersWithCoins } = await this.driver.query(
+        'SELECT COUNT(*)::int AS total FROM users WHERE tk_coins > 0'
       );
       
-      const [totalCoins] = await this.pool.execute(
-        'SELECT SUM(tk_coins) as total FROM users'
+      const { rows: totalCoins } = await this.driver.query(
+        'SELECT COALESCE(SUM(tk_coins), 0) AS total FROM users'
       );
       
-      const [recentTransactions] = await this.pool.execute(
-        'SELECT COUNT(*) as total FROM tk_coins_transactions WHERE created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)'
+      const { rows: recentTransactions } = await this.driver.query(
+        "SELECT COUNT(DISTINCT journal_id)::int AS total FROM tk_coins_transactions WHERE journal_id IS NOT NULL AND created_at >= NOW() - INTERVAL '24 hours'"
+      );
+
+      // Servidores y nodos del panel según el espejo sincronizado (ver SyncService)
+      const { rows: panelServers } = await this.driver.query(
+        'SELECT COUNT(*)::int AS total, COALESCE(SUM(CASE WHEN suspended THEN 1 ELSE 0 END), 0)::int AS suspended FROM pterodactyl_servers'
+      );
+
+      const { rows: panelNodes } = await this.driver.query(
+        'SELECT COUNT(*)::int AS total FROM pterodactyl_nodes'
+      );
+
+      const { rows: lastSync } = await this.driver.query(
+        "SELECT MAX(finished_at) AS finished_at FROM sync_runs WHERE status = 'completed'"
       );
 
       return {
         totalUsers: totalUsers[0].total,
         usersWithCoins: usersWithCoins[0].total,
-        totalCoins: totalCoins[0].total || 0,
-        recentTransactions: recentTransactions[0].total
+        totalCoins: Number(totalCoins[0].total),
+        recentTransactions: recentTransactions[0].total,
+        totalServers: panelServers[0].total,
+        suspendedServers: panelServers[0].suspended,
+        totalNodes: panelNodes[0].total,
+        panelSyncedAt: lastSync[0].finished_at
       };
     } catch (error) {
       logger.error('Error al obtener estadísticas globales', error);
@@ -164,14 +178,16 @@ class DatabaseService {
     }
   }
 
-  async createTransactionLog(userId, amount, operation, metadata = {}) {
+  // Registro informativo en el historial del usuario, sin asiento en el ledger:
+  // no cambia el saldo (los movimientos de coins se registran con LedgerService)
+  async createTransactionLog(userId, operation, metadata = {}, client = null) {
     try {
-      await this.pool.execute(
-        'INSERT INTO tk_coins_transactions (user_id, amount, operation, metadata, created_at) VALUES (?, ?, ?, ?, NOW())',
-        [userId, amount, operation, JSON.stringify(metadata)]
+      await (client || this.driver).query(
+        'INSERT INTO tk_coins_transactions (user_id, account, amount, operation, metadata, created_at) VALUES ($1, $2, 0, $3, $4, NOW())',
+        [userId, `user:${userId}`, operation, JSON.stringify(metadata)]
       );
       
-      logger.info('Transacción registrada', { userId, amount, operation });
+      logger.info('Transacción registrada', { userId, operation });
     } catch (error) {
       logger.error('Error al registrar transacción', error);
       throw error;
@@ -179,8 +195,8 @@ class DatabaseService {
   }
 
   async close() {
-    if (this.pool) {
-      await this.pool.end();
+    if (this.driver) {
+      await this.driver.close();
       logger.info('Conexión a base de datos cerrada');
     }
   }
@@ -0,0 +1,26 @@
+// Capa de drivers de base de datos.
+// Todos los drivers exponen la misma interfaz:
+//   query(text, params)   -> { rows, rowCount }
+//   transaction(callback) -> ejecuta callback(client) dentro de BEGIN/COMMIT
+//   ping()                -> verifica la conexión
+//   stats()               -> uso del pool
+//   close()               -> libera recursos
+const drivers = {
+  postgres: () => require('./postgres'),
+  memory: () => require('./memory')
+};
+
+const createDriver = (name = process.env.DB_DRIVER || 'postgres', options = {}) => {
+  const loader = drivers[name];
+
+  if (!loader) {
+    throw new Error(`Driver de base de datos desconocido: ${name}`);
+  }
+
+  const Driver = loader();
+  return new Driver(options);
+};
+
+module.exports = {
+  createDriver
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { newDb } = require('pg-mem');
+const PostgresDriver = require('./postgres');
+
+// Driver en memoria para tests y desarrollo local sin servidor PostgreSQL.
+// Usa pg-mem, que emula el dialecto de PostgreSQL a través de la misma API de `pg`.
+// Limitaciones: no soporta funciones plpgsql ni triggers, y su ROLLBACK no deshace
+// cambios, así que transaction() restaura una copia de los datos tomada en el BEGIN
+// (los cambios de esquema, como un CREATE TABLE, no se deshacen).
+class MemoryDriver extends PostgresDriver {
+  constructor(options = {}) {
+    const db = newDb({ noAstCoverageCheck: true });
+
+    // Funciones que init.sql obtiene de la extensión uuid-ossp
+    db.public.registerFunction({
+      name: 'uuid_generate_v4',
+      returns: 'uuid',
+      implementation: () => crypto.randomUUID(),
+      impure: true
+    });
+    db.public.registerFunction({
+      name: 'gen_random_uuid',
+      returns: 'uuid',
+      implementation: () => crypto.randomUUID(),
+      impure: true
+    });
+
+    // Bloqueos consultivos: pg-mem ejecuta las consultas de una en una, no hace falta esperar
+    db.public.registerFunction({
+      name: 'hashtext',
+      args: ['text'],
+      returns: 'integer',
+      implementation: (text) => crypto.createHash('sha256').update(text).digest().readInt32BE(0)
+    });
+    db.public.registerFunction({
+      name: 'pg_advisory_xact_lock',
+      args: ['integer'],
+      returns: 'integer',
+      implementation: () => 0,
+      impure: true
+    });
+
+    const { Pool } = db.adapters.createPg();
+    super({ ...options, pool: new Pool() });
+
+    this.name = 'memory';
+    this.db = db;
+  }
+
+  // Sin aislamiento entre transacciones: la restauración también se lleva lo que otras
+  // conexiones escribieron mientras tanto. Basta para tests que no fallan a la vez.
+  async transaction(callback) {
+    const snapshot = this.db.backup();
+
+    try {
+      return await super.transaction(callback);
+    } catch (error) {
+      snapshot.restore();
+      throw error;
+    }
+  }
+
+  stats() {
+    return { total: 0, idle: 0, waiting: 0, max: 0 };
+  }
+}
+
+module.exports = MemoryDriver;
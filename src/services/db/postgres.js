@@ -0,0 +1,73 @@
+const fs = require('fs');
+const { Pool } = require('pg');
+
+// Con DB_SSL=true se verifica el certificado del servidor. DB_SSL_CA_PATH apunta a la CA
+// si no es una pública; DB_SSL_REJECT_UNAUTHORIZED=false desactiva la verificación y
+// tiene que pedirse de forma explícita.
+const sslOptions = () => {
+  if (process.env.DB_SSL !== 'true') {
+    return false;
+  }
+
+  return {
+    rejectUnauthorized: process.env.DB_SSL_REJECT_UNAUTHORIZED !== 'false',
+    ...(process.env.DB_SSL_CA_PATH && { ca: fs.readFileSync(process.env.DB_SSL_CA_PATH, 'utf8') })
+  };
+};
+
+class PostgresDriver {
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.pool = options.pool || new Pool({
+      host: process.env.DB_HOST,
+      port: parseInt(process.env.DB_PORT || '5432'),
+      database: process.env.DB_NAME,
+      user: process.env.DB_USER,
+      password: process.env.DB_PASSWORD,
+      ssl: sslOptions(),
+      min: parseInt(process.env.DB_POOL_MIN || '2'),
+      max: parseInt(process.env.DB_POOL_MAX || '10'),
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000
+    });
+  }
+
+  async query(text, params = []) {
+    return this.pool.query(text, params);
+  }
+
+  async transaction(callback) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async ping() {
+    await this.pool.query('SELECT 1');
+  }
+
+  stats() {
+    return {
+      total: this.pool.totalCount,
+      idle: this.pool.idleCount,
+      waiting: this.pool.waitingCount,
+      max: this.pool.options?.max
+    };
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+module.exports = PostgresDriver;
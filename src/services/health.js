@@ -0,0 +1,137 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const cacheService = require('./cache');
+const pterodactylService = require('./pterodactyl');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/health.log' })
+  ]
+});
+
+const TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000');
+// Un resultado se reutiliza este tiempo: la ruta es pública y cada comprobación llega al panel
+const CACHE_MS = parseInt(process.env.HEALTH_CHECK_CACHE_MS || '5000');
+// Dependencias sin las que la instancia no puede atender peticiones (503 si alguna cae).
+// Sin el panel o sin Redis la API sigue sirviendo cuentas, TK-Coins y la caché en memoria.
+const CRITICAL = (process.env.HEALTH_CRITICAL_DEPENDENCIES || 'database')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const withTimeout = (promise, ms) => {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Sin respuesta en ${ms} ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Comprobaciones de cada dependencia. Devuelven null si la dependencia no está en uso.
+const CHECKS = {
+  database: () => databaseService.driver.ping(),
+  redis: () => (cacheService.redisConfigured ? cacheService.ping() : null),
+  pterodactyl: () => pterodactylService.ping()
+};
+
+// Estado de la instancia para los probes de liveness y readiness
+class HealthService {
+  constructor() {
+    this.last = null;
+    this.pending = null;
+  }
+
+  liveness() {
+    return {
+      status: 'ok',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Estado de cada dependencia con su latencia. status es "down" si cae una crítica,
+  // "degraded" si cae otra y "ok" si responden todas. Los errores quedan en logs/health.log.
+  async readiness() {
+    if (this.last && Date.now() - this.last.checkedAt < CACHE_MS) {
+      return this.last.report;
+    }
+
+    // Las peticiones que llegan durante una comprobación esperan a la misma
+    if (!this.pending) {
+      this.pending = this.check()
+        .then(report => {
+          this.last = { report, checkedAt: Date.now() };
+          return report;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    return this.pending;
+  }
+
+  async check() {
+    const entries = await Promise.all(Object.entries(CHECKS).map(async ([name, probe]) => {
+      const critical = CRITICAL.includes(name);
+      const startedAt = Date.now();
+
+      try {
+        const running = probe();
+
+        if (running === null) {
+          return [name, { status: 'disabled', critical }];
+        }
+
+        await withTimeout(running, TIMEOUT_MS);
+
+        return [name, { status: 'up', critical, latencyMs: Date.now() - startedAt }];
+      } catch (error) {
+        // El motivo solo va al log: la respuesta es pública y podría revelar hosts o credenciales
+        return [name, { status: 'down', critical, latencyMs: Date.now() - startedAt }, error.message];
+      }
+    }));
+
+    const checks = Object.fromEntries(entries);
+    const failing = entries.filter(([, check]) => check.status === 'down');
+
+    let status = 'ok';
+
+    if (failing.some(([, check]) => check.critical)) {
+      status = 'down';
+    } else if (failing.length > 0) {
+      status = 'degraded';
+    }
+
+    // Se registra al cambiar las dependencias caídas, no en cada comprobación
+    const down = failing.map(([name]) => name).join(',');
+    const previouslyDown = Object.entries(this.last?.report.checks || {})
+      .filter(([, check]) => check.status === 'down')
+      .map(([name]) => name)
+      .join(',');
+
+    if (down && down !== previouslyDown) {
+      logger.warn('Dependencias no disponibles', {
+        status,
+        failing: Object.fromEntries(failing.map(([name, , reason]) => [name, reason]))
+      });
+    }
+
+    return {
+      status,
+      checks,
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const databaseService = require('./database');
+const { SYSTEM_ACCOUNTS, userAccount, getOverdraftLimit } = require('../config/coins');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/ledger.log' })
+  ]
+});
+
+const USER_ACCOUNT_PATTERN = /^user:([0-9a-f-]{36})$/i;
+
+const hashRequest = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+const journalResult = (journal, postings, replayed) => ({
+  journalId: journal.id,
+  operation: journal.operation,
+  createdAt: journal.created_at,
+  entries: postings.map(posting => ({
+    account: posting.account,
+    amount: posting.amount,
+    balanceAfter: posting.balance_after
+  })),
+  replayed
+});
+
+// Ledger de doble entrada de TK-Coins. Todo cambio de saldo pasa por post():
+// un asiento con apuntes que suman cero, de solo inserción. users.tk_coins es el
+// saldo cacheado de cada cuenta de usuario y se contrasta con reconcile().
+class LedgerService {
+  validateEntries(entries) {
+    if (!Array.isArray(entries) || entries.length < 2) {
+      throw new AppError('Un asiento necesita al menos dos apuntes', 400, 'INVALID_JOURNAL');
+    }
+
+    for (const entry of entries) {
+      if (!Number.isInteger(entry.amount) || entry.amount === 0) {
+        throw new AppError('Los apuntes deben ser enteros distintos de cero', 400, 'INVALID_JOURNAL');
+      }
+    }
+
+    if (entries.reduce((sum, entry) => sum + entry.amount, 0) !== 0) {
+      throw new AppError('Los apuntes de un asiento deben sumar cero', 400, 'UNBALANCED_JOURNAL');
+    }
+  }
+
+  async findByIdempotencyKey(client, idempotencyKey) {
+    const { rows } = await client.query('SELECT * FROM coin_journal WHERE idempotency_key = $1', [idempotencyKey]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const { rows: postings } = await client.query(
+      'SELECT account, amount, balance_after FROM tk_coins_transactions WHERE journal_id = $1 ORDER BY amount',
+      [rows[0].id]
+    );
+
+    return { journal: rows[0], postings };
+  }
+
+  // Registra un asiento. `entries` puede ser una función (client) => entries para
+  // calcular los apuntes dentro de la transacción, después de comprobar la idempotencia.
+  // Con la misma idempotencyKey devuelve el asiento original sin volver a aplicarlo;
+  // `fingerprint` identifica la petición para rechazar claves reutilizadas con otro contenido.
+  async post({ operation, entries, metadata = {}, idempotencyKey = null, fingerprint = null, createdBy = null }, client = null) {
+    const replay = (existing) => {
+      if (fingerprint && existing.journal.request_hash !== hashRequest(fingerprint)) {
+        throw new AppError('La clave de idempotencia ya se usó con otra petición', 409, 'IDEMPOTENCY_CONFLICT');
+      }
+
+      return journalResult(existing.journal, existing.postings, true);
+    };
+
+    const apply = async (tx) => {
+      if (idempotencyKey) {
+        // Dos peticiones simultáneas con la misma clave: la segunda espera aquí a que
+        // la primera confirme y entonces encuentra su asiento
+        await tx.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`coin_journal:${idempotencyKey}`]);
+
+        const existing = await this.findByIdempotencyKey(tx, idempotencyKey);
+
+        if (existing) {
+          return replay(existing);
+        }
+      }
+
+      const resolved = typeof entries === 'function' ? await entries(tx) : entries;
+
+      this.validateEntries(resolved);
+
+      // Primero los cargos: si alguno no tiene saldo, no se ha escrito nada todavía
+      const ordered = [...resolved].sort((a, b) => a.amount - b.amount);
+      const postings = [];
+
+      for (const entry of ordered) {
+        const userMatch = USER_ACCOUNT_PATTERN.exec(entry.account);
+        let balanceAfter = null;
+
+        if (userMatch) {
+          balanceAfter = await this.applyToUser(tx, userMatch[1], entry.amount, operation);
+        } else if (!Object.values(SYSTEM_ACCOUNTS).includes(entry.account)) {
+          throw new AppError(`Cuenta desconocida: ${entry.account}`, 400, 'UNKNOWN_ACCOUNT');
+        }
+
+        postings.push({ ...entry, userId: userMatch ? userMatch[1] : null, balance_after: balanceAfter });
+      }
+
+      const { rows } = await tx.query(
+        `INSERT INTO coin_journal (operation, idempotency_key, request_hash, metadata, created_by)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [
+          operation,
+          idempotencyKey,
+          fingerprint ? hashRequest(fingerprint) : null,
+          JSON.stringify(metadata),
+          createdBy
+        ]
+      );
+      const journal = rows[0];
+
+      for (const posting of postings) {
+        await tx.query(
+          `INSERT INTO tk_coins_transactions (journal_id, account, user_id, amount, balance_after, operation, metadata)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [journal.id, posting.account, posting.userId, posting.amount, posting.balance_after, operation, JSON.stringify(metadata)]
+        );
+      }
+
+      return journalResult(journal, postings, false);
+    };
+
+    let result;
+
+    try {
+      result = client ? await apply(client) : await databaseService.transaction(apply);
+    } catch (error) {
+      // Si aun así otra petición insertó la clave antes (índice único), se responde
+      // con su asiento. Dentro de la transacción del llamador no se puede releer.
+      const existing = error.code === '23505' && idempotencyKey && !client
+        ? await this.findByIdempotencyKey(databaseService, idempotencyKey)
+        : null;
+
+      if (!existing) {
+        throw error;
+      }
+
+      result = replay(existing);
+    }
+
+    if (!result.replayed) {
+      logger.info('Asiento registrado', {
+        journalId: result.journalId,
+        operation,
+        entries: result.entries.map(entry => `${entry.account} ${entry.amount}`)
+      });
+    }
+
+    return result;
+  }
+
+  // Aplica el apunte al saldo cacheado respetando el límite de descubierto
+  async applyToUser(client, userId, amount, operation) {
+    const limit = getOverdraftLimit(operation);
+    const { rows } = limit === null || amount > 0
+      ? await client.query(
+        'UPDATE users SET tk_coins = tk_coins + $1 WHERE id = $2 RETURNING tk_coins',
+        [amount, userId]
+      )
+      : await client.query(
+        'UPDATE users SET tk_coins = tk_coins + $1 WHERE id = $2 AND tk_coins + $1 >= $3 RETURNING tk_coins',
+        [amount, userId, -limit]
+      );
+
+    if (rows.length > 0) {
+      return Number(rows[0].tk_coins);
+    }
+
+    const { rows: exists } = await client.query('SELECT tk_coins FROM users WHERE id = $1', [userId]);
+
+    if (exists.length === 0) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    throw new AppError('Saldo de TK-Coins insuficiente', 402, 'INSUFFICIENT_FUNDS', {
+      balance: Number(exists[0].tk_coins),
+      required: -amount
+    });
+  }
+
+  // Mueve coins entre un usuario y una cuenta del sistema (amount > 0 abona al usuario)
+  async postUser(userId, amount, { operation, counterparty, ...options }, client = null) {
+    return this.post({
+      operation,
+      entries: [
+        { account: userAccount(userId), amount },
+        { account: counterparty, amount: -amount }
+      ],
+      ...options
+    }, client);
+  }
+
+  // Ajuste manual de staff: suma/resta (`add`) o fija el saldo (`set`)
+  async adjustBalance(userId, amount, mode, { reason = null, createdBy, idempotencyKey = null }) {
+    const metadata = { mode, requested: amount, reason, updatedBy: createdBy.id, updatedByEmail: createdBy.email };
+
+    return this.post({
+      operation: 'adjustment',
+      metadata,
+      idempotencyKey,
+      fingerprint: { userId, amount, mode },
+      createdBy: createdBy.id,
+      entries: async (client) => {
+        let delta = amount;
+
+        if (mode === 'set') {
+          const { rows } = await client.query('SELECT tk_coins FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+          if (rows.length === 0) {
+            throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+          }
+
+          delta = amount - Number(rows[0].tk_coins);
+        }
+
+        if (delta === 0) {
+          throw new AppError('El saldo ya tiene ese valor', 409, 'NO_CHANGE');
+        }
+
+        return [
+          { account: userAccount(userId), amount: delta },
+          { account: SYSTEM_ACCOUNTS.issuance, amount: -delta }
+        ];
+      }
+    });
+  }
+
+  // Saldo derivado del ledger (suma de los apuntes de la cuenta)
+  async getLedgerBalance(userId) {
+    const { rows } = await databaseService.query(
+      'SELECT COALESCE(SUM(amount), 0) AS total FROM tk_coins_transactions WHERE account = $1 AND journal_id IS NOT NULL',
+      [userAccount(userId)]
+    );
+
+    return Number(rows[0].total);
+  }
+
+  // Diferencias entre users.tk_coins y el ledger, y asientos que no suman cero
+  async reconcile() {
+    const { rows: ledger } = await databaseService.query(
+      `SELECT account, COALESCE(SUM(amount), 0) AS total
+       FROM tk_coins_transactions
+       WHERE journal_id IS NOT NULL AND user_id IS NOT NULL
+       GROUP BY account`
+    );
+    const ledgerBalances = new Map(ledger.map(row => [row.account, Number(row.total)]));
+
+    const { rows: users } = await databaseService.query('SELECT id, username, tk_coins FROM users');
+
+    const drift = users
+      .map(user => {
+        const stored = Number(user.tk_coins);
+        const derived = ledgerBalances.get(userAccount(user.id)) || 0;
+
+        return { userId: user.id, username: user.username, stored, ledger: derived, difference: stored - derived };
+      })
+      .filter(row => row.difference !== 0);
+
+    const { rows: journals } = await databaseService.query(
+      `SELECT journal_id, SUM(amount) AS total
+       FROM tk_coins_transactions
+       WHERE journal_id IS NOT NULL
+       GROUP BY journal_id`
+    );
+
+    const unbalancedJournals = journals
+      .filter(row => Number(row.total) !== 0)
+      .map(row => ({ journalId: row.journal_id, total: Number(row.total) }));
+
+    const result = { ok: drift.length === 0 && unbalancedJournals.length === 0, drift, unbalancedJournals };
+
+    if (!result.ok) {
+      logger.warn('Diferencias en la conciliación de TK-Coins', {
+        drift: drift.length,
+        unbalancedJournals: unbalancedJournals.length
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new LedgerService();
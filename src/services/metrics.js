@@ -0,0 +1,193 @@
+const client = require('prom-client');
+const winston = require('winston');
+const databaseService = require('./database');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/metrics.log' })
+  ]
+});
+
+// Valor de pterodactyl_circuit_state para cada estado del circuito
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+// HTTP. La ruta es la plantilla de Express (/api/server/:id), no la URL, para que el
+// número de series no crezca con cada id.
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Peticiones HTTP atendidas',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duración de las peticiones HTTP',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+// Cliente de Pterodactyl: cada intento cuenta por separado, incluidos los reintentos
+const pterodactylRequestDuration = new client.Histogram({
+  name: 'pterodactyl_request_duration_seconds',
+  help: 'Duración de las peticiones a Pterodactyl por API, método y estado de la respuesta',
+  labelNames: ['api', 'method', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const pterodactylErrorsTotal = new client.Counter({
+  name: 'pterodactyl_errors_total',
+  help: 'Peticiones a Pterodactyl fallidas por código de error (incluye las rechazadas con el circuito abierto)',
+  labelNames: ['api', 'code'],
+  registers: [registry]
+});
+
+const pterodactylCircuitState = new client.Gauge({
+  name: 'pterodactyl_circuit_state',
+  help: 'Estado del circuito de Pterodactyl (0 cerrado, 1 semiabierto, 2 abierto)',
+  registers: [registry]
+});
+
+// Pool de conexiones a PostgreSQL
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Conexiones del pool de base de datos por estado',
+  labelNames: ['state'],
+  registers: [registry],
+  collect() {
+    const stats = databaseService.driver.stats();
+
+    this.set({ state: 'total' }, stats.total);
+    this.set({ state: 'idle' }, stats.idle);
+    this.set({ state: 'waiting' }, stats.waiting);
+    this.set({ state: 'max' }, stats.max || 0);
+  }
+});
+
+// Negocio: se consultan en cada lectura de /metrics. Si la base no responde se
+// omiten sin hacer fallar el resto de métricas.
+new client.Gauge({
+  name: 'tkcoins_circulation',
+  help: 'TK-Coins en saldos de usuarios',
+  registers: [registry],
+  async collect() {
+    try {
+      const { rows } = await databaseService.query('SELECT COALESCE(SUM(tk_coins), 0) AS total FROM users');
+      this.set(Number(rows[0].total));
+    } catch (error) {
+      logger.warn('No se pudo leer el total de TK-Coins', { error: error.message });
+    }
+  }
+});
+
+// Estado del servidor reflejado de Pterodactyl (webhooks y sincronización): la suspensión
+// y la instalación mandan sobre el último estado de encendido
+const serverState = (row) => {
+  if (row.is_suspended) {
+    return 'suspended';
+  }
+
+  if (row.is_installing) {
+    return 'installing';
+  }
+
+  return row.status || 'unknown';
+};
+
+new client.Gauge({
+  name: 'servers_total',
+  help: 'Servidores gestionados por estado de facturación y estado en el panel',
+  labelNames: ['billing_status', 'state'],
+  registers: [registry],
+  async collect() {
+    try {
+      const { rows } = await databaseService.query(
+        `SELECT COALESCE(billing_status, 'active') AS billing_status, status,
+                COALESCE(is_suspended, false) AS is_suspended, COALESCE(is_installing, false) AS is_installing,
+                COUNT(*)::int AS total
+         FROM servers
+         GROUP BY COALESCE(billing_status, 'active'), status, COALESCE(is_suspended, false), COALESCE(is_installing, false)`
+      );
+
+      this.reset();
+
+      const totals = new Map();
+
+      for (const row of rows) {
+        const labels = { billing_status: row.billing_status, state: serverState(row) };
+        const key = `${labels.billing_status}:${labels.state}`;
+
+        totals.set(key, { labels, total: (totals.get(key)?.total || 0) + row.total });
+      }
+
+      for (const { labels, total } of totals.values()) {
+        this.set(labels, total);
+      }
+    } catch (error) {
+      logger.warn('No se pudo contar los servidores', { error: error.message });
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'notification_deliveries_pending',
+  help: 'Entregas de notificaciones pendientes de enviar',
+  registers: [registry],
+  async collect() {
+    try {
+      const { rows } = await databaseService.query(
+        "SELECT COUNT(*)::int AS total FROM notification_deliveries WHERE status IN ('pending', 'sending')"
+      );
+      this.set(rows[0].total);
+    } catch (error) {
+      logger.warn('No se pudo contar las entregas pendientes', { error: error.message });
+    }
+  }
+});
+
+pterodactylCircuitState.set(CIRCUIT_STATES.closed);
+
+// Métricas en formato de texto de Prometheus (GET /metrics)
+class MetricsService {
+  get contentType() {
+    return registry.contentType;
+  }
+
+  async render() {
+    return registry.metrics();
+  }
+
+  observeHttp({ method, route, status }, seconds) {
+    const labels = { method, route, status: String(status) };
+
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, seconds);
+  }
+
+  // status: código HTTP de la respuesta, o "none" si no la hubo (tiempo agotado, conexión rechazada)
+  observePterodactyl({ api, method, status }, seconds) {
+    pterodactylRequestDuration.observe({ api, method: method.toUpperCase(), status: String(status) }, seconds);
+  }
+
+  countPterodactylError({ api, code }) {
+    pterodactylErrorsTotal.inc({ api, code: code || 'UNKNOWN' });
+  }
+
+  setCircuitState(state) {
+    pterodactylCircuitState.set(CIRCUIT_STATES[state] ?? CIRCUIT_STATES.closed);
+  }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/migrations.log' })
+  ]
+});
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.directory = options.directory || MIGRATIONS_DIR;
+    this.table = options.table || 'schema_migrations';
+  }
+
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.directory, file));
+
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`La migración ${file} debe exportar up() y down()`);
+        }
+
+        return {
+          version: match[1],
+          name: match[2],
+          description: migration.description || match[2],
+          up: migration.up,
+          down: migration.down
+        };
+      })
+      .sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  // Versión destino de --to. Se acepta con o sin ceros (7, 007) y debe ser una
+  // migración existente; `0` solo vale al revertir y significa "todas".
+  resolveVersion(to, migrations, { allowZero = false } = {}) {
+    if (to === undefined) {
+      return undefined;
+    }
+
+    if (!/^\d+$/.test(String(to))) {
+      throw new Error(`Versión de destino inválida: ${to}`);
+    }
+
+    if (allowZero && parseInt(to, 10) === 0) {
+      return '0';
+    }
+
+    const match = migrations.find(migration => parseInt(migration.version, 10) === parseInt(to, 10));
+
+    if (!match) {
+      throw new Error(`No existe la migración ${to}`);
+    }
+
+    return match.version;
+  }
+
+  async ensureTable() {
+    const { rows } = await this.driver.query(
+      "SELECT 1 FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1",
+      [this.table]
+    );
+
+    if (rows.length > 0) {
+      return;
+    }
+
+    await this.driver.query(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        version VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getApplied() {
+    await this.ensureTable();
+
+    const { rows } = await this.driver.query(
+      `SELECT version, name, applied_at FROM ${this.table} ORDER BY version`
+    );
+
+    return rows;
+  }
+
+  async status() {
+    const applied = new Map((await this.getApplied()).map(row => [row.version, row]));
+
+    return this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version)?.applied_at || null
+    }));
+  }
+
+  // Aplica las migraciones pendientes hasta `to` (inclusive)
+  async up({ to, dryRun = false } = {}) {
+    const migrations = this.loadMigrations();
+    const target = this.resolveVersion(to, migrations);
+    const applied = new Set((await this.getApplied()).map(row => row.version));
+    const pending = migrations
+      .filter(migration => !applied.has(migration.version))
+      .filter(migration => !target || parseInt(migration.version, 10) <= parseInt(target, 10));
+
+    const results = [];
+
+    for (const migration of pending) {
+      results.push(await this.run(migration, 'up', dryRun));
+    }
+
+    return results;
+  }
+
+  // Revierte las últimas `steps` migraciones, o todas las posteriores a `to` (0: todas)
+  async down({ steps = 1, to, dryRun = false } = {}) {
+    const migrations = this.loadMigrations();
+    const target = this.resolveVersion(to, migrations, { allowZero: true });
+    const applied = new Set((await this.getApplied()).map(row => row.version));
+    const candidates = migrations
+      .filter(migration => applied.has(migration.version))
+      .reverse();
+
+    const targets = target !== undefined
+      ? candidates.filter(migration => parseInt(migration.version, 10) > parseInt(target, 10))
+      : candidates.slice(0, steps);
+
+    const results = [];
+
+    for (const migration of targets) {
+      results.push(await this.run(migration, 'down', dryRun));
+    }
+
+    return results;
+  }
+
+  async run(migration, direction, dryRun) {
+    if (dryRun) {
+      const statements = [];
+      const recorder = {
+        dialect: this.driver.name,
+        query: async (text) => {
+          statements.push(text.replace(/\s+/g, ' ').trim());
+          return { rows: [], rowCount: 0 };
+        }
+      };
+
+      await migration[direction](recorder);
+
+      return { version: migration.version, name: migration.name, direction, dryRun, statements };
+    }
+
+    logger.info(`Ejecutando migración ${migration.version}_${migration.name} (${direction})`);
+
+    await this.driver.transaction(async (client) => {
+      const db = {
+        dialect: this.driver.name,
+        query: (text, params) => client.query(text, params)
+      };
+
+      await migration[direction](db);
+
+      if (direction === 'up') {
+        await client.query(
+          `INSERT INTO ${this.table} (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+      } else {
+        await client.query(`DELETE FROM ${this.table} WHERE version = $1`, [migration.version]);
+      }
+    });
+
+    logger.info(`Migración ${migration.version}_${migration.name} completada (${direction})`);
+
+    return { version: migration.version, name: migration.name, direction, dryRun };
+  }
+}
+
+module.exports = Migrator;
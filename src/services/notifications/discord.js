@@ -0,0 +1,38 @@
+const axios = require('axios');
+const { AppError } = require('../../utils/errors');
+
+const WEBHOOK_PATTERN = /^https:\/\/(discord\.com|discordapp\.com)\/api\/webhooks\/\d+\/[\w-]+$/;
+
+// Colores del embed por tipo de notificación
+const COLORS = { server: 0x3498db, billing: 0xe67e22, coins: 0x2ecc71 };
+
+// Mensaje a un webhook de Discord (Ajustes del canal > Integraciones > Webhooks)
+class DiscordChannel {
+  constructor({ timeoutMs = 10000 } = {}) {
+    this.name = 'discord';
+    this.configured = true;
+    this.timeoutMs = timeoutMs;
+  }
+
+  resolveTarget(target) {
+    if (!WEBHOOK_PATTERN.test(target || '')) {
+      throw new AppError('URL de webhook de Discord inválida', 400, 'INVALID_TARGET');
+    }
+
+    return target;
+  }
+
+  async send({ target, notification }) {
+    await axios.post(target, {
+      username: 'Panel-TK',
+      embeds: [{
+        title: notification.title,
+        description: notification.message,
+        color: COLORS[notification.type],
+        timestamp: new Date(notification.created_at).toISOString()
+      }]
+    }, { timeout: this.timeoutMs });
+  }
+}
+
+module.exports = DiscordChannel;
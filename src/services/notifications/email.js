@@ -0,0 +1,56 @@
+const nodemailer = require('nodemailer');
+const { AppError } = require('../../utils/errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Correo por SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM). Solo se envía
+// al email de la cuenta: una dirección cualquiera permitiría usar el panel para mandar
+// correo a terceros.
+class EmailChannel {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT || '587'),
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.SMTP_FROM || 'noreply@panel-tk.com'
+  } = {}) {
+    this.name = 'email';
+    this.from = from;
+    this.transport = host
+      ? nodemailer.createTransport({ host, port, secure: port === 465, auth: user ? { user, pass } : undefined })
+      : null;
+  }
+
+  get configured() {
+    return Boolean(this.transport);
+  }
+
+  resolveTarget(target, user) {
+    const email = user.email;
+
+    if (target && String(target).trim().toLowerCase() !== String(email || '').toLowerCase()) {
+      throw new AppError('El canal email solo envía al email de la cuenta', 400, 'INVALID_TARGET');
+    }
+
+    if (!EMAIL_PATTERN.test(email || '')) {
+      throw new AppError('La cuenta no tiene un email válido', 400, 'INVALID_TARGET');
+    }
+
+    return email;
+  }
+
+  async send({ target, notification }) {
+    if (!this.transport) {
+      throw Object.assign(new Error('SMTP no está configurado'), { permanent: true });
+    }
+
+    await this.transport.sendMail({
+      from: this.from,
+      to: target,
+      subject: `[Panel-TK] ${notification.title}`,
+      text: notification.message
+    });
+  }
+}
+
+module.exports = EmailChannel;
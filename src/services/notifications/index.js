@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const databaseService = require('../database');
+const EmailChannel = require('./email');
+const DiscordChannel = require('./discord');
+const WebhookChannel = require('./webhook');
+const StubChannel = require('./stub');
+const { NOTIFICATION_EVENTS, NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, NOTIFICATION_ALERT_EVENTS } = require('../../config/notifications');
+const { AppError } = require('../../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/notifications.log' })
+  ]
+});
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5');
+const RETRY_BASE_MS = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS || '60000');
+// Una entrega en curso que no termina en este plazo (proceso caído) vuelve a la cola
+const SENDING_LEASE_MS = 10 * 60 * 1000;
+
+// Copias para el equipo de los eventos de NOTIFICATION_ALERT_EVENTS
+const ALERT_TARGETS = [
+  { channel: 'discord', target: process.env.DISCORD_WEBHOOK_URL },
+  { channel: 'webhook', target: process.env.ALERT_WEBHOOK_URL }
+].filter(alert => alert.target);
+
+const parseTypes = (types) => (typeof types === 'string' ? JSON.parse(types) : types);
+
+const publicNotification = (row) => ({
+  id: row.id,
+  event: row.event,
+  type: row.type,
+  title: row.title,
+  message: row.message,
+  actionUrl: row.action_url,
+  read: row.is_read,
+  readAt: row.read_at,
+  createdAt: row.created_at
+});
+
+const publicPreference = (row) => ({
+  channel: row.channel,
+  target: row.target,
+  types: parseTypes(row.types),
+  enabled: row.enabled,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Todos los canales exponen la misma interfaz:
+//   name
+//   configured -> false si falta configuración para enviar (p. ej. SMTP)
+//   resolveTarget(target, user) -> destino normalizado (o promesa); AppError 400 si no es válido
+//   send({ target, notification, secret }) -> resuelve al entregar, lanza si falla
+// Un error con `permanent: true` (o un 4xx distinto de 429) no se reintenta.
+const createChannels = (driver = process.env.NOTIFICATION_DRIVER || 'live') => {
+  if (driver === 'stub') {
+    return Object.fromEntries(NOTIFICATION_CHANNELS.map(name => [name, new StubChannel(name)]));
+  }
+
+  return {
+    email: new EmailChannel(),
+    discord: new DiscordChannel(),
+    webhook: new WebhookChannel()
+  };
+};
+
+const isPermanent = (error) => {
+  const status = error.response?.status;
+  return Boolean(error.permanent) || (status >= 400 && status < 500 && status !== 429);
+};
+
+// Notificaciones a usuarios. Los servicios emiten eventos con notify(): se guardan en
+// notifications (la bandeja de la aplicación) y se encolan en notification_deliveries
+// para cada canal que el usuario tenga activo para ese tipo. El worker de
+// notificaciones vacía la cola con processQueue(), con reintentos y backoff exponencial.
+class NotificationService {
+  constructor() {
+    this.channels = createChannels();
+  }
+
+  // Sustituye un canal, p. ej. por un StubChannel en los tests
+  useChannel(name, channel) {
+    this.channels[name] = channel;
+  }
+
+  // Dentro de una transacción, con `client`: si se revierte, no queda ni el aviso ni sus envíos
+  async notify(userId, event, { title, message, actionUrl = null }, client = null) {
+    const type = NOTIFICATION_EVENTS[event];
+
+    if (!type) {
+      throw new Error(`Evento de notificación desconocido: ${event}`);
+    }
+
+    const db = client || databaseService;
+
+    try {
+      const { rows } = await db.query(
+        `INSERT INTO notifications (user_id, event, type, title, message, action_url, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING id`,
+        [userId, event, type, title, message, actionUrl]
+      );
+
+      const notificationId = rows[0].id;
+
+      const { rows: preferences } = await db.query(
+        `SELECT p.channel, p.target, p.types, u.email FROM notification_preferences p
+         JOIN users u ON u.id = p.user_id
+         WHERE p.user_id = $1 AND p.enabled = true`,
+        [userId]
+      );
+
+      const deliveries = preferences
+        .filter(preference => {
+          const types = parseTypes(preference.types);
+          return !types || types.includes(type);
+        })
+        // El email va siempre a la cuenta, aunque la preferencia guarde otro destino
+        .map(preference => ({
+          channel: preference.channel,
+          target: preference.channel === 'email' ? preference.email : preference.target
+        }));
+
+      if (NOTIFICATION_ALERT_EVENTS.includes(event)) {
+        deliveries.push(...ALERT_TARGETS);
+      }
+
+      for (const delivery of deliveries) {
+        await db.query(
+          `INSERT INTO notification_deliveries (notification_id, channel, target, next_attempt_at)
+           VALUES ($1, $2, $3, NOW())`,
+          [notificationId, delivery.channel, delivery.target]
+        );
+      }
+
+      return notificationId;
+    } catch (error) {
+      logger.error(`Error al crear notificación para el usuario ${userId}`, { event, error: error.message });
+      throw error;
+    }
+  }
+
+  async list(userId, { unreadOnly = false, page = 1, limit = 20 } = {}) {
+    const where = unreadOnly ? 'AND is_read = false' : '';
+
+    const { rows: countRows } = await databaseService.query(
+      `SELECT COUNT(*)::int AS total,
+              COALESCE(SUM(CASE WHEN is_read THEN 0 ELSE 1 END), 0)::int AS unread
+       FROM notifications WHERE user_id = $1`,
+      [userId]
+    );
+
+    const { rows } = await databaseService.query(
+      `SELECT * FROM notifications WHERE user_id = $1 ${where}
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, (page - 1) * limit]
+    );
+
+    return {
+      notifications: rows.map(publicNotification),
+      unread: countRows[0].unread,
+      pagination: { page, limit, total: unreadOnly ? countRows[0].unread : countRows[0].total }
+    };
+  }
+
+  async markRead(userId, notificationId) {
+    const { rows } = await databaseService.query(
+      `UPDATE notifications SET is_read = true, read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [notificationId, userId]
+    );
+
+    if (!rows[0]) {
+      throw new AppError('Notificación no encontrada', 404, 'NOTIFICATION_NOT_FOUND');
+    }
+
+    return publicNotification(rows[0]);
+  }
+
+  async markAllRead(userId) {
+    const { rowCount } = await databaseService.query(
+      'UPDATE notifications SET is_read = true, read_at = NOW() WHERE user_id = $1 AND is_read = false',
+      [userId]
+    );
+
+    return rowCount;
+  }
+
+  async getPreferences(userId) {
+    const { rows } = await databaseService.query(
+      'SELECT * FROM notification_preferences WHERE user_id = $1 ORDER BY channel',
+      [userId]
+    );
+
+    return rows.map(publicPreference);
+  }
+
+  // Crea o actualiza el canal. El secreto del canal webhook solo se devuelve al crearlo.
+  async setPreference(user, channel, { target, types, enabled = true }) {
+    const { rows: existing } = await databaseService.query(
+      'SELECT * FROM notification_preferences WHERE user_id = $1 AND channel = $2',
+      [user.id, channel]
+    );
+
+    const current = existing[0];
+    const nextTarget = target !== undefined ? target : current?.target;
+    const nextTypes = types !== undefined ? types : parseTypes(current?.types) ?? null;
+
+    // El canal email no guarda destino: usa el de la cuenta, que se resuelve al notificar
+    const resolvedTarget = await this.channels[channel].resolveTarget(nextTarget || null, user);
+    const storedTarget = channel === 'email' ? null : resolvedTarget;
+
+    if (nextTypes && nextTypes.some(type => !NOTIFICATION_TYPES.includes(type))) {
+      throw new AppError(`Tipos inválidos: deben ser de ${NOTIFICATION_TYPES.join(', ')}`, 400, 'INVALID_TYPES');
+    }
+
+    if (current) {
+      const { rows } = await databaseService.query(
+        `UPDATE notification_preferences SET target = $1, types = $2, enabled = $3, updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [storedTarget, nextTypes ? JSON.stringify(nextTypes) : null, enabled, current.id]
+      );
+
+      return publicPreference(rows[0]);
+    }
+
+    const secret = channel === 'webhook' ? crypto.randomBytes(32).toString('hex') : null;
+
+    const { rows } = await databaseService.query(
+      `INSERT INTO notification_preferences (user_id, channel, target, types, secret, enabled, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING *`,
+      [user.id, channel, storedTarget, nextTypes ? JSON.stringify(nextTypes) : null, secret, enabled]
+    );
+
+    logger.info('Canal de notificación configurado', { userId: user.id, channel });
+
+    return { ...publicPreference(rows[0]), ...(secret && { secret }) };
+  }
+
+  async removePreference(userId, channel) {
+    const { rowCount } = await databaseService.query(
+      'DELETE FROM notification_preferences WHERE user_id = $1 AND channel = $2',
+      [userId, channel]
+    );
+
+    if (rowCount === 0) {
+      throw new AppError('Canal no configurado', 404, 'CHANNEL_NOT_FOUND');
+    }
+  }
+
+  // Envía las entregas pendientes. Cada una se reserva antes de enviarla (status
+  // 'sending' con un plazo) para que dos procesos no la envíen a la vez.
+  async processQueue({ limit = 50 } = {}) {
+    const summary = { sent: 0, retried: 0, failed: 0 };
+
+    const { rows } = await databaseService.query(
+      `SELECT id, attempts FROM notification_deliveries
+       WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1`,
+      [limit]
+    );
+
+    for (const row of rows) {
+      const { rows: claimed } = await databaseService.query(
+        `UPDATE notification_deliveries SET status = 'sending', attempts = attempts + 1, next_attempt_at = $1
+         WHERE id = $2 AND attempts = $3 AND status IN ('pending', 'sending')
+         RETURNING *`,
+        [new Date(Date.now() + SENDING_LEASE_MS), row.id, row.attempts]
+      );
+
+      if (claimed[0]) {
+        summary[await this.deliver(claimed[0])]++;
+      }
+    }
+
+    return summary;
+  }
+
+  async deliver(delivery) {
+    const { rows } = await databaseService.query(
+      `SELECT n.*, p.secret FROM notifications n
+       LEFT JOIN notification_preferences p
+         ON p.user_id = n.user_id AND p.channel = $2 AND p.target = $3
+       WHERE n.id = $1`,
+      [delivery.notification_id, delivery.channel, delivery.target]
+    );
+
+    const notification = rows[0];
+    const channel = this.channels[delivery.channel];
+
+    try {
+      if (!channel) {
+        throw Object.assign(new Error(`Canal desconocido: ${delivery.channel}`), { permanent: true });
+      }
+
+      await channel.send({ target: delivery.target, notification, secret: notification.secret });
+
+      await databaseService.query(
+        "UPDATE notification_deliveries SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1",
+        [delivery.id]
+      );
+
+      return 'sent';
+    } catch (error) {
+      const giveUp = isPermanent(error) || delivery.attempts >= MAX_ATTEMPTS;
+      const retryAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+
+      await databaseService.query(
+        'UPDATE notification_deliveries SET status = $1, last_error = $2, next_attempt_at = $3 WHERE id = $4',
+        [giveUp ? 'failed' : 'pending', error.message.slice(0, 1000), giveUp ? null : retryAt, delivery.id]
+      );
+
+      logger[giveUp ? 'error' : 'warn'](giveUp ? 'Entrega de notificación fallida' : 'Entrega de notificación reintentada', {
+        deliveryId: delivery.id,
+        channel: delivery.channel,
+        attempts: delivery.attempts,
+        error: error.message
+      });
+
+      return giveUp ? 'failed' : 'retried';
+    }
+  }
+}
+
+module.exports = new NotificationService();
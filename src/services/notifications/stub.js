@@ -0,0 +1,19 @@
+// Canal de pruebas y desarrollo (NOTIFICATION_DRIVER=stub): no envía nada, guarda los
+// envíos en `sent`. Acepta cualquier destino; el de email es siempre el de la cuenta.
+class StubChannel {
+  constructor(name) {
+    this.name = name;
+    this.sent = [];
+    this.configured = true;
+  }
+
+  resolveTarget(target, user) {
+    return this.name === 'email' ? user.email : target || 'stub://';
+  }
+
+  async send(delivery) {
+    this.sent.push(delivery);
+  }
+}
+
+module.exports = StubChannel;
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { AppError } = require('../../utils/errors');
+const { assertPublicHost, publicLookup } = require('../../utils/network');
+
+// Agentes que solo conectan a direcciones públicas (ver utils/network)
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// POST JSON a una URL propia. Con secreto, la petición lleva la cabecera
+// `X-PanelTK-Signature: t=<unix>,v1=<hmac-sha256(t.rawBody)>`, el mismo esquema que
+// los webhooks de pago. `text` hace el cuerpo compatible con Slack.
+// La URL la decide el usuario: se rechazan los hosts que resuelven a la red interna,
+// al guardarla y otra vez al enviar (un DNS puede cambiar después de validarlo).
+class WebhookChannel {
+  constructor({ timeoutMs = 10000 } = {}) {
+    this.name = 'webhook';
+    this.configured = true;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async resolveTarget(target) {
+    let url;
+
+    try {
+      url = new URL(target);
+    } catch (error) {
+      throw new AppError('URL de webhook inválida', 400, 'INVALID_TARGET');
+    }
+
+    const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+
+    if (!protocols.includes(url.protocol)) {
+      throw new AppError(`La URL del webhook debe usar ${protocols.join(' o ')}`, 400, 'INVALID_TARGET');
+    }
+
+    try {
+      await assertPublicHost(url.hostname);
+    } catch (error) {
+      throw new AppError('La URL del webhook debe apuntar a un host público', 400, 'INVALID_TARGET');
+    }
+
+    return url.toString();
+  }
+
+  async send({ target, notification, secret = null }) {
+    const body = JSON.stringify({
+      id: notification.id,
+      event: notification.event,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      actionUrl: notification.action_url,
+      createdAt: notification.created_at,
+      text: `*${notification.title}*\n${notification.message}`
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-PanelTK-Signature'] = `t=${timestamp},v1=${signature}`;
+    }
+
+    // Las IPs literales no pasan por lookup: se comprueban aquí
+    await assertPublicHost(new URL(target).hostname);
+
+    // Sin redirecciones: una respuesta 3xx podría llevar la petición a la red interna
+    await axios.post(target, body, { headers, timeout: this.timeoutMs, httpAgent, httpsAgent, maxRedirects: 0 });
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,66 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const pterodactylService = require('./pterodactyl');
+const accountLinkService = require('./accountLinks');
+const { NotFoundError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth.log' })
+  ]
+});
+
+class OwnershipService {
+  // Un usuario solo es dueño de su propia cuenta
+  async ownsUser(user, userId) {
+    return String(user.id) === String(userId);
+  }
+
+  // Resuelve el dueño de un servidor: primero por la tabla servers (servers.user_id)
+  // y, si no está registrado localmente, por el campo `user` de Pterodactyl
+  // traducido al usuario local vinculado
+  async getServerOwner(serverId) {
+    if (/^\d+$/.test(String(serverId))) {
+      const { rows } = await databaseService.query(
+        'SELECT user_id FROM servers WHERE pterodactyl_id = $1',
+        [parseInt(serverId)]
+      );
+
+      if (rows[0]) {
+        return { userId: rows[0].user_id, pterodactylUserId: null };
+      }
+    }
+
+    try {
+      const server = await pterodactylService.getServerDetails(serverId);
+      const userId = await accountLinkService.getLocalUserId(server.user);
+
+      return { userId, pterodactylUserId: server.user };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async ownsServer(user, serverId) {
+    const owner = await this.getServerOwner(serverId);
+
+    const owns = Boolean(owner?.userId) && String(owner.userId) === String(user.id);
+
+    if (!owns) {
+      logger.warn('Acceso a servidor ajeno', { userId: user.id, serverId });
+    }
+
+    return owns;
+  }
+}
+
+module.exports = new OwnershipService();
@@ -0,0 +1,28 @@
+// Proveedores de pago.
+// Todos los proveedores exponen la misma interfaz:
+//   name                                    -> nombre guardado en checkout_sessions.provider
+//   createCheckout({ sessionId, amountCents, currency, description })
+//                                           -> { providerSessionId, checkoutUrl }
+//   verifySignature(rawBody, headers)       -> true si la firma del webhook es válida
+//   parseEvent(payload)                     -> { eventId, type, providerSessionId, amountCents, currency }
+// Los tipos de evento normalizados son: succeeded, failed, refunded y chargeback.
+const { AppError } = require('../../utils/errors');
+
+const providers = {
+  mock: () => require('./mock')
+};
+
+const createProvider = (name = process.env.PAYMENT_PROVIDER || 'mock', options = {}) => {
+  const loader = providers[name];
+
+  if (!loader) {
+    throw new AppError('Pagos no disponibles: proveedor no configurado', 503, 'PAYMENTS_NOT_CONFIGURED');
+  }
+
+  const Provider = loader();
+  return new Provider(options);
+};
+
+module.exports = {
+  createProvider
+};
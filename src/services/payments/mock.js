@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { AppError } = require('../../utils/errors');
+
+// Tipos de evento del proveedor simulado y su tipo normalizado
+const EVENT_TYPES = {
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded',
+  'payment.disputed': 'chargeback'
+};
+
+// Proveedor simulado para desarrollo y pruebas de extremo a extremo. No cobra nada:
+// los pagos se confirman enviando al webhook eventos firmados con
+// scripts/mock-payment.js. La firma sigue el esquema habitual de los proveedores
+// reales: cabecera `X-Mock-Signature: t=<unix>,v1=<hmac-sha256(t.rawBody)>`.
+class MockPaymentProvider {
+  constructor({
+    secret = process.env.PAYMENT_WEBHOOK_SECRET,
+    toleranceSeconds = parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS || '300')
+  } = {}) {
+    this.name = 'mock';
+    this.secret = secret;
+    this.toleranceSeconds = toleranceSeconds;
+  }
+
+  async createCheckout({ sessionId }) {
+    const providerSessionId = `mock_cs_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      providerSessionId,
+      checkoutUrl: `mock://checkout/${providerSessionId}?session=${sessionId}`
+    };
+  }
+
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  verifySignature(rawBody, headers) {
+    if (!this.secret) {
+      throw new AppError('Pagos no disponibles: falta configurar el proveedor', 503, 'PAYMENTS_NOT_CONFIGURED');
+    }
+
+    const header = headers['x-mock-signature'];
+
+    if (!header || !rawBody) {
+      return false;
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(rawBody, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  parseEvent(payload) {
+    return {
+      eventId: payload.id,
+      type: EVENT_TYPES[payload.type] || payload.type,
+      providerSessionId: payload.data?.session_id,
+      amountCents: payload.data?.amount_cents,
+      currency: payload.data?.currency
+    };
+  }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,197 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const { grants, isKnownPermission } = require('../config/permissions');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/auth.log' })
+  ]
+});
+
+const CACHE_TTL_MS = parseInt(process.env.PERMISSIONS_CACHE_TTL_MS || '60000');
+
+// Roles que no se pueden eliminar: el rol por defecto de registro y el de administración
+const PROTECTED_ROLES = ['user', 'admin'];
+
+class PermissionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  async getRolePermissions(role) {
+    const cached = this.cache.get(role);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const { rows } = await databaseService.query(
+      'SELECT permission FROM role_permissions WHERE role = $1',
+      [role]
+    );
+    const permissions = rows.map(row => row.permission);
+
+    this.cache.set(role, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return permissions;
+  }
+
+  // Devuelve el primer permiso que falta, o null si el usuario los tiene todos.
+  // Con API key se exige además que la clave incluya el permiso.
+  async findMissing(user, permissions) {
+    const rolePermissions = await this.getRolePermissions(user.role);
+
+    for (const permission of permissions) {
+      if (!grants(rolePermissions, permission)) {
+        return { permission, source: 'role' };
+      }
+
+      if (user.authMethod === 'api_key' && !grants(user.scopes, permission)) {
+        return { permission, source: 'api_key' };
+      }
+    }
+
+    return null;
+  }
+
+  async hasPermission(user, permission) {
+    return !(await this.findMissing(user, [permission]));
+  }
+
+  validatePermissions(permissions) {
+    const unknown = permissions.filter(permission => !isKnownPermission(permission));
+
+    if (unknown.length > 0) {
+      throw new AppError('Permisos desconocidos', 400, 'UNKNOWN_PERMISSIONS', { permissions: unknown });
+    }
+  }
+
+  async listRoles() {
+    const { rows } = await databaseService.query(
+      `SELECT r.name, r.description, r.created_at, rp.permission
+       FROM roles r
+       LEFT JOIN role_permissions rp ON rp.role = r.name
+       ORDER BY r.name, rp.permission`
+    );
+
+    const roles = new Map();
+
+    for (const row of rows) {
+      if (!roles.has(row.name)) {
+        roles.set(row.name, {
+          name: row.name,
+          description: row.description,
+          createdAt: row.created_at,
+          permissions: []
+        });
+      }
+
+      if (row.permission) {
+        roles.get(row.name).permissions.push(row.permission);
+      }
+    }
+
+    return Array.from(roles.values());
+  }
+
+  async createRole({ name, description, permissions = [] }) {
+    this.validatePermissions(permissions);
+
+    const { rows } = await databaseService.query('SELECT 1 FROM roles WHERE name = $1', [name]);
+
+    if (rows.length > 0) {
+      throw new AppError(`El rol ${name} ya existe`, 409, 'ROLE_EXISTS');
+    }
+
+    await databaseService.transaction(async (client) => {
+      await client.query('INSERT INTO roles (name, description) VALUES ($1, $2)', [name, description || null]);
+
+      for (const permission of permissions) {
+        await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2)', [name, permission]);
+      }
+    });
+
+    logger.info('Rol creado', { role: name, permissions });
+  }
+
+  async setRolePermissions(role, permissions) {
+    this.validatePermissions(permissions);
+
+    if (role === 'admin' && !grants(permissions, 'roles.manage')) {
+      throw new AppError('El rol admin debe conservar roles.manage', 400, 'ADMIN_LOCKOUT');
+    }
+
+    const { rows } = await databaseService.query('SELECT 1 FROM roles WHERE name = $1', [role]);
+
+    if (rows.length === 0) {
+      throw new AppError(`Rol ${role} no encontrado`, 404, 'ROLE_NOT_FOUND');
+    }
+
+    await databaseService.transaction(async (client) => {
+      await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+
+      for (const permission of [...new Set(permissions)]) {
+        await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2)', [role, permission]);
+      }
+    });
+
+    this.cache.delete(role);
+
+    logger.info('Permisos de rol actualizados', { role, permissions });
+  }
+
+  async deleteRole(role) {
+    if (PROTECTED_ROLES.includes(role)) {
+      throw new AppError(`El rol ${role} no se puede eliminar`, 400, 'PROTECTED_ROLE');
+    }
+
+    const { rows } = await databaseService.query(
+      'SELECT COUNT(*)::int AS total FROM users WHERE role = $1',
+      [role]
+    );
+
+    if (rows[0].total > 0) {
+      throw new AppError(`El rol ${role} está asignado a ${rows[0].total} usuario(s)`, 409, 'ROLE_IN_USE');
+    }
+
+    const { rowCount } = await databaseService.query('DELETE FROM roles WHERE name = $1', [role]);
+
+    if (rowCount === 0) {
+      throw new AppError(`Rol ${role} no encontrado`, 404, 'ROLE_NOT_FOUND');
+    }
+
+    this.cache.delete(role);
+
+    logger.info('Rol eliminado', { role });
+  }
+
+  // Devuelve el rol anterior
+  async assignRole(userId, role) {
+    const { rows } = await databaseService.query('SELECT 1 FROM roles WHERE name = $1', [role]);
+
+    if (rows.length === 0) {
+      throw new AppError(`Rol ${role} no encontrado`, 404, 'ROLE_NOT_FOUND');
+    }
+
+    const { rows: users } = await databaseService.query('SELECT role FROM users WHERE id = $1', [userId]);
+
+    if (users.length === 0) {
+      throw new AppError('Usuario no encontrado', 404, 'USER_NOT_FOUND');
+    }
+
+    await databaseService.query('UPDATE users SET role = $1 WHERE id = $2', [role, userId]);
+
+    logger.info('Rol asignado', { userId, role, previousRole: users[0].role });
+
+    return users[0].role;
+  }
+}
+
+module.exports = new PermissionService();
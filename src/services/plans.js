@@ -0,0 +1,142 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/servers.log' })
+  ]
+});
+
+// Campos editables del plan (API) y su columna en server_plans
+const COLUMNS = {
+  name: 'name',
+  description: 'description',
+  eggId: 'egg_id',
+  dockerImage: 'docker_image',
+  startupCommand: 'startup_command',
+  environment: 'environment',
+  limits: 'limits',
+  featureLimits: 'feature_limits',
+  nodeIds: 'node_ids',
+  price: 'price',
+  billingPeriodDays: 'billing_period_days',
+  isActive: 'is_active'
+};
+
+const JSON_COLUMNS = ['environment', 'limits', 'feature_limits', 'node_ids'];
+
+const publicPlan = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  eggId: row.egg_id,
+  dockerImage: row.docker_image,
+  startupCommand: row.startup_command,
+  environment: row.environment || {},
+  limits: row.limits,
+  featureLimits: row.feature_limits || {},
+  nodeIds: row.node_ids,
+  price: row.price,
+  billingPeriodDays: row.billing_period_days,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const toColumnValue = (column, value) => (
+  JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value
+);
+
+class PlanService {
+  async list({ includeInactive = false } = {}) {
+    const { rows } = await databaseService.query(
+      `SELECT * FROM server_plans ${includeInactive ? '' : 'WHERE is_active = true'} ORDER BY price, name`
+    );
+
+    return rows.map(publicPlan);
+  }
+
+  async get(planId) {
+    const { rows } = await databaseService.query('SELECT * FROM server_plans WHERE id = $1', [planId]);
+
+    if (rows.length === 0) {
+      throw new AppError('Plan no encontrado', 404, 'PLAN_NOT_FOUND');
+    }
+
+    return publicPlan(rows[0]);
+  }
+
+  async create(input) {
+    const plan = { environment: {}, featureLimits: {}, ...input };
+
+    const { rows: existing } = await databaseService.query('SELECT 1 FROM server_plans WHERE name = $1', [plan.name]);
+
+    if (existing.length > 0) {
+      throw new AppError(`El plan ${plan.name} ya existe`, 409, 'PLAN_EXISTS');
+    }
+
+    const fields = Object.keys(COLUMNS).filter(field => plan[field] !== undefined);
+    const columns = fields.map(field => COLUMNS[field]);
+    const values = fields.map(field => toColumnValue(COLUMNS[field], plan[field]));
+    const placeholders = fields.map((_, index) => `$${index + 1}`).join(', ');
+
+    const { rows } = await databaseService.query(
+      `INSERT INTO server_plans (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+      values
+    );
+
+    logger.info('Plan creado', { planId: rows[0].id, name: plan.name, price: plan.price });
+
+    return publicPlan(rows[0]);
+  }
+
+  async update(planId, changes) {
+    const fields = Object.keys(COLUMNS).filter(field => changes[field] !== undefined);
+
+    if (fields.length === 0) {
+      return this.get(planId);
+    }
+
+    if (changes.name !== undefined) {
+      const { rows: existing } = await databaseService.query(
+        'SELECT 1 FROM server_plans WHERE name = $1 AND id <> $2',
+        [changes.name, planId]
+      );
+
+      if (existing.length > 0) {
+        throw new AppError(`El plan ${changes.name} ya existe`, 409, 'PLAN_EXISTS');
+      }
+    }
+
+    const assignments = fields.map((field, index) => `${COLUMNS[field]} = $${index + 1}`);
+    const values = fields.map(field => toColumnValue(COLUMNS[field], changes[field]));
+
+    const { rows } = await databaseService.query(
+      `UPDATE server_plans SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $${fields.length + 1} RETURNING *`,
+      [...values, planId]
+    );
+
+    if (rows.length === 0) {
+      throw new AppError('Plan no encontrado', 404, 'PLAN_NOT_FOUND');
+    }
+
+    logger.info('Plan actualizado', { planId, fields });
+
+    return publicPlan(rows[0]);
+  }
+
+  // Los planes no se borran: los servidores comprados siguen apuntando a ellos
+  async deactivate(planId) {
+    return this.update(planId, { isActive: false });
+  }
+}
+
+module.exports = new PlanService();
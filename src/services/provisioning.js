@@ -0,0 +1,210 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const pterodactylService = require('./pterodactyl');
+const accountLinkService = require('./accountLinks');
+const planService = require('./plans');
+const ledgerService = require('./ledger');
+const { SYSTEM_ACCOUNTS } = require('../config/coins');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/servers.log' })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FEATURE_LIMITS = { databases: 0, allocations: 0, backups: 0 };
+
+// Compra de servidores: cobra el plan en TK-Coins, crea el servidor en Pterodactyl
+// y lo registra en la tabla servers. Si algo falla después del cobro, se deshace
+// lo hecho (servidor creado y cobro) para que la compra sea todo o nada.
+class ProvisioningService {
+  // Primer nodo (de los del plan, o cualquiera fuera de mantenimiento) con una asignación libre
+  async findAllocation(plan) {
+    let nodeIds = plan.nodeIds;
+
+    if (!Array.isArray(nodeIds) || nodeIds.length === 0) {
+      const nodes = await pterodactylService.listAllNodes();
+      nodeIds = nodes.filter(node => !node.maintenance_mode).map(node => node.id);
+    }
+
+    for (const nodeId of nodeIds) {
+      try {
+        const allocations = await pterodactylService.getNodeAllocations(nodeId);
+        const free = allocations.find(allocation => !allocation.assigned);
+
+        if (free) {
+          return { nodeId, allocationId: free.id };
+        }
+      } catch (error) {
+        logger.warn(`No se pudieron consultar las asignaciones del nodo ${nodeId}`, { error: error.message });
+      }
+    }
+
+    return null;
+  }
+
+  async refund(userId, plan, serverName, reason) {
+    if (plan.price === 0) {
+      return;
+    }
+
+    try {
+      await ledgerService.postUser(userId, plan.price, {
+        operation: 'refund',
+        counterparty: SYSTEM_ACCOUNTS.revenue,
+        metadata: { planId: plan.id, serverName, reason }
+      });
+    } catch (error) {
+      // El cobro quedó hecho sin servidor: hay que reembolsarlo a mano
+      logger.error('Error al reembolsar una compra fallida', {
+        userId,
+        planId: plan.id,
+        amount: plan.price,
+        error: error.message
+      });
+    }
+  }
+
+  async purchase(user, { planId, name, description = null, environment = {} }) {
+    const plan = await planService.get(planId);
+
+    if (!plan.isActive) {
+      throw new AppError('Plan no encontrado', 404, 'PLAN_NOT_FOUND');
+    }
+
+    // Solo se pueden sobrescribir las variables que el plan define
+    const unknownVariables = Object.keys(environment).filter(key => !(key in plan.environment));
+
+    if (unknownVariables.length > 0) {
+      throw new AppError('Variables de entorno no permitidas por el plan', 400, 'INVALID_ENVIRONMENT', {
+        variables: unknownVariables
+      });
+    }
+
+    const pterodactylUserId = await accountLinkService.getPterodactylUserId(user.id);
+
+    if (pterodactylUserId === null) {
+      throw new AppError('Tu cuenta no está vinculada con Pterodactyl', 409, 'ACCOUNT_NOT_LINKED');
+    }
+
+    const allocation = await this.findAllocation(plan);
+
+    if (!allocation) {
+      throw new AppError('No hay nodos con capacidad disponible para este plan', 503, 'NO_CAPACITY');
+    }
+
+    let balance = await databaseService.getUserTKCoins(user.id);
+
+    // Los planes gratuitos no generan asiento; si el saldo no alcanza se lanza INSUFFICIENT_FUNDS
+    if (plan.price > 0) {
+      const charge = await ledgerService.postUser(user.id, -plan.price, {
+        operation: 'purchase',
+        counterparty: SYSTEM_ACCOUNTS.revenue,
+        metadata: { planId: plan.id, serverName: name },
+        createdBy: user.id
+      });
+      balance = charge.entries.find(entry => entry.balanceAfter !== null).balanceAfter;
+    }
+
+    const featureLimits = { ...DEFAULT_FEATURE_LIMITS, ...plan.featureLimits };
+    const nextDueAt = plan.billingPeriodDays
+      ? new Date(Date.now() + plan.billingPeriodDays * DAY_MS)
+      : null;
+    let server;
+
+    try {
+      server = await pterodactylService.createServer({
+        name,
+        description: description || '',
+        user: pterodactylUserId,
+        egg: plan.eggId,
+        docker_image: plan.dockerImage,
+        startup: plan.startupCommand,
+        environment: { ...plan.environment, ...environment },
+        limits: plan.limits,
+        feature_limits: featureLimits,
+        allocation: { default: allocation.allocationId },
+        start_on_completion: true
+      });
+    } catch (error) {
+      logger.error('Error al crear servidor en Pterodactyl; se reembolsa la compra', {
+        userId: user.id,
+        planId: plan.id,
+        error: error.message
+      });
+
+      await this.refund(user.id, plan, name, error.message);
+
+      throw new AppError('No se pudo crear el servidor. Los TK-Coins fueron reembolsados', 502, 'PROVISIONING_FAILED');
+    }
+
+    try {
+      const { rows } = await databaseService.query(
+        `INSERT INTO servers (pterodactyl_id, user_id, plan_id, name, description, node_id, allocation_id, egg_id,
+                              docker_image, startup_command, environment, limits, feature_limits, is_installing,
+                              billing_period_days, renewal_price, next_due_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, true, $14, $15, $16)
+         RETURNING id, pterodactyl_id, plan_id, name, node_id, allocation_id, next_due_at, created_at`,
+        [
+          server.id,
+          user.id,
+          plan.id,
+          name,
+          description,
+          allocation.nodeId,
+          allocation.allocationId,
+          plan.eggId,
+          plan.dockerImage,
+          plan.startupCommand,
+          JSON.stringify({ ...plan.environment, ...environment }),
+          JSON.stringify(plan.limits),
+          JSON.stringify(featureLimits),
+          plan.billingPeriodDays,
+          plan.billingPeriodDays ? plan.price : null,
+          nextDueAt
+        ]
+      );
+
+      logger.info('Servidor comprado', { userId: user.id, planId: plan.id, serverId: server.id, price: plan.price });
+
+      return {
+        server: {
+          id: rows[0].id,
+          pterodactylId: rows[0].pterodactyl_id,
+          identifier: server.identifier,
+          name: rows[0].name,
+          planId: rows[0].plan_id,
+          nodeId: rows[0].node_id,
+          allocationId: rows[0].allocation_id,
+          nextDueAt: rows[0].next_due_at,
+          createdAt: rows[0].created_at
+        },
+        price: plan.price,
+        balance
+      };
+    } catch (error) {
+      logger.error('Error al registrar el servidor comprado; se deshace la compra', {
+        userId: user.id,
+        serverId: server.id,
+        error: error.message
+      });
+
+      await pterodactylService.deleteServer(server.id, true)
+        .catch(deleteError => logger.error(`No se pudo eliminar el servidor ${server.id}`, { error: deleteError.message }));
+
+      await this.refund(user.id, plan, name, error.message);
+
+      throw new AppError('No se pudo registrar el servidor. Los TK-Coins fueron reembolsados', 500, 'PROVISIONING_FAILED');
+    }
+  }
+}
+
+module.exports = new ProvisioningService();
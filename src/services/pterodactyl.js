@@ -1,5 +1,16 @@
 const axios = require('axios');
 const winston = require('winston');
+const cacheService = require('./cache');
+const metricsService = require('./metrics');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { CACHE_TTLS } = require('../config/cache');
+const {
+  AppError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  UnauthorizedError
+} = require('../utils/errors');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -13,6 +24,56 @@ const logger = winston.createLogger({
   ]
 });
 
+const TIMEOUT_MS = parseInt(process.env.PTERODACTYL_TIMEOUT_MS || '10000');
+const MAX_RETRIES = parseInt(process.env.PTERODACTYL_MAX_RETRIES || '3');
+const RETRY_BASE_MS = parseInt(process.env.PTERODACTYL_RETRY_BASE_MS || '300');
+// Espera máxima por el límite de peticiones antes de responder 429 al cliente
+const RATE_LIMIT_MAX_WAIT_MS = parseInt(process.env.PTERODACTYL_RATE_LIMIT_MAX_WAIT_MS || '5000');
+// Pausa cuando el panel informa que no quedan peticiones y no dice hasta cuándo
+const RATE_LIMIT_PAUSE_MS = 1000;
+
+// Fallos que indican que el panel no está disponible: se reintentan y abren el circuito
+const TRANSIENT_CODES = ['UPSTREAM_ERROR', 'UPSTREAM_TIMEOUT', 'UPSTREAM_UNREACHABLE'];
+
+const isTransient = (error) => TRANSIENT_CODES.includes(error.code);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After puede venir en segundos o como fecha HTTP; devuelve milisegundos
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+// Lecturas que pasan por la caché: clave a partir de los argumentos y TTL (config/cache.js)
+const CACHED_READS = {
+  getUser: { key: (userId) => `ptero:user:${userId}`, ttl: 'user' },
+  getUserServers: { key: (userId) => `ptero:user-servers:${userId}`, ttl: 'userServers' },
+  getAllUsers: { key: (page = 1, perPage = 50) => `ptero:users:${page}:${perPage}`, ttl: 'users' },
+  getAllServers: { key: (page = 1, perPage = 50) => `ptero:servers:${page}:${perPage}`, ttl: 'servers' },
+  getServerDetails: { key: (serverId) => `ptero:server:${serverId}`, ttl: 'server' },
+  getNodeInfo: { key: (nodeId) => `ptero:node:${nodeId}`, ttl: 'node' },
+  getNodeAllocations: { key: (nodeId) => `ptero:node-allocations:${nodeId}`, ttl: 'nodeAllocations' },
+  getAllNodes: { key: (page = 1, perPage = 50) => `ptero:nodes:${page}:${perPage}`, ttl: 'nodes' },
+  getServerResources: { key: (serverId) => `ptero:server-resources:${serverId}`, ttl: 'serverResources' }
+};
+
+// Cliente de las APIs de Pterodactyl: la de aplicación (PTERODACTYL_API_KEY) para gestionar
+// usuarios, servidores y nodos, y la de cliente (PTERODACTYL_CLIENT_KEY, de un administrador
+// del panel) para el encendido, la consola y el uso de recursos. Todas las llamadas pasan por request():
+// reintenta las idempotentes con backoff exponencial, respeta los límites de peticiones
+// del panel, deja de llamar mientras el panel esté caído (circuit breaker) y traduce
+// los fallos a errores tipados (NotFoundError, RateLimitedError, UpstreamError, UnauthorizedError).
 class PterodactylService {
   constructor() {
     this.client = axios.create({
@@ -22,168 +83,632 @@ class PterodactylService {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
-      timeout: 10000
+      timeout: TIMEOUT_MS
     });
 
+    this.clientApi = axios.create({
+      baseURL: process.env.PTERODACTYL_URL,
+      headers: {
+        'Authorization': `Bearer ${process.env.PTERODACTYL_CLIENT_KEY}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      timeout: TIMEOUT_MS
+    });
+
+    this.breaker = new CircuitBreaker({
+      name: 'Pterodactyl',
+      failureThreshold: parseInt(process.env.PTERODACTYL_BREAKER_THRESHOLD || '5'),
+      resetTimeoutMs: parseInt(process.env.PTERODACTYL_BREAKER_RESET_MS || '30000'),
+      isFailure: isTransient,
+      onStateChange: (state, previous) => {
+        const log = state === 'open' ? logger.error : logger.warn;
+        log.call(logger, 'Circuito de Pterodactyl cambió de estado', { from: previous, to: state });
+        metricsService.setCircuitState(state);
+      }
+    });
+
+    // Último estado de límite de peticiones informado por el panel
+    this.rateLimit = { limit: null, remaining: null, blockedUntil: 0 };
+
     // Interceptor para logging
-    this.client.interceptors.request.use(
-      (config) => {
-        logger.info('Pterodactyl API Request', {
+    for (const instance of [this.client, this.clientApi]) {
+      instance.interceptors.request.use(
+        (config) => {
+          logger.info('Pterodactyl API Request', {
+            method: config.method,
+            url: config.url,
+            params: config.params
+          });
+          return config;
+        },
+        (error) => {
+          logger.error('Pterodactyl API Request Error', error);
+          return Promise.reject(error);
+        }
+      );
+
+      instance.interceptors.response.use(
+        (response) => {
+          logger.info('Pterodactyl API Response', {
+            status: response.status,
+            url: response.config.url
+          });
+          return response;
+        },
+        (error) => {
+          logger.error('Pterodactyl API Response Error', {
+            status: error.response?.status,
+            message: error.message,
+            url: error.config?.url
+          });
+          return Promise.reject(error);
+        }
+      );
+    }
+
+    // Versiones sin caché de las lecturas, para quien necesita el dato al día (p. ej. la sincronización)
+    this.uncached = {};
+
+    for (const [method, { key, ttl }] of Object.entries(CACHED_READS)) {
+      const read = this[method].bind(this);
+
+      this.uncached[method] = read;
+      this[method] = (...args) => cacheService.wrap(key(...args), CACHE_TTLS[ttl], () => read(...args));
+    }
+  }
+
+  // Ejecuta una petición al panel. Opciones:
+  //   idempotent -> se puede repetir sin efectos duplicados (por defecto, solo GET)
+  //   notFound   -> mensaje del NotFoundError si el panel responde 404
+  //   api        -> 'application' (por defecto) o 'client'
+  async request(config, { idempotent = (config.method || 'get') === 'get', notFound = 'Recurso no encontrado en Pterodactyl', api = 'application' } = {}) {
+    if (api === 'client' && !process.env.PTERODACTYL_CLIENT_KEY) {
+      throw new AppError('PTERODACTYL_CLIENT_KEY no está configurado', 503, 'CLIENT_API_NOT_CONFIGURED');
+    }
+
+    const instance = api === 'client' ? this.clientApi : this.client;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForRateLimit();
+
+      try {
+        return await this.breaker.execute(() => this.send(instance, config, notFound, api));
+      } catch (error) {
+        metricsService.countPterodactylError({ api, code: error.code });
+
+        // Un 429 significa que el panel no procesó la petición: se puede repetir siempre
+        const retryable = error instanceof RateLimitedError || (idempotent && isTransient(error));
+
+        if (!retryable || attempt > MAX_RETRIES) {
+          throw error;
+        }
+
+        // Tras un 429 la espera la marca waitForRateLimit con el Retry-After del panel
+        const delay = error instanceof RateLimitedError
+          ? 0
+          : RETRY_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * RETRY_BASE_MS);
+
+        logger.warn('Reintentando petición a Pterodactyl', {
           method: config.method,
           url: config.url,
-          params: config.params
+          attempt,
+          delay,
+          code: error.code
         });
-        return config;
-      },
-      (error) => {
-        logger.error('Pterodactyl API Request Error', error);
-        return Promise.reject(error);
-      }
-    );
 
-    this.client.interceptors.response.use(
-      (response) => {
-        logger.info('Pterodactyl API Response', {
-          status: response.status,
-          url: response.config.url
-        });
-        return response;
-      },
-      (error) => {
-        logger.error('Pterodactyl API Response Error', {
-          status: error.response?.status,
-          message: error.message,
-          url: error.config?.url
-        });
-        return Promise.reject(error);
+        await sleep(delay);
       }
-    );
+    }
   }
 
-  async getUser(userId) {
+  async send(instance, config, notFound, api = 'application') {
+    const startedAt = process.hrtime.bigint();
+    const observe = (status) => metricsService.observePterodactyl(
+      { api, method: config.method || 'get', status },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+
     try {
-      const response = await this.client.get(`/api/application/users/${userId}`);
-      return response.data.attributes;
+      const response = await instance.request(config);
+      observe(response.status);
+      this.trackRateLimit(response);
+      return response;
     } catch (error) {
-      if (error.response?.status === 404) {
-        throw new Error(`Usuario ${userId} no encontrado`);
+      observe(error.response?.status || 'none');
+
+      if (error.response) {
+        this.trackRateLimit(error.response);
       }
-      throw error;
+
+      throw this.toError(error, notFound);
     }
   }
 
-  async getUserServers(userId) {
-    try {
-      const response = await this.client.get(`/api/application/users/${userId}?include=servers`);
-      return response.data.attributes.relationships.servers.data;
-    } catch (error) {
-      throw new Error(`Error al obtener servidores del usuario ${userId}: ${error.message}`);
+  // Actualiza el límite de peticiones con las cabeceras de la respuesta
+  trackRateLimit({ status, headers = {} }) {
+    const limit = parseInt(headers['x-ratelimit-limit']);
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+
+    if (Number.isInteger(limit)) {
+      this.rateLimit.limit = limit;
+    }
+
+    if (Number.isInteger(remaining)) {
+      this.rateLimit.remaining = remaining;
+    }
+
+    if (status === 429) {
+      const wait = parseRetryAfter(headers['retry-after']) ?? RATE_LIMIT_PAUSE_MS;
+      this.rateLimit.blockedUntil = Date.now() + wait;
+    } else if (remaining === 0) {
+      this.rateLimit.blockedUntil = Date.now() + RATE_LIMIT_PAUSE_MS;
     }
   }
 
-  async getAllUsers(page = 1, perPage = 50) {
-    try {
-      const response = await this.client.get('/api/application/users', {
-        params: { page, 'per_page': perPage }
-      });
-      
-      return {
-        data: response.data.data.map(user => user.attributes),
-        meta: response.data.meta
-      };
-    } catch (error) {
-      throw new Error(`Error al obtener usuarios: ${error.message}`);
+  // Espera a que el panel vuelva a aceptar peticiones; si falta demasiado, responde 429
+  async waitForRateLimit() {
+    const wait = this.rateLimit.blockedUntil - Date.now();
+
+    if (wait <= 0) {
+      return;
+    }
+
+    if (wait > RATE_LIMIT_MAX_WAIT_MS) {
+      throw new RateLimitedError('Pterodactyl está limitando las peticiones', Math.ceil(wait / 1000));
     }
+
+    await sleep(wait);
   }
 
-  async getAllServers(page = 1, perPage = 50) {
-    try {
-      const response = await this.client.get('/api/application/servers', {
-        params: { page, 'per_page': perPage }
+  toError(error, notFound) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    const status = error.response?.status;
+
+    if (!error.response) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new UpstreamError('Pterodactyl no respondió a tiempo', 504, 'UPSTREAM_TIMEOUT');
+      }
+
+      return new UpstreamError('No se pudo conectar con Pterodactyl', 502, 'UPSTREAM_UNREACHABLE', {
+        cause: error.code || error.message
       });
-      
-      return {
-        data: response.data.data.map(server => server.attributes),
-        meta: response.data.meta
-      };
-    } catch (error) {
-      throw new Error(`Error al obtener servidores: ${error.message}`);
     }
+
+    if (status === 404) {
+      return new NotFoundError(notFound);
+    }
+
+    if (status === 401 || status === 403) {
+      return new UnauthorizedError('Pterodactyl rechazó la API key configurada', { status });
+    }
+
+    if (status === 429) {
+      const wait = parseRetryAfter(error.response.headers?.['retry-after']);
+      return new RateLimitedError('Pterodactyl está limitando las peticiones', wait !== null ? Math.ceil(wait / 1000) : null);
+    }
+
+    // El servidor no admite la acción en su estado actual (suspendido, instalándose...)
+    if (status === 409) {
+      const detail = error.response.data?.errors?.[0]?.detail || 'El servidor no admite esa acción en su estado actual';
+      return new AppError(detail, 409, 'SERVER_STATE_CONFLICT');
+    }
+
+    if (status >= 500) {
+      return new UpstreamError(`Pterodactyl respondió con error ${status}`, 502, 'UPSTREAM_ERROR', { status });
+    }
+
+    // Otros 4xx (p. ej. 422): el panel rechazó la petición; se conserva su detalle
+    const detail = error.response.data?.errors?.[0]?.detail || error.message;
+    return new UpstreamError(`Pterodactyl rechazó la petición: ${detail}`, 502, 'UPSTREAM_REJECTED', {
+      status,
+      errors: error.response.data?.errors
+    });
+  }
+
+  // Petición mínima para comprobar que el panel responde (sin caché ni reintentos)
+  async ping() {
+    await this.request({
+      method: 'get',
+      url: '/api/application/nodes',
+      params: { 'per_page': 1 }
+    }, { idempotent: false });
+  }
+
+  // Estado del circuito y del límite de peticiones, para diagnóstico
+  status() {
+    return {
+      breaker: this.breaker.status(),
+      rateLimit: { ...this.rateLimit }
+    };
+  }
+
+  // Descarta lo cacheado de un servidor y los listados que lo incluyen
+  async invalidateServer(serverId) {
+    await cacheService.del(`ptero:server:${serverId}`, `ptero:server-resources:${serverId}`);
+    await cacheService.delByPrefix('ptero:servers:');
+    await cacheService.delByPrefix('ptero:user-servers:');
+  }
+
+  async getUser(userId) {
+    const response = await this.request(
+      { method: 'get', url: `/api/application/users/${userId}` },
+      { notFound: `Usuario ${userId} no encontrado en Pterodactyl` }
+    );
+    return response.data.attributes;
+  }
+
+  async getUserServers(userId) {
+    const response = await this.request(
+      { method: 'get', url: `/api/application/users/${userId}`, params: { include: 'servers' } },
+      { notFound: `Usuario ${userId} no encontrado en Pterodactyl` }
+    );
+    return response.data.attributes.relationships.servers.data;
+  }
+
+  async getAllUsers(page = 1, perPage = 50) {
+    const response = await this.request({
+      method: 'get',
+      url: '/api/application/users',
+      params: { page, 'per_page': perPage }
+    });
+
+    return {
+      data: response.data.data.map(user => user.attributes),
+      meta: response.data.meta
+    };
+  }
+
+  async getAllServers(page = 1, perPage = 50) {
+    const response = await this.request({
+      method: 'get',
+      url: '/api/application/servers',
+      params: { page, 'per_page': perPage }
+    });
+
+    return {
+      data: response.data.data.map(server => server.attributes),
+      meta: response.data.meta
+    };
   }
 
   async getServerDetails(serverId) {
-    try {
-      const response = await this.client.get(`/api/application/servers/${serverId}`);
-      return response.data.attributes;
-    } catch (error) {
-      if (error.response?.status === 404) {
-        throw new Error(`Servidor ${serverId} no encontrado`);
-      }
-      throw error;
-    }
+    const response = await this.request(
+      { method: 'get', url: `/api/application/servers/${serverId}` },
+      { notFound: `Servidor ${serverId} no encontrado` }
+    );
+    return response.data.attributes;
   }
 
   async getNodeInfo(nodeId) {
-    try {
-      const response = await this.client.get(`/api/application/nodes/${nodeId}`);
-      return response.data.attributes;
-    } catch (error) {
-      throw new Error(`Error al obtener información del nodo ${nodeId}: ${error.message}`);
-    }
+    const response = await this.request(
+      { method: 'get', url: `/api/application/nodes/${nodeId}` },
+      { notFound: `Nodo ${nodeId} no encontrado` }
+    );
+    return response.data.attributes;
   }
 
   async getNodeAllocations(nodeId) {
-    try {
-      const response = await this.client.get(`/api/application/nodes/${nodeId}/allocations`);
-      return response.data.data.map(allocation => allocation.attributes);
-    } catch (error) {
-      throw new Error(`Error al obtener asignaciones del nodo ${nodeId}: ${error.message}`);
-    }
+    const response = await this.request(
+      { method: 'get', url: `/api/application/nodes/${nodeId}/allocations` },
+      { notFound: `Nodo ${nodeId} no encontrado` }
+    );
+    return response.data.data.map(allocation => allocation.attributes);
   }
 
   async getAllNodes(page = 1, perPage = 50) {
-    try {
-      const response = await this.client.get('/api/application/nodes', {
-        params: { page, 'per_page': perPage }
-      });
-      
+    const response = await this.request({
+      method: 'get',
+      url: '/api/application/nodes',
+      params: { page, 'per_page': perPage }
+    });
+
+    return {
+      data: response.data.data.map(node => node.attributes),
+      meta: response.data.meta
+    };
+  }
+
+  // Uso de recursos en vivo (API de cliente): current_state (running, starting, stopping,
+  // offline), is_suspended y resources (cpu_absolute, memory_bytes, disk_bytes,
+  // network_rx_bytes, network_tx_bytes, uptime)
+  async getServerResources(serverId) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    const response = await this.request(
+      { method: 'get', url: `/api/client/servers/${identifier}/resources` },
+      { api: 'client', notFound: `Servidor ${serverId} no encontrado` }
+    );
+    return response.data.attributes;
+  }
+
+  // Credenciales de un solo uso para el WebSocket del servidor en Wings: { token, socket }.
+  // El token caduca a los pocos minutos; Wings avisa con "token expiring" para renovarlo.
+  async getConsoleCredentials(serverId) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    const response = await this.request(
+      { method: 'get', url: `/api/client/servers/${identifier}/websocket` },
+      { api: 'client', notFound: `Servidor ${serverId} no encontrado` }
+    );
+    return response.data.data;
+  }
+
+  // Señales: start, stop, restart, kill. Reiniciar no se reintenta: podría reiniciar dos veces
+  async sendPowerAction(serverId, signal) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    await this.request(
+      { method: 'post', url: `/api/client/servers/${identifier}/power`, data: { signal } },
+      { api: 'client', idempotent: signal !== 'restart', notFound: `Servidor ${serverId} no encontrado` }
+    );
+
+    logger.info(`Señal ${signal} enviada al servidor ${serverId}`);
+    await cacheService.del(`ptero:server-resources:${serverId}`);
+    return true;
+  }
+
+  async sendCommand(serverId, command) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    await this.request(
+      { method: 'post', url: `/api/client/servers/${identifier}/command`, data: { command } },
+      { api: 'client', idempotent: false, notFound: `Servidor ${serverId} no encontrado` }
+    );
+
+    logger.info(`Comando enviado al servidor ${serverId}`);
+    return true;
+  }
+
+  // Backups (API de cliente). Los identificadores de backup son los UUID del panel.
+  async listBackups(serverId) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    return this.fetchAllPages(async (page, perPage) => {
+      const response = await this.request(
+        { method: 'get', url: `/api/client/servers/${identifier}/backups`, params: { page, 'per_page': perPage } },
+        { api: 'client', notFound: `Servidor ${serverId} no encontrado` }
+      );
+
       return {
-        data: response.data.data.map(node => node.attributes),
+        data: response.data.data.map(backup => backup.attributes),
         meta: response.data.meta
       };
-    } catch (error) {
-      throw new Error(`Error al obtener nodos: ${error.message}`);
-    }
+    }, 50);
+  }
+
+  // El panel crea el backup en segundo plano: completed_at llega a null
+  async createBackup(serverId, { name, isLocked = false }) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    const response = await this.request(
+      { method: 'post', url: `/api/client/servers/${identifier}/backups`, data: { name, is_locked: isLocked } },
+      { api: 'client', idempotent: false, notFound: `Servidor ${serverId} no encontrado` }
+    );
+
+    logger.info(`Backup ${response.data.attributes.uuid} solicitado para el servidor ${serverId}`);
+    return response.data.attributes;
+  }
+
+  // URL firmada de Wings para descargar el backup; caduca a los pocos minutos
+  async getBackupDownloadUrl(serverId, backupUuid) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    const response = await this.request(
+      { method: 'get', url: `/api/client/servers/${identifier}/backups/${backupUuid}/download` },
+      { api: 'client', notFound: `Backup ${backupUuid} no encontrado` }
+    );
+    return response.data.attributes.url;
+  }
+
+  // El panel solo ofrece alternar el bloqueo: no se reintenta para no deshacerlo
+  async toggleBackupLock(serverId, backupUuid) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    const response = await this.request(
+      { method: 'post', url: `/api/client/servers/${identifier}/backups/${backupUuid}/lock` },
+      { api: 'client', idempotent: false, notFound: `Backup ${backupUuid} no encontrado` }
+    );
+    return response.data.attributes;
+  }
+
+  async restoreBackup(serverId, backupUuid, { truncate = false } = {}) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    await this.request(
+      { method: 'post', url: `/api/client/servers/${identifier}/backups/${backupUuid}/restore`, data: { truncate } },
+      { api: 'client', idempotent: false, notFound: `Backup ${backupUuid} no encontrado` }
+    );
+
+    logger.info(`Restaurando backup ${backupUuid} en el servidor ${serverId}`, { truncate });
+    await this.invalidateServer(serverId);
+    return true;
+  }
+
+  async deleteBackup(serverId, backupUuid) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    await this.request(
+      { method: 'delete', url: `/api/client/servers/${identifier}/backups/${backupUuid}` },
+      { api: 'client', idempotent: true, notFound: `Backup ${backupUuid} no encontrado` }
+    );
+
+    logger.info(`Backup ${backupUuid} del servidor ${serverId} eliminado`);
+    return true;
+  }
+
+  // Tareas programadas (API de cliente). `cron` son los campos por separado:
+  // { minute, hour, dayOfMonth, month, dayOfWeek }. Los listados incluyen las tareas.
+  async listSchedules(serverId) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    const response = await this.request(
+      { method: 'get', url: `/api/client/servers/${identifier}/schedules` },
+      { api: 'client', notFound: `Servidor ${serverId} no encontrado` }
+    );
+    return response.data.data.map(schedule => schedule.attributes);
+  }
+
+  async saveSchedule(serverId, scheduleId, { name, cron, isActive, onlyWhenOnline }) {
+    const { identifier } = await this.getServerDetails(serverId);
+    const url = `/api/client/servers/${identifier}/schedules${scheduleId ? `/${scheduleId}` : ''}`;
+
+    const response = await this.request(
+      {
+        method: 'post',
+        url,
+        data: {
+          name,
+          minute: cron.minute,
+          hour: cron.hour,
+          day_of_month: cron.dayOfMonth,
+          month: cron.month,
+          day_of_week: cron.dayOfWeek,
+          is_active: isActive,
+          only_when_online: onlyWhenOnline
+        }
+      },
+      // Actualizar con los mismos datos da el mismo resultado; crear no
+      { api: 'client', idempotent: Boolean(scheduleId), notFound: `Tarea programada ${scheduleId} no encontrada` }
+    );
+    return response.data.attributes;
+  }
+
+  async deleteSchedule(serverId, scheduleId) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    await this.request(
+      { method: 'delete', url: `/api/client/servers/${identifier}/schedules/${scheduleId}` },
+      { api: 'client', idempotent: true, notFound: `Tarea programada ${scheduleId} no encontrada` }
+    );
+    return true;
+  }
+
+  async executeSchedule(serverId, scheduleId) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    await this.request(
+      { method: 'post', url: `/api/client/servers/${identifier}/schedules/${scheduleId}/execute` },
+      { api: 'client', idempotent: false, notFound: `Tarea programada ${scheduleId} no encontrada` }
+    );
+
+    logger.info(`Tarea programada ${scheduleId} del servidor ${serverId} ejecutada manualmente`);
+    return true;
+  }
+
+  // Pasos de una tarea programada: action (command, power, backup), payload, time_offset
+  async saveScheduleTask(serverId, scheduleId, taskId, { action, payload, timeOffset, continueOnFailure }) {
+    const { identifier } = await this.getServerDetails(serverId);
+    const url = `/api/client/servers/${identifier}/schedules/${scheduleId}/tasks${taskId ? `/${taskId}` : ''}`;
+
+    const response = await this.request(
+      {
+        method: 'post',
+        url,
+        data: { action, payload, time_offset: timeOffset, continue_on_failure: continueOnFailure }
+      },
+      { api: 'client', idempotent: Boolean(taskId), notFound: `Paso ${taskId} no encontrado` }
+    );
+    return response.data.attributes;
+  }
+
+  async deleteScheduleTask(serverId, scheduleId, taskId) {
+    const { identifier } = await this.getServerDetails(serverId);
+
+    await this.request(
+      { method: 'delete', url: `/api/client/servers/${identifier}/schedules/${scheduleId}/tasks/${taskId}` },
+      { api: 'client', idempotent: true, notFound: `Paso ${taskId} no encontrado` }
+    );
+    return true;
+  }
+
+  // Recorre todas las páginas de un listado paginado (getAllUsers, getAllServers, getAllNodes)
+  async fetchAllPages(fetchPage, perPage = 100) {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const { data, meta } = await fetchPage.call(this, page, perPage);
+
+      items.push(...data);
+      totalPages = meta?.pagination?.total_pages || 1;
+      page++;
+    } while (page <= totalPages);
+
+    return items;
+  }
+
+  async listAllUsers() {
+    return this.fetchAllPages(this.uncached.getAllUsers);
+  }
+
+  async listAllServers() {
+    return this.fetchAllPages(this.uncached.getAllServers);
+  }
+
+  async listAllNodes() {
+    return this.fetchAllPages(this.uncached.getAllNodes);
+  }
+
+  // Crear no es idempotente: un reintento tras un timeout podría duplicar el servidor
+  async createServer(server) {
+    const response = await this.request(
+      { method: 'post', url: '/api/application/servers', data: server },
+      { idempotent: false }
+    );
+
+    logger.info(`Servidor ${response.data.attributes.id} creado`, { user: server.user, egg: server.egg });
+    await this.invalidateServer(response.data.attributes.id);
+    return response.data.attributes;
+  }
+
+  async deleteServer(serverId, force = false) {
+    await this.request(
+      { method: 'delete', url: `/api/application/servers/${serverId}${force ? '/force' : ''}` },
+      { idempotent: true, notFound: `Servidor ${serverId} no encontrado` }
+    );
+
+    logger.info(`Servidor ${serverId} eliminado`);
+    await this.invalidateServer(serverId);
+    return true;
   }
 
   async suspendServer(serverId) {
-    try {
-      await this.client.post(`/api/application/servers/${serverId}/suspend`);
-      logger.info(`Servidor ${serverId} suspendido`);
-      return true;
-    } catch (error) {
-      throw new Error(`Error al suspender servidor ${serverId}: ${error.message}`);
-    }
+    await this.request(
+      { method: 'post', url: `/api/application/servers/${serverId}/suspend` },
+      { idempotent: true, notFound: `Servidor ${serverId} no encontrado` }
+    );
+
+    logger.info(`Servidor ${serverId} suspendido`);
+    await this.invalidateServer(serverId);
+    return true;
   }
 
   async unsuspendServer(serverId) {
-    try {
-      await this.client.post(`/api/application/servers/${serverId}/unsuspend`);
-      logger.info(`Servidor ${serverId} reactivado`);
-      return true;
-    } catch (error) {
-      throw new Error(`Error al reactivar servidor ${serverId}: ${error.message}`);
-    }
+    await this.request(
+      { method: 'post', url: `/api/application/servers/${serverId}/unsuspend` },
+      { idempotent: true, notFound: `Servidor ${serverId} no encontrado` }
+    );
+
+    logger.info(`Servidor ${serverId} reactivado`);
+    await this.invalidateServer(serverId);
+    return true;
   }
 
+  // Reinstalar tampoco se reintenta: lanzaría una segunda instalación
   async reinstallServer(serverId) {
-    try {
-      await this.client.post(`/api/application/servers/${serverId}/reinstall`);
-      logger.info(`Servidor ${serverId} reinstalado`);
-      return true;
-    } catch (error) {
-      throw new Error(`Error al reinstalar servidor ${serverId}: ${error.message}`);
-    }
+    await this.request(
+      { method: 'post', url: `/api/application/servers/${serverId}/reinstall` },
+      { idempotent: false, notFound: `Servidor ${serverId} no encontrado` }
+    );
+
+    logger.info(`Servidor ${serverId} reinstalado`);
+    await this.invalidateServer(serverId);
+    return true;
   }
 }
 
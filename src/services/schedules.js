@@ -0,0 +1,336 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const pterodactylService = require('./pterodactyl');
+const { splitCron, nextRun } = require('../utils/cron');
+const { POWER_SIGNALS, SCHEDULE_TASK_ACTIONS, MAX_TASK_TIME_OFFSET } = require('../config/pterodactyl');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/schedules.log' })
+  ]
+});
+
+const publicTask = (task) => ({
+  id: task.id,
+  sequence: task.sequence_id,
+  action: task.action,
+  payload: task.payload,
+  timeOffset: task.time_offset,
+  continueOnFailure: task.continue_on_failure,
+  isQueued: task.is_queued
+});
+
+// Fila local con los pasos que solo tiene el panel
+const publicSchedule = (row, schedule) => ({
+  id: row.id,
+  pterodactylScheduleId: row.pterodactyl_schedule_id,
+  name: row.name,
+  cron: row.cron_expression,
+  isActive: row.is_active,
+  isProcessing: row.is_processing,
+  onlyWhenOnline: row.only_when_online,
+  lastRun: row.last_run,
+  nextRun: row.next_run,
+  tasks: (schedule?.relationships?.tasks?.data || [])
+    .map(task => publicTask(task.attributes))
+    .sort((a, b) => a.sequence - b.sequence),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const cronExpression = ({ cron }) => [cron.minute, cron.hour, cron.day_of_month, cron.month, cron.day_of_week].join(' ');
+
+// Una tarea inactiva no tiene próxima ejecución. Si el panel usa una sintaxis que no
+// entendemos (p. ej. nombres de día), se conserva la fecha que calculó el panel.
+const computeNextRun = (expression, isActive, fallback = null) => {
+  if (!isActive) {
+    return null;
+  }
+
+  try {
+    return nextRun(expression);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const validateTask = ({ action, payload, timeOffset }) => {
+  if (!SCHEDULE_TASK_ACTIONS.includes(action)) {
+    throw new AppError(`Acción inválida: debe ser una de ${SCHEDULE_TASK_ACTIONS.join(', ')}`, 400, 'INVALID_TASK');
+  }
+
+  if (action === 'power' && !POWER_SIGNALS.includes(payload)) {
+    throw new AppError(`Señal inválida: debe ser una de ${POWER_SIGNALS.join(', ')}`, 400, 'INVALID_TASK');
+  }
+
+  if (action === 'command' && (typeof payload !== 'string' || !payload.trim())) {
+    throw new AppError('Los pasos de tipo command requieren el comando en payload', 400, 'INVALID_TASK');
+  }
+
+  if (!Number.isInteger(timeOffset) || timeOffset < 0 || timeOffset > MAX_TASK_TIME_OFFSET) {
+    throw new AppError(`timeOffset debe estar entre 0 y ${MAX_TASK_TIME_OFFSET} segundos`, 400, 'INVALID_TASK');
+  }
+};
+
+// Tareas programadas de servidores a través de la API de cliente de Pterodactyl.
+// El panel las ejecuta; server_schedules guarda una copia (con next_run calculado aquí)
+// que se alinea con el panel en cada lectura y tras cada cambio.
+class ScheduleService {
+  // Solo los servidores registrados localmente tienen fila en server_schedules
+  async getServer(pterodactylId) {
+    const { rows } = await databaseService.query(
+      'SELECT id, pterodactyl_id, user_id, name FROM servers WHERE pterodactyl_id = $1',
+      [parseInt(pterodactylId)]
+    );
+
+    if (!rows[0]) {
+      throw new AppError('Servidor no encontrado', 404, 'SERVER_NOT_FOUND');
+    }
+
+    return rows[0];
+  }
+
+  async list(pterodactylId) {
+    const server = await this.getServer(pterodactylId);
+    const schedules = await this.refresh(server);
+    const { rows } = await databaseService.query(
+      'SELECT * FROM server_schedules WHERE server_id = $1 ORDER BY name',
+      [server.id]
+    );
+
+    return rows.map(row => publicSchedule(row, schedules.get(row.pterodactyl_schedule_id)));
+  }
+
+  // Alinea server_schedules con el panel; devuelve las tareas del panel por ID
+  async refresh(server) {
+    const schedules = await pterodactylService.listSchedules(server.pterodactyl_id);
+    const { rows: localRows } = await databaseService.query(
+      'SELECT * FROM server_schedules WHERE server_id = $1',
+      [server.id]
+    );
+
+    const local = new Map(localRows.map(row => [row.pterodactyl_schedule_id, row]));
+    const panelIds = new Set(schedules.map(schedule => schedule.id));
+
+    await databaseService.transaction(async (client) => {
+      for (const schedule of schedules) {
+        const row = local.get(schedule.id);
+        const expression = cronExpression(schedule);
+        const next = computeNextRun(expression, schedule.is_active, schedule.next_run_at);
+
+        if (!row) {
+          await client.query(
+            `INSERT INTO server_schedules (server_id, pterodactyl_schedule_id, name, cron_expression, is_active,
+                                           is_processing, only_when_online, last_run, next_run, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())`,
+            [
+              server.id, schedule.id, schedule.name.slice(0, 100), expression, schedule.is_active,
+              schedule.is_processing, schedule.only_when_online, schedule.last_run_at, next, schedule.created_at
+            ]
+          );
+          continue;
+        }
+
+        const changed = row.name !== schedule.name ||
+          row.cron_expression !== expression ||
+          row.is_active !== schedule.is_active ||
+          row.only_when_online !== schedule.only_when_online;
+
+        await client.query(
+          `UPDATE server_schedules SET name = $1, cron_expression = $2, is_active = $3, is_processing = $4,
+                  only_when_online = $5, last_run = $6, next_run = $7, updated_at = ${changed ? 'NOW()' : 'updated_at'}
+           WHERE id = $8`,
+          [
+            schedule.name.slice(0, 100), expression, schedule.is_active, schedule.is_processing,
+            schedule.only_when_online, schedule.last_run_at, next, row.id
+          ]
+        );
+      }
+
+      // Tareas borradas desde el panel
+      for (const row of localRows) {
+        if (!panelIds.has(row.pterodactyl_schedule_id)) {
+          await client.query('DELETE FROM server_schedules WHERE id = $1', [row.id]);
+        }
+      }
+    });
+
+    return new Map(schedules.map(schedule => [schedule.id, schedule]));
+  }
+
+  async get(pterodactylId, scheduleId) {
+    const server = await this.getServer(pterodactylId);
+    const schedules = await this.refresh(server);
+    const { rows } = await databaseService.query(
+      'SELECT * FROM server_schedules WHERE id = $1 AND server_id = $2',
+      [scheduleId, server.id]
+    );
+
+    if (!rows[0]) {
+      throw new AppError('Tarea programada no encontrada', 404, 'SCHEDULE_NOT_FOUND');
+    }
+
+    return { server, row: rows[0], schedule: schedules.get(rows[0].pterodactyl_schedule_id) };
+  }
+
+  async getPublic(pterodactylId, scheduleId) {
+    const { row, schedule } = await this.get(pterodactylId, scheduleId);
+    return publicSchedule(row, schedule);
+  }
+
+  async create(pterodactylId, { name, cron, isActive = true, onlyWhenOnline = false }) {
+    const server = await this.getServer(pterodactylId);
+    const fields = splitCron(cron);
+
+    const schedule = await pterodactylService.saveSchedule(server.pterodactyl_id, null, {
+      name,
+      cron: fields,
+      isActive,
+      onlyWhenOnline
+    });
+
+    const expression = cronExpression(schedule);
+    const { rows } = await databaseService.query(
+      `INSERT INTO server_schedules (server_id, pterodactyl_schedule_id, name, cron_expression, is_active,
+                                     only_when_online, next_run, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+       RETURNING *`,
+      [
+        server.id, schedule.id, name, expression, schedule.is_active,
+        schedule.only_when_online, computeNextRun(expression, schedule.is_active, schedule.next_run_at)
+      ]
+    );
+
+    logger.info('Tarea programada creada', { serverId: server.id, scheduleId: rows[0].id, cron: expression });
+
+    return publicSchedule(rows[0], schedule);
+  }
+
+  async update(pterodactylId, scheduleId, changes) {
+    const { server, row } = await this.get(pterodactylId, scheduleId);
+    const next = {
+      name: changes.name ?? row.name,
+      cron: changes.cron ?? row.cron_expression,
+      isActive: changes.isActive ?? row.is_active,
+      onlyWhenOnline: changes.onlyWhenOnline ?? row.only_when_online
+    };
+
+    const schedule = await pterodactylService.saveSchedule(server.pterodactyl_id, row.pterodactyl_schedule_id, {
+      ...next,
+      cron: splitCron(next.cron)
+    });
+
+    const expression = cronExpression(schedule);
+    const { rows } = await databaseService.query(
+      `UPDATE server_schedules SET name = $1, cron_expression = $2, is_active = $3, only_when_online = $4,
+              next_run = $5, updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [
+        schedule.name, expression, schedule.is_active, schedule.only_when_online,
+        computeNextRun(expression, schedule.is_active, schedule.next_run_at), row.id
+      ]
+    );
+
+    logger.info('Tarea programada actualizada', { serverId: server.id, scheduleId: row.id });
+
+    return publicSchedule(rows[0], schedule);
+  }
+
+  async remove(pterodactylId, scheduleId) {
+    const { server, row } = await this.get(pterodactylId, scheduleId);
+
+    await pterodactylService.deleteSchedule(server.pterodactyl_id, row.pterodactyl_schedule_id);
+    await databaseService.query('DELETE FROM server_schedules WHERE id = $1', [row.id]);
+
+    logger.info('Tarea programada eliminada', { serverId: server.id, scheduleId: row.id });
+  }
+
+  // Ejecuta ya la tarea sin cambiar su programación
+  async execute(pterodactylId, scheduleId, user) {
+    const { server, row, schedule } = await this.get(pterodactylId, scheduleId);
+
+    if (!row.is_active) {
+      throw new AppError('La tarea programada está desactivada', 409, 'SCHEDULE_INACTIVE');
+    }
+
+    if (row.is_processing) {
+      throw new AppError('La tarea programada ya se está ejecutando', 409, 'SCHEDULE_PROCESSING');
+    }
+
+    if (!schedule?.relationships?.tasks?.data?.length) {
+      throw new AppError('La tarea programada no tiene pasos', 409, 'SCHEDULE_EMPTY');
+    }
+
+    await pterodactylService.executeSchedule(server.pterodactyl_id, row.pterodactyl_schedule_id);
+
+    const { rows } = await databaseService.query(
+      'UPDATE server_schedules SET is_processing = true, last_run = NOW() WHERE id = $1 RETURNING *',
+      [row.id]
+    );
+
+    logger.info('Tarea programada ejecutada manualmente', { serverId: server.id, scheduleId: row.id, userId: user.id });
+
+    return publicSchedule(rows[0], schedule);
+  }
+
+  async addTask(pterodactylId, scheduleId, { action, payload = '', timeOffset = 0, continueOnFailure = false }) {
+    validateTask({ action, payload, timeOffset });
+
+    const { server, row } = await this.get(pterodactylId, scheduleId);
+    const task = await pterodactylService.saveScheduleTask(server.pterodactyl_id, row.pterodactyl_schedule_id, null, {
+      action,
+      payload,
+      timeOffset,
+      continueOnFailure
+    });
+
+    logger.info('Paso añadido a tarea programada', { scheduleId: row.id, action });
+
+    return publicTask(task);
+  }
+
+  async updateTask(pterodactylId, scheduleId, taskId, changes) {
+    const { server, row, schedule } = await this.get(pterodactylId, scheduleId);
+    const current = (schedule?.relationships?.tasks?.data || [])
+      .map(task => task.attributes)
+      .find(task => task.id === parseInt(taskId));
+
+    if (!current) {
+      throw new AppError('Paso no encontrado', 404, 'TASK_NOT_FOUND');
+    }
+
+    const next = {
+      action: changes.action ?? current.action,
+      payload: changes.payload ?? current.payload,
+      timeOffset: changes.timeOffset ?? current.time_offset,
+      continueOnFailure: changes.continueOnFailure ?? current.continue_on_failure
+    };
+
+    validateTask(next);
+
+    const task = await pterodactylService.saveScheduleTask(server.pterodactyl_id, row.pterodactyl_schedule_id, current.id, next);
+
+    return publicTask(task);
+  }
+
+  async removeTask(pterodactylId, scheduleId, taskId) {
+    const { server, row, schedule } = await this.get(pterodactylId, scheduleId);
+    const exists = (schedule?.relationships?.tasks?.data || []).some(task => task.attributes.id === parseInt(taskId));
+
+    if (!exists) {
+      throw new AppError('Paso no encontrado', 404, 'TASK_NOT_FOUND');
+    }
+
+    await pterodactylService.deleteScheduleTask(server.pterodactyl_id, row.pterodactyl_schedule_id, parseInt(taskId));
+  }
+}
+
+module.exports = new ScheduleService();
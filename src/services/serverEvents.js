@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const databaseService = require('./database');
+const notificationService = require('./notifications');
+const pterodactylService = require('./pterodactyl');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/webhooks.log' })
+  ]
+});
+
+// Estados de alimentación que el panel puede informar con server:status
+const POWER_STATES = ['running', 'starting', 'stopping', 'offline'];
+
+// Cambios en la fila de servers por evento. `when` indica si el evento cambia algo
+// respecto al estado actual (si no, no se notifica de nuevo); `notification` es
+// lo que se envía al dueño.
+const EVENTS = {
+  'server:installing': {
+    changes: { is_installing: true, status: 'installing' },
+    when: server => !server.is_installing
+  },
+  'server:installed': {
+    changes: { is_installing: false, status: 'offline' },
+    when: server => server.is_installing || server.status === 'install_failed',
+    notification: server => ({
+      title: 'Servidor instalado',
+      message: `${server.name} terminó de instalarse y está listo para usarse`
+    })
+  },
+  'server:install_failed': {
+    changes: { is_installing: false, status: 'install_failed' },
+    when: server => server.status !== 'install_failed',
+    notification: server => ({
+      title: 'Error en la instalación',
+      message: `La instalación de ${server.name} falló. Contacta con soporte o reinstala el servidor`
+    })
+  },
+  'server:suspended': {
+    changes: { is_suspended: true, status: 'suspended' },
+    when: server => !server.is_suspended,
+    notification: server => ({
+      title: 'Servidor suspendido',
+      message: `${server.name} fue suspendido`
+    })
+  },
+  'server:unsuspended': {
+    changes: { is_suspended: false, status: 'offline' },
+    when: server => server.is_suspended,
+    notification: server => ({
+      title: 'Servidor reactivado',
+      message: `${server.name} fue reactivado`
+    })
+  }
+};
+
+// Receptor de eventos del panel de Pterodactyl. Mantiene al día las columnas de
+// estado de la tabla servers para no tener que consultar el panel en cada petición.
+//
+// Formato esperado (cabecera X-Webhook-Secret con PTERODACTYL_WEBHOOK_SECRET):
+//   { "event": "server:installed", "server": { "id": 10 }, "data": { ... } }
+class ServerEventService {
+  // Compara en tiempo constante el secreto compartido con la cabecera X-Webhook-Secret
+  authenticate(headers) {
+    const secret = process.env.PTERODACTYL_WEBHOOK_SECRET;
+
+    if (!secret) {
+      throw new AppError('PTERODACTYL_WEBHOOK_SECRET no está configurado', 503, 'WEBHOOK_NOT_CONFIGURED');
+    }
+
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    const received = crypto.createHash('sha256').update(String(headers['x-webhook-secret'] || '')).digest();
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+      throw new AppError('Secreto del webhook inválido', 401, 'INVALID_WEBHOOK_SECRET');
+    }
+  }
+
+  parse(payload) {
+    const event = payload?.event;
+    const pterodactylServerId = parseInt(payload?.server?.id);
+
+    if (typeof event !== 'string' || !Number.isInteger(pterodactylServerId)) {
+      throw new AppError('El evento debe incluir event y server.id', 400, 'INVALID_PAYLOAD');
+    }
+
+    return { event, pterodactylServerId, data: payload.data || {} };
+  }
+
+  // Aplica el evento; devuelve el estado con el que se registra: processed o ignored
+  async handle({ event, pterodactylServerId, data }) {
+    // El panel avisa de un cambio: lo cacheado de ese servidor ya no vale
+    await pterodactylService.invalidateServer(pterodactylServerId);
+
+    const { rows } = await databaseService.query(
+      'SELECT id, user_id, name, status, is_suspended, is_installing FROM servers WHERE pterodactyl_id = $1',
+      [pterodactylServerId]
+    );
+    const server = rows[0];
+
+    if (!server) {
+      return { status: 'ignored', reason: 'Servidor no registrado localmente' };
+    }
+
+    if (event === 'server:deleted') {
+      return this.removeServer(server);
+    }
+
+    if (event === 'server:status') {
+      return this.updatePowerState(server, data.status);
+    }
+
+    const handler = EVENTS[event];
+
+    if (!handler) {
+      return { status: 'ignored', reason: `Evento no gestionado: ${event}` };
+    }
+
+    if (!handler.when(server)) {
+      return { status: 'ignored', reason: 'El servidor ya estaba en ese estado' };
+    }
+
+    const columns = Object.keys(handler.changes);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+    await databaseService.transaction(async (client) => {
+      await client.query(
+        `UPDATE servers SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $${columns.length + 1}`,
+        [...Object.values(handler.changes), server.id]
+      );
+
+      if (handler.notification) {
+        // server:installed -> server.installed
+        await notificationService.notify(server.user_id, event.replace(':', '.'), {
+          ...handler.notification(server),
+          actionUrl: `/servers/${server.id}`
+        }, client);
+      }
+    });
+
+    logger.info('Evento de servidor aplicado', { event, serverId: server.id, pterodactylServerId });
+
+    return { status: 'processed', serverId: server.id };
+  }
+
+  async updatePowerState(server, status) {
+    if (!POWER_STATES.includes(status)) {
+      throw new AppError(`Estado de servidor desconocido: ${status}`, 400, 'INVALID_PAYLOAD');
+    }
+
+    // Un servidor suspendido o instalándose conserva ese estado hasta su propio evento
+    if (server.is_suspended || server.is_installing) {
+      return { status: 'ignored', reason: 'Servidor suspendido o en instalación' };
+    }
+
+    await databaseService.query(
+      'UPDATE servers SET status = $1, updated_at = NOW() WHERE id = $2',
+      [status, server.id]
+    );
+
+    return { status: 'processed', serverId: server.id };
+  }
+
+  async removeServer(server) {
+    await databaseService.transaction(async (client) => {
+      await client.query('DELETE FROM servers WHERE id = $1', [server.id]);
+
+      await notificationService.notify(server.user_id, 'server.deleted', {
+        title: 'Servidor eliminado',
+        message: `${server.name} fue eliminado del panel`
+      }, client);
+    });
+
+    logger.warn('Servidor eliminado desde el panel', { serverId: server.id, userId: server.user_id });
+
+    return { status: 'processed', serverId: server.id };
+  }
+}
+
+module.exports = new ServerEventService();
@@ -0,0 +1,320 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const pterodactylService = require('./pterodactyl');
+const { STATS_RESOLUTIONS } = require('../config/stats');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/stats.log' })
+  ]
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CONCURRENCY = parseInt(process.env.STATS_CONCURRENCY || '5');
+// Las muestras sueltas se conservan este tiempo; después quedan agrupadas por hora
+const RAW_RETENTION_HOURS = parseInt(process.env.STATS_RAW_RETENTION_HOURS || '48');
+const RETENTION_DAYS = parseInt(process.env.STATS_RETENTION_DAYS || '30');
+
+// Puntos que se buscan al elegir la resolución automáticamente, y máximo aceptado
+const TARGET_POINTS = 300;
+const MAX_POINTS = 1000;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const round = (value, decimals = 0) => (value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals);
+
+const floorTo = (time, stepMs) => Math.floor(time / stepMs) * stepMs;
+
+// Acumula filas (sueltas o ya agrupadas) en un intervalo. CPU, memoria y disco se
+// promedian ponderando por muestras; los contadores de red son acumulados desde el
+// arranque del servidor, así que se guarda el último valor.
+const createBucket = (time) => ({ time, samples: 0, sums: {}, weights: {}, networkRx: null, networkTx: null });
+
+const addToBucket = (bucket, row) => {
+  const samples = Number(row.samples) || 1;
+
+  for (const [key, column] of [['cpu', 'cpu_usage'], ['memory', 'memory_usage'], ['disk', 'disk_usage'], ['players', 'players_online'], ['tps', 'tps']]) {
+    const value = toNumber(row[column]);
+
+    if (value !== null) {
+      bucket.sums[key] = (bucket.sums[key] || 0) + value * samples;
+      bucket.weights[key] = (bucket.weights[key] || 0) + samples;
+    }
+  }
+
+  // Las filas llegan ordenadas por fecha: la última del intervalo manda
+  if (row.network_rx !== null) {
+    bucket.networkRx = toNumber(row.network_rx);
+  }
+
+  if (row.network_tx !== null) {
+    bucket.networkTx = toNumber(row.network_tx);
+  }
+
+  bucket.samples += samples;
+};
+
+const average = (bucket, key) => (bucket.weights[key] ? bucket.sums[key] / bucket.weights[key] : null);
+
+const groupRows = (rows, stepMs) => {
+  const buckets = new Map();
+
+  for (const row of rows) {
+    const time = floorTo(new Date(row.recorded_at).getTime(), stepMs);
+
+    if (!buckets.has(time)) {
+      buckets.set(time, createBucket(time));
+    }
+
+    addToBucket(buckets.get(time), row);
+  }
+
+  return [...buckets.values()].sort((a, b) => a.time - b.time);
+};
+
+// Bytes por segundo entre dos puntos consecutivos. Si el contador bajó, el servidor
+// se reinició en medio y no hay forma de saber cuánto tráfico hubo.
+const rate = (current, previous, seconds) => {
+  if (current === null || previous === null || current < previous || seconds <= 0) {
+    return null;
+  }
+
+  return Math.round((current - previous) / seconds);
+};
+
+// Resolución más fina que no pase de TARGET_POINTS puntos. Más allá de la retención
+// de muestras sueltas solo hay filas por hora, así que no se baja de 1h.
+const pickResolution = (from, to) => {
+  const rangeSeconds = (to - from) / 1000;
+  const hourlyOnly = from.getTime() < Date.now() - RAW_RETENTION_HOURS * HOUR_MS;
+
+  const candidates = Object.entries(STATS_RESOLUTIONS)
+    .filter(([, seconds]) => !hourlyOnly || seconds >= STATS_RESOLUTIONS['1h']);
+
+  const match = candidates.find(([, seconds]) => rangeSeconds / seconds <= TARGET_POINTS);
+
+  return (match || candidates[candidates.length - 1])[0];
+};
+
+// Historial de uso de recursos de los servidores (tabla server_stats). El worker de
+// estadísticas llama a collect() en cada pasada para guardar una muestra por servidor
+// y a maintain() para agrupar por hora las muestras antiguas y borrar las caducadas.
+class ServerStatsService {
+  async collect() {
+    const { rows: servers } = await databaseService.query(
+      `SELECT id, pterodactyl_id FROM servers
+       WHERE pterodactyl_id IS NOT NULL
+         AND COALESCE(is_suspended, false) = false
+         AND COALESCE(is_installing, false) = false
+       ORDER BY pterodactyl_id`
+    );
+
+    const samples = [];
+    let failed = 0;
+    let upstreamDown = false;
+
+    // Pocas consultas a la vez para no agotar el límite de peticiones del panel
+    for (let i = 0; i < servers.length && !upstreamDown; i += CONCURRENCY) {
+      const batch = servers.slice(i, i + CONCURRENCY);
+
+      const results = await Promise.allSettled(
+        batch.map(server => pterodactylService.uncached.getServerResources(server.pterodactyl_id))
+      );
+
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          samples.push({ serverId: batch[index].id, resources: result.value.resources || {} });
+          return;
+        }
+
+        failed++;
+
+        if (result.reason.code === 'UPSTREAM_UNAVAILABLE') {
+          upstreamDown = true;
+        } else {
+          logger.warn(`No se pudo leer el uso del servidor ${batch[index].pterodactyl_id}`, { error: result.reason.message });
+        }
+      });
+    }
+
+    if (upstreamDown) {
+      logger.warn('Panel no disponible, se interrumpe la recogida de estadísticas', { collected: samples.length });
+    }
+
+    if (samples.length > 0) {
+      const values = [];
+      const placeholders = samples.map((sample, index) => {
+        const { resources } = sample;
+        values.push(
+          sample.serverId,
+          round(resources.cpu_absolute || 0, 2),
+          resources.memory_bytes || 0,
+          resources.disk_bytes || 0,
+          resources.network_rx_bytes || 0,
+          resources.network_tx_bytes || 0
+        );
+
+        const offset = index * 6;
+        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, NULL, NULL, 'raw', 1, NOW())`;
+      });
+
+      // players_online y tps quedan en NULL: Pterodactyl no los informa
+      await databaseService.query(
+        `INSERT INTO server_stats (server_id, cpu_usage, memory_usage, disk_usage, network_rx, network_tx,
+                                   players_online, tps, resolution, samples, recorded_at)
+         VALUES ${placeholders.join(', ')}`,
+        values
+      );
+    }
+
+    const summary = { servers: servers.length, collected: samples.length, failed };
+
+    logger.info('Estadísticas recogidas', summary);
+
+    return summary;
+  }
+
+  // Agrupa por hora las muestras sueltas más antiguas que la retención y borra todo lo
+  // anterior a STATS_RETENTION_DAYS. El corte cae en una hora en punto para que
+  // ninguna hora quede repartida entre una fila agrupada y muestras sueltas.
+  async maintain(now = new Date()) {
+    const cutoff = new Date(floorTo(now.getTime() - RAW_RETENTION_HOURS * HOUR_MS, HOUR_MS));
+    const expiresBefore = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+
+    const summary = await databaseService.transaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM server_stats
+         WHERE resolution = 'raw' AND recorded_at < $1 AND recorded_at >= $2
+         ORDER BY server_id, recorded_at`,
+        [cutoff, expiresBefore]
+      );
+
+      const byServer = new Map();
+
+      for (const row of rows) {
+        if (!byServer.has(row.server_id)) {
+          byServer.set(row.server_id, []);
+        }
+        byServer.get(row.server_id).push(row);
+      }
+
+      let hourly = 0;
+
+      for (const [serverId, serverRows] of byServer) {
+        for (const bucket of groupRows(serverRows, HOUR_MS)) {
+          await client.query(
+            `INSERT INTO server_stats (server_id, cpu_usage, memory_usage, disk_usage, network_rx, network_tx,
+                                       players_online, tps, resolution, samples, recorded_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'hour', $9, $10)`,
+            [
+              serverId,
+              round(average(bucket, 'cpu'), 2),
+              round(average(bucket, 'memory')),
+              round(average(bucket, 'disk')),
+              bucket.networkRx,
+              bucket.networkTx,
+              round(average(bucket, 'players')),
+              round(average(bucket, 'tps'), 2),
+              bucket.samples,
+              new Date(bucket.time)
+            ]
+          );
+          hourly++;
+        }
+      }
+
+      const { rowCount: expired } = await client.query(
+        'DELETE FROM server_stats WHERE recorded_at < $1',
+        [expiresBefore]
+      );
+
+      const { rowCount: downsampled } = await client.query(
+        "DELETE FROM server_stats WHERE resolution = 'raw' AND recorded_at < $1",
+        [cutoff]
+      );
+
+      return { downsampled, hourly, expired };
+    });
+
+    logger.info('Mantenimiento de estadísticas completado', summary);
+
+    return summary;
+  }
+
+  // Serie por intervalos de un servidor entre from y to. Los intervalos sin datos
+  // (servidor apagado, suspendido o panel caído) no aparecen en la serie.
+  async query(pterodactylId, { from, to, resolution } = {}) {
+    const { rows: servers } = await databaseService.query(
+      'SELECT id FROM servers WHERE pterodactyl_id = $1',
+      [parseInt(pterodactylId)]
+    );
+
+    if (!servers[0]) {
+      throw new AppError('Servidor no encontrado', 404, 'SERVER_NOT_FOUND');
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DAY_MS);
+
+    if (start >= end) {
+      throw new AppError('from debe ser anterior a to', 400, 'INVALID_RANGE');
+    }
+
+    const selected = resolution || pickResolution(start, end);
+    const stepMs = STATS_RESOLUTIONS[selected] * 1000;
+
+    if ((end - start) / stepMs > MAX_POINTS) {
+      throw new AppError(`El rango pedido supera los ${MAX_POINTS} puntos con resolución ${selected}`, 400, 'RANGE_TOO_LARGE');
+    }
+
+    const { rows } = await databaseService.query(
+      `SELECT recorded_at, cpu_usage, memory_usage, disk_usage, network_rx, network_tx,
+              players_online, tps, samples
+       FROM server_stats
+       WHERE server_id = $1 AND recorded_at >= $2 AND recorded_at < $3
+       ORDER BY recorded_at`,
+      [servers[0].id, start, end]
+    );
+
+    let previous = null;
+
+    const series = groupRows(rows, stepMs).map(bucket => {
+      const seconds = previous ? (bucket.time - previous.time) / 1000 : 0;
+
+      const point = {
+        time: new Date(bucket.time).toISOString(),
+        cpu: round(average(bucket, 'cpu'), 2),
+        memoryBytes: round(average(bucket, 'memory')),
+        diskBytes: round(average(bucket, 'disk')),
+        networkRxBytes: bucket.networkRx,
+        networkTxBytes: bucket.networkTx,
+        networkRxRate: previous ? rate(bucket.networkRx, previous.networkRx, seconds) : null,
+        networkTxRate: previous ? rate(bucket.networkTx, previous.networkTx, seconds) : null,
+        playersOnline: round(average(bucket, 'players')),
+        tps: round(average(bucket, 'tps'), 2),
+        samples: bucket.samples
+      };
+
+      previous = bucket;
+
+      return point;
+    });
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      resolution: selected,
+      series
+    };
+  }
+}
+
+module.exports = new ServerStatsService();
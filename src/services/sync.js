@@ -0,0 +1,294 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const pterodactylService = require('./pterodactyl');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/sync.log' })
+  ]
+});
+
+// Tabla espejo de cada recurso y columnas que se extraen de sus atributos
+const MIRRORS = {
+  users: {
+    table: 'pterodactyl_users',
+    fetch: () => pterodactylService.listAllUsers(),
+    columns: user => ({
+      uuid: user.uuid,
+      username: user.username,
+      email: user.email,
+      root_admin: Boolean(user.root_admin)
+    })
+  },
+  servers: {
+    table: 'pterodactyl_servers',
+    fetch: () => pterodactylService.listAllServers(),
+    columns: server => ({
+      uuid: server.uuid,
+      identifier: server.identifier,
+      name: server.name,
+      owner_id: server.user,
+      node_id: server.node,
+      suspended: Boolean(server.suspended),
+      status: server.status || null,
+      created_at: server.created_at || null
+    })
+  },
+  nodes: {
+    table: 'pterodactyl_nodes',
+    fetch: () => pterodactylService.listAllNodes(),
+    columns: node => ({
+      uuid: node.uuid,
+      name: node.name,
+      fqdn: node.fqdn,
+      maintenance_mode: Boolean(node.maintenance_mode)
+    })
+  }
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// JSON con las claves ordenadas: JSONB no conserva el orden original de las claves
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+const publicRun = (row) => ({
+  id: row.id,
+  status: row.status,
+  diff: parseJson(row.diff),
+  orphans: parseJson(row.orphans),
+  error: row.error,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at
+});
+
+// Sincronización con el panel: recorre todas las páginas de usuarios, servidores y
+// nodos, actualiza las tablas espejo (pterodactyl_*) e informa de las diferencias y
+// de los huérfanos a ambos lados. Los listados de administración leen del espejo.
+class SyncService {
+  async run() {
+    const { rows } = await databaseService.query("INSERT INTO sync_runs (status, started_at) VALUES ('running', NOW()) RETURNING id");
+    const runId = rows[0].id;
+
+    try {
+      // Se descarga todo antes de escribir: si el panel falla a mitad, el espejo no cambia
+      const fetched = {};
+
+      for (const [resource, mirror] of Object.entries(MIRRORS)) {
+        fetched[resource] = await mirror.fetch();
+      }
+
+      const diff = await databaseService.transaction(async (client) => {
+        const result = {};
+
+        for (const [resource, mirror] of Object.entries(MIRRORS)) {
+          result[resource] = await this.syncMirror(client, mirror, fetched[resource]);
+        }
+
+        return result;
+      });
+
+      const orphans = await this.findOrphans();
+
+      await databaseService.query(
+        "UPDATE sync_runs SET status = 'completed', diff = $1, orphans = $2, finished_at = NOW() WHERE id = $3",
+        [JSON.stringify(diff), JSON.stringify(orphans), runId]
+      );
+
+      logger.info('Sincronización con Pterodactyl completada', {
+        runId,
+        diff,
+        orphans: Object.fromEntries(Object.entries(orphans).map(([kind, list]) => [kind, list.length]))
+      });
+
+      return this.getRun(runId);
+    } catch (error) {
+      await databaseService.query(
+        "UPDATE sync_runs SET status = 'failed', error = $1, finished_at = NOW() WHERE id = $2",
+        [error.message, runId]
+      );
+
+      logger.error('Error en la sincronización con Pterodactyl', { runId, error: error.message });
+
+      throw error;
+    }
+  }
+
+  // Inserta los nuevos, actualiza los cambiados y borra los que ya no están en el panel
+  async syncMirror(client, mirror, items) {
+    const { rows } = await client.query(`SELECT id, attributes FROM ${mirror.table}`);
+    const existing = new Map(rows.map(row => [row.id, stableStringify(parseJson(row.attributes))]));
+    const diff = { added: 0, updated: 0, removed: 0, total: items.length };
+
+    for (const item of items) {
+      const previous = existing.get(item.id);
+
+      existing.delete(item.id);
+
+      if (previous === stableStringify(item)) {
+        continue;
+      }
+
+      const columns = mirror.columns(item);
+      const names = ['id', ...Object.keys(columns), 'attributes'];
+      const placeholders = names.map((name, index) => `$${index + 1}`);
+      const assignments = names.slice(1).map(name => `${name} = EXCLUDED.${name}`);
+
+      await client.query(
+        `INSERT INTO ${mirror.table} (${names.join(', ')}, synced_at)
+         VALUES (${placeholders.join(', ')}, NOW())
+         ON CONFLICT (id) DO UPDATE SET ${assignments.join(', ')}, synced_at = NOW()`,
+        [item.id, ...Object.values(columns), JSON.stringify(item)]
+      );
+
+      diff[previous === undefined ? 'added' : 'updated']++;
+    }
+
+    for (const id of existing.keys()) {
+      await client.query(`DELETE FROM ${mirror.table} WHERE id = $1`, [id]);
+      diff.removed++;
+    }
+
+    return diff;
+  }
+
+  async findOrphans() {
+    // Servidores locales cuyo servidor ya no existe en el panel
+    const { rows: missingInPanel } = await databaseService.query(
+      `SELECT s.id, s.pterodactyl_id, s.name, s.user_id
+       FROM servers s
+       LEFT JOIN pterodactyl_servers p ON p.id = s.pterodactyl_id
+       WHERE p.id IS NULL
+       ORDER BY s.created_at`
+    );
+
+    // Servidores del panel cuyo dueño no está vinculado a ningún usuario local
+    const { rows: withoutOwner } = await databaseService.query(
+      `SELECT p.id, p.identifier, p.name, p.owner_id
+       FROM pterodactyl_servers p
+       LEFT JOIN users u ON u.pterodactyl_user_id = p.owner_id
+       WHERE u.id IS NULL
+       ORDER BY p.id`
+    );
+
+    // Servidores del panel de usuarios vinculados que no están en la tabla servers
+    const { rows: untracked } = await databaseService.query(
+      `SELECT p.id, p.identifier, p.name, p.owner_id, u.id AS user_id
+       FROM pterodactyl_servers p
+       JOIN users u ON u.pterodactyl_user_id = p.owner_id
+       LEFT JOIN servers s ON s.pterodactyl_id = p.id
+       WHERE s.id IS NULL
+       ORDER BY p.id`
+    );
+
+    // Usuarios locales vinculados a un usuario que ya no existe en el panel
+    const { rows: linkedMissing } = await databaseService.query(
+      `SELECT u.id, u.username, u.pterodactyl_user_id
+       FROM users u
+       LEFT JOIN pterodactyl_users p ON p.id = u.pterodactyl_user_id
+       WHERE u.pterodactyl_user_id IS NOT NULL AND p.id IS NULL
+       ORDER BY u.username`
+    );
+
+    return {
+      localServersMissingInPanel: missingInPanel.map(row => ({
+        serverId: row.id,
+        pterodactylId: row.pterodactyl_id,
+        name: row.name,
+        userId: row.user_id
+      })),
+      panelServersWithoutOwner: withoutOwner.map(row => ({
+        pterodactylId: row.id,
+        identifier: row.identifier,
+        name: row.name,
+        pterodactylUserId: row.owner_id
+      })),
+      panelServersUntracked: untracked.map(row => ({
+        pterodactylId: row.id,
+        identifier: row.identifier,
+        name: row.name,
+        userId: row.user_id
+      })),
+      linkedUsersMissingInPanel: linkedMissing.map(row => ({
+        userId: row.id,
+        username: row.username,
+        pterodactylUserId: row.pterodactyl_user_id
+      }))
+    };
+  }
+
+  async getRun(runId) {
+    const { rows } = await databaseService.query('SELECT * FROM sync_runs WHERE id = $1', [runId]);
+    return rows.length > 0 ? publicRun(rows[0]) : null;
+  }
+
+  // Última sincronización (en curso o terminada) y última completada
+  async getStatus() {
+    const { rows: latest } = await databaseService.query('SELECT * FROM sync_runs ORDER BY started_at DESC LIMIT 1');
+    const { rows: completed } = await databaseService.query(
+      "SELECT * FROM sync_runs WHERE status = 'completed' ORDER BY started_at DESC LIMIT 1"
+    );
+
+    return {
+      latest: latest.length > 0 ? publicRun(latest[0]) : null,
+      lastCompleted: completed.length > 0 ? publicRun(completed[0]) : null
+    };
+  }
+
+  // Últimos servidores creados en el panel, con su dueño local si está vinculado
+  async getRecentServers(limit = 10) {
+    const { rows } = await databaseService.query(
+      `SELECT p.id, p.name, p.identifier, p.owner_id, p.status, p.suspended, p.created_at,
+              u.id AS user_id, u.username
+       FROM pterodactyl_servers p
+       LEFT JOIN users u ON u.pterodactyl_user_id = p.owner_id
+       ORDER BY p.created_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return rows;
+  }
+
+  // Listado paginado de una tabla espejo con el formato de la API de Pterodactyl
+  async listMirror(resource, { page = 1, perPage = 50 } = {}) {
+    const { table } = MIRRORS[resource];
+
+    const { rows: countRows } = await databaseService.query(`SELECT COUNT(*)::int AS total FROM ${table}`);
+    const { rows } = await databaseService.query(
+      `SELECT attributes FROM ${table} ORDER BY id LIMIT $1 OFFSET $2`,
+      [perPage, (page - 1) * perPage]
+    );
+    const total = countRows[0].total;
+
+    return {
+      data: rows.map(row => parseJson(row.attributes)),
+      meta: {
+        pagination: {
+          total,
+          count: rows.length,
+          per_page: perPage,
+          current_page: page,
+          total_pages: Math.max(Math.ceil(total / perPage), 1)
+        }
+      }
+    };
+  }
+}
+
+module.exports = new SyncService();
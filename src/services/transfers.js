@@ -0,0 +1,187 @@
+const winston = require('winston');
+const databaseService = require('./database');
+const notificationService = require('./notifications');
+const ledgerService = require('./ledger');
+const { TRANSFER_LIMITS, userAccount } = require('../config/coins');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/ledger.log' })
+  ]
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Transferencias de TK-Coins entre usuarios: un asiento con el cargo al remitente
+// y el abono al receptor, de modo que aparece en el historial de ambos
+class TransferService {
+  // Acepta el UUID o el nombre de usuario del receptor
+  async findRecipient(to) {
+    const { rows } = await databaseService.query(
+      UUID_PATTERN.test(to)
+        ? 'SELECT id, username, is_active FROM users WHERE id = $1'
+        : 'SELECT id, username, is_active FROM users WHERE LOWER(username) = LOWER($1)',
+      [to]
+    );
+
+    if (rows.length === 0 || !rows[0].is_active) {
+      throw new AppError('Usuario destinatario no encontrado', 404, 'RECIPIENT_NOT_FOUND');
+    }
+
+    return rows[0];
+  }
+
+  // Bloquea las dos cuentas siempre en el mismo orden (por id): A→B y B→A simultáneas
+  // esperan una a la otra en vez de bloquearse en orden inverso (deadlock 40P01)
+  async lockUsers(client, userIds) {
+    await client.query('SELECT id FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE', [userIds]);
+  }
+
+  async checkDailyLimits(client, senderId, amount) {
+    const { rows } = await client.query(
+      `SELECT COUNT(*)::int AS count, COALESCE(SUM(-amount), 0) AS total
+       FROM tk_coins_transactions
+       WHERE account = $1 AND operation = 'transfer' AND amount < 0
+         AND created_at >= NOW() - INTERVAL '24 hours'`,
+      [userAccount(senderId)]
+    );
+    const sent = { count: rows[0].count, total: Number(rows[0].total) };
+
+    if (sent.count >= TRANSFER_LIMITS.dailyCount) {
+      throw new AppError(`Máximo de ${TRANSFER_LIMITS.dailyCount} transferencias diarias alcanzado`, 409, 'TRANSFER_LIMIT', {
+        dailyCount: TRANSFER_LIMITS.dailyCount
+      });
+    }
+
+    if (sent.total + amount > TRANSFER_LIMITS.dailyAmount) {
+      throw new AppError('La transferencia supera tu límite diario', 409, 'TRANSFER_LIMIT', {
+        dailyAmount: TRANSFER_LIMITS.dailyAmount,
+        remaining: Math.max(TRANSFER_LIMITS.dailyAmount - sent.total, 0)
+      });
+    }
+  }
+
+  async transfer(sender, { to, amount, message = null, idempotencyKey = null }) {
+    const recipient = await this.findRecipient(to);
+
+    if (recipient.id === sender.id) {
+      throw new AppError('No puedes transferirte TK-Coins a ti mismo', 400, 'SELF_TRANSFER');
+    }
+
+    const metadata = {
+      fromUserId: sender.id,
+      fromUsername: sender.username,
+      toUserId: recipient.id,
+      toUsername: recipient.username,
+      message
+    };
+
+    const journal = await databaseService.transaction(async (client) => {
+      const result = await ledgerService.post({
+        operation: 'transfer',
+        metadata,
+        idempotencyKey: idempotencyKey ? `transfer:${sender.id}:${idempotencyKey}` : null,
+        fingerprint: { to: recipient.id, amount, message },
+        createdBy: sender.id,
+        entries: async (tx) => {
+          // Bloquear al remitente evita que transferencias simultáneas esquiven el límite
+          await this.lockUsers(tx, [sender.id, recipient.id]);
+          await this.checkDailyLimits(tx, sender.id, amount);
+
+          return [
+            { account: userAccount(sender.id), amount: -amount },
+            { account: userAccount(recipient.id), amount }
+          ];
+        }
+      }, client);
+
+      if (!result.replayed) {
+        await notificationService.notify(recipient.id, 'coins.received', {
+          title: 'Has recibido TK-Coins',
+          message: `${sender.username} te envió ${amount} TK-Coins${message ? `: "${message}"` : ''}`
+        }, client);
+      }
+
+      return result;
+    });
+
+    if (!journal.replayed) {
+      logger.info('Transferencia realizada', { journalId: journal.journalId, from: sender.id, to: recipient.id, amount });
+    }
+
+    return {
+      ...journal,
+      recipient: { id: recipient.id, username: recipient.username },
+      amount,
+      message,
+      balance: journal.entries.find(entry => entry.account === userAccount(sender.id)).balanceAfter
+    };
+  }
+
+  // Asiento inverso de una transferencia: retira los coins al receptor y los devuelve al remitente
+  async reverse(journalId, { reason = null, reversedBy }) {
+    const { rows } = await databaseService.query(
+      "SELECT id, metadata FROM coin_journal WHERE id = $1 AND operation = 'transfer'",
+      [journalId]
+    );
+
+    if (rows.length === 0) {
+      throw new AppError('Transferencia no encontrada', 404, 'TRANSFER_NOT_FOUND');
+    }
+
+    const { rows: reversals } = await databaseService.query(
+      'SELECT id FROM coin_journal WHERE idempotency_key = $1',
+      [`reversal:${journalId}`]
+    );
+
+    if (reversals.length > 0) {
+      throw new AppError('La transferencia ya fue revertida', 409, 'ALREADY_REVERSED', { reversalId: reversals[0].id });
+    }
+
+    const original = rows[0].metadata;
+
+    const { rows: postings } = await databaseService.query(
+      'SELECT account, amount FROM tk_coins_transactions WHERE journal_id = $1',
+      [journalId]
+    );
+
+    const reversal = await databaseService.transaction(async (client) => {
+      const result = await ledgerService.post({
+        operation: 'transfer_reversal',
+        idempotencyKey: `reversal:${journalId}`,
+        metadata: { reversedJournalId: journalId, reason, reversedBy, ...original },
+        createdBy: reversedBy,
+        entries: async (tx) => {
+          await this.lockUsers(tx, [original.fromUserId, original.toUserId]);
+
+          return postings.map(posting => ({ account: posting.account, amount: -posting.amount }));
+        }
+      }, client);
+
+      await notificationService.notify(original.fromUserId, 'coins.transfer_reversed', {
+        title: 'Transferencia revertida',
+        message: `Se revirtió tu transferencia de TK-Coins a ${original.toUsername}`
+      }, client);
+
+      await notificationService.notify(original.toUserId, 'coins.transfer_reversed', {
+        title: 'Transferencia revertida',
+        message: `Se revirtió la transferencia de TK-Coins que recibiste de ${original.fromUsername}`
+      }, client);
+
+      return result;
+    });
+
+    logger.info('Transferencia revertida', { journalId, reversalId: reversal.journalId, reversedBy, reason });
+
+    return reversal;
+  }
+}
+
+module.exports = new TransferService();
@@ -0,0 +1,86 @@
+const winston = require('winston');
+const databaseService = require('./database');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/webhooks.log' })
+  ]
+});
+
+const publicLog = (row) => ({
+  id: row.id,
+  source: row.source,
+  event: row.event,
+  pterodactylServerId: row.pterodactyl_server_id,
+  payload: row.payload,
+  status: row.status,
+  error: row.error,
+  ipAddress: row.ip_address,
+  receivedAt: row.received_at,
+  processedAt: row.processed_at
+});
+
+// Registro de los webhooks recibidos, para el visor GET /api/webhooks/logs
+class WebhookLogService {
+  async record(source, { event = null, pterodactylServerId = null, payload, ipAddress = null, status = 'received', error = null }) {
+    const { rows } = await databaseService.query(
+      `INSERT INTO webhook_logs (source, event, pterodactyl_server_id, payload, status, error, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      [source, event, pterodactylServerId, JSON.stringify(payload ?? {}), status, error, ipAddress]
+    );
+
+    return rows[0].id;
+  }
+
+  async finish(logId, status, error = null) {
+    try {
+      await databaseService.query(
+        'UPDATE webhook_logs SET status = $1, error = $2, processed_at = NOW() WHERE id = $3',
+        [status, error, logId]
+      );
+    } catch (updateError) {
+      // El registro es auxiliar: un fallo aquí no debe cambiar la respuesta del webhook
+      logger.error(`No se pudo actualizar el registro de webhook ${logId}`, { error: updateError.message });
+    }
+  }
+
+  async list({ source = null, event = null, status = null, pterodactylServerId = null, page = 1, limit = 50 } = {}) {
+    const filters = { source, event, status, pterodactyl_server_id: pterodactylServerId };
+    const conditions = [];
+    const values = [];
+
+    for (const [column, value] of Object.entries(filters)) {
+      if (value !== null && value !== undefined) {
+        values.push(value);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { rows: countRows } = await databaseService.query(
+      `SELECT COUNT(*)::int AS total FROM webhook_logs ${where}`,
+      values
+    );
+
+    const { rows } = await databaseService.query(
+      `SELECT * FROM webhook_logs ${where}
+       ORDER BY received_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    return {
+      logs: rows.map(publicLog),
+      pagination: { page, limit, total: countRows[0].total }
+    };
+  }
+}
+
+module.exports = new WebhookLogService();
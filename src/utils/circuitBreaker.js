@@ -0,0 +1,109 @@
+const { UpstreamError } = require('./errors');
+
+// Circuit breaker para un servicio externo:
+//   closed    -> las llamadas pasan; tras `failureThreshold` fallos seguidos se abre
+//   open      -> las llamadas fallan al instante con 503 durante `resetTimeoutMs`
+//   half_open -> pasa una llamada de prueba: si va bien se cierra, si falla se reabre
+// Solo cuentan como fallo los errores para los que `isFailure(error)` es true
+// (p. ej. servicio caído), no los que son culpa de la petición (un 404).
+class CircuitBreaker {
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000, isFailure = () => true, onStateChange = () => {} }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.isFailure = isFailure;
+    this.onStateChange = onStateChange;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  async execute(fn) {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        throw this.openError();
+      }
+
+      this.transition('half_open');
+    }
+
+    // En half_open solo una llamada a la vez comprueba si el servicio volvió. Solo esa
+    // llamada de prueba decide el estado: las que empezaron antes de abrirse el
+    // circuito y terminan ahora no lo cierran ni lo reabren.
+    const isProbe = this.state === 'half_open';
+
+    if (isProbe) {
+      if (this.probing) {
+        throw this.openError();
+      }
+
+      this.probing = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess(isProbe);
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(isProbe);
+      } else {
+        this.onSuccess(isProbe);
+      }
+      throw error;
+    } finally {
+      if (isProbe) {
+        this.probing = false;
+      }
+    }
+  }
+
+  onSuccess(isProbe) {
+    if (isProbe) {
+      this.failures = 0;
+      this.transition('closed');
+    } else if (this.state === 'closed') {
+      this.failures = 0;
+    }
+  }
+
+  onFailure(isProbe) {
+    if (isProbe) {
+      this.openedAt = Date.now();
+      this.transition('open');
+      return;
+    }
+
+    if (this.state !== 'closed') {
+      return;
+    }
+
+    this.failures++;
+
+    if (this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.onStateChange(state, previous);
+  }
+
+  openError() {
+    const retryAfter = Math.max(Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000), 1);
+
+    const error = new UpstreamError(`${this.name} no disponible temporalmente`, 503, 'UPSTREAM_UNAVAILABLE');
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  status() {
+    return { name: this.name, state: this.state, failures: this.failures, openedAt: this.openedAt };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,8 @@
+// Resumen de un comando de consola para los logs: el verbo y la longitud. Los
+// argumentos no se registran porque pueden llevar contraseñas u otros datos privados.
+const describeCommand = (command) => ({
+  verb: command.trim().split(/\s+/)[0].slice(0, 32),
+  length: command.length
+});
+
+module.exports = { describeCommand };
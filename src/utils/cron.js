@@ -0,0 +1,156 @@
+const { AppError } = require('./errors');
+
+// Expresiones cron de 5 campos, el formato de las tareas programadas de Pterodactyl:
+//   minuto hora día-del-mes mes día-de-la-semana      p. ej. "*/15 3 * * 1-5"
+// Cada campo admite *, listas (1,15), rangos (1-5) y pasos (*/10, 0-30/5).
+// Las fechas se calculan en UTC, la zona horaria por defecto del panel.
+const FIELDS = [
+  { name: 'minute', label: 'minuto', min: 0, max: 59 },
+  { name: 'hour', label: 'hora', min: 0, max: 23 },
+  { name: 'dayOfMonth', label: 'día del mes', min: 1, max: 31 },
+  { name: 'month', label: 'mes', min: 1, max: 12 },
+  // 0 y 7 son domingo
+  { name: 'dayOfWeek', label: 'día de la semana', min: 0, max: 7 }
+];
+
+// Límite de búsqueda de la próxima ejecución (p. ej. "0 0 30 2 *" no ocurre nunca)
+const MAX_SEARCH_YEARS = 5;
+
+const invalid = (expression, reason) => new AppError(
+  `Expresión cron inválida "${expression}": ${reason}`,
+  400,
+  'INVALID_CRON'
+);
+
+const parseNumber = (value, field, expression) => {
+  if (!/^\d+$/.test(value)) {
+    throw invalid(expression, `valor no numérico en ${field.label}: ${value}`);
+  }
+
+  const number = parseInt(value);
+
+  if (number < field.min || number > field.max) {
+    throw invalid(expression, `${field.label} fuera de rango (${field.min}-${field.max}): ${value}`);
+  }
+
+  return number;
+};
+
+const parseField = (value, field, expression) => {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepValue] = part.split('/');
+    const step = stepValue === undefined ? 1 : parseInt(stepValue);
+
+    if (stepValue !== undefined && (!/^\d+$/.test(stepValue) || step === 0)) {
+      throw invalid(expression, `paso inválido en ${field.label}: ${part}`);
+    }
+
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field, expression);
+      end = parseNumber(to, field, expression);
+
+      if (start > end) {
+        throw invalid(expression, `rango invertido en ${field.label}: ${range}`);
+      }
+    } else {
+      start = parseNumber(range, field, expression);
+      // "5/15" equivale a "5-max/15"
+      end = stepValue === undefined ? start : field.max;
+    }
+
+    for (let number = start; number <= end; number += step) {
+      values.add(field.name === 'dayOfWeek' && number === 7 ? 0 : number);
+    }
+  }
+
+  return values;
+};
+
+// Devuelve los valores permitidos de cada campo; lanza AppError 400 si no es válida
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw invalid(expression, 'se esperaban 5 campos (minuto hora día mes día-de-la-semana)');
+  }
+
+  const parsed = {};
+
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field, expression);
+  });
+
+  // Como en cron: si se restringen el día del mes y el de la semana, basta con que coincida
+  // uno. Un campo que empieza por * (también */2) no cuenta como restringido.
+  parsed.restrictedDays = !parts[2].startsWith('*') && !parts[4].startsWith('*');
+
+  return parsed;
+};
+
+// Campos por separado, como los espera la API de Pterodactyl
+const splitCron = (expression) => {
+  parseCron(expression);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = expression.trim().split(/\s+/);
+  return { minute, hour, dayOfMonth, month, dayOfWeek };
+};
+
+const matchesDay = (cron, date) => {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  return cron.restrictedDays ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+};
+
+// Próxima ejecución estrictamente posterior a `from`, o null si no ocurre en MAX_SEARCH_YEARS
+const nextRun = (expression, from = new Date()) => {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  const limit = from.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  while (date.getUTCFullYear() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  splitCron,
+  nextRun
+};
@@ -0,0 +1,75 @@
+// Error de aplicación con código HTTP asociado.
+// Los servicios lanzan AppError y las rutas lo traducen a la respuesta.
+class AppError extends Error {
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Errores de servicios externos (Pterodactyl). El estado HTTP es el que debe ver el
+// cliente de esta API, no el que devolvió el servicio externo.
+
+// El recurso no existe en el servicio externo
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND', details = undefined) {
+    super(message, 404, code, details);
+  }
+}
+
+// El servicio externo limita las peticiones; `retryAfter` en segundos
+class RateLimitedError extends AppError {
+  constructor(message, retryAfter = null, details = undefined) {
+    super(message, 429, 'RATE_LIMITED', details);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Fallo del servicio externo: caído, con errores 5xx, tiempo agotado o respuesta rechazada
+class UpstreamError extends AppError {
+  constructor(message, status = 502, code = 'UPSTREAM_ERROR', details = undefined) {
+    super(message, status, code, details);
+  }
+}
+
+// El servicio externo rechazó nuestras credenciales. Es un fallo de configuración del
+// servidor, no del cliente: se responde 502 para no confundirlo con una sesión caducada.
+class UnauthorizedError extends UpstreamError {
+  constructor(message, details = undefined) {
+    super(message, 502, 'UPSTREAM_UNAUTHORIZED', details);
+  }
+}
+
+// Responde con el estado del AppError o con 500 y el mensaje genérico de la ruta
+const sendError = (res, error, fallback) => {
+  if (error instanceof AppError) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      details: error.details
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message
+  });
+};
+
+module.exports = {
+  AppError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  UnauthorizedError,
+  sendError
+};
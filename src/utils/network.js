@@ -0,0 +1,88 @@
+const dns = require('dns');
+const net = require('net');
+
+// Rangos a los que no se conecta por una URL que decide un usuario: loopback, redes
+// privadas (incluida la red de docker), link-local (metadatos del proveedor cloud),
+// CGNAT y direcciones no enrutables
+const BLOCKED = new net.BlockList();
+
+for (const [range, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3]
+]) {
+  BLOCKED.addSubnet(range, bits, 'ipv4');
+}
+
+for (const [range, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  BLOCKED.addSubnet(range, bits, 'ipv6');
+}
+
+const isPrivateAddress = (address) => {
+  // ::ffff:a.b.c.d es una IPv4 escrita como IPv6
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return true;
+  }
+
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Resuelve el host y falla si alguna de sus direcciones es interna
+const assertPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+
+  if (blocked) {
+    throw new Error(`${hostname} resuelve a una dirección interna (${blocked.address})`);
+  }
+};
+
+// `lookup` para agentes http/https: comprueba la dirección a la que se va a conectar
+// de verdad, así un DNS que cambia entre la validación y el envío no sirve de nada
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+
+    if (blocked) {
+      const rejected = new Error(`${hostname} resuelve a una dirección interna (${blocked.address})`);
+      rejected.code = 'EPRIVATEADDRESS';
+      return callback(rejected);
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicHost,
+  publicLookup
+};
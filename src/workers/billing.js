@@ -0,0 +1,64 @@
+const winston = require('winston');
+const billingService = require('../services/billing');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/billing.log' })
+  ]
+});
+
+const INTERVAL_MS = parseInt(process.env.BILLING_INTERVAL_MS || '300000');
+
+// Ejecuta el ciclo de facturación periódicamente. Si un ciclo sigue en curso
+// cuando toca el siguiente, ese turno se salta.
+class BillingWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    this.timer.unref();
+
+    logger.info('Worker de facturación iniciado', { intervalMs });
+
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Worker de facturación detenido');
+    }
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      await billingService.runCycle();
+    } catch (error) {
+      logger.error('Error en el ciclo de facturación', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new BillingWorker();
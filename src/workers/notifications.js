@@ -0,0 +1,68 @@
+const winston = require('winston');
+const notificationService = require('../services/notifications');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/notifications.log' })
+  ]
+});
+
+const INTERVAL_MS = parseInt(process.env.NOTIFICATION_INTERVAL_MS || '15000');
+
+// Vacía periódicamente la cola de entregas de notificaciones. Si una pasada sigue
+// en curso cuando toca la siguiente, ese turno se salta.
+class NotificationWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    this.timer.unref();
+
+    logger.info('Worker de notificaciones iniciado', { intervalMs });
+
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Worker de notificaciones detenido');
+    }
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      const summary = await notificationService.processQueue();
+
+      if (summary.sent + summary.retried + summary.failed > 0) {
+        logger.info('Cola de notificaciones procesada', summary);
+      }
+    } catch (error) {
+      logger.error('Error al procesar la cola de notificaciones', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new NotificationWorker();
@@ -0,0 +1,73 @@
+const winston = require('winston');
+const serverStatsService = require('../services/serverStats');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/stats.log' })
+  ]
+});
+
+const INTERVAL_MS = parseInt(process.env.STATS_INTERVAL_MS || '60000');
+// El agrupado y la caducidad no necesitan ir a la par de las muestras
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Guarda una muestra del uso de recursos de cada servidor en cada pasada y, como
+// mucho una vez por hora, agrupa y caduca el historial. Si una pasada sigue en curso
+// cuando toca la siguiente, ese turno se salta.
+class StatsWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastMaintenance = 0;
+  }
+
+  start(intervalMs = INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    this.timer.unref();
+
+    logger.info('Worker de estadísticas iniciado', { intervalMs });
+
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Worker de estadísticas detenido');
+    }
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      await serverStatsService.collect();
+
+      if (Date.now() - this.lastMaintenance >= MAINTENANCE_INTERVAL_MS) {
+        await serverStatsService.maintain();
+        this.lastMaintenance = Date.now();
+      }
+    } catch (error) {
+      logger.error('Error en la pasada de estadísticas', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new StatsWorker();
@@ -0,0 +1,76 @@
+const winston = require('winston');
+const syncService = require('../services/sync');
+const { AppError } = require('../utils/errors');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/sync.log' })
+  ]
+});
+
+const INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS || '900000');
+
+// Sincroniza periódicamente el espejo local de Pterodactyl. Si una sincronización
+// sigue en curso cuando toca la siguiente, ese turno se salta.
+class SyncWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    this.timer.unref();
+
+    logger.info('Worker de sincronización iniciado', { intervalMs });
+
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Worker de sincronización detenido');
+    }
+  }
+
+  // Sincronización bajo demanda (POST /api/sync/run); comparte el control de concurrencia con el timer
+  async run() {
+    if (this.running) {
+      throw new AppError('Ya hay una sincronización en curso', 409, 'SYNC_IN_PROGRESS');
+    }
+
+    this.running = true;
+
+    try {
+      return await syncService.run();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    try {
+      await this.run();
+    } catch (error) {
+      logger.error('Error en la sincronización con Pterodactyl', { error: error.message });
+    }
+  }
+}
+
+module.exports = new SyncWorker();
@@ -0,0 +1,132 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const users = {};
+
+const createUser = async (username, role) => {
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ($1, $2, 'x', $3) RETURNING id, username, email, role`,
+    [username, `${username}@paneltk.test`, role]
+  );
+
+  return { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+};
+
+const withSession = (method, path, user) => request(app)[method](path).set('Authorization', `Bearer ${user.token}`);
+
+const withKey = (method, path, key) => request(app)[method](path).set('Authorization', `Bearer ${key}`);
+
+const createKey = async (user, payload) => {
+  const res = await withSession('post', '/api/api-keys', user).send(payload);
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  users.owner = await createUser('owner', 'user');
+  users.other = await createUser('other', 'user');
+});
+
+describe('alcance de las API keys', () => {
+  test('la clave solo se muestra al crearla y autentica con Bearer o X-API-Key', async () => {
+    const apiKey = await createKey(users.owner, { name: 'Lectura', permissions: ['account.read'] });
+
+    expect(apiKey.key).toMatch(/^ptk_/);
+    expect(apiKey.prefix).toBe(apiKey.key.slice(0, 12));
+
+    const listed = await withSession('get', '/api/api-keys', users.owner);
+    expect(listed.body.data.find(key => key.id === apiKey.id).key).toBeUndefined();
+
+    expect((await withKey('get', '/api/notifications', apiKey.key)).status).toBe(200);
+    expect((await request(app).get('/api/notifications').set('X-API-Key', apiKey.key)).status).toBe(200);
+  });
+
+  test('una clave no puede usar permisos que no se le dieron aunque el rol los tenga', async () => {
+    const apiKey = await createKey(users.owner, { name: 'Solo lectura', permissions: ['account.read'] });
+
+    const res = await withKey('post', '/api/coins/transfers', apiKey.key).send({ to: 'other', amount: 1 });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', missingPermission: 'coins.transfer' });
+  });
+
+  test('no se pueden asignar permisos que el rol no tiene', async () => {
+    const res = await withSession('post', '/api/api-keys', users.owner)
+      .send({ name: 'Escalada', permissions: ['coins.adjust'] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+
+  test('una clave no puede gestionar API keys', async () => {
+    const apiKey = await createKey(users.owner, { name: 'Automatización', permissions: ['account.read'] });
+
+    const res = await withKey('post', '/api/api-keys', apiKey.key).send({ name: 'Hija', permissions: ['account.read'] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('SESSION_REQUIRED');
+  });
+});
+
+describe('revocación y caducidad', () => {
+  test('una clave revocada deja de autenticar y no se revoca dos veces', async () => {
+    const apiKey = await createKey(users.owner, { name: 'Temporal', permissions: ['account.read'] });
+
+    let res = await withSession('delete', `/api/api-keys/${apiKey.id}`, users.owner);
+    expect(res.status).toBe(200);
+
+    res = await withKey('get', '/api/notifications', apiKey.key);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_API_KEY');
+
+    res = await withSession('delete', `/api/api-keys/${apiKey.id}`, users.owner);
+    expect(res.status).toBe(404);
+  });
+
+  test('no se puede revocar la clave de otro usuario', async () => {
+    const apiKey = await createKey(users.owner, { name: 'Ajena', permissions: ['account.read'] });
+
+    const res = await withSession('delete', `/api/api-keys/${apiKey.id}`, users.other);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('API_KEY_NOT_FOUND');
+    expect((await withKey('get', '/api/notifications', apiKey.key)).status).toBe(200);
+  });
+
+  test('una clave caducada responde 401', async () => {
+    const apiKey = await createKey(users.owner, {
+      name: 'Caduca',
+      permissions: ['account.read'],
+      expiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+
+    await databaseService.query("UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [apiKey.id]);
+
+    const res = await withKey('get', '/api/notifications', apiKey.key);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_API_KEY');
+  });
+
+  test('la clave de un usuario desactivado no autentica', async () => {
+    const apiKey = await createKey(users.other, { name: 'Cuenta cerrada', permissions: ['account.read'] });
+
+    await databaseService.query('UPDATE users SET is_active = false WHERE id = $1', [users.other.id]);
+
+    const res = await withKey('get', '/api/notifications', apiKey.key);
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,98 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const auditService = require('../../src/services/audit');
+const pterodactylService = require('../../src/services/pterodactyl');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+let admin;
+
+const auditRows = async (action) => {
+  const { rows } = await databaseService.query(
+    'SELECT outcome, resource_id, reason, details FROM audit_logs WHERE action = $1',
+    [action]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+  }));
+};
+
+// El registro de auditoría se escribe al terminar la respuesta
+const flushAudit = () => new Promise(resolve => setImmediate(resolve));
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('admin', 'admin@paneltk.test', 'x', 'admin') RETURNING id, username, email, role`
+  );
+  admin = { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('auditoría de la reinstalación', () => {
+  test('guarda el estado de instalación anterior y el posterior', async () => {
+    jest.spyOn(pterodactylService.uncached, 'getServerDetails').mockResolvedValue({ id: 70, status: 'install_failed' });
+    const reinstall = jest.spyOn(pterodactylService, 'reinstallServer').mockResolvedValue(true);
+
+    const res = await request(app)
+      .post('/api/server/70/reinstall')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Instalación rota' });
+
+    expect(res.status).toBe(200);
+    expect(reinstall).toHaveBeenCalledWith('70');
+
+    await flushAudit();
+    const [entry] = await auditRows('server.reinstall');
+    expect(entry).toMatchObject({ outcome: 'success', resource_id: '70', reason: 'Instalación rota' });
+    expect(entry.details).toMatchObject({
+      before: { installStatus: 'install_failed' },
+      after: { installStatus: 'installing' }
+    });
+  });
+});
+
+describe('GET /api/audit-logs/export', () => {
+  test('neutraliza las fórmulas y escapa las celdas según RFC 4180', async () => {
+    const reasons = ['=HYPERLINK("http://x")', '+1', '-1', '@SUM(A1)', '\t=1+1', '\r=1+1', 'a,b', 'dice "hola"', 'normal'];
+
+    for (const reason of reasons) {
+      await auditService.record({ action: 'csv.test', resourceType: 'test', outcome: 'success', reason });
+    }
+
+    const res = await request(app)
+      .get('/api/audit-logs/export?action=csv.test')
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+
+    const csv = res.text;
+    expect(csv).toContain(`"'=HYPERLINK(""http://x"")"`);
+    expect(csv).toContain(",'+1,");
+    expect(csv).toContain(",'-1,");
+    expect(csv).toContain(",'@SUM(A1),");
+    expect(csv).toContain(",'\t=1+1,");
+    expect(csv).toContain(`,"'\r=1+1",`);
+    expect(csv).toContain(',"a,b",');
+    expect(csv).toContain(',"dice ""hola""",');
+    expect(csv).toContain(',normal,');
+    expect(csv).not.toMatch(/,[\t\r]=/);
+  });
+});
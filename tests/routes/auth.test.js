@@ -0,0 +1,141 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.MAX_LOGIN_ATTEMPTS = '3';
+process.env.PASSWORD_RESET_URL = 'https://panel.example.test/reset-password';
+
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const notificationService = require('../../src/services/notifications');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const emailChannel = notificationService.channels.email;
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('forgetful', 'forgetful@paneltk.test', $1, 'user'),
+            ('locked', 'locked@paneltk.test', $2, 'user')`,
+    [await bcrypt.hash('contraseña-vieja', 4), await bcrypt.hash('contraseña-buena', 4)]
+  );
+});
+
+beforeEach(() => {
+  emailChannel.sent.length = 0;
+});
+
+describe('recuperación de contraseña', () => {
+  test('envía el enlace por email y el token restablece la contraseña', async () => {
+    let res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'forgetful@paneltk.test' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toBeUndefined();
+    expect(emailChannel.sent).toHaveLength(1);
+
+    const [delivery] = emailChannel.sent;
+    expect(delivery.target).toBe('forgetful@paneltk.test');
+
+    const link = delivery.notification.message.match(/https:\S+/)[0];
+    const token = new URL(link).searchParams.get('token');
+
+    res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'contraseña-nueva' });
+    expect(res.status).toBe(200);
+
+    const { rows } = await databaseService.query(
+      "SELECT password_hash FROM users WHERE username = 'forgetful'"
+    );
+    expect(await bcrypt.compare('contraseña-nueva', rows[0].password_hash)).toBe(true);
+  });
+
+  test('responde igual y no envía nada si el email no existe', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nadie@paneltk.test' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toBeUndefined();
+    expect(emailChannel.sent).toHaveLength(0);
+  });
+
+  test('responde 503 sin SMTP fuera de desarrollo', async () => {
+    emailChannel.configured = false;
+
+    try {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'forgetful@paneltk.test' });
+
+      expect(res.status).toBe(503);
+      expect(res.body.code).toBe('PASSWORD_RESET_UNAVAILABLE');
+      expect(emailChannel.sent).toHaveLength(0);
+    } finally {
+      emailChannel.configured = true;
+    }
+  });
+
+  test('en desarrollo sin SMTP no devuelve el token en la respuesta', async () => {
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    emailChannel.configured = false;
+
+    try {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'forgetful@paneltk.test' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toBeUndefined();
+      expect(JSON.stringify(res.body)).not.toMatch(/[0-9a-f]{64}/);
+    } finally {
+      process.env.NODE_ENV = environment;
+      emailChannel.configured = true;
+    }
+  });
+});
+
+describe('inicio de sesión', () => {
+  const login = (username, password) => request(app).post('/api/auth/login').send({ username, password });
+
+  test('un usuario inexistente y una contraseña errónea responden igual', async () => {
+    const unknown = await login('nadie', 'contraseña-cualquiera');
+    const wrong = await login('locked', 'contraseña-mala');
+
+    expect(unknown.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(unknown.body).toEqual(wrong.body);
+  });
+
+  test('el bloqueo solo se revela tras verificar la contraseña', async () => {
+    // Con el intento del test anterior, dos fallos más bloquean la cuenta (MAX_LOGIN_ATTEMPTS=3)
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const res = await login('locked', 'contraseña-mala');
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('INVALID_CREDENTIALS');
+    }
+
+    const { rows } = await databaseService.query("SELECT locked_until FROM users WHERE username = 'locked'");
+    expect(rows[0].locked_until).not.toBeNull();
+
+    const stillWrong = await login('locked', 'contraseña-mala');
+    expect(stillWrong.status).toBe(401);
+    expect(stillWrong.body.code).toBe('INVALID_CREDENTIALS');
+
+    const right = await login('locked', 'contraseña-buena');
+    expect(right.status).toBe(423);
+    expect(right.body.code).toBe('ACCOUNT_LOCKED');
+  });
+});
@@ -0,0 +1,185 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const pterodactylService = require('../../src/services/pterodactyl');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+let owner;
+let panelBackups;
+
+const completedBackup = (name) => ({
+  uuid: crypto.randomUUID(),
+  name,
+  bytes: 1024,
+  checksum: 'sha1:abc',
+  is_locked: false,
+  is_successful: true,
+  created_at: new Date().toISOString(),
+  completed_at: new Date().toISOString()
+});
+
+const post = (path, payload = {}) => request(app)
+  .post(path)
+  .set('Authorization', `Bearer ${owner.token}`)
+  .send(payload);
+
+const get = (path) => request(app).get(path).set('Authorization', `Bearer ${owner.token}`);
+
+const backupIdByName = async (name) => {
+  const { rows } = await databaseService.query('SELECT id FROM server_backups WHERE name = $1', [name]);
+  return rows[0].id;
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('owner', 'owner@paneltk.test', 'x', 'user') RETURNING id, username, email, role`
+  );
+  owner = { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+
+  await databaseService.query(
+    `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id, feature_limits)
+     VALUES (40, $1, 'Survival', 1, 1, 1, $2)`,
+    [owner.id, JSON.stringify({ backups: 2 })]
+  );
+});
+
+beforeEach(async () => {
+  await databaseService.query('DELETE FROM server_backups');
+  panelBackups = [];
+
+  // El panel falso guarda lo que se crea para que el siguiente listado lo devuelva
+  jest.spyOn(pterodactylService, 'listBackups').mockImplementation(async () => panelBackups);
+  jest.spyOn(pterodactylService, 'createBackup').mockImplementation(async (serverId, { name, isLocked }) => {
+    const backup = { ...completedBackup(name), is_locked: isLocked, completed_at: null };
+    panelBackups.push(backup);
+    return backup;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('límite de backups', () => {
+  test('responde 409 al llegar al límite del plan', async () => {
+    expect((await post('/api/server/40/backups', { name: 'uno' })).status).toBe(202);
+    expect((await post('/api/server/40/backups', { name: 'dos' })).status).toBe(202);
+
+    const res = await post('/api/server/40/backups', { name: 'tres' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('BACKUP_LIMIT_REACHED');
+    expect(res.body.details).toEqual({ limit: 2, used: 2 });
+    expect(pterodactylService.createBackup).toHaveBeenCalledTimes(2);
+  });
+
+  test('los backups fallidos no cuentan para el límite', async () => {
+    panelBackups.push(
+      { ...completedBackup('roto'), is_successful: false },
+      completedBackup('bueno')
+    );
+
+    const res = await post('/api/server/40/backups', { name: 'nuevo' });
+
+    expect(res.status).toBe(202);
+
+    const listed = await get('/api/server/40/backups');
+    expect(listed.body).toMatchObject({ limit: 2, used: 2 });
+  });
+});
+
+describe('enlaces de descarga firmados', () => {
+  let token;
+
+  beforeEach(async () => {
+    panelBackups.push(completedBackup('descargable'));
+    await get('/api/server/40/backups');
+
+    const res = await get(`/api/server/40/backups/${await backupIdByName('descargable')}/download`);
+    expect(res.status).toBe(200);
+    token = res.body.data.url.split('/').pop();
+  });
+
+  test('un enlace válido redirige a la URL de Wings', async () => {
+    jest.spyOn(pterodactylService, 'getBackupDownloadUrl').mockResolvedValue('https://wings.example.test/download');
+
+    const res = await request(app).get(`/api/backups/download/${token}`);
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('https://wings.example.test/download');
+  });
+
+  test('rechaza un enlace con los datos alterados', async () => {
+    const [payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 86400 })).toString('base64url');
+
+    const res = await request(app).get(`/api/backups/download/${forged}.${signature}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_DOWNLOAD_LINK');
+  });
+
+  test('una firma de la misma longitud con caracteres multibyte responde 401', async () => {
+    const [payload, signature] = token.split('.');
+    const multibyte = 'ñ'.repeat(signature.length);
+
+    const res = await request(app).get(`/api/backups/download/${payload}.${encodeURIComponent(multibyte)}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_DOWNLOAD_LINK');
+  });
+
+  test('un enlace caducado responde 401', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 3600 * 1000);
+
+    const res = await request(app).get(`/api/backups/download/${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('DOWNLOAD_LINK_EXPIRED');
+  });
+});
+
+describe('restauración', () => {
+  test('queda en audit_logs y no en el historial de coins', async () => {
+    const restore = jest.spyOn(pterodactylService, 'restoreBackup').mockResolvedValue(true);
+    panelBackups.push(completedBackup('restaurable'));
+    await get('/api/server/40/backups');
+    const backupId = await backupIdByName('restaurable');
+
+    const res = await post(`/api/server/40/backups/${backupId}/restore`, { truncate: true });
+
+    expect(res.status).toBe(202);
+    expect(restore).toHaveBeenCalledWith(40, expect.any(String), { truncate: true });
+
+    const { rows: coinRows } = await databaseService.query(
+      'SELECT id FROM tk_coins_transactions WHERE user_id = $1',
+      [owner.id]
+    );
+    expect(coinRows).toHaveLength(0);
+
+    // El registro de auditoría se escribe al terminar la respuesta
+    await new Promise(resolve => setImmediate(resolve));
+    const { rows: auditRows } = await databaseService.query(
+      "SELECT user_id, resource_id, details FROM audit_logs WHERE action = 'backup.restore'"
+    );
+    expect(auditRows).toHaveLength(1);
+    expect(auditRows[0]).toMatchObject({ user_id: owner.id, resource_id: '40' });
+    const details = typeof auditRows[0].details === 'string' ? JSON.parse(auditRows[0].details) : auditRows[0].details;
+    expect(details.after).toEqual({ backupId, truncate: true });
+  });
+});
@@ -0,0 +1,146 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const ledgerService = require('../../src/services/ledger');
+const { SYSTEM_ACCOUNTS, TRANSFER_LIMITS } = require('../../src/config/coins');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+let sender;
+let recipient;
+let admin;
+
+const createUser = async (username, role) => {
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ($1, $2, 'x', $3) RETURNING id, username, email, role`,
+    [username, `${username}@paneltk.test`, role]
+  );
+
+  return { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+};
+
+const balanceOf = async (userId) => {
+  const { rows } = await databaseService.query('SELECT tk_coins FROM users WHERE id = $1', [userId]);
+  return Number(rows[0].tk_coins);
+};
+
+const transfer = (payload, idempotencyKey = null) => {
+  const req = request(app)
+    .post('/api/coins/transfers')
+    .set('Authorization', `Bearer ${sender.token}`);
+
+  return (idempotencyKey ? req.set('Idempotency-Key', idempotencyKey) : req).send(payload);
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  sender = await createUser('sender', 'user');
+  recipient = await createUser('recipient', 'user');
+  admin = await createUser('admin', 'admin');
+});
+
+beforeEach(async () => {
+  // Cada prueba parte de un día sin transferencias y con 2000 coins emitidos al remitente
+  await databaseService.query('DELETE FROM tk_coins_transactions');
+  await databaseService.query('UPDATE users SET tk_coins = 0');
+  await ledgerService.postUser(sender.id, 2000, { operation: 'adjustment', counterparty: SYSTEM_ACCOUNTS.issuance });
+});
+
+describe('transferencias de TK-Coins', () => {
+  test('los apuntes de la transferencia suman cero y cuadran con los saldos', async () => {
+    const res = await transfer({ to: 'recipient', amount: 150, message: 'gg' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.balance).toBe(1850);
+
+    const { rows } = await databaseService.query(
+      'SELECT SUM(amount) AS total, COUNT(*)::int AS postings FROM tk_coins_transactions WHERE journal_id = $1',
+      [res.body.data.journalId]
+    );
+    expect(rows[0].postings).toBe(2);
+    expect(Number(rows[0].total)).toBe(0);
+
+    expect(await balanceOf(recipient.id)).toBe(150);
+    expect(await ledgerService.reconcile()).toMatchObject({ ok: true, drift: [], unbalancedJournals: [] });
+  });
+
+  test('repetir la petición con la misma Idempotency-Key no vuelve a abonar', async () => {
+    const payload = { to: 'recipient', amount: 100 };
+
+    const first = await transfer(payload, 'retry-key-0001');
+    expect(first.status).toBe(201);
+
+    const replay = await transfer(payload, 'retry-key-0001');
+    expect(replay.status).toBe(200);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body.data.journalId).toBe(first.body.data.journalId);
+
+    expect(await balanceOf(sender.id)).toBe(1900);
+    expect(await balanceOf(recipient.id)).toBe(100);
+
+    // La misma clave con otra cantidad es un error del cliente, no otra transferencia
+    const conflict = await transfer({ to: 'recipient', amount: 200 }, 'retry-key-0001');
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.code).toBe('IDEMPOTENCY_CONFLICT');
+    expect(await balanceOf(recipient.id)).toBe(100);
+  });
+
+  test('responde 409 si la transferencia supera el límite diario', async () => {
+    let res = await transfer({ to: 'recipient', amount: TRANSFER_LIMITS.dailyAmount - 100 });
+    expect(res.status).toBe(201);
+
+    res = await transfer({ to: 'recipient', amount: 101 });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('TRANSFER_LIMIT');
+
+    expect(await balanceOf(recipient.id)).toBe(TRANSFER_LIMITS.dailyAmount - 100);
+  });
+
+  test('una transferencia solo se puede revertir una vez', async () => {
+    const sent = await transfer({ to: 'recipient', amount: 300 });
+    const reverse = () => request(app)
+      .post(`/api/coins/transfers/${sent.body.data.journalId}/reverse`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ reason: 'Enviada por error' });
+
+    let res = await reverse();
+    expect(res.status).toBe(200);
+    expect(await balanceOf(sender.id)).toBe(2000);
+    expect(await balanceOf(recipient.id)).toBe(0);
+
+    res = await reverse();
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ALREADY_REVERSED');
+    expect(await balanceOf(sender.id)).toBe(2000);
+    expect(await balanceOf(recipient.id)).toBe(0);
+
+    expect((await ledgerService.reconcile()).ok).toBe(true);
+  });
+
+  test('dos transferencias cruzadas simultáneas terminan las dos', async () => {
+    await ledgerService.postUser(recipient.id, 500, { operation: 'adjustment', counterparty: SYSTEM_ACCOUNTS.issuance });
+
+    const back = request(app)
+      .post('/api/coins/transfers')
+      .set('Authorization', `Bearer ${recipient.token}`)
+      .send({ to: 'sender', amount: 200 });
+
+    const [there, returned] = await Promise.all([transfer({ to: 'recipient', amount: 300 }), back]);
+
+    expect(there.status).toBe(201);
+    expect(returned.status).toBe(201);
+    expect(await balanceOf(sender.id)).toBe(1900);
+    expect(await balanceOf(recipient.id)).toBe(600);
+    expect((await ledgerService.reconcile()).ok).toBe(true);
+  });
+});
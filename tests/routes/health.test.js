@@ -0,0 +1,86 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+process.env.CACHE_DRIVER = 'memory';
+process.env.HEALTH_CHECK_CACHE_MS = '0';
+process.env.HEALTH_CHECK_TIMEOUT_MS = '50';
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const pterodactylService = require('../../src/services/pterodactyl');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const LEAKY_ERROR = 'connect ECONNREFUSED 10.20.30.40:5432 user=paneltk password=s3cr3t';
+
+beforeAll(async () => {
+  await databaseService.ready;
+});
+
+beforeEach(() => {
+  jest.spyOn(pterodactylService, 'ping').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/health/ready', () => {
+  test('responde ok con todas las dependencias en uso disponibles', async () => {
+    const res = await request(app).get('/api/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ok');
+    expect(res.body.checks).toEqual({
+      database: expect.objectContaining({ status: 'up', critical: true }),
+      redis: { status: 'disabled', critical: false },
+      pterodactyl: expect.objectContaining({ status: 'up', critical: false })
+    });
+  });
+
+  test('el panel caído degrada la instancia sin revelar el error', async () => {
+    pterodactylService.ping.mockRejectedValue(new Error(LEAKY_ERROR));
+
+    const res = await request(app).get('/api/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.checks.pterodactyl).toEqual({ status: 'down', critical: false, latencyMs: expect.any(Number) });
+    expect(JSON.stringify(res.body)).not.toMatch(/ECONNREFUSED|10\.20\.30\.40|s3cr3t/);
+  });
+
+  test('la base de datos caída responde 503 sin revelar el error', async () => {
+    jest.spyOn(databaseService.driver, 'ping').mockRejectedValue(new Error(LEAKY_ERROR));
+
+    const res = await request(app).get('/api/health');
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ success: false, status: 'down' });
+    expect(res.body.checks.database).toEqual({ status: 'down', critical: true, latencyMs: expect.any(Number) });
+    expect(JSON.stringify(res.body)).not.toMatch(/ECONNREFUSED|10\.20\.30\.40|s3cr3t/);
+  });
+
+  test('una dependencia que no responde cuenta como caída al agotar el tiempo', async () => {
+    pterodactylService.ping.mockReturnValue(new Promise(() => {}));
+
+    const res = await request(app).get('/api/health/ready');
+
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.checks.pterodactyl.status).toBe('down');
+    expect(JSON.stringify(res.body)).not.toContain('Sin respuesta');
+  });
+});
+
+describe('GET /api/health/live', () => {
+  test('no comprueba las dependencias', async () => {
+    const res = await request(app).get('/api/health/live');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ok');
+    expect(pterodactylService.ping).not.toHaveBeenCalled();
+  });
+});
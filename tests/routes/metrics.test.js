@@ -0,0 +1,75 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.METRICS_TOKEN = 'metrics-token';
+process.env.METRICS_ALLOWED_IPS = '10.0.0.0/8';
+
+const express = require('express');
+const request = require('supertest');
+const metricsRoutes = require('../../src/routes/metrics');
+const databaseService = require('../../src/services/database');
+
+const app = express();
+// Para simular la IP de Prometheus con X-Forwarded-For
+app.set('trust proxy', true);
+app.use('/', metricsRoutes);
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('owner', 'owner@paneltk.test', 'x', 'user') RETURNING id`
+  );
+
+  await databaseService.query(
+    `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id, status, is_suspended, billing_status)
+     VALUES (60, $1, 'uno', 1, 1, 1, 'running', false, 'active'),
+            (61, $1, 'dos', 1, 1, 1, 'running', false, 'active'),
+            (62, $1, 'tres', 1, 1, 1, 'offline', true, 'suspended'),
+            (63, $1, 'cuatro', 1, 1, 1, 'offline', true, 'active')`,
+    [rows[0].id]
+  );
+});
+
+describe('GET /metrics', () => {
+  test('responde 403 sin token desde una IP no permitida', async () => {
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('METRICS_FORBIDDEN');
+  });
+
+  test('responde 403 con un token erróneo', async () => {
+    const res = await request(app).get('/metrics').set('Authorization', 'Bearer otro-token');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('acepta el token de METRICS_TOKEN', async () => {
+    const res = await request(app).get('/metrics').set('Authorization', 'Bearer metrics-token');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+  });
+
+  test('acepta una IP dentro de METRICS_ALLOWED_IPS', async () => {
+    const res = await request(app).get('/metrics').set('X-Forwarded-For', '10.1.2.3');
+
+    expect(res.status).toBe(200);
+  });
+
+  test('no existen variantes de la ruta', async () => {
+    const res = await request(app).get('/Metrics/').set('Authorization', 'Bearer metrics-token');
+
+    expect(res.status).toBe(404);
+  });
+
+  test('servers_total separa el estado de facturación del estado en el panel', async () => {
+    const res = await request(app).get('/metrics').set('Authorization', 'Bearer metrics-token');
+
+    expect(res.text).toContain('servers_total{billing_status="active",state="running"} 2');
+    expect(res.text).toContain('servers_total{billing_status="suspended",state="suspended"} 1');
+    // Suspendido por un administrador en el panel aunque la facturación esté al día
+    expect(res.text).toContain('servers_total{billing_status="active",state="suspended"} 1');
+  });
+});
@@ -0,0 +1,173 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const notificationService = require('../../src/services/notifications');
+const EmailChannel = require('../../src/services/notifications/email');
+const StubChannel = require('../../src/services/notifications/stub');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+let user;
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${user.token}`);
+
+const deliveries = async () => {
+  const { rows } = await databaseService.query(
+    `SELECT d.* FROM notification_deliveries d
+     JOIN notifications n ON n.id = d.notification_id
+     WHERE n.user_id = $1`,
+    [user.id]
+  );
+  return rows;
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('notified', 'notified@paneltk.test', 'x', 'user') RETURNING id, username, email, role`
+  );
+
+  user = { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+});
+
+beforeEach(async () => {
+  await databaseService.query('DELETE FROM notifications WHERE user_id = $1', [user.id]);
+  await databaseService.query('DELETE FROM notification_preferences WHERE user_id = $1', [user.id]);
+
+  for (const channel of ['email', 'discord', 'webhook']) {
+    notificationService.useChannel(channel, new StubChannel(channel));
+  }
+});
+
+describe('bandeja de notificaciones', () => {
+  test('lista, marca una y marca todas como leídas', async () => {
+    const first = await notificationService.notify(user.id, 'coins.received', { title: 'Coins', message: 'Te enviaron 10' });
+    await notificationService.notify(user.id, 'server.suspended', { title: 'Suspendido', message: 'survival fue suspendido' });
+
+    let res = await api('get', '/api/notifications');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.unread).toBe(2);
+    expect(res.body.data.map(n => n.type).sort()).toEqual(['coins', 'server']);
+
+    res = await api('post', `/api/notifications/${first}/read`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.read).toBe(true);
+
+    res = await api('get', '/api/notifications?unread=true');
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].event).toBe('server.suspended');
+
+    res = await api('post', '/api/notifications/read-all');
+    expect(res.body.data.updated).toBe(1);
+  });
+
+  test('no deja marcar notificaciones ajenas', async () => {
+    const res = await api('post', '/api/notifications/00000000-0000-4000-8000-000000000000/read');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('NOTIFICATION_NOT_FOUND');
+  });
+});
+
+describe('canales de entrega', () => {
+  test('el email usa el de la cuenta y el webhook devuelve su secreto al crearse', async () => {
+    let res = await api('put', '/api/notifications/preferences/email').send({ types: ['billing'] });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ channel: 'email', target: null, types: ['billing'], enabled: true });
+
+    res = await api('put', '/api/notifications/preferences/webhook').send({ target: 'https://hooks.example.com/paneltk' });
+    expect(res.body.data.secret).toHaveLength(64);
+
+    res = await api('get', '/api/notifications/preferences');
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.data.some(preference => preference.secret)).toBe(false);
+  });
+
+  test('el email no acepta otro destino que el de la cuenta', async () => {
+    notificationService.useChannel('email', new EmailChannel());
+
+    let res = await api('put', '/api/notifications/preferences/email').send({ target: 'victima@example.com' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TARGET');
+
+    res = await api('put', '/api/notifications/preferences/email').send({ target: 'Notified@PanelTK.test' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.target).toBeNull();
+  });
+
+  test('una preferencia de email antigua con otro destino se entrega a la cuenta', async () => {
+    await databaseService.query(
+      `INSERT INTO notification_preferences (user_id, channel, target, enabled, created_at, updated_at)
+       VALUES ($1, 'email', 'victima@example.com', true, NOW(), NOW())`,
+      [user.id]
+    );
+
+    await notificationService.notify(user.id, 'coins.received', { title: 'Coins', message: 'Te enviaron 10' });
+
+    const [delivery] = await deliveries();
+    expect(delivery).toMatchObject({ channel: 'email', target: 'notified@paneltk.test' });
+  });
+
+  test('rechaza tipos desconocidos', async () => {
+    const res = await api('put', '/api/notifications/preferences/email').send({ types: ['marketing'] });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('encola solo los canales activos que aceptan el tipo y los envía', async () => {
+    await notificationService.setPreference(user, 'email', { types: ['billing'] });
+    await notificationService.setPreference(user, 'discord', { target: 'stub://discord' });
+    await notificationService.setPreference(user, 'webhook', { target: 'stub://webhook', enabled: false });
+
+    await notificationService.notify(user.id, 'coins.received', { title: 'Coins', message: 'Te enviaron 10' });
+
+    const queued = await deliveries();
+    expect(queued.map(delivery => delivery.channel)).toEqual(['discord']);
+
+    const summary = await notificationService.processQueue();
+    expect(summary).toEqual({ sent: 1, retried: 0, failed: 0 });
+    expect(notificationService.channels.discord.sent[0].notification.title).toBe('Coins');
+
+    const [delivery] = await deliveries();
+    expect(delivery.status).toBe('sent');
+  });
+
+  test('reintenta los fallos temporales y abandona los permanentes', async () => {
+    await notificationService.setPreference(user, 'discord', { target: 'stub://discord' });
+    await notificationService.notify(user.id, 'billing.renewed', { title: 'Renovado', message: 'survival renovado' });
+
+    notificationService.useChannel('discord', {
+      resolveTarget: target => target,
+      send: async () => { throw new Error('timeout'); }
+    });
+
+    expect(await notificationService.processQueue()).toEqual({ sent: 0, retried: 1, failed: 0 });
+
+    let [delivery] = await deliveries();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, last_error: 'timeout' });
+    expect(new Date(delivery.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+    // Vuelve a tocar ya, y esta vez el destino lo rechaza
+    await databaseService.query('UPDATE notification_deliveries SET next_attempt_at = NOW() WHERE id = $1', [delivery.id]);
+    notificationService.useChannel('discord', {
+      resolveTarget: target => target,
+      send: async () => { throw Object.assign(new Error('Unknown Webhook'), { response: { status: 404 } }); }
+    });
+
+    expect(await notificationService.processQueue()).toEqual({ sent: 0, retried: 0, failed: 1 });
+
+    [delivery] = await deliveries();
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 2 });
+  });
+});
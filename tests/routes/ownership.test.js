@@ -0,0 +1,170 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../../src/services/pterodactyl', () => ({
+  getUser: jest.fn(),
+  getUserServers: jest.fn(),
+  getServerDetails: jest.fn(),
+  getNodeInfo: jest.fn()
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const pterodactylService = require('../../src/services/pterodactyl');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const users = {};
+
+const createUser = async (username, role) => {
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ($1, $2, 'x', $3) RETURNING id, username, email, role`,
+    [username, `${username}@paneltk.test`, role]
+  );
+  const user = rows[0];
+
+  return { ...user, token: jwt.sign(user, process.env.JWT_SECRET) };
+};
+
+const get = (path, user) => request(app).get(path).set('Authorization', `Bearer ${user.token}`);
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  users.owner = await createUser('owner', 'user');
+  users.other = await createUser('other', 'user');
+  users.staff = await createUser('staff', 'moderator');
+
+  // owner es el usuario 5 de Pterodactyl; other no está vinculado
+  await databaseService.query('UPDATE users SET pterodactyl_user_id = 5 WHERE id = $1', [users.owner.id]);
+
+  await databaseService.query(
+    `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id)
+     VALUES (10, $1, 'survival', 1, 1, 1)`,
+    [users.owner.id]
+  );
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+
+  pterodactylService.getUser.mockResolvedValue({ username: 'owner', email: 'owner@paneltk.test' });
+  pterodactylService.getUserServers.mockResolvedValue([
+    { attributes: { id: 10, name: 'survival', identifier: 'abcd1234' } }
+  ]);
+  pterodactylService.getServerDetails.mockImplementation(async (id) => {
+    if (String(id) === '10') {
+      return { id: 10, name: 'survival', identifier: 'abcd1234', user: 99, node: 1 };
+    }
+    // Servidor que solo existe en Pterodactyl, del usuario vinculado a owner
+    if (String(id) === '20') {
+      return { id: 20, name: 'creative', identifier: 'efgh5678', user: 5, node: 1 };
+    }
+    throw new NotFoundError(`Servidor ${id} no encontrado`);
+  });
+  pterodactylService.getNodeInfo.mockResolvedValue({ id: 1, name: 'node-1' });
+});
+
+describe('GET /api/user/:id', () => {
+  it('permite al dueño ver su propio perfil', async () => {
+    const res = await get(`/api/user/${users.owner.id}`, users.owner);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.id).toBe(users.owner.id);
+    expect(res.body.data.pterodactylUserId).toBe(5);
+    expect(pterodactylService.getUser).toHaveBeenCalledWith(5);
+  });
+
+  it('no consulta Pterodactyl para una cuenta sin vincular', async () => {
+    const res = await get(`/api/user/${users.other.id}`, users.other);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pterodactyl).toBeNull();
+    expect(pterodactylService.getUser).not.toHaveBeenCalled();
+  });
+
+  it('responde 404 a otro usuario', async () => {
+    const res = await get(`/api/user/${users.owner.id}`, users.other);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Usuario no encontrado');
+    expect(pterodactylService.getUser).not.toHaveBeenCalled();
+  });
+
+  it('permite el acceso al staff', async () => {
+    const res = await get(`/api/user/${users.owner.id}`, users.staff);
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('GET /api/user/:id/servers', () => {
+  it('permite al dueño listar sus servidores', async () => {
+    const res = await get(`/api/user/${users.owner.id}/servers`, users.owner);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(pterodactylService.getUserServers).toHaveBeenCalledWith(5);
+  });
+
+  it('responde 404 a otro usuario', async () => {
+    const res = await get(`/api/user/${users.owner.id}/servers`, users.other);
+
+    expect(res.status).toBe(404);
+    expect(pterodactylService.getUserServers).not.toHaveBeenCalled();
+  });
+
+  it('permite el acceso al staff', async () => {
+    const res = await get(`/api/user/${users.owner.id}/servers`, users.staff);
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('GET /api/server/:id', () => {
+  it('permite al dueño registrado en servers.user_id ver el servidor', async () => {
+    const res = await get('/api/server/10', users.owner);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.server.id).toBe(10);
+  });
+
+  it('responde 404 a otro usuario', async () => {
+    const res = await get('/api/server/10', users.other);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Servidor no encontrado');
+  });
+
+  it('permite al dueño vinculado ver un servidor que solo existe en Pterodactyl', async () => {
+    const res = await get('/api/server/20', users.owner);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('responde 404 a otro usuario en un servidor que solo existe en Pterodactyl', async () => {
+    const res = await get('/api/server/20', users.other);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('responde 404 igual que un servidor inexistente', async () => {
+    const res = await get('/api/server/11', users.owner);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Servidor no encontrado');
+  });
+
+  it('permite el acceso al staff', async () => {
+    const res = await get('/api/server/10', users.staff);
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,158 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const coinPurchaseService = require('../../src/services/coinPurchases');
+const ledgerService = require('../../src/services/ledger');
+const MockPaymentProvider = require('../../src/services/payments/mock');
+const { SYSTEM_ACCOUNTS } = require('../../src/config/coins');
+
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use('/api', routes);
+
+const provider = new MockPaymentProvider();
+
+let buyer;
+let coinPackage;
+let eventCounter = 0;
+
+const balanceOf = async (userId) => {
+  const { rows } = await databaseService.query('SELECT tk_coins FROM users WHERE id = $1', [userId]);
+  return Number(rows[0].tk_coins);
+};
+
+const checkout = async () => {
+  const res = await request(app)
+    .post('/api/coins/checkout')
+    .set('Authorization', `Bearer ${buyer.token}`)
+    .send({ packageId: coinPackage.id });
+
+  expect(res.status).toBe(201);
+
+  const { rows } = await databaseService.query(
+    'SELECT provider_session_id, amount_cents, currency FROM checkout_sessions WHERE id = $1',
+    [res.body.data.id]
+  );
+
+  return rows[0];
+};
+
+const eventFor = (session, type, { id = `evt_${++eventCounter}` } = {}) => JSON.stringify({
+  id,
+  type,
+  data: { session_id: session.provider_session_id, amount_cents: session.amount_cents, currency: session.currency }
+});
+
+const sendWebhook = (rawBody, signature = provider.sign(rawBody)) => request(app)
+  .post('/api/webhooks/payment')
+  .set('Content-Type', 'application/json')
+  .set('X-Mock-Signature', signature)
+  .send(rawBody);
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('buyer', 'buyer@paneltk.test', 'x', 'user') RETURNING id, username, email, role`
+  );
+
+  buyer = { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+  coinPackage = await coinPurchaseService.createPackage({ name: 'Paquete de prueba', coins: 100, priceCents: 499 });
+});
+
+beforeEach(async () => {
+  await databaseService.query('UPDATE users SET tk_coins = 0 WHERE id = $1', [buyer.id]);
+});
+
+describe('webhook de pagos', () => {
+  test('abona los coins una sola vez aunque el evento se repita', async () => {
+    const session = await checkout();
+    const rawBody = eventFor(session, 'payment.succeeded');
+
+    let res = await sendWebhook(rawBody);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ duplicate: false, status: 'processed' });
+    expect(await balanceOf(buyer.id)).toBe(100);
+
+    // El proveedor reenvía el mismo evento (mismo id), con una firma nueva
+    res = await sendWebhook(rawBody);
+    expect(res.status).toBe(200);
+    expect(res.body.duplicate).toBe(true);
+    expect(await balanceOf(buyer.id)).toBe(100);
+  });
+
+  test('rechaza firmas inválidas y marcas de tiempo caducadas', async () => {
+    const session = await checkout();
+    const rawBody = eventFor(session, 'payment.succeeded');
+
+    let res = await sendWebhook(rawBody, provider.sign(rawBody).replace(/v1=.*/, `v1=${'0'.repeat(64)}`));
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_SIGNATURE');
+
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 3600;
+    res = await sendWebhook(rawBody, provider.sign(rawBody, staleTimestamp));
+    expect(res.status).toBe(401);
+
+    expect(await balanceOf(buyer.id)).toBe(0);
+  });
+
+  test('un reembolso retira los coins aunque el saldo quede en negativo', async () => {
+    const session = await checkout();
+    await sendWebhook(eventFor(session, 'payment.succeeded'));
+
+    // Gasta 80 de los 100 comprados antes de que llegue el reembolso
+    await ledgerService.postUser(buyer.id, -80, { operation: 'purchase', counterparty: SYSTEM_ACCOUNTS.revenue });
+
+    const res = await sendWebhook(eventFor(session, 'payment.refunded'));
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('processed');
+    expect(await balanceOf(buyer.id)).toBe(-80);
+
+    // Un contracargo posterior de la misma sesión no vuelve a retirar
+    await sendWebhook(eventFor(session, 'payment.disputed'));
+    expect(await balanceOf(buyer.id)).toBe(-80);
+  });
+
+  test('un contracargo retira los coins comprados', async () => {
+    const session = await checkout();
+    await sendWebhook(eventFor(session, 'payment.succeeded'));
+
+    const res = await sendWebhook(eventFor(session, 'payment.disputed'));
+    expect(res.body.status).toBe('processed');
+    expect(await balanceOf(buyer.id)).toBe(0);
+
+    const { rows } = await databaseService.query(
+      'SELECT status FROM checkout_sessions WHERE provider_session_id = $1',
+      [session.provider_session_id]
+    );
+    expect(rows[0].status).toBe('charged_back');
+  });
+
+  test('responde 503 sin secreto de webhook configurado', async () => {
+    const session = await checkout();
+    const configured = coinPurchaseService.providerInstance;
+
+    coinPurchaseService.providerInstance = new MockPaymentProvider({ secret: '' });
+
+    try {
+      const res = await sendWebhook(eventFor(session, 'payment.succeeded'));
+      expect(res.status).toBe(503);
+      expect(res.body.code).toBe('PAYMENTS_NOT_CONFIGURED');
+    } finally {
+      coinPurchaseService.providerInstance = configured;
+    }
+  });
+});
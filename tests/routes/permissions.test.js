@@ -0,0 +1,73 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+let admin;
+let player;
+
+const createUser = async (username, role) => {
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ($1, $2, 'x', $3) RETURNING id, username, email, role`,
+    [username, `${username}@paneltk.test`, role]
+  );
+
+  return { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+};
+
+const api = (method, path, user) => request(app)[method](path).set('Authorization', `Bearer ${user.token}`);
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  admin = await createUser('boss', 'admin');
+  player = await createUser('player', 'user');
+});
+
+describe('permisos por rol', () => {
+  test('un rol sin el permiso recibe 403 con el permiso que falta', async () => {
+    const res = await api('get', '/api/permissions', player);
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ code: 'INSUFFICIENT_PERMISSIONS', missingPermission: 'roles.manage' });
+
+    expect((await api('get', '/api/permissions', admin)).status).toBe(200);
+  });
+
+  test('un rol nuevo concede sus permisos al asignarlo', async () => {
+    let res = await api('post', '/api/roles', admin).send({ name: 'auditor', permissions: ['audit.read'] });
+    expect(res.status).toBe(201);
+
+    expect((await api('get', '/api/audit-logs', player)).status).toBe(403);
+
+    res = await api('put', `/api/user/${player.id}/role`, admin).send({ role: 'auditor' });
+    expect(res.status).toBe(200);
+
+    // El token del jugador aún dice role "user": cuenta el rol actual de la base
+    expect((await api('get', '/api/audit-logs', player)).status).toBe(200);
+    expect((await api('get', '/api/permissions', player)).status).toBe(403);
+  });
+
+  test('degradar o desactivar una cuenta tiene efecto aunque el token siga vigente', async () => {
+    const demoted = await createUser('former-admin', 'admin');
+    expect((await api('get', '/api/permissions', demoted)).status).toBe(200);
+
+    await databaseService.query("UPDATE users SET role = 'user' WHERE id = $1", [demoted.id]);
+    expect((await api('get', '/api/permissions', demoted)).status).toBe(403);
+
+    await databaseService.query('UPDATE users SET is_active = false WHERE id = $1', [demoted.id]);
+    const res = await api('get', `/api/user/${demoted.id}`, demoted);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('ACCOUNT_DISABLED');
+  });
+});
@@ -0,0 +1,112 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const pterodactylService = require('../../src/services/pterodactyl');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const users = {};
+
+const createUser = async (username, role) => {
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ($1, $2, 'x', $3) RETURNING id, username, email, role`,
+    [username, `${username}@paneltk.test`, role]
+  );
+
+  return { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+};
+
+const post = (path, user, payload) => request(app)
+  .post(path)
+  .set('Authorization', `Bearer ${user.token}`)
+  .send(payload);
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  users.owner = await createUser('owner', 'user');
+  users.other = await createUser('other', 'user');
+
+  await databaseService.query(
+    `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id)
+     VALUES (60, $1, 'Survival', 1, 1, 1)`,
+    [users.owner.id]
+  );
+});
+
+beforeEach(() => {
+  jest.spyOn(pterodactylService, 'sendPowerAction').mockResolvedValue();
+  jest.spyOn(pterodactylService, 'sendCommand').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/server/:id/power', () => {
+  test('envía una señal válida al panel', async () => {
+    const res = await post('/api/server/60/power', users.owner, { signal: 'restart' });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data).toEqual({ serverId: '60', signal: 'restart' });
+    expect(pterodactylService.sendPowerAction).toHaveBeenCalledWith('60', 'restart');
+  });
+
+  test.each([
+    [{ signal: 'reboot' }],
+    [{ signal: ['start'] }],
+    [{}]
+  ])('rechaza la señal %j', async (payload) => {
+    const res = await post('/api/server/60/power', users.owner, payload);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(pterodactylService.sendPowerAction).not.toHaveBeenCalled();
+  });
+
+  test('responde 404 con un servidor ajeno', async () => {
+    const res = await post('/api/server/60/power', users.other, { signal: 'kill' });
+
+    expect(res.status).toBe(404);
+    expect(pterodactylService.sendPowerAction).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/server/:id/command', () => {
+  test('envía el comando sin los espacios de los extremos', async () => {
+    const res = await post('/api/server/60/command', users.owner, { command: '  say hola  ' });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data).toEqual({ serverId: '60' });
+    expect(pterodactylService.sendCommand).toHaveBeenCalledWith('60', 'say hola');
+  });
+
+  test.each([
+    ['vacío', { command: '   ' }],
+    ['demasiado largo', { command: 'x'.repeat(1001) }],
+    ['que no es texto', { command: { op: 'admin' } }],
+    ['ausente', {}]
+  ])('rechaza un comando %s', async (_label, payload) => {
+    const res = await post('/api/server/60/command', users.owner, payload);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(pterodactylService.sendCommand).not.toHaveBeenCalled();
+  });
+
+  test('responde 404 con un servidor ajeno', async () => {
+    const res = await post('/api/server/60/command', users.other, { command: 'op other' });
+
+    expect(res.status).toBe(404);
+    expect(pterodactylService.sendCommand).not.toHaveBeenCalled();
+  });
+});
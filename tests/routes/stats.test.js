@@ -0,0 +1,131 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const serverStatsService = require('../../src/services/serverStats');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const users = {};
+let server;
+
+const createUser = async (username, role) => {
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ($1, $2, 'x', $3) RETURNING id, username, email, role`,
+    [username, `${username}@paneltk.test`, role]
+  );
+
+  return { ...rows[0], token: jwt.sign(rows[0], process.env.JWT_SECRET) };
+};
+
+const get = (path, user) => request(app).get(path).set('Authorization', `Bearer ${user.token}`);
+
+const insertSample = (recordedAt, { cpu = null, memory = null, rx = null, resolution = 'raw', samples = 1 } = {}) =>
+  databaseService.query(
+    `INSERT INTO server_stats (server_id, cpu_usage, memory_usage, disk_usage, network_rx, network_tx,
+                               resolution, samples, recorded_at)
+     VALUES ($1, $2, $3, 0, $4, 0, $5, $6, $7)`,
+    [server.id, cpu, memory, rx, resolution, samples, recordedAt]
+  );
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  users.owner = await createUser('owner', 'user');
+  users.staff = await createUser('staff', 'moderator');
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id)
+     VALUES (50, $1, 'Survival', 1, 1, 1) RETURNING id`,
+    [users.owner.id]
+  );
+  server = rows[0];
+});
+
+beforeEach(async () => {
+  await databaseService.query('DELETE FROM server_stats');
+});
+
+describe('GET /api/server/:id/stats', () => {
+  test('responde 400 con un id no numérico', async () => {
+    const res = await get('/api/server/abc/stats', users.staff);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('agrupa las muestras por intervalo y calcula el tráfico por segundo', async () => {
+    const base = Math.floor((Date.now() - 2 * HOUR_MS) / HOUR_MS) * HOUR_MS;
+
+    await insertSample(new Date(base), { cpu: 10, memory: 100, rx: 1000 });
+    await insertSample(new Date(base + 2 * MINUTE_MS), { cpu: 20, memory: 300, rx: 4000 });
+    await insertSample(new Date(base + 5 * MINUTE_MS), { cpu: 30, memory: 200, rx: 7000 });
+    // El contador baja: el servidor se reinició y no hay tasa para ese intervalo
+    await insertSample(new Date(base + 11 * MINUTE_MS), { cpu: 40, memory: 200, rx: 500 });
+
+    const from = new Date(base).toISOString();
+    const to = new Date(base + 15 * MINUTE_MS).toISOString();
+    const res = await get(`/api/server/50/stats?from=${from}&to=${to}&resolution=5m`, users.owner);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.resolution).toBe('5m');
+    expect(res.body.data.series).toEqual([
+      expect.objectContaining({ time: from, cpu: 15, memoryBytes: 200, networkRxBytes: 4000, networkRxRate: null, samples: 2 }),
+      expect.objectContaining({ cpu: 30, networkRxBytes: 7000, networkRxRate: 10, samples: 1 }),
+      expect.objectContaining({ cpu: 40, networkRxBytes: 500, networkRxRate: null, samples: 1 })
+    ]);
+  });
+
+  test('rechaza rangos que superan el máximo de puntos', async () => {
+    const to = new Date();
+    const from = new Date(to.getTime() - 2 * 24 * HOUR_MS);
+
+    const res = await get(`/api/server/50/stats?from=${from.toISOString()}&to=${to.toISOString()}&resolution=1m`, users.owner);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('RANGE_TOO_LARGE');
+  });
+});
+
+describe('mantenimiento del historial', () => {
+  test('agrupa por hora las muestras antiguas ponderando por muestras', async () => {
+    const now = new Date();
+    // Alineada a 6 h para que la consulta final caiga en un único intervalo
+    const hour = Math.floor((now.getTime() - 72 * HOUR_MS) / (6 * HOUR_MS)) * 6 * HOUR_MS;
+
+    await insertSample(new Date(hour + 10 * MINUTE_MS), { cpu: 10, memory: 100, rx: 100 });
+    await insertSample(new Date(hour + 40 * MINUTE_MS), { cpu: 40, memory: 400, rx: 900 });
+    // Caducada: más antigua que STATS_RETENTION_DAYS
+    await insertSample(new Date(now.getTime() - 40 * 24 * HOUR_MS), { cpu: 99 });
+
+    expect(await serverStatsService.maintain(now)).toEqual({ downsampled: 2, hourly: 1, expired: 1 });
+
+    const { rows } = await databaseService.query('SELECT resolution, samples, cpu_usage, memory_usage, network_rx FROM server_stats');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ resolution: 'hour', samples: 2, memory_usage: 250 });
+    expect(Number(rows[0].cpu_usage)).toBe(25);
+    expect(Number(rows[0].network_rx)).toBe(900);
+
+    // Una hora ya agrupada pesa según sus muestras al juntarla con otras en 6h
+    await insertSample(new Date(hour + HOUR_MS), { cpu: 70, memory: 100, resolution: 'hour', samples: 1 });
+
+    const from = new Date(hour).toISOString();
+    const to = new Date(hour + 6 * HOUR_MS).toISOString();
+    const res = await get(`/api/server/50/stats?from=${from}&to=${to}&resolution=6h`, users.owner);
+
+    expect(res.body.data.series).toEqual([
+      expect.objectContaining({ cpu: 40, memoryBytes: 200, samples: 3 })
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+process.env.PTERODACTYL_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const express = require('express');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const databaseService = require('../../src/services/database');
+const pterodactylService = require('../../src/services/pterodactyl');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+let server;
+
+const sendEvent = (payload, secret) => {
+  const req = request(app).post('/api/webhooks/pterodactyl');
+  return (secret ? req.set('X-Webhook-Secret', secret) : req).send(payload);
+};
+
+const storedLog = async () => {
+  const { rows } = await databaseService.query(
+    'SELECT event, payload, status, error FROM webhook_logs'
+  );
+  expect(rows).toHaveLength(1);
+  return rows[0];
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows: users } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('owner', 'owner@paneltk.test', 'x', 'user') RETURNING id`
+  );
+
+  const { rows: servers } = await databaseService.query(
+    `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id)
+     VALUES (30, $1, 'Creativo', 1, 1, 1) RETURNING id`,
+    [users[0].id]
+  );
+  server = servers[0];
+});
+
+beforeEach(async () => {
+  await databaseService.query('DELETE FROM webhook_logs');
+  jest.spyOn(pterodactylService, 'invalidateServer').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('webhook de Pterodactyl', () => {
+  test('rechaza un secreto erróneo y registra el intento sin el cuerpo', async () => {
+    const res = await sendEvent({
+      event: 'server:suspended',
+      server: { id: 30 },
+      data: { relleno: 'x'.repeat(10000) }
+    }, 'otro-secreto');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_WEBHOOK_SECRET');
+
+    const log = await storedLog();
+    expect(log).toMatchObject({ event: 'server:suspended', status: 'rejected', error: 'Secreto del webhook inválido' });
+    const payload = typeof log.payload === 'string' ? JSON.parse(log.payload) : log.payload;
+    expect(payload).toEqual({});
+
+    const { rows } = await databaseService.query('SELECT is_suspended FROM servers WHERE id = $1', [server.id]);
+    expect(rows[0].is_suspended).toBe(false);
+  });
+
+  test('sin cabecera responde 401 y solo guarda los primeros 100 caracteres del evento', async () => {
+    const res = await sendEvent({ event: 'e'.repeat(5000), server: { id: 30 } });
+
+    expect(res.status).toBe(401);
+
+    const log = await storedLog();
+    expect(log.status).toBe('rejected');
+    expect(log.event).toHaveLength(100);
+  });
+
+  test('con el secreto correcto aplica el evento', async () => {
+    const res = await sendEvent({ event: 'server:suspended', server: { id: 30 } }, 'test-webhook-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('processed');
+    expect(pterodactylService.invalidateServer).toHaveBeenCalledWith(30);
+
+    const { rows } = await databaseService.query('SELECT is_suspended, status FROM servers WHERE id = $1', [server.id]);
+    expect(rows[0]).toEqual({ is_suspended: true, status: 'suspended' });
+    expect((await storedLog()).status).toBe('processed');
+  });
+
+  test('responde 503 si no hay secreto configurado', async () => {
+    delete process.env.PTERODACTYL_WEBHOOK_SECRET;
+
+    try {
+      const res = await sendEvent({ event: 'server:suspended', server: { id: 30 } }, 'test-webhook-secret');
+
+      expect(res.status).toBe(503);
+      expect(res.body.code).toBe('WEBHOOK_NOT_CONFIGURED');
+    } finally {
+      process.env.PTERODACTYL_WEBHOOK_SECRET = 'test-webhook-secret';
+    }
+  });
+});
@@ -0,0 +1,94 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+process.env.BILLING_GRACE_DAYS = '3';
+
+const databaseService = require('../../src/services/database');
+const billingService = require('../../src/services/billing');
+const ledgerService = require('../../src/services/ledger');
+const pterodactylService = require('../../src/services/pterodactyl');
+const { SYSTEM_ACCOUNTS } = require('../../src/config/coins');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let owner;
+let server;
+
+const serverState = async () => {
+  const { rows } = await databaseService.query(
+    'SELECT billing_status, is_suspended, next_due_at, grace_ends_at FROM servers WHERE id = $1',
+    [server.id]
+  );
+  return rows[0];
+};
+
+const balanceOf = async (userId) => {
+  const { rows } = await databaseService.query('SELECT tk_coins FROM users WHERE id = $1', [userId]);
+  return Number(rows[0].tk_coins);
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows: users } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('owner', 'owner@paneltk.test', 'x', 'user') RETURNING id`
+  );
+  owner = users[0];
+
+  const { rows: servers } = await databaseService.query(
+    `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id,
+                          billing_period_days, renewal_price, next_due_at, billing_status)
+     VALUES (20, $1, 'Survival', 1, 1, 1, 30, 50, $2, 'active') RETURNING id`,
+    [owner.id, new Date('2026-01-01T00:00:00Z')]
+  );
+  server = servers[0];
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('facturación de servidores', () => {
+  test('sin saldo pasa por gracia, se suspende y se reactiva al recargar', async () => {
+    const suspend = jest.spyOn(pterodactylService, 'suspendServer').mockResolvedValue();
+    const unsuspend = jest.spyOn(pterodactylService, 'unsuspendServer').mockResolvedValue();
+    const dueAt = new Date('2026-01-01T12:00:00Z');
+
+    // Vence sin saldo: empieza el periodo de gracia sin tocar el servidor
+    expect(await billingService.runCycle(dueAt)).toMatchObject({ grace: 1 });
+    let state = await serverState();
+    expect(state.billing_status).toBe('grace');
+    expect(new Date(state.grace_ends_at).getTime()).toBe(dueAt.getTime() + 3 * DAY_MS);
+    expect(suspend).not.toHaveBeenCalled();
+
+    // Dentro de la gracia todavía no se suspende
+    expect(await billingService.runCycle(new Date(dueAt.getTime() + DAY_MS))).toMatchObject({ pending: 1 });
+    expect((await serverState()).billing_status).toBe('grace');
+
+    // Termina la gracia sin saldo: se suspende en el panel
+    expect(await billingService.runCycle(new Date(dueAt.getTime() + 4 * DAY_MS))).toMatchObject({ suspended: 1 });
+    state = await serverState();
+    expect(state.billing_status).toBe('suspended');
+    expect(state.is_suspended).toBe(true);
+    expect(suspend).toHaveBeenCalledWith(20);
+
+    // El usuario recarga: se cobra la renovación y se reactiva
+    await ledgerService.postUser(owner.id, 60, { operation: 'adjustment', counterparty: SYSTEM_ACCOUNTS.issuance });
+    const topUpAt = new Date(dueAt.getTime() + 5 * DAY_MS);
+
+    expect(await billingService.runCycle(topUpAt)).toMatchObject({ reactivated: 1 });
+    state = await serverState();
+    expect(state.billing_status).toBe('active');
+    expect(state.is_suspended).toBe(false);
+    expect(state.grace_ends_at).toBeNull();
+    expect(new Date(state.next_due_at).getTime()).toBe(topUpAt.getTime() + 30 * DAY_MS);
+    expect(unsuspend).toHaveBeenCalledWith(20);
+    expect(await balanceOf(owner.id)).toBe(10);
+
+    // Un ciclo más no vuelve a cobrar antes del siguiente vencimiento
+    expect(await billingService.runCycle(topUpAt)).toMatchObject({ renewed: 0, reactivated: 0 });
+    expect(await balanceOf(owner.id)).toBe(10);
+    expect((await ledgerService.reconcile()).ok).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+process.env.CACHE_DRIVER = 'memory';
+
+const cacheService = require('../../src/services/cache');
+const MemoryStore = require('../../src/services/cache/memory');
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((done, fail) => {
+    resolve = done;
+    reject = fail;
+  });
+  return { promise, resolve, reject };
+};
+
+// Deja avanzar las promesas encadenadas de wrap()
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('caché de lecturas', () => {
+  test('las llamadas simultáneas comparten una sola petición y la siguiente sale de la caché', async () => {
+    const pending = deferred();
+    const fetcher = jest.fn(() => pending.promise);
+    const before = { ...cacheService.stats() };
+
+    const calls = [1, 2, 3].map(() => cacheService.wrap('test:coalesce', 60, fetcher));
+    await settle();
+    expect(cacheService.stats().inflight).toBeGreaterThanOrEqual(1);
+
+    pending.resolve({ id: 1 });
+
+    expect(await Promise.all(calls)).toEqual([{ id: 1 }, { id: 1 }, { id: 1 }]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    expect(await cacheService.wrap('test:coalesce', 60, fetcher)).toEqual({ id: 1 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    const after = cacheService.stats();
+    expect(after.misses - before.misses).toBe(1);
+    expect(after.coalesced - before.coalesced).toBe(2);
+    expect(after.hits - before.hits).toBe(1);
+  });
+
+  test('un error llega a todos los que esperaban y no se cachea', async () => {
+    const pending = deferred();
+    const failing = jest.fn(() => pending.promise);
+
+    const calls = [1, 2].map(() => cacheService.wrap('test:error', 60, failing));
+    await settle();
+    pending.reject(new Error('Panel caído'));
+
+    for (const call of calls) {
+      await expect(call).rejects.toThrow('Panel caído');
+    }
+    expect(failing).toHaveBeenCalledTimes(1);
+
+    expect(await cacheService.wrap('test:error', 60, async () => 'recuperado')).toBe('recuperado');
+  });
+
+  test('invalidar durante la petición descarta su resultado', async () => {
+    const pending = deferred();
+    const stale = cacheService.wrap('test:invalidate', 60, () => pending.promise);
+    await settle();
+
+    await cacheService.del('test:invalidate');
+    pending.resolve('desfasado');
+    expect(await stale).toBe('desfasado');
+
+    const fresh = jest.fn(async () => 'actual');
+    expect(await cacheService.wrap('test:invalidate', 60, fresh)).toBe('actual');
+    expect(fresh).toHaveBeenCalledTimes(1);
+  });
+
+  test('delByPrefix invalida todas las claves del recurso', async () => {
+    await cacheService.wrap('test:server:1:details', 60, async () => 'a');
+    await cacheService.wrap('test:server:1:resources', 60, async () => 'b');
+    await cacheService.wrap('test:server:2:details', 60, async () => 'c');
+
+    await cacheService.delByPrefix('test:server:1:');
+
+    const fetcher = jest.fn(async () => 'nuevo');
+    expect(await cacheService.wrap('test:server:1:details', 60, fetcher)).toBe('nuevo');
+    expect(await cacheService.wrap('test:server:2:details', 60, fetcher)).toBe('c');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('con TTL 0 no se guarda nada', async () => {
+    const fetcher = jest.fn(async () => 'sin caché');
+
+    await cacheService.wrap('test:ttl0', 0, fetcher);
+    await cacheService.wrap('test:ttl0', 0, fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('store en memoria', () => {
+  test('caduca por TTL y descarta las entradas más antiguas al llenarse', async () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+
+    await store.set('a', '1', 60);
+    await store.set('b', '2', 60);
+    await store.set('c', '3', 60);
+
+    expect(await store.get('a')).toBeNull();
+    expect(await store.get('c')).toBe('3');
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+
+    try {
+      expect(await store.get('b')).toBeNull();
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+});
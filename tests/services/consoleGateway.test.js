@@ -0,0 +1,46 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+
+const http = require('http');
+const net = require('net');
+const consoleGateway = require('../../src/services/consoleGateway');
+
+let server;
+
+// Petición de upgrade a mano: los clientes WebSocket no dejan enviar rutas mal codificadas
+const rawUpgrade = (path) => new Promise((resolve, reject) => {
+  const socket = net.connect(server.address().port, '127.0.0.1', () => {
+    socket.write(
+      `GET ${path} HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n` +
+      'Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n'
+    );
+  });
+  let response = '';
+
+  socket.on('data', chunk => {
+    response += chunk;
+  });
+  socket.on('close', () => resolve(response));
+  socket.on('error', reject);
+});
+
+beforeAll(done => {
+  server = http.createServer();
+  consoleGateway.attach(server);
+  server.listen(0, '127.0.0.1', done);
+});
+
+afterAll(done => {
+  consoleGateway.close();
+  server.close(done);
+});
+
+describe('pasarela de consola', () => {
+  test('responde 400 a un id mal codificado sin tumbar el proceso', async () => {
+    const response = await rawUpgrade('/api/server/%E0%A4%A/ws');
+    expect(response.startsWith('HTTP/1.1 400')).toBe(true);
+
+    // El servidor sigue atendiendo upgrades
+    expect((await rawUpgrade('/api/otra-ruta')).startsWith('HTTP/1.1 404')).toBe(true);
+  });
+});
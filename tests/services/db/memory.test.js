@@ -0,0 +1,35 @@
+process.env.DB_DRIVER = 'memory';
+
+const databaseService = require('../../../src/services/database');
+
+const countUsers = async (username) => {
+  const { rows } = await databaseService.query('SELECT COUNT(*)::int AS total FROM users WHERE username = $1', [username]);
+  return rows[0].total;
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+});
+
+describe('transacciones del driver en memoria', () => {
+  test('un error dentro de la transacción deshace sus escrituras', async () => {
+    await expect(databaseService.transaction(async (client) => {
+      await client.query(
+        "INSERT INTO users (username, email, password_hash, role) VALUES ('fantasma', 'fantasma@paneltk.test', 'x', 'user')"
+      );
+      throw new Error('fallo a mitad');
+    })).rejects.toThrow('fallo a mitad');
+
+    expect(await countUsers('fantasma')).toBe(0);
+  });
+
+  test('un COMMIT conserva las escrituras', async () => {
+    await databaseService.transaction(async (client) => {
+      await client.query(
+        "INSERT INTO users (username, email, password_hash, role) VALUES ('real', 'real@paneltk.test', 'x', 'user')"
+      );
+    });
+
+    expect(await countUsers('real')).toBe(1);
+  });
+});
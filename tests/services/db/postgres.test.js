@@ -0,0 +1,51 @@
+const PostgresDriver = require('../../../src/services/db/postgres');
+
+const ENV_KEYS = ['DB_SSL', 'DB_SSL_CA_PATH', 'DB_SSL_REJECT_UNAUTHORIZED'];
+const environment = {};
+
+// El pool de pg no conecta hasta la primera consulta: basta con leer sus opciones
+const sslFor = async (env) => {
+  Object.assign(process.env, env);
+  const driver = new PostgresDriver();
+  const { ssl } = driver.pool.options;
+  await driver.close();
+  return ssl;
+};
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) {
+    environment[key] = process.env[key];
+    delete process.env[key];
+  }
+});
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (environment[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = environment[key];
+    }
+  }
+});
+
+describe('TLS de PostgreSQL', () => {
+  test('sin DB_SSL no usa TLS', async () => {
+    expect(await sslFor({})).toBe(false);
+  });
+
+  test('DB_SSL=true verifica el certificado por defecto', async () => {
+    expect(await sslFor({ DB_SSL: 'true' })).toEqual({ rejectUnauthorized: true });
+  });
+
+  test('solo acepta certificados sin verificar si se pide de forma explícita', async () => {
+    expect(await sslFor({ DB_SSL: 'true', DB_SSL_REJECT_UNAUTHORIZED: 'false' })).toEqual({ rejectUnauthorized: false });
+  });
+
+  test('DB_SSL_CA_PATH carga la CA indicada', async () => {
+    const ssl = await sslFor({ DB_SSL: 'true', DB_SSL_CA_PATH: __filename });
+
+    expect(ssl.rejectUnauthorized).toBe(true);
+    expect(ssl.ca).toContain('TLS de PostgreSQL');
+  });
+});
@@ -0,0 +1,189 @@
+process.env.DB_DRIVER = 'memory';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const crypto = require('crypto');
+const databaseService = require('../../src/services/database');
+const ledgerService = require('../../src/services/ledger');
+const { SYSTEM_ACCOUNTS, userAccount } = require('../../src/config/coins');
+
+let user;
+
+const balance = async () => {
+  const { rows } = await databaseService.query('SELECT tk_coins FROM users WHERE id = $1', [user.id]);
+  return Number(rows[0].tk_coins);
+};
+
+const journalCount = async () => {
+  const { rows } = await databaseService.query('SELECT COUNT(*)::int AS total FROM coin_journal');
+  return rows[0].total;
+};
+
+const issue = (amount, options = {}) => ledgerService.postUser(user.id, amount, {
+  operation: 'adjustment',
+  counterparty: SYSTEM_ACCOUNTS.issuance,
+  ...options
+});
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role)
+     VALUES ('holder', 'holder@paneltk.test', 'x', 'user') RETURNING id, email`
+  );
+  user = rows[0];
+});
+
+beforeEach(async () => {
+  await databaseService.query('DELETE FROM tk_coins_transactions');
+  await databaseService.query('DELETE FROM coin_journal');
+  await databaseService.query('UPDATE users SET tk_coins = 0');
+});
+
+describe('asientos', () => {
+  test('registra los apuntes con el saldo resultante de la cuenta de usuario', async () => {
+    const result = await issue(500);
+
+    expect(result.replayed).toBe(false);
+    expect(result.entries).toEqual([
+      { account: SYSTEM_ACCOUNTS.issuance, amount: -500, balanceAfter: null },
+      { account: userAccount(user.id), amount: 500, balanceAfter: 500 }
+    ]);
+    expect(await balance()).toBe(500);
+  });
+
+  test.each([
+    ['un solo apunte', [{ account: 'system:issuance', amount: 10 }], 'INVALID_JOURNAL'],
+    ['cantidades no enteras', [{ account: 'system:issuance', amount: 1.5 }, { account: 'system:revenue', amount: -1.5 }], 'INVALID_JOURNAL'],
+    ['apuntes a cero', [{ account: 'system:issuance', amount: 0 }, { account: 'system:revenue', amount: 0 }], 'INVALID_JOURNAL'],
+    ['apuntes que no suman cero', [{ account: 'system:issuance', amount: 10 }, { account: 'system:revenue', amount: -9 }], 'UNBALANCED_JOURNAL']
+  ])('rechaza %s', async (_label, entries, code) => {
+    await expect(ledgerService.post({ operation: 'adjustment', entries })).rejects.toMatchObject({ status: 400, code });
+    expect(await journalCount()).toBe(0);
+  });
+
+  test('una cuenta desconocida deshace el cargo ya aplicado al usuario', async () => {
+    await issue(100);
+
+    const posting = ledgerService.post({
+      operation: 'adjustment',
+      entries: [
+        { account: userAccount(user.id), amount: -60 },
+        { account: 'system:inexistente', amount: 60 }
+      ]
+    });
+
+    await expect(posting).rejects.toMatchObject({ status: 400, code: 'UNKNOWN_ACCOUNT' });
+    expect(await balance()).toBe(100);
+    expect(await journalCount()).toBe(1);
+  });
+
+  test('un usuario inexistente responde 404', async () => {
+    await expect(ledgerService.postUser(crypto.randomUUID(), 10, {
+      operation: 'adjustment',
+      counterparty: SYSTEM_ACCOUNTS.issuance
+    })).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+  });
+});
+
+describe('descubierto', () => {
+  test('sin saldo suficiente responde 402 y no escribe nada', async () => {
+    await issue(30);
+
+    await expect(ledgerService.postUser(user.id, -50, {
+      operation: 'server_purchase',
+      counterparty: SYSTEM_ACCOUNTS.revenue
+    })).rejects.toMatchObject({ status: 402, code: 'INSUFFICIENT_FUNDS', details: { balance: 30, required: 50 } });
+
+    expect(await balance()).toBe(30);
+    expect(await journalCount()).toBe(1);
+  });
+
+  test('las operaciones sin límite pueden dejar el saldo en negativo', async () => {
+    await issue(30);
+
+    const result = await ledgerService.postUser(user.id, -50, {
+      operation: 'payment_refund',
+      counterparty: SYSTEM_ACCOUNTS.payments
+    });
+
+    expect(result.entries.find(entry => entry.account === userAccount(user.id)).balanceAfter).toBe(-20);
+    expect(await balance()).toBe(-20);
+    expect((await ledgerService.reconcile()).ok).toBe(true);
+  });
+});
+
+describe('idempotencia', () => {
+  test('la misma clave devuelve el asiento original sin volver a aplicarlo', async () => {
+    const first = await issue(200, { idempotencyKey: 'ledger-key-0001', fingerprint: { amount: 200 } });
+    const replay = await issue(200, { idempotencyKey: 'ledger-key-0001', fingerprint: { amount: 200 } });
+
+    expect(replay.replayed).toBe(true);
+    expect(replay.journalId).toBe(first.journalId);
+    expect(await balance()).toBe(200);
+    expect(await journalCount()).toBe(1);
+  });
+
+  test('la misma clave con otra petición responde 409', async () => {
+    await issue(200, { idempotencyKey: 'ledger-key-0002', fingerprint: { amount: 200 } });
+
+    await expect(issue(300, { idempotencyKey: 'ledger-key-0002', fingerprint: { amount: 300 } }))
+      .rejects.toMatchObject({ status: 409, code: 'IDEMPOTENCY_CONFLICT' });
+    expect(await balance()).toBe(200);
+  });
+});
+
+describe('ajustes de staff', () => {
+  const staff = () => ({ id: user.id, email: user.email });
+
+  test('fijar el saldo registra solo la diferencia', async () => {
+    await issue(120);
+
+    const result = await ledgerService.adjustBalance(user.id, 50, 'set', { createdBy: staff() });
+
+    expect(result.entries).toContainEqual({ account: userAccount(user.id), amount: -70, balanceAfter: 50 });
+    expect(await balance()).toBe(50);
+  });
+
+  test('fijar el saldo que ya tiene responde 409', async () => {
+    await issue(120);
+
+    await expect(ledgerService.adjustBalance(user.id, 120, 'set', { createdBy: staff() }))
+      .rejects.toMatchObject({ status: 409, code: 'NO_CHANGE' });
+    expect(await journalCount()).toBe(1);
+  });
+});
+
+describe('conciliación', () => {
+  test('cuadra cuando todos los saldos salen del ledger', async () => {
+    await issue(80);
+
+    expect(await ledgerService.reconcile()).toEqual({ ok: true, drift: [], unbalancedJournals: [] });
+  });
+
+  test('detecta saldos modificados fuera del ledger', async () => {
+    await issue(80);
+    await databaseService.query('UPDATE users SET tk_coins = 95 WHERE id = $1', [user.id]);
+
+    const result = await ledgerService.reconcile();
+
+    expect(result.ok).toBe(false);
+    expect(result.drift).toEqual([
+      { userId: user.id, username: 'holder', stored: 95, ledger: 80, difference: 15 }
+    ]);
+  });
+
+  test('detecta asientos que no suman cero', async () => {
+    const { journalId } = await issue(80);
+    await databaseService.query(
+      `INSERT INTO tk_coins_transactions (journal_id, account, user_id, amount, operation)
+       VALUES ($1, $2, NULL, 5, 'adjustment')`,
+      [journalId, SYSTEM_ACCOUNTS.revenue]
+    );
+
+    const result = await ledgerService.reconcile();
+
+    expect(result.ok).toBe(false);
+    expect(result.unbalancedJournals).toEqual([{ journalId, total: 5 }]);
+  });
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryDriver = require('../../src/services/db/memory');
+const Migrator = require('../../src/services/migrator');
+
+// Migraciones de prueba en un directorio temporal: cada una crea o cambia una tabla.
+// Sin claves primarias: pg-mem no libera el nombre del índice al borrar la tabla.
+const MIGRATIONS = {
+  '001_teams.js': `module.exports = {
+    description: 'Equipos',
+    up: db => db.query('CREATE TABLE teams (id INTEGER, name TEXT)'),
+    down: db => db.query('DROP TABLE teams')
+  };`,
+  '002_team_color.js': `module.exports = {
+    up: db => db.query('ALTER TABLE teams ADD COLUMN color TEXT'),
+    down: db => db.query('ALTER TABLE teams DROP COLUMN color')
+  };`,
+  '003_players.js': `module.exports = {
+    up: db => db.query('CREATE TABLE players (id INTEGER)'),
+    down: db => db.query('DROP TABLE players')
+  };`,
+  'README.md': 'No es una migración'
+};
+
+let directory;
+let driver;
+let migrator;
+
+const tables = async () => {
+  const { rows } = await driver.query(
+    "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' ORDER BY table_name"
+  );
+  return rows.map(row => row.table_name).filter(name => name !== 'schema_migrations');
+};
+
+const appliedVersions = async () => (await migrator.status())
+  .filter(migration => migration.applied)
+  .map(migration => migration.version);
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'paneltk-migrations-'));
+
+  for (const [file, content] of Object.entries(MIGRATIONS)) {
+    fs.writeFileSync(path.join(directory, file), content);
+  }
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  driver = new MemoryDriver();
+  migrator = new Migrator(driver, { directory });
+});
+
+describe('migrator', () => {
+  test('up aplica las pendientes en orden y status las refleja', async () => {
+    const results = await migrator.up();
+
+    expect(results.map(result => `${result.direction} ${result.version}`)).toEqual(['up 001', 'up 002', 'up 003']);
+    expect(await tables()).toEqual(['players', 'teams']);
+
+    const status = await migrator.status();
+    expect(status.map(migration => migration.name)).toEqual(['teams', 'team_color', 'players']);
+    expect(status[0]).toMatchObject({ description: 'Equipos', applied: true });
+    expect(status[1].description).toBe('team_color');
+
+    // Sin pendientes no hace nada
+    expect(await migrator.up()).toEqual([]);
+  });
+
+  test('up --to se detiene en la versión indicada, con o sin ceros', async () => {
+    expect((await migrator.up({ to: '2' })).map(result => result.version)).toEqual(['001', '002']);
+    expect(await appliedVersions()).toEqual(['001', '002']);
+
+    expect((await migrator.up({ to: '003' })).map(result => result.version)).toEqual(['003']);
+  });
+
+  test('down revierte la última por defecto, --steps=N y --to=0 todas', async () => {
+    await migrator.up();
+
+    expect((await migrator.down()).map(result => result.version)).toEqual(['003']);
+    expect(await tables()).toEqual(['teams']);
+
+    await migrator.up();
+    expect((await migrator.down({ steps: 2 })).map(result => result.version)).toEqual(['003', '002']);
+    expect(await appliedVersions()).toEqual(['001']);
+
+    await migrator.up();
+    expect((await migrator.down({ to: '0' })).map(result => result.version)).toEqual(['003', '002', '001']);
+    expect(await tables()).toEqual([]);
+  });
+
+  test('down --to deja aplicada la versión indicada', async () => {
+    await migrator.up();
+
+    expect((await migrator.down({ to: 1 })).map(result => result.version)).toEqual(['003', '002']);
+    expect(await appliedVersions()).toEqual(['001']);
+  });
+
+  test('--dry-run devuelve las sentencias sin ejecutarlas', async () => {
+    const results = await migrator.up({ dryRun: true });
+
+    expect(results[0]).toMatchObject({ version: '001', dryRun: true, statements: ['CREATE TABLE teams (id INTEGER, name TEXT)'] });
+    expect(await tables()).toEqual([]);
+    expect(await appliedVersions()).toEqual([]);
+
+    await migrator.up();
+    const down = await migrator.down({ to: '0', dryRun: true });
+
+    expect(down.map(result => result.statements[0])).toEqual(['DROP TABLE players', 'ALTER TABLE teams DROP COLUMN color', 'DROP TABLE teams']);
+    expect(await appliedVersions()).toEqual(['001', '002', '003']);
+  });
+
+  test('rechaza una versión de destino inexistente o inválida', async () => {
+    await expect(migrator.up({ to: '9' })).rejects.toThrow('No existe la migración 9');
+    await expect(migrator.up({ to: '0' })).rejects.toThrow('No existe la migración 0');
+    await expect(migrator.down({ to: 'latest' })).rejects.toThrow('Versión de destino inválida');
+  });
+
+  // pg-mem solo deshace los datos, no el esquema: se comprueba con un INSERT
+  test('una migración que falla no queda registrada ni a medias', async () => {
+    const failing = path.join(directory, '004_broken.js');
+    fs.writeFileSync(failing, `module.exports = {
+      up: async db => {
+        await db.query("INSERT INTO teams (id, name) VALUES (1, 'a medias')");
+        await db.query('ALTER TABLE missing ADD COLUMN x TEXT');
+      },
+      down: db => db.query('DELETE FROM teams')
+    };`);
+
+    try {
+      await expect(migrator.up()).rejects.toThrow();
+
+      expect(await appliedVersions()).toEqual(['001', '002', '003']);
+      expect((await driver.query('SELECT * FROM teams')).rows).toEqual([]);
+    } finally {
+      fs.unlinkSync(failing);
+    }
+  });
+});
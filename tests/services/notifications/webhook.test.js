@@ -0,0 +1,39 @@
+const WebhookChannel = require('../../../src/services/notifications/webhook');
+const { isPrivateAddress } = require('../../../src/utils/network');
+
+const channel = new WebhookChannel();
+
+describe('canal webhook', () => {
+  test.each([
+    'http://127.0.0.1/hook',
+    'http://localhost:3000/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.0.0.5/hook',
+    'http://172.20.0.3:5432/',
+    'http://192.168.1.1/',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://0.0.0.0/'
+  ])('rechaza destinos de la red interna: %s', async (target) => {
+    await expect(channel.resolveTarget(target)).rejects.toMatchObject({ status: 400, code: 'INVALID_TARGET' });
+  });
+
+  test('acepta una IP pública', async () => {
+    await expect(channel.resolveTarget('https://93.184.216.34/hook')).resolves.toBe('https://93.184.216.34/hook');
+  });
+
+  test('vuelve a comprobar el destino al enviar', async () => {
+    await expect(channel.send({
+      target: 'http://127.0.0.1:9/hook',
+      notification: { title: 'Prueba', message: 'Prueba', created_at: new Date() }
+    })).rejects.toThrow(/dirección interna/);
+  });
+
+  test('clasifica las direcciones', () => {
+    expect(isPrivateAddress('172.31.255.255')).toBe(true);
+    expect(isPrivateAddress('fd12:3456::1')).toBe(true);
+    expect(isPrivateAddress('fe80::1')).toBe(true);
+    expect(isPrivateAddress('8.8.8.8')).toBe(false);
+    expect(isPrivateAddress('2606:4700::1111')).toBe(false);
+  });
+});
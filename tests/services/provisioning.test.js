@@ -0,0 +1,129 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const databaseService = require('../../src/services/database');
+const provisioningService = require('../../src/services/provisioning');
+const planService = require('../../src/services/plans');
+const ledgerService = require('../../src/services/ledger');
+const pterodactylService = require('../../src/services/pterodactyl');
+const { SYSTEM_ACCOUNTS } = require('../../src/config/coins');
+
+let buyer;
+let plan;
+
+const balanceOf = async (userId) => {
+  const { rows } = await databaseService.query('SELECT tk_coins FROM users WHERE id = $1', [userId]);
+  return Number(rows[0].tk_coins);
+};
+
+const operations = async () => {
+  const { rows } = await databaseService.query(
+    'SELECT operation, amount FROM tk_coins_transactions WHERE user_id = $1 ORDER BY created_at',
+    [buyer.id]
+  );
+  return rows.map(row => `${row.operation} ${Number(row.amount)}`);
+};
+
+const serverCount = async () => {
+  const { rows } = await databaseService.query('SELECT COUNT(*)::int AS total FROM servers WHERE user_id = $1', [buyer.id]);
+  return rows[0].total;
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role, pterodactyl_user_id)
+     VALUES ('buyer', 'buyer@paneltk.test', 'x', 'user', 7) RETURNING id, username, email, role`
+  );
+  buyer = rows[0];
+
+  plan = await planService.create({
+    name: 'Básico',
+    eggId: 5,
+    dockerImage: 'ghcr.io/pterodactyl/yolks:java_17',
+    startupCommand: 'java -jar server.jar',
+    limits: { memory: 1024, swap: 0, disk: 5120, io: 500, cpu: 100 },
+    featureLimits: { backups: 2 },
+    nodeIds: [1],
+    price: 100,
+    billingPeriodDays: 30
+  });
+});
+
+beforeEach(async () => {
+  await databaseService.query('DELETE FROM servers');
+  await databaseService.query('DELETE FROM tk_coins_transactions');
+  await databaseService.query('UPDATE users SET tk_coins = 0');
+  await ledgerService.postUser(buyer.id, 150, { operation: 'adjustment', counterparty: SYSTEM_ACCOUNTS.issuance });
+
+  jest.spyOn(pterodactylService, 'getNodeAllocations').mockResolvedValue([
+    { id: 11, assigned: true },
+    { id: 12, assigned: false }
+  ]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('compra de servidores', () => {
+  test('cobra el plan y registra el servidor', async () => {
+    const createServer = jest.spyOn(pterodactylService, 'createServer')
+      .mockResolvedValue({ id: 300, identifier: 'abcd1234' });
+
+    const result = await provisioningService.purchase(buyer, { planId: plan.id, name: 'Survival' });
+
+    expect(result).toMatchObject({ price: 100, balance: 50, server: { pterodactylId: 300, allocationId: 12 } });
+    expect(createServer).toHaveBeenCalledWith(expect.objectContaining({
+      user: 7,
+      egg: 5,
+      allocation: { default: 12 },
+      feature_limits: { databases: 0, allocations: 0, backups: 2 }
+    }));
+    expect(await balanceOf(buyer.id)).toBe(50);
+    expect(await serverCount()).toBe(1);
+  });
+
+  test('reembolsa el cobro si el panel no crea el servidor', async () => {
+    jest.spyOn(pterodactylService, 'createServer').mockRejectedValue(new Error('Panel caído'));
+
+    await expect(provisioningService.purchase(buyer, { planId: plan.id, name: 'Survival' }))
+      .rejects.toMatchObject({ status: 502, code: 'PROVISIONING_FAILED' });
+
+    expect(await balanceOf(buyer.id)).toBe(150);
+    expect(await operations()).toEqual(['adjustment 150', 'purchase -100', 'refund 100']);
+    expect(await serverCount()).toBe(0);
+    expect((await ledgerService.reconcile()).ok).toBe(true);
+  });
+
+  test('si no se puede registrar, borra el servidor del panel y reembolsa', async () => {
+    // Otro servidor ya usa ese pterodactyl_id: el INSERT falla después de crear en el panel
+    await databaseService.query(
+      `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id)
+       VALUES (301, $1, 'Ocupado', 1, 1, 1)`,
+      [buyer.id]
+    );
+    jest.spyOn(pterodactylService, 'createServer').mockResolvedValue({ id: 301, identifier: 'efgh5678' });
+    const deleteServer = jest.spyOn(pterodactylService, 'deleteServer').mockResolvedValue(true);
+
+    await expect(provisioningService.purchase(buyer, { planId: plan.id, name: 'Survival' }))
+      .rejects.toMatchObject({ status: 500, code: 'PROVISIONING_FAILED' });
+
+    expect(deleteServer).toHaveBeenCalledWith(301, true);
+    expect(await balanceOf(buyer.id)).toBe(150);
+    expect(await serverCount()).toBe(1);
+  });
+
+  test('sin saldo suficiente no llega a crear nada', async () => {
+    await ledgerService.postUser(buyer.id, -100, { operation: 'adjustment', counterparty: SYSTEM_ACCOUNTS.issuance });
+    const createServer = jest.spyOn(pterodactylService, 'createServer');
+
+    await expect(provisioningService.purchase(buyer, { planId: plan.id, name: 'Survival' }))
+      .rejects.toMatchObject({ status: 402, code: 'INSUFFICIENT_FUNDS' });
+
+    expect(createServer).not.toHaveBeenCalled();
+    expect(await balanceOf(buyer.id)).toBe(50);
+  });
+});
@@ -0,0 +1,102 @@
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NOTIFICATION_DRIVER = 'stub';
+
+const databaseService = require('../../src/services/database');
+const syncService = require('../../src/services/sync');
+const pterodactylService = require('../../src/services/pterodactyl');
+
+const panelUser = (id, username) => ({ id, uuid: `u-${id}`, username, email: `${username}@panel.test`, root_admin: false });
+
+const panelServer = (id, owner, extra = {}) => ({
+  id, uuid: `s-${id}`, identifier: `id${id}`, name: `server-${id}`, user: owner, node: 1, suspended: false, status: null, ...extra
+});
+
+const panelNode = { id: 1, uuid: 'n-1', name: 'node-1', fqdn: 'node1.panel.test', maintenance_mode: false };
+
+let panel;
+let linked;
+
+const mirrorServers = async () => {
+  const { rows } = await databaseService.query('SELECT id, name, suspended, owner_id FROM pterodactyl_servers ORDER BY id');
+  return rows;
+};
+
+beforeAll(async () => {
+  await databaseService.ready;
+
+  const { rows } = await databaseService.query(
+    `INSERT INTO users (username, email, password_hash, role, pterodactyl_user_id)
+     VALUES ('linked', 'linked@paneltk.test', 'x', 'user', 1) RETURNING id`
+  );
+  linked = rows[0];
+
+  // Servidor local del usuario vinculado que el panel no tiene
+  await databaseService.query(
+    `INSERT INTO servers (pterodactyl_id, user_id, name, node_id, allocation_id, egg_id)
+     VALUES (99, $1, 'borrado', 1, 1, 1)`,
+    [linked.id]
+  );
+});
+
+beforeEach(() => {
+  jest.spyOn(pterodactylService, 'listAllUsers').mockImplementation(async () => panel.users);
+  jest.spyOn(pterodactylService, 'listAllServers').mockImplementation(async () => panel.servers);
+  jest.spyOn(pterodactylService, 'listAllNodes').mockImplementation(async () => panel.nodes);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sincronización con Pterodactyl', () => {
+  test('inserta, actualiza y borra del espejo según el panel', async () => {
+    panel = {
+      users: [panelUser(1, 'linked'), panelUser(2, 'unlinked')],
+      servers: [panelServer(10, 1), panelServer(11, 2), panelServer(12, 1)],
+      nodes: [panelNode]
+    };
+
+    let run = await syncService.run();
+
+    expect(run.status).toBe('completed');
+    expect(run.diff.servers).toEqual({ added: 3, updated: 0, removed: 0, total: 3 });
+    expect(run.diff.users).toEqual({ added: 2, updated: 0, removed: 0, total: 2 });
+
+    // 10 se suspende, 11 desaparece, 12 no cambia (aunque lleguen las claves en otro orden) y aparece 13
+    const { identifier, ...rest } = panelServer(12, 1);
+    panel.servers = [panelServer(10, 1, { suspended: true }), { ...rest, identifier }, panelServer(13, 2)];
+
+    run = await syncService.run();
+
+    expect(run.diff.servers).toEqual({ added: 1, updated: 1, removed: 1, total: 3 });
+    expect(run.diff.users).toEqual({ added: 0, updated: 0, removed: 0, total: 2 });
+    expect(await mirrorServers()).toEqual([
+      { id: 10, name: 'server-10', suspended: true, owner_id: 1 },
+      { id: 12, name: 'server-12', suspended: false, owner_id: 1 },
+      { id: 13, name: 'server-13', suspended: false, owner_id: 2 }
+    ]);
+  });
+
+  test('informa de los huérfanos a ambos lados', async () => {
+    const run = await syncService.run();
+
+    expect(run.orphans.localServersMissingInPanel).toEqual([expect.objectContaining({ pterodactylId: 99, userId: linked.id })]);
+    expect(run.orphans.panelServersWithoutOwner.map(server => server.pterodactylId)).toEqual([13]);
+    expect(run.orphans.panelServersUntracked.map(server => server.pterodactylId)).toEqual([10, 12]);
+    expect(run.orphans.linkedUsersMissingInPanel).toEqual([]);
+  });
+
+  test('si el panel falla a mitad, el espejo no cambia y la ejecución queda fallida', async () => {
+    const before = await mirrorServers();
+    panel.servers = [];
+    pterodactylService.listAllNodes.mockRejectedValue(new Error('Panel caído'));
+
+    await expect(syncService.run()).rejects.toThrow('Panel caído');
+
+    expect(await mirrorServers()).toEqual(before);
+
+    const { rows } = await databaseService.query("SELECT status, error FROM sync_runs WHERE status = 'failed'");
+    expect(rows).toEqual([{ status: 'failed', error: 'Panel caído' }]);
+  });
+});
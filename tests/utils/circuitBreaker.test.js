@@ -0,0 +1,51 @@
+const CircuitBreaker = require('../../src/utils/circuitBreaker');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+describe('circuit breaker', () => {
+  test('una llamada iniciada antes de abrirse no cierra el circuito ni libera la prueba', async () => {
+    const breaker = new CircuitBreaker({ name: 'Panel', failureThreshold: 1, resetTimeoutMs: 0 });
+    const slow = deferred();
+    const probe = deferred();
+
+    // Empieza con el circuito cerrado y termina cuando ya está en half_open
+    const stale = breaker.execute(() => slow.promise);
+
+    await expect(breaker.execute(() => Promise.reject(new Error('caído')))).rejects.toThrow('caído');
+    expect(breaker.state).toBe('open');
+
+    const probing = breaker.execute(() => probe.promise);
+    expect(breaker.state).toBe('half_open');
+
+    slow.resolve('tarde');
+    await expect(stale).resolves.toBe('tarde');
+    expect(breaker.state).toBe('half_open');
+
+    // La prueba sigue en curso: otra llamada no puede pasar
+    await expect(breaker.execute(() => Promise.resolve())).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+
+    probe.resolve('ok');
+    await expect(probing).resolves.toBe('ok');
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('si la prueba falla el circuito se reabre', async () => {
+    const breaker = new CircuitBreaker({ name: 'Panel', failureThreshold: 2, resetTimeoutMs: 0 });
+    const fail = () => breaker.execute(() => Promise.reject(new Error('caído')));
+
+    await expect(fail()).rejects.toThrow();
+    expect(breaker.state).toBe('closed');
+    await expect(fail()).rejects.toThrow();
+    expect(breaker.state).toBe('open');
+
+    await expect(fail()).rejects.toThrow('caído');
+    expect(breaker.state).toBe('open');
+    expect(breaker.probing).toBe(false);
+  });
+});
@@ -0,0 +1,14 @@
+const { describeCommand } = require('../../src/utils/console');
+
+describe('describeCommand', () => {
+  test('solo conserva el verbo y la longitud', () => {
+    const summary = describeCommand('  authme register usuario Secreta123 Secreta123');
+
+    expect(summary).toEqual({ verb: 'authme', length: 47 });
+    expect(JSON.stringify(summary)).not.toContain('Secreta123');
+  });
+
+  test('recorta verbos muy largos', () => {
+    expect(describeCommand('v'.repeat(200)).verb).toHaveLength(32);
+  });
+});
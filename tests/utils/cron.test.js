@@ -0,0 +1,73 @@
+const { parseCron, splitCron, nextRun } = require('../../src/utils/cron');
+
+const at = (iso) => new Date(iso);
+
+describe('parseCron', () => {
+  test('expande listas, rangos y pasos', () => {
+    const cron = parseCron('*/15 1,3-5 10-20/5 * 7');
+
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([1, 3, 4, 5]);
+    expect([...cron.dayOfMonth]).toEqual([10, 15, 20]);
+    expect(cron.month.size).toBe(12);
+    // 7 también es domingo
+    expect([...cron.dayOfWeek]).toEqual([0]);
+  });
+
+  test('"5/15" empieza en 5 y llega hasta el máximo', () => {
+    expect([...parseCron('5/15 * * * *').minute]).toEqual([5, 20, 35, 50]);
+  });
+
+  test.each([
+    ['* * * *', 'se esperaban 5 campos'],
+    ['60 * * * *', 'minuto fuera de rango'],
+    ['* * 0 * *', 'día del mes fuera de rango'],
+    ['*/0 * * * *', 'paso inválido'],
+    ['* 5-1 * * *', 'rango invertido'],
+    ['a * * * *', 'valor no numérico']
+  ])('rechaza "%s"', (expression, reason) => {
+    expect(() => parseCron(expression)).toThrow(expect.objectContaining({
+      status: 400,
+      code: 'INVALID_CRON',
+      message: expect.stringContaining(reason)
+    }));
+  });
+
+  test('un paso sobre * no restringe el día', () => {
+    expect(parseCron('0 0 1 * 1').restrictedDays).toBe(true);
+    expect(parseCron('0 0 */2 * 1').restrictedDays).toBe(false);
+    expect(parseCron('0 0 1 * */2').restrictedDays).toBe(false);
+  });
+});
+
+describe('splitCron', () => {
+  test('devuelve los campos como los espera Pterodactyl', () => {
+    expect(splitCron(' 30  4 * * 1-5 ')).toEqual({ minute: '30', hour: '4', dayOfMonth: '*', month: '*', dayOfWeek: '1-5' });
+  });
+});
+
+describe('nextRun', () => {
+  test('es estrictamente posterior a la fecha de partida', () => {
+    expect(nextRun('30 4 * * *', at('2026-03-10T04:30:00Z'))).toEqual(at('2026-03-11T04:30:00Z'));
+    expect(nextRun('*/15 * * * *', at('2026-03-10T04:31:20Z'))).toEqual(at('2026-03-10T04:45:00Z'));
+  });
+
+  test('día del mes y de la semana restringidos: basta con que coincida uno', () => {
+    // 2026-03-10 es martes: el viernes 13 llega antes que el día 15
+    expect(nextRun('0 0 15 * 5', at('2026-03-10T12:00:00Z'))).toEqual(at('2026-03-13T00:00:00Z'));
+  });
+
+  test('con */2 en el día del mes tienen que coincidir los dos', () => {
+    // Días impares del mes que además sean lunes: el 2026-03-23 es lunes e impar
+    expect(nextRun('0 0 */2 * 1', at('2026-03-10T12:00:00Z'))).toEqual(at('2026-03-23T00:00:00Z'));
+  });
+
+  test('cruza meses y años', () => {
+    expect(nextRun('0 0 1 1 *', at('2026-03-10T00:00:00Z'))).toEqual(at('2027-01-01T00:00:00Z'));
+    expect(nextRun('0 12 29 2 *', at('2026-03-10T00:00:00Z'))).toEqual(at('2028-02-29T12:00:00Z'));
+  });
+
+  test('devuelve null si la fecha no existe', () => {
+    expect(nextRun('0 0 30 2 *', at('2026-03-10T00:00:00Z'))).toBeNull();
+  });
+});